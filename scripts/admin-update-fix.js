@@ -1,135 +1,100 @@
 // scripts/admin-update-fix.js
+// Butuh <script src="scripts/update-outbox.js"> sebelum file ini (window.UpdateOutbox)
 class AdminUpdateFix {
   constructor() {
-    this.API_ENDPOINT = 'https://api.github.com/repos/{owner}/{repo}/contents/data/pending-updates.json';
+    // Token GitHub tidak pernah ada di browser: update dikirim ke API server
+    // (scripts/api-server.js) dengan token sesi petugas; kredensial ada di server.
     this.CONFIG = {
-      REPO_OWNER: 'satlantaspolrestayka',
-      REPO_NAME: 'ops-ketupat-progo-2026',
-      GITHUB_TOKEN: '' // Will be set from localStorage or prompt
+      API_BASE_URL: '', // kosong = origin yang sama
+      SESSION_KEY: 'petugas_session' // sesi login dari admin-petugas.html
     };
+    // Outbox IndexedDB bersama panel dan service worker (scripts/update-outbox.js)
+    this.outbox = new UpdateOutbox({ apiBaseUrl: this.CONFIG.API_BASE_URL });
   }
 
-  async submitDataToGitHub(updateData) {
+  getSession() {
     try {
-      // Get existing file content
-      const url = `https://api.github.com/repos/${this.CONFIG.REPO_OWNER}/${this.CONFIG.REPO_NAME}/contents/data/pending-updates.json`;
-      
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `token ${this.CONFIG.GITHUB_TOKEN}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch file: ${response.status}`);
-      }
-
-      const fileData = await response.json();
-      const content = atob(fileData.content);
-      const updates = JSON.parse(content);
-      
-      // Add new update
-      updates.push({
-        ...updateData,
-        id: Date.now(),
-        status: 'pending',
-        submitted_at: new Date().toISOString()
-      });
-      
-      // Update file
-      const updateResponse = await fetch(url, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `token ${this.CONFIG.GITHUB_TOKEN}`,
-          'Content-Type': 'application/json',
-          'Accept': 'application/vnd.github.v3+json'
-        },
-        body: JSON.stringify({
-          message: `Update parking data for ${updateData.location}`,
-          content: btoa(JSON.stringify(updates, null, 2)),
-          sha: fileData.sha,
-          branch: 'main'
-        })
-      });
+      const session = JSON.parse(localStorage.getItem(this.CONFIG.SESSION_KEY) || 'null');
+      return session && session.token && Date.now() < new Date(session.expiresAt).getTime() ? session : null;
+    } catch (error) {
+      return null;
+    }
+  }
 
-      if (!updateResponse.ok) {
-        throw new Error(`Failed to update file: ${updateResponse.status}`);
-      }
+  getSessionToken() {
+    const session = this.getSession();
+    return session ? session.token : null;
+  }
 
-      return {
-        success: true,
-        message: 'Data submitted successfully'
-      };
-    } catch (error) {
-      console.error('GitHub API error:', error);
-      return {
-        success: false,
-        message: 'Failed to submit data',
-        error: error.message
-      };
+  // Idempotency key dibuat sekali per update dan dipakai ulang di setiap retry
+  generateIdempotencyKey() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+      return crypto.randomUUID();
     }
+    return `upd-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
   }
 
-  // Alternative: Use GitHub Actions API to trigger workflow
-  async triggerWorkflow(updateData) {
+  withIdempotencyKey(updateData) {
+    return updateData.idempotency_key
+      ? updateData
+      : { ...updateData, idempotency_key: this.generateIdempotencyKey() };
+  }
+
+  async submitToAPI(updateData, token) {
+    updateData = this.withIdempotencyKey(updateData);
+    
     try {
-      const url = `https://api.github.com/repos/${this.CONFIG.REPO_OWNER}/${this.CONFIG.REPO_NAME}/dispatches`;
-      
-      const response = await fetch(url, {
+      const response = await fetch(`${this.CONFIG.API_BASE_URL}/api/updates`, {
         method: 'POST',
         headers: {
-          'Authorization': `token ${this.CONFIG.GITHUB_TOKEN}`,
           'Content-Type': 'application/json',
-          'Accept': 'application/vnd.github.v3+json'
+          'Authorization': `Bearer ${token}`,
+          'Idempotency-Key': updateData.idempotency_key
         },
-        body: JSON.stringify({
-          event_type: 'manual_update',
-          client_payload: {
-            update: updateData
-          }
-        })
+        body: JSON.stringify(updateData)
       });
+      const result = await response.json().catch(() => ({}));
 
       if (!response.ok) {
-        throw new Error(`Failed to trigger workflow: ${response.status}`);
+        throw new Error(result.error || `Failed to submit update: ${response.status}`);
       }
 
       return {
         success: true,
-        message: 'Workflow triggered successfully'
+        duplicate: Boolean(result.duplicate),
+        message: result.duplicate ? 'Update already submitted' : 'Data submitted successfully'
       };
     } catch (error) {
-      console.error('Workflow trigger error:', error);
+      console.error('API submit error:', error);
       return {
         success: false,
-        message: 'Failed to trigger workflow',
+        message: 'Failed to submit data',
         error: error.message
       };
     }
   }
 
-  // Fallback: Save to localStorage and sync later
+  // Fallback: simpan di outbox, dikirim service worker saat koneksi kembali
   async queueForLater(updateData) {
+    updateData = this.withIdempotencyKey(updateData);
+    
     try {
-      const queueKey = 'parking_update_queue';
-      let queue = JSON.parse(localStorage.getItem(queueKey) || '[]');
-      
-      queue.push({
-        ...updateData,
-        queued_at: new Date().toISOString(),
-        attempts: 0
-      });
-      
-      localStorage.setItem(queueKey, JSON.stringify(queue));
+      const session = this.getSession();
+      if (session) {
+        await this.outbox.setSession({ token: session.token, officer_id: session.officer?.id, expires_at: session.expiresAt });
+      }
+      const existing = await this.outbox.get(updateData.idempotency_key);
+      const entry = existing || await this.outbox.enqueue(updateData, session?.officer?.id || null);
+      const queueLength = (await this.outbox.pending()).length;
       
       // Try to sync in background
-      this.syncQueueInBackground();
+      await UpdateOutbox.requestSync();
       
       return {
         success: true,
-        message: 'Data queued for later sync',
-        queueLength: queue.length
+        message: existing ? 'Data already queued' : 'Data queued for later sync',
+        state: entry.state,
+        queueLength
       };
     } catch (error) {
       return {
@@ -140,22 +105,14 @@ class AdminUpdateFix {
     }
   }
 
-  async syncQueueInBackground() {
-    if ('serviceWorker' in navigator && 'sync' in registration) {
-      try {
-        await registration.sync.register('sync-parking-updates');
-        console.log('Background sync registered');
-      } catch (error) {
-        console.error('Background sync failed:', error);
-      }
-    }
-  }
-
   // Main submit function for admin panel
   async submitUpdate(updateData) {
-    // Try GitHub API first
-    if (this.CONFIG.GITHUB_TOKEN) {
-      const result = await this.submitDataToGitHub(updateData);
+    updateData = this.withIdempotencyKey(updateData);
+    
+    // Try API server first (butuh sesi petugas yang masih berlaku)
+    const token = this.getSessionToken();
+    if (token) {
+      const result = await this.submitToAPI(updateData, token);
       if (result.success) return result;
     }
     
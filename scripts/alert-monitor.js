@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Evaluasi alert di host API (dijalankan APIServer, atau sendiri lewat CLI)
+ *
+ * Status alert (data/alert-state.json), konfirmasi lewat POST /api/alerts/:id/ack atau
+ * alert-state.js --ack dan subscription Web Push hanya ada di host API. Karena itu
+ * monitor yang membuat alert, menjalankan eskalasi dan mengirim push juga berjalan di sini:
+ *   health      - health-check.js (system_error, eskalasi kebijakan "system")
+ *   statistics  - monitor-statistics.js (konsistensi, stale update, pengingat petugas)
+ *   utilization - notify-utilization.js (utilisasi, eskalasi, "ada tempat lagi")
+ * Workflow GitHub Actions menjalankan script yang sama dengan --check-only: hanya
+ * laporan, tanpa status alert, notifikasi, eskalasi atau push.
+ *
+ * Interval dari alert_lifecycle.interval_minutes di config/notifications.json (0 = mati).
+ * Operasi arsip tidak dipantau.
+ *
+ *   node scripts/alert-monitor.js                 # satu putaran
+ *   node scripts/alert-monitor.js --continuous    # terus, sesuai interval
+ */
+
+const path = require('path');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+const SystemHealthChecker = require('./health-check');
+const StatisticsMonitor = require('./monitor-statistics');
+const UtilizationNotifier = require('./notify-utilization');
+
+const DEFAULT_INTERVAL = 5; // menit
+
+const MONITORS = {
+  health: SystemHealthChecker,
+  statistics: StatisticsMonitor,
+  utilization: UtilizationNotifier
+};
+
+class AlertMonitor {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.configLoader = options.configLoader || new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.monitors = options.monitors || MONITORS;
+    this.interval = options.interval ?? null;
+    this.persistent = Boolean(options.persistent); // false: timer tidak menahan proses tetap hidup
+    this.timer = null;
+    this.running = false;
+  }
+
+  intervalMinutes() {
+    if (this.interval !== null) return this.interval;
+
+    const config = this.configLoader.load('notifications', { defaults: {} });
+    return config.alert_lifecycle?.interval_minutes ?? DEFAULT_INTERVAL;
+  }
+
+  /**
+   * Satu putaran semua monitor, berurutan. Monitor dibuat baru setiap putaran
+   * (hasil health check dan config tidak terbawa); putaran tidak ditumpuk.
+   */
+  async runOnce() {
+    if (this.running) {
+      return { skipped: 'previous run still in progress' };
+    }
+
+    this.running = true;
+    const results = {};
+    try {
+      for (const [name, Monitor] of Object.entries(this.monitors)) {
+        try {
+          const result = await new Monitor({ rootDir: this.rootDir, operation: this.operation }).run();
+          results[name] = { success: result?.success !== false, ...(result?.error ? { error: result.error } : {}) };
+        } catch (error) {
+          console.error(`❌ Alert monitor ${name} failed:`, error.message);
+          results[name] = { success: false, error: error.message };
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return results;
+  }
+
+  start() {
+    if (this.timer) return true;
+    if (this.operation.archived) return false;
+
+    const minutes = this.intervalMinutes();
+    if (!(minutes > 0)) return false;
+
+    this.runOnce();
+    this.timer = setInterval(() => this.runOnce(), minutes * 60 * 1000);
+    if (!this.persistent) this.timer.unref();
+    console.log(`⏰ Alert monitor: ${Object.keys(this.monitors).join(', ')} setiap ${minutes} menit`);
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+AlertMonitor.MONITORS = MONITORS;
+
+module.exports = AlertMonitor;
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const monitor = new AlertMonitor({ operation: OperationRegistry.current({ operation: OperationRegistry.requested() }), persistent: true });
+
+  if (args.includes('--continuous')) {
+    if (!monitor.start()) {
+      console.log(`ℹ️ Alert monitor off (${monitor.operation.archived ? 'archived operation' : 'alert_lifecycle.interval_minutes is 0'})`);
+    }
+  } else {
+    monitor.runOnce().then(results => {
+      console.log('\n⏰ Alert monitor:');
+      Object.entries(results).forEach(([name, result]) => {
+        console.log(`  ${result.success ? '✅' : '❌'} ${name}${result.error ? `: ${result.error}` : ''}`);
+      });
+      process.exitCode = Object.values(results).every(result => result.success) ? 0 : 1;
+    });
+  }
+}
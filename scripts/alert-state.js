@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+/**
+ * Status alert yang bertahan antar run (data/alert-state.json per operasi)
+ *
+ * Setiap alert punya key tetap per sumber (monitor / utilization), jenis, lokasi
+ * dan kendaraan, misalnya "utilization/utilization:3:mobil", dengan siklus:
+ *   open         - pertama terdeteksi, pemberitahuan dikirim
+ *   acknowledged - sudah dikonfirmasi petugas (CLI --ack atau POST /api/alerts/:id/ack)
+ *   escalated    - severity naik (warning -> critical), pemberitahuan dikirim lagi
+ *   resolved     - tidak terdeteksi lagi, pemberitahuan "selesai" dikirim
+ * Selama status tidak berubah, alert yang sama tidak diberitahukan ulang. Alert
+ * yang muncul lagi dalam alert_lifecycle.cooldown_minutes setelah pemberitahuan
+ * terakhir key tersebut tidak diberitahukan (lokasi yang naik-turun di ambang batas).
+ * File ini hanya ada di host API, tempat monitor alert berjalan (alert-monitor.js);
+ * --ack dijalankan di host tersebut.
+ *
+ *   node scripts/alert-state.js --list [--all]
+ *   node scripts/alert-state.js --ack=<id> --by=<nama> [--note=<catatan>]
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const OperationRegistry = require('./operation-registry');
+const FileLock = require('./file-lock');
+const ConfigLoader = require('./config-loader');
+
+const FILE = 'data/alert-state.json';
+const STATES = ['open', 'acknowledged', 'escalated', 'resolved'];
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+const MAX_HISTORY = 20;
+const LOCK_TIMEOUT = 5000;
+const STALE_LOCK = 30000;
+
+const DEFAULTS = {
+  cooldown_minutes: 30,
+  notify_resolved: true,
+  retention_hours: 24
+};
+
+class AlertState {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.source = options.source || 'monitor';
+    this.filePath = options.file || this.operation.path(FILE);
+    this.lockTimeout = options.lockTimeout || LOCK_TIMEOUT;
+    this.now = options.now || (() => Date.now());
+    
+    const config = options.config ||
+      (options.configLoader || new ConfigLoader({ rootDir: this.rootDir, operation: this.operation })).load('notifications', { defaults: {} });
+    this.settings = { ...DEFAULTS, ...(config.alert_lifecycle || {}) };
+  }
+
+  static error(code, message, details = {}) {
+    return Object.assign(new Error(message), { code }, details);
+  }
+
+  static empty() {
+    return { version: '1.0.0', alerts: [] };
+  }
+
+  /**
+   * Jenis alert tanpa severity: critical_utilization dan warning_utilization -> utilization
+   */
+  static familyOf(type) {
+    return String(type).replace(/^(critical|warning|high)_/, '');
+  }
+
+  /**
+   * Key alert per lokasi (atau nama check health-check.js) dan kendaraan
+   */
+  static keyOf(source, alert) {
+    const scope = alert.location_id ?? alert.location ?? alert.check ?? 'system';
+    return `${source}/${AlertState.familyOf(alert.type)}:${scope}:${alert.vehicle || 'all'}`;
+  }
+
+  static idOf(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 10);
+  }
+
+  static isActive(record) {
+    return record.state !== 'resolved';
+  }
+
+  static duration(ms) {
+    const minutes = Math.max(0, Math.round(ms / 60000));
+    if (minutes < 60) return `${minutes} menit`;
+    return `${Math.floor(minutes / 60)} jam${minutes % 60 ? ` ${minutes % 60} menit` : ''}`;
+  }
+
+  /**
+   * Hasil evaluate() tanpa status tersimpan (mis. operasi arsip): semua alert diberitahukan
+   */
+  static passthrough(alerts) {
+    return { notices: alerts.map(alert => ({ ...alert, lifecycle: 'opened' })), suppressed: [], resolved: [], active: alerts.length };
+  }
+
+  read() {
+    try {
+      return { ...AlertState.empty(), ...JSON.parse(fs.readFileSync(this.filePath, 'utf8')) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return AlertState.empty();
+      throw AlertState.error('E_ALERT_STORE', `${FILE} unreadable: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lock bersama (file-lock.js) atas <file>.lock
+   */
+  lock() {
+    return new FileLock(`${this.filePath}.lock`, {
+      timeout: this.lockTimeout,
+      staleAge: STALE_LOCK,
+      timeoutError: () => AlertState.error('E_LOCK_TIMEOUT', `Timed out waiting for lock on ${FILE}`)
+    }).acquireAsync();
+  }
+
+  /**
+   * Read-modify-write di bawah lock, ditulis atomik (file sementara + rename)
+   */
+  async update(mutator) {
+    OperationRegistry.assertWritable(this.operation);
+    const release = await this.lock();
+    try {
+      const store = this.read();
+      const result = await mutator(store);
+      const temp = `${this.filePath}.${process.pid}.tmp`;
+      await fsp.writeFile(temp, JSON.stringify(store, null, 2));
+      await fsp.rename(temp, this.filePath);
+      return result;
+    } finally {
+      release();
+    }
+  }
+
+  record(event, record, at, details = {}) {
+    record.history = [...(record.history || []), { at, event, severity: record.severity, ...details }].slice(-MAX_HISTORY);
+  }
+
+  /**
+   * Bandingkan alert run ini dengan status tersimpan untuk sumber ini.
+   * Mengembalikan { notices, suppressed, resolved, active }: notices adalah alert
+   * (dengan alert_id dan lifecycle opened/escalated/resolved) yang perlu dikirim.
+   */
+  async evaluate(alerts) {
+    const nowMs = this.now();
+    const now = new Date(nowMs).toISOString();
+    const cooldown = this.settings.cooldown_minutes * 60 * 1000;
+    const retention = this.settings.retention_hours * 60 * 60 * 1000;
+    
+    return this.update(store => {
+      const notices = [];
+      const suppressed = [];
+      const seen = new Set();
+      
+      alerts.forEach(alert => {
+        const key = AlertState.keyOf(this.source, alert);
+        if (seen.has(key)) return;
+        seen.add(key);
+        
+        let record = store.alerts.find(candidate => candidate.key === key);
+        const notice = lifecycle => ({ ...alert, alert_id: record.id, lifecycle });
+        
+        if (!record || !AlertState.isActive(record)) {
+          const recent = record?.notified_at && nowMs - Date.parse(record.notified_at) < cooldown;
+          record = Object.assign(record || { id: AlertState.idOf(key), key, source: this.source, notified_at: null, history: [] }, {
+            type: alert.type,
+            location_id: alert.location_id ?? null,
+            location: alert.location || null,
+            vehicle: alert.vehicle || null,
+            severity: alert.severity,
+            state: 'open',
+            opened_at: now,
+            acknowledged_at: null,
+            acknowledged_by: null,
+            note: null,
+            escalated_at: null,
+            resolved_at: null,
+            escalation: null,
+            notified: !recent
+          });
+          if (!store.alerts.includes(record)) store.alerts.push(record);
+          
+          this.record('opened', record, now, recent ? { suppressed: 'cooldown' } : {});
+          if (recent) {
+            suppressed.push(notice('cooldown'));
+          } else {
+            record.notified_at = now;
+            notices.push(notice('opened'));
+          }
+        } else if (SEVERITY_RANK[alert.severity] > SEVERITY_RANK[record.severity]) {
+          record.severity = alert.severity;
+          record.state = 'escalated';
+          record.escalated_at = now;
+          record.notified = true;
+          record.notified_at = now;
+          this.record('escalated', record, now);
+          notices.push(notice('escalated'));
+        } else {
+          if (SEVERITY_RANK[alert.severity] < SEVERITY_RANK[record.severity]) {
+            record.severity = alert.severity;
+            record.state = record.acknowledged_at ? 'acknowledged' : 'open';
+            this.record('deescalated', record, now);
+          }
+          suppressed.push(notice(record.state));
+        }
+        
+        record.alert = alert;
+        record.last_seen_at = now;
+      });
+      
+      // Alert aktif sumber ini yang tidak muncul lagi sudah selesai
+      const resolved = store.alerts.filter(record =>
+        record.source === this.source && AlertState.isActive(record) && !seen.has(record.key));
+      resolved.forEach(record => {
+        record.state = 'resolved';
+        record.resolved_at = now;
+        this.record('resolved', record, now);
+        
+        if (this.settings.notify_resolved && record.notified) {
+          record.notified_at = now;
+          notices.push({
+            ...record.alert,
+            severity: record.severity,
+            alert_id: record.id,
+            lifecycle: 'resolved',
+            duration: AlertState.duration(nowMs - Date.parse(record.opened_at))
+          });
+        }
+      });
+      
+      store.alerts = store.alerts.filter(record =>
+        AlertState.isActive(record) || nowMs - Date.parse(record.resolved_at) < retention);
+      
+      return {
+        notices,
+        suppressed,
+        resolved,
+        active: store.alerts.filter(record => record.source === this.source && AlertState.isActive(record)).length
+      };
+    });
+  }
+
+  /**
+   * Konfirmasi alert (id atau key); status berikutnya hanya berubah jika alert naik atau selesai
+   */
+  async acknowledge(ref, by, note = null) {
+    const now = new Date(this.now()).toISOString();
+    
+    return this.update(store => {
+      const record = store.alerts.find(candidate => candidate.id === ref || candidate.key === ref);
+      if (!record) {
+        throw AlertState.error('E_ALERT_NOT_FOUND', `Alert ${ref} not found`);
+      }
+      if (!['open', 'escalated'].includes(record.state)) {
+        throw AlertState.error('E_ALERT_STATE', `Alert ${record.id} is ${record.state}`, { state: record.state });
+      }
+      
+      record.state = 'acknowledged';
+      record.acknowledged_at = now;
+      record.acknowledged_by = by || 'unknown';
+      record.note = note || null;
+      this.record('acknowledged', record, now, { by: record.acknowledged_by });
+      return record;
+    });
+  }
+
+  find(ref) {
+    return this.read().alerts.find(record => record.id === ref || record.key === ref) || null;
+  }
+
+  /**
+   * Alert tersimpan; default hanya yang aktif
+   */
+  list(filter = {}) {
+    return this.read().alerts.filter(record =>
+      (filter.all || AlertState.isActive(record)) &&
+      (!filter.state || record.state === filter.state) &&
+      (!filter.source || record.source === filter.source));
+  }
+}
+
+AlertState.FILE = FILE;
+AlertState.STATES = STATES;
+AlertState.DEFAULTS = DEFAULTS;
+
+module.exports = AlertState;
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  const alerts = new AlertState({ operation: OperationRegistry.current({ operation: OperationRegistry.requested() }) });
+  const icons = { open: '🔴', acknowledged: '👀', escalated: '⬆️', resolved: '✅' };
+
+  if (option('ack')) {
+    alerts.acknowledge(option('ack'), option('by') || process.env.USER, option('note')).then(record => {
+      console.log(`👀 Alert ${record.id} acknowledged by ${record.acknowledged_by}: ${record.key}`);
+    }).catch(error => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+  } else if (args.includes('--list') || args.length === 0) {
+    const records = alerts.list({ all: args.includes('--all') });
+    console.log(`🚨 Alerts (${alerts.operation.id}): ${records.length}\n`);
+    records.forEach(record => {
+      const since = record.state === 'resolved' ? record.resolved_at : record.opened_at;
+      console.log(`${icons[record.state]} ${record.id} ${record.state.padEnd(12)} ${record.severity.padEnd(8)} ${record.key} (${since})`);
+      if (record.acknowledged_by) console.log(`   ack: ${record.acknowledged_by}${record.note ? ` - ${record.note}` : ''}`);
+    });
+    if (records.some(record => ['open', 'escalated'].includes(record.state))) {
+      console.log('\nAcknowledge: node scripts/alert-state.js --ack=<id> --by=<nama>');
+    }
+  } else {
+    console.log('Usage: node scripts/alert-state.js [--list [--all]] [--ack=<id> --by=<nama> [--note=<catatan>]]');
+  }
+}
@@ -1,12 +1,47 @@
 // scripts/api-handler.js
-const fs = require('fs').promises;
+const fs = require('fs');
+const fsp = fs.promises;
 const path = require('path');
 const crypto = require('crypto');
+const LocationResolver = require('./location-resolver');
+const OfficerAuth = require('./officer-auth');
+const DataStore = require('./data-store');
+const CapacitySchedule = require('./capacity-schedule');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+const VehicleTypes = require('./vehicle-types');
+const ValidationRules = require('./validation-rules');
+const MaintenanceMode = require('./maintenance-mode');
+const WebPush = require('./web-push');
+const PushNotifier = require('./push-notifier');
+const LiveUpdates = require('./live-updates');
+const AlertState = require('./alert-state');
+const UpdateIndex = require('./update-index');
+
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+const HOUR = 60 * 60 * 1000;
 
 class APIHandler {
-  constructor() {
-    this.pendingPath = path.join(__dirname, '../data/pending-updates.json');
-    this.logDir = path.join(__dirname, '../data/logs/api');
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.registry = new OperationRegistry({ rootDir: this.rootDir });
+    this.operation = options.operation || this.registry.resolve();
+    this.dataPath = this.operation.path('data/parkir-data.json');
+    this.configLoader = options.configLoader || new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.vehicleTypes = options.vehicleTypes || VehicleTypes.load({ configLoader: this.configLoader });
+    this.validation = options.validation || ValidationRules.load({ configLoader: this.configLoader });
+    this.pendingPath = this.operation.path('data/pending-updates.json');
+    this.archiveDir = this.operation.path('data/updates/archive');
+    this.logDir = this.operation.path('data/logs/api');
+    this.store = options.store || new DataStore({ rootDir: this.rootDir, operation: this.operation });
+    this.resolver = new LocationResolver({ rootDir: this.rootDir, operation: this.operation });
+    this.auth = options.auth || new OfficerAuth({ rootDir: this.rootDir, operation: this.operation, resolver: this.resolver });
+    this.maintenance = options.maintenance || new MaintenanceMode({ rootDir: this.rootDir, operation: this.operation, configLoader: this.configLoader });
+    this.updateIndex = options.updateIndex || new UpdateIndex({ rootDir: this.rootDir, operation: this.operation });
+    this.push = options.push || null;
+    this.alerts = options.alerts || null;
+    this.submissionQueue = Promise.resolve();
+    this.pushAttempts = new Map(); // alamat klien -> waktu pendaftaran push dalam satu jam terakhir
     this.ensureDirectories();
   }
 
@@ -25,63 +60,263 @@ class APIHandler {
       ip: request.ip || 'unknown',
       method: request.method,
       endpoint: request.url,
-      userAgent: request.headers['user-agent'],
-      body: request.body
+      userAgent: (request.headers || {})['user-agent'],
+      body: this.redactBody(request.body)
     };
     
-    await fs.appendFile(logFile, JSON.stringify(logEntry) + '\n').catch(() => {});
+    await fsp.appendFile(logFile, JSON.stringify(logEntry) + '\n').catch(() => {});
   }
 
-  validateRequest(body) {
-    const errors = [];
-    
-    // Required fields
-    if (!body.location) errors.push('location is required');
-    if (!body.petugas_name) errors.push('petugas_name is required');
-    if (!body.timestamp) errors.push('timestamp is required');
+  /**
+   * Jangan pernah menulis PIN/password ke log
+   */
+  redactBody(body) {
+    let parsed = body;
+    try {
+      parsed = typeof body === 'string' ? JSON.parse(body) : body;
+    } catch {
+      return body;
+    }
     
-    // Data validation
-    if (body.data) {
-      if (body.data.bus !== undefined && (isNaN(body.data.bus) || body.data.bus < 0)) {
-        errors.push('bus must be a non-negative number');
-      }
-      if (body.data.mobil !== undefined && (isNaN(body.data.mobil) || body.data.mobil < 0)) {
-        errors.push('mobil must be a non-negative number');
+    if (parsed && typeof parsed === 'object' && ('pin' in parsed || 'password' in parsed)) {
+      return { ...parsed, ...('pin' in parsed && { pin: '***' }), ...('password' in parsed && { password: '***' }) };
+    }
+    return parsed;
+  }
+
+  /**
+   * Baca file JSON, kembalikan fallback jika belum ada
+   */
+  async readJson(filePath, fallback) {
+    try {
+      const content = await fsp.readFile(filePath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT' && fallback !== undefined) {
+        return fallback;
       }
-      if (body.data.motor !== undefined && (isNaN(body.data.motor) || body.data.motor < 0)) {
-        errors.push('motor must be a non-negative number');
+      throw error;
+    }
+  }
+
+  /**
+   * Gabungkan data lokasi dari parkir-data.json dengan konfigurasi lokasi
+   */
+  formatLocation(configLoc, dataLoc) {
+    const effective = CapacitySchedule.resolve(configLoc);
+    const location = {
+      id: configLoc.id,
+      code: configLoc.code,
+      name: configLoc.name,
+      address: configLoc.address,
+      coordinates: configLoc.coordinates,
+      operational_hours: configLoc.operational_hours,
+      status: dataLoc ? dataLoc.status : configLoc.status,
+      vehicle_types: effective.vehicle_types,
+      notes: dataLoc && dataLoc.notes ? dataLoc.notes : configLoc.notes,
+      vehicles: {}
+    };
+    
+    this.vehicleTypes.ids.forEach(type => {
+      const vehicle = dataLoc && dataLoc[type];
+      location.vehicles[type] = vehicle ? {
+        total: vehicle.total,
+        available: vehicle.available,
+        status: vehicle.status,
+        last_update: vehicle.last_update,
+        updated_by: vehicle.updated_by
+      } : {
+        total: effective.capacity[type],
+        available: effective.capacity[type],
+        status: 'unknown',
+        last_update: null,
+        updated_by: null
+      };
+    });
+    
+    if (configLoc.capacity_schedule) {
+      location.capacity_schedule = configLoc.capacity_schedule;
+      location.effective_capacity = effective;
+    }
+    
+    if (dataLoc && dataLoc.special_operation) {
+      location.special_operation = dataLoc.special_operation;
+    }
+    
+    return location;
+  }
+
+  async getLocations() {
+    const data = await this.readJson(this.dataPath);
+    const config = this.configLoader.load('locations-config', { fresh: true });
+    
+    return config.locations.map(configLoc => {
+      const dataLoc = this.resolver.findDataLocation(data, configLoc.id);
+      return this.formatLocation(configLoc, dataLoc);
+    });
+  }
+
+  async getLocation(ref) {
+    const entry = this.resolver.resolve(ref);
+    if (!entry) return null;
+
+    const locations = await this.getLocations();
+    return locations.find(l => l.id === entry.id) || null;
+  }
+
+  async getStatistics() {
+    const data = await this.readJson(this.dataPath);
+    return {
+      operation_id: this.operation.id,
+      operation_name: data.metadata?.operation_name || this.operation.short_name || this.operation.name,
+      operation_period: data.metadata?.operation_period || this.operation.period,
+      last_updated: data.metadata?.last_updated,
+      total_locations: data.locations.length,
+      ...data.statistics
+    };
+  }
+
+  /**
+   * Daftar operasi untuk halaman publik (operasi aktif + arsip yang hanya bisa dibaca)
+   */
+  getOperations() {
+    return this.registry.list().map(operation => ({
+      id: operation.id,
+      name: operation.name,
+      short_name: operation.short_name || operation.name,
+      period: operation.period || null,
+      start_date: operation.start_date || null,
+      end_date: operation.end_date || null,
+      active: operation.active,
+      archived: operation.archived,
+      files: {
+        data: `${operation.data_dir}/parkir-data.json`,
+        config: `${operation.config_dir}/locations-config.json`
       }
-    } else {
-      errors.push('data object is required');
+    }));
+  }
+
+  /**
+   * GET /api/snapshot - isi yang sama dengan event snapshot /api/stream, untuk polling
+   * bersyarat: If-None-Match yang masih sama dengan revisi sekarang dijawab 304
+   */
+  async getSnapshot(request) {
+    const snapshot = LiveUpdates.snapshotOf(this.operation, await this.store.readAsync('data'));
+    const etag = LiveUpdates.etagOf(snapshot);
+    
+    if ((request.headers || {})['if-none-match'] === etag) {
+      return { status: 304, headers: { ETag: etag } };
+    }
+    return { status: 200, body: snapshot, headers: { ETag: etag } };
+  }
+
+  /**
+   * Cari update berdasarkan ID (= idempotency key) di antrian pending, lalu di indeks
+   * update yang sudah diarsipkan (update-index.js); entri indeks bertanda archived
+   */
+  async findUpdate(id) {
+    const pending = await this.readJson(this.pendingPath, []);
+    const queued = pending.find(u => u.id === id || u.idempotency_key === id);
+    if (queued) {
+      return queued;
     }
     
+    const entry = await this.updateIndex.get(id);
+    return entry ? { ...entry, archived: true } : null;
+  }
+
+  /**
+   * Update lengkap: dari antrian, atau dari satu file arsip yang dicatat indeks
+   */
+  async getUpdate(id) {
+    const found = await this.findUpdate(id);
+    if (!found || !found.archived) {
+      return found;
+    }
+    
+    const archived = await this.readJson(path.join(this.archiveDir, found.archive), []).catch(() => []);
+    return (Array.isArray(archived) && archived.find(u => u.id === found.id)) || found;
+  }
+
+  /**
+   * GET /api/updates/:id - tanpa sesi hanya status; isi lengkap (termasuk auth)
+   * hanya untuk petugas yang mengirimnya
+   */
+  async handleGetUpdate(request, id) {
+    const session = this.getSession(request);
+    if (!session && (request.headers || {}).authorization) {
+      return { status: 401, body: { error: 'Session expired or invalid' } };
+    }
+    
+    const update = session ? await this.getUpdate(id) : await this.findUpdate(id);
+    if (!update) {
+      return { status: 404, body: { error: `Update ${id} not found` } };
+    }
+    
+    if (!session) {
+      return { status: 200, body: { id: update.id, status: update.status, processed_at: update.processed_at || null } };
+    }
+    
+    const submitter = update.auth ? update.auth.officer_id : (update.officer_id || update.petugas_id);
+    if (submitter !== session.sub) {
+      return { status: 403, body: { error: `Update ${id} was not submitted by ${session.sub}` } };
+    }
+    return { status: 200, body: { id: update.id, status: update.status, update } };
+  }
+
+  /**
+   * Validasi body update dengan ValidationRules. Lokasi boleh berupa location_id,
+   * location_code atau location (id, code maupun nama), nilai kendaraan boleh di
+   * dalam "data" atau langsung di body. Error/warning berupa issue berkode.
+   */
+  validateRequest(body) {
+    const location = this.resolver.resolveUpdate(body);
+    const result = this.validation.validateUpdate(body, {
+      location,
+      capacity: location ? this.getLocationCapacity(location.id) : undefined
+    });
+    
     return {
-      isValid: errors.length === 0,
-      errors
+      isValid: result.valid,
+      errors: result.errors,
+      warnings: result.warnings,
+      value: result.value,
+      location
     };
   }
 
-  async addUpdate(updateData) {
+  /**
+   * Kapasitas efektif lokasi per jenis (capacity_schedule), undefined jika tidak ada di config
+   */
+  getLocationCapacity(locationId) {
+    const config = this.configLoader.load('locations-config', { fresh: true });
+    const configLoc = (config.locations || []).find(loc => Number(loc.id) === Number(locationId));
+    return configLoc ? CapacitySchedule.resolve(configLoc).capacity : undefined;
+  }
+
+  /**
+   * Ubah update yang sudah divalidasi ke format pending-updates.json (field langsung, lokasi kanonik)
+   */
+  normalizeRequest(validation) {
+    const update = { ...validation.value };
+    if (validation.warnings.length > 0) {
+      update.warnings = validation.warnings;
+    }
+    
+    return this.resolver.normalizeUpdate(update);
+  }
+
+  async addUpdate(updateData, audit = {}) {
     try {
       // Generate unique ID
-      updateData.id = crypto.randomBytes(8).toString('hex');
+      updateData.id = updateData.id || crypto.randomBytes(8).toString('hex');
       updateData.received_at = new Date().toISOString();
       updateData.status = 'pending';
       
-      // Load existing updates
-      let updates = [];
-      try {
-        const content = await fs.readFile(this.pendingPath, 'utf8');
-        updates = JSON.parse(content);
-      } catch {
-        // File doesn't exist or is empty
-      }
-      
-      // Add new update
-      updates.push(updateData);
-      
-      // Save back to file
-      await fs.writeFile(this.pendingPath, JSON.stringify(updates, null, 2));
+      // Tambahkan ke antrian di bawah lock agar tidak menimpa tulisan processor
+      const updates = await this.store.updateAsync('pending', pending => {
+        pending.push(updateData);
+      }, { action: 'queue_update', ...audit });
       
       return {
         success: true,
@@ -93,31 +328,133 @@ class APIHandler {
       return {
         success: false,
         message: 'Failed to add update',
-        error: error.message
+        error: error.message,
+        code: error.code
       };
     }
   }
 
-  async handleRequest(request) {
-    // Log the request
-    await this.logAPIRequest(request);
+  parseBody(request) {
+    const body = typeof request.body === 'string' ? JSON.parse(request.body || 'null') : request.body;
+    if (!body || typeof body !== 'object') {
+      throw new Error('Request body is required');
+    }
+    return body;
+  }
+
+  /**
+   * Ambil claims sesi petugas dari header Authorization: Bearer <token>
+   */
+  getSession(request) {
+    const header = (request.headers || {}).authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? this.auth.verifyToken(match[1].trim()) : null;
+  }
+
+  /**
+   * Idempotency key dari header Idempotency-Key atau field idempotency_key
+   */
+  getIdempotencyKey(request, body) {
+    const key = (request.headers || {})['idempotency-key'] || body.idempotency_key;
+    return key === undefined || key === null || key === '' ? null : String(key);
+  }
+
+  /**
+   * Jalankan fungsi secara berurutan agar cek duplikat + simpan tidak saling mendahului
+   */
+  serialize(task) {
+    const run = this.submissionQueue.then(task);
+    this.submissionQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * POST /api/auth/login
+   */
+  async handleLogin(request) {
+    let body;
+    try {
+      body = this.parseBody(request);
+    } catch (error) {
+      return { status: 400, body: { error: error.message } };
+    }
     
-    // Validate method
-    if (request.method !== 'POST') {
+    const result = this.auth.login(body.officer_id, body.pin);
+    if (!result.success) {
+      const { status, success, ...details } = result;
+      return { status, body: details };
+    }
+    
+    const { success, ...session } = result;
+    return { status: 200, body: session };
+  }
+
+  /**
+   * Respons untuk penulisan yang ditolak (operasi arsip / mode pemeliharaan), atau null
+   */
+  readOnlyResponse() {
+    if (this.operation.archived) {
       return {
-        status: 405,
-        body: { error: 'Method not allowed' }
+        status: 403,
+        body: { error: `Operation ${this.operation.id} is archived (read-only)`, code: 'E_READ_ONLY' }
       };
     }
     
+    // Mode pemeliharaan: klien menyimpan update dan mengirim ulang setelah Retry-After
+    const maintenance = this.maintenance.status();
+    if (maintenance.active) {
+      return {
+        status: 503,
+        headers: { 'Retry-After': String(maintenance.retry_after) },
+        body: {
+          error: 'System is in maintenance mode (read-only), retry later',
+          code: 'E_MAINTENANCE',
+          reason: maintenance.reason,
+          since: maintenance.since,
+          retry_after: maintenance.retry_after
+        }
+      };
+    }
+    
+    return null;
+  }
+
+  /**
+   * POST /api/updates
+   */
+  async handleUpdateSubmission(request) {
+    const readOnly = this.readOnlyResponse();
+    if (readOnly) {
+      return readOnly;
+    }
+    
     // Parse and validate body
     let body;
     try {
-      body = typeof request.body === 'string' ? JSON.parse(request.body) : request.body;
-    } catch {
+      body = this.parseBody(request);
+    } catch (error) {
+      return {
+        status: 400,
+        body: { error: error instanceof SyntaxError ? 'Invalid JSON' : error.message }
+      };
+    }
+    
+    // Officer session is required
+    const session = this.getSession(request);
+    if (!session) {
+      return {
+        status: 401,
+        body: { error: 'Valid officer session required' }
+      };
+    }
+    body.petugas_id = session.sub;
+    body.petugas_name = session.name;
+    
+    const idempotencyKey = this.getIdempotencyKey(request, body);
+    if (idempotencyKey !== null && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
       return {
         status: 400,
-        body: { error: 'Invalid JSON' }
+        body: { error: 'Invalid idempotency key (8-128 characters: A-Z, a-z, 0-9, _ or -)' }
       };
     }
     
@@ -130,18 +467,405 @@ class APIHandler {
       };
     }
     
+    if (!this.auth.canUpdateLocation(session, validation.location.id)) {
+      return {
+        status: 403,
+        body: { error: `Officer ${session.sub} is not assigned to ${validation.location.code}` }
+      };
+    }
+    
+    // Key dari klien menjadi id update; klien lama tanpa key tetap dapat id dari server
+    const update = this.normalizeRequest(validation);
+    update.id = idempotencyKey || crypto.randomBytes(8).toString('hex');
+    update.idempotency_key = update.id;
+    
+    return this.serialize(() => this.enqueueUpdate(update, session, request));
+  }
+
+  /**
+   * Simpan update ke antrian kecuali key yang sama sudah pernah diterima
+   */
+  async enqueueUpdate(update, session, request = {}) {
+    const existing = await this.findUpdate(update.id);
+    if (existing) {
+      const officer = existing.auth ? existing.auth.officer_id : existing.officer_id;
+      const sameSubmission = existing.location_id === update.location_id &&
+        (!officer || officer === session.sub);
+      
+      if (!sameSubmission) {
+        return {
+          status: 409,
+          body: { error: 'Idempotency key already used for a different update', id: existing.id }
+        };
+      }
+      
+      return {
+        status: 200,
+        body: {
+          success: true,
+          duplicate: true,
+          message: 'Update already received',
+          id: existing.id,
+          status: existing.status
+        }
+      };
+    }
+    
     // Add to pending updates
-    const result = await this.addUpdate(body);
+    const result = await this.addUpdate(this.auth.authorizeUpdate(update, session), {
+      actor: { type: 'officer', id: session.sub, name: session.name },
+      reason: update.notes || `Update ${update.location_code || update.location_id} via API`,
+      details: {
+        update_id: update.id,
+        ip_address: request.ip || 'unknown',
+        user_agent: (request.headers || {})['user-agent']
+      }
+    });
     
     if (result.success) {
       return {
         status: 201,
         body: result
       };
+    } else if (result.code === 'E_LOCK_TIMEOUT') {
+      // Antrian sedang dipegang processor: aman untuk dicoba ulang dengan key yang sama
+      return {
+        status: 503,
+        headers: { 'Retry-After': '5' },
+        body: result
+      };
+    } else if (result.code === 'E_READ_ONLY') {
+      return {
+        status: 403,
+        body: result
+      };
     } else {
+      console.error(`❌ Failed to queue update ${update.id}: ${result.error}`);
       return {
         status: 500,
-        body: result
+        body: { success: false, message: result.message, error: 'Internal server error' }
+      };
+    }
+  }
+
+  pushNotifier() {
+    if (!this.push) {
+      this.push = new PushNotifier({ rootDir: this.rootDir, operation: this.operation, configLoader: this.configLoader, vehicleTypes: this.vehicleTypes });
+    }
+    return this.push;
+  }
+
+  /**
+   * 503 jika push tidak aktif (fitur mati atau kunci VAPID belum diatur), atau null
+   */
+  pushDisabledResponse() {
+    const reason = this.pushNotifier().disabledReason();
+    return reason
+      ? { status: 503, body: { error: 'Push notifications are not available', code: 'E_PUSH_DISABLED', reason } }
+      : null;
+  }
+
+  /**
+   * Detik sampai klien boleh mendaftar lagi (push.subscribe_per_hour per alamat), atau 0
+   */
+  pushRetryAfter(request) {
+    const now = Date.now();
+    const key = request.ip || 'unknown';
+    const recent = (this.pushAttempts.get(key) || []).filter(at => now - at < HOUR);
+    
+    if (recent.length >= this.pushNotifier().push.subscribe_per_hour) {
+      this.pushAttempts.set(key, recent);
+      return Math.ceil((recent[0] + HOUR - now) / 1000);
+    }
+    
+    if (this.pushAttempts.size > 10000) {
+      this.pushAttempts.forEach((times, address) => {
+        if (times.every(at => now - at >= HOUR)) this.pushAttempts.delete(address);
+      });
+    }
+    this.pushAttempts.set(key, [...recent, now]);
+    return 0;
+  }
+
+  /**
+   * POST /api/push/subscriptions - body { subscription: PushSubscription.toJSON(), locations }
+   * Dengan sesi petugas: pengingat untuk lokasi tugasnya. Tanpa sesi: pengunjung,
+   * lokasi (id, kode atau nama) wajib dipilih, paling banyak push.visitor_max_locations.
+   * Endpoint harus https ke push service di push.allowed_hosts; jumlah pendaftaran
+   * dibatasi per alamat klien dan total subscription dibatasi push.max_subscriptions.
+   */
+  async handlePushSubscribe(request) {
+    const refused = this.readOnlyResponse() || this.pushDisabledResponse();
+    if (refused) {
+      return refused;
+    }
+    
+    const retryAfter = this.pushRetryAfter(request);
+    if (retryAfter > 0) {
+      return { status: 429, headers: { 'Retry-After': String(retryAfter) }, body: { error: 'Too many subscription requests, try again later' } };
+    }
+    
+    let body;
+    try {
+      body = this.parseBody(request);
+    } catch (error) {
+      return { status: 400, body: { error: error instanceof SyntaxError ? 'Invalid JSON' : error.message } };
+    }
+    
+    const subscription = body.subscription || {};
+    if (!WebPush.isValidSubscription(subscription)) {
+      return { status: 400, body: { error: 'Invalid push subscription (https endpoint, keys.p256dh and keys.auth required)' } };
+    }
+    if (!WebPush.isAllowedEndpoint(subscription.endpoint, this.pushNotifier().push.allowed_hosts)) {
+      return { status: 400, body: { error: 'Push endpoint is not a known push service' } };
+    }
+    
+    // Token yang dikirim tapi sudah tidak berlaku: petugas harus login ulang, bukan jadi pengunjung
+    const session = this.getSession(request);
+    if (!session && (request.headers || {}).authorization) {
+      return { status: 401, body: { error: 'Session expired or invalid' } };
+    }
+    
+    let locations;
+    if (session) {
+      locations = session.locations;
+    } else {
+      const refs = Array.isArray(body.locations) ? body.locations : [];
+      const max = this.pushNotifier().push.visitor_max_locations;
+      const resolved = refs.map(ref => this.resolver.resolve(ref));
+      const unknown = refs.filter((ref, index) => !resolved[index]);
+      
+      if (refs.length === 0 || refs.length > max) {
+        return { status: 400, body: { error: `Choose 1-${max} locations` } };
+      }
+      if (unknown.length > 0) {
+        return { status: 400, body: { error: `Unknown location(s): ${unknown.join(', ')}` } };
+      }
+      locations = resolved.map(entry => entry.id);
+    }
+    
+    let saved, created;
+    try {
+      ({ subscription: saved, created } = await this.pushNotifier().store.save(subscription, {
+        audience: session ? 'officer' : 'visitor',
+        officer_id: session ? session.sub : null,
+        locations,
+        max: this.pushNotifier().push.max_subscriptions
+      }));
+    } catch (error) {
+      if (error.code !== 'E_PUSH_LIMIT') throw error;
+      return { status: 503, body: { error: 'Push subscriptions are full', code: error.code } };
+    }
+    
+    return {
+      status: created ? 201 : 200,
+      body: {
+        success: true,
+        id: saved.id,
+        audience: saved.audience,
+        locations: saved.locations.map(id => this.resolver.resolve(id)?.code || id)
+      }
+    };
+  }
+
+  /**
+   * POST /api/push/unsubscribe - body { endpoint }
+   */
+  async handlePushUnsubscribe(request) {
+    const readOnly = this.readOnlyResponse();
+    if (readOnly) {
+      return readOnly;
+    }
+    
+    let body;
+    try {
+      body = this.parseBody(request);
+    } catch (error) {
+      return { status: 400, body: { error: error instanceof SyntaxError ? 'Invalid JSON' : error.message } };
+    }
+    
+    const endpoint = body.endpoint || body.subscription?.endpoint;
+    if (typeof endpoint !== 'string' || endpoint === '') {
+      return { status: 400, body: { error: 'endpoint is required' } };
+    }
+    
+    const removed = await this.pushNotifier().store.remove(endpoint);
+    return { status: 200, body: { success: true, removed } };
+  }
+
+  alertState() {
+    if (!this.alerts) {
+      this.alerts = new AlertState({ rootDir: this.rootDir, operation: this.operation, configLoader: this.configLoader });
+    }
+    return this.alerts;
+  }
+
+  /**
+   * Alert yang boleh dilihat/dikonfirmasi petugas: lokasi tugasnya; alert tanpa lokasi
+   * hanya untuk koordinator/admin agar ack petugas tidak menghentikan eskalasi ke teknisi
+   */
+  canSeeAlert(session, record) {
+    if (record.location_id === null || record.location_id === undefined) {
+      return this.auth.canHandleSystemAlerts(session);
+    }
+    return this.auth.canUpdateLocation(session, record.location_id);
+  }
+
+  /**
+   * GET /api/alerts - alert aktif untuk petugas yang login
+   */
+  async handleListAlerts(request) {
+    const session = this.getSession(request);
+    if (!session) {
+      return { status: 401, body: { error: 'Session expired or invalid' } };
+    }
+    
+    const alerts = this.alertState().list()
+      .filter(record => this.canSeeAlert(session, record))
+      .map(({ history, ...record }) => record);
+    return { status: 200, body: { count: alerts.length, alerts } };
+  }
+
+  /**
+   * POST /api/alerts/:id/ack - body opsional { note }
+   */
+  async handleAcknowledgeAlert(request, id) {
+    const readOnly = this.readOnlyResponse();
+    if (readOnly) {
+      return readOnly;
+    }
+    
+    const session = this.getSession(request);
+    if (!session) {
+      return { status: 401, body: { error: 'Session expired or invalid' } };
+    }
+    
+    let body = {};
+    try {
+      body = request.body ? this.parseBody(request) : {};
+    } catch (error) {
+      return { status: 400, body: { error: error instanceof SyntaxError ? 'Invalid JSON' : error.message } };
+    }
+    
+    const existing = this.alertState().find(id);
+    if (!existing) {
+      return { status: 404, body: { error: `Alert ${id} not found`, code: 'E_ALERT_NOT_FOUND' } };
+    }
+    if (!this.canSeeAlert(session, existing)) {
+      return {
+        status: 403,
+        body: {
+          error: existing.location_id === null || existing.location_id === undefined
+            ? 'System alerts can only be acknowledged by a coordinator or admin'
+            : 'Alert is for a location outside your assignment'
+        }
+      };
+    }
+    
+    try {
+      const note = typeof body.note === 'string' ? body.note.slice(0, 500) : null;
+      const { history, ...record } = await this.alertState().acknowledge(existing.id, session.sub, note);
+      return { status: 200, body: { success: true, alert: record } };
+    } catch (error) {
+      if (error.code === 'E_ALERT_STATE' || error.code === 'E_ALERT_NOT_FOUND') {
+        return { status: 409, body: { error: error.message, code: error.code, state: error.state } };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Tabel routing: [method, pattern, handler]
+   */
+  getRoutes() {
+    return [
+      ['POST', /^\/api\/auth\/login\/?$/, request => this.handleLogin(request)],
+      ['GET', /^\/api\/auth\/session\/?$/, async request => {
+        const session = this.getSession(request);
+        return session
+          ? { status: 200, body: { officer_id: session.sub, name: session.name, role: session.role || 'officer', locations: session.locations, expires_at: new Date(session.exp).toISOString() } }
+          : { status: 401, body: { error: 'Session expired or invalid' } };
+      }],
+      ['POST', /^\/api\/updates\/?$/, request => this.handleUpdateSubmission(request)],
+      ['GET', /^\/api\/updates\/([^/]+)\/?$/, (request, id) => this.handleGetUpdate(request, id)],
+      ['GET', /^\/api\/locations\/?$/, async () => {
+        const locations = await this.getLocations();
+        return { status: 200, body: { count: locations.length, locations } };
+      }],
+      ['GET', /^\/api\/locations\/([^/]+)\/?$/, async (request, code) => {
+        const location = await this.getLocation(code);
+        return location
+          ? { status: 200, body: location }
+          : { status: 404, body: { error: `Location ${code} not found` } };
+      }],
+      ['GET', /^\/api\/statistics\/?$/, async () => {
+        return { status: 200, body: await this.getStatistics() };
+      }],
+      ['GET', /^\/api\/snapshot\/?$/, request => this.getSnapshot(request)],
+      ['GET', /^\/api\/operations\/?$/, async () => {
+        const operations = this.getOperations();
+        return { status: 200, body: { active: this.operation.id, count: operations.length, operations } };
+      }],
+      ['GET', /^\/api\/config\/?$/, async () => {
+        const config = this.configLoader.publicConfig();
+        const maintenance = this.maintenance.status();
+        config.system.maintenance_mode = maintenance.active;
+        config.maintenance = maintenance;
+        return { status: 200, body: config };
+      }],
+      ['GET', /^\/api\/push\/key\/?$/, async () => {
+        return this.pushDisabledResponse() || { status: 200, body: { public_key: this.pushNotifier().publicKey() } };
+      }],
+      ['POST', /^\/api\/push\/subscriptions\/?$/, request => this.handlePushSubscribe(request)],
+      ['POST', /^\/api\/push\/unsubscribe\/?$/, request => this.handlePushUnsubscribe(request)],
+      ['GET', /^\/api\/alerts\/?$/, request => this.handleListAlerts(request)],
+      ['POST', /^\/api\/alerts\/([^/]+)\/ack\/?$/, (request, id) => this.handleAcknowledgeAlert(request, id)]
+    ];
+  }
+
+  async handleRequest(request) {
+    // Log the request
+    await this.logAPIRequest(request);
+    
+    const pathname = new URL(request.url || '/', 'http://localhost').pathname;
+    const routes = this.getRoutes();
+    const matching = routes
+      .map(([method, pattern, handler]) => ({ method, match: pathname.match(pattern), handler }))
+      .filter(route => route.match);
+    
+    if (matching.length === 0) {
+      return {
+        status: 404,
+        body: { error: 'Not found' }
+      };
+    }
+    
+    // Validate method
+    const route = matching.find(r => r.method === request.method);
+    if (!route) {
+      return {
+        status: 405,
+        body: { error: 'Method not allowed' },
+        headers: { Allow: matching.map(r => r.method).join(', ') }
+      };
+    }
+    
+    let params;
+    try {
+      params = route.match.slice(1).map(decodeURIComponent);
+    } catch (error) {
+      if (!(error instanceof URIError)) throw error;
+      return { status: 400, body: { error: 'Invalid URL encoding' } };
+    }
+    
+    try {
+      return await route.handler(request, ...params);
+    } catch (error) {
+      // Detail (path file, stack) hanya di log server, tidak dikirim ke klien
+      console.error(`❌ ${request.method} ${pathname} failed:`, error);
+      return {
+        status: 500,
+        body: { error: 'Internal server error' }
       };
     }
   }
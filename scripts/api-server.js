@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+/**
+ * HTTP server untuk API parkir (dibangun di atas APIHandler)
+ *
+ * Endpoint:
+ *   POST /api/auth/login        - login petugas (officer_id + pin), mengembalikan token sesi
+ *   GET  /api/auth/session      - cek token sesi
+ *   POST /api/updates           - kirim update dari petugas (Authorization: Bearer <token>)
+ *   GET  /api/updates/:id       - status update (isi lengkap hanya untuk petugas pengirim)
+ *   GET  /api/locations         - semua lokasi
+ *   GET  /api/locations/:code   - detail lokasi
+ *   GET  /api/statistics        - statistik total
+ *   GET  /api/stream            - Server-Sent Events perubahan lokasi (live-updates.js)
+ *   GET  /api/snapshot          - semua lokasi + revisi, polling bersyarat (ETag / If-None-Match)
+ *   GET  /api/operations        - daftar operasi (aktif dan arsip)
+ *   GET  /api/config            - config publik (system-settings + threshold)
+ *   GET  /api/push/key          - public key VAPID untuk PushManager.subscribe()
+ *   POST /api/push/subscriptions - daftar Web Push (petugas dengan token, pengunjung dengan pilihan lokasi)
+ *   POST /api/push/unsubscribe  - hapus subscription (endpoint)
+ *   GET  /api/alerts            - alert aktif untuk lokasi petugas (Authorization: Bearer <token>)
+ *   POST /api/alerts/:id/ack    - konfirmasi alert (alert-state.js)
+ *
+ * File statis (index.html, admin-petugas.html, data/, config/, operations/<id>/)
+ * ikut dilayani sehingga halaman publik dan panel petugas bisa memakai satu backend.
+ * Server melayani satu operasi (aktif atau --operation=<id>) untuk API.
+ *
+ * Alert juga dievaluasi di sini (alert-monitor.js): status alert, ack dan subscription
+ * Web Push hanya ada di host ini. Audit log host ini ditulis ke rantai sendiri
+ * (AUDIT_CHAIN, default "api-host") agar tidak bercabang dengan rantai workflow.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const APIHandler = require('./api-handler');
+const LiveUpdates = require('./live-updates');
+const AlertMonitor = require('./alert-monitor');
+
+const MAX_BODY_SIZE = 1024 * 1024; // 1 MB
+
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+// Hanya file yang cocok dengan pola ini yang boleh diakses sebagai file statis.
+// Dari config/ hanya yang dimuat index.html dan admin-petugas.html; file lain
+// (officers.json, notifications.json berisi kontak darurat) tidak dilayani.
+const STATIC_ALLOWED = [
+  /^(index|admin-petugas)\.html$/,
+  /^manifest\.json$/,
+  /^update-sw\.js$/,
+  /^data\/parkir-data\.json$/,
+  /^operations\/[a-z0-9-]+\/data\/parkir-data\.json$/,
+  /^operations\/[a-z0-9-]+\/config\/locations-config\.json$/,
+  /^config\/(operations|system-settings|vehicle-types|locations-config)\.json$/,
+  /^scripts\/[\w-]+\.js$/
+];
+
+class APIServer {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.port = Number(options.port ?? (process.env.PORT || 3000));
+    this.host = options.host || process.env.HOST || '0.0.0.0';
+    this.allowedOrigins = (options.allowedOrigins || process.env.ALLOWED_ORIGINS || '')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean);
+    this.handler = options.handler || new APIHandler({ rootDir: this.rootDir });
+    this.live = options.live || new LiveUpdates({ rootDir: this.rootDir, operation: this.handler.operation, store: this.handler.store });
+    // null: tanpa evaluasi alert (mis. test)
+    this.alerts = options.alerts !== undefined ? options.alerts : new AlertMonitor({ rootDir: this.rootDir, operation: this.handler.operation });
+    this.server = null;
+  }
+
+  /**
+   * Cek apakah origin diizinkan (mendukung wildcard seperti https://*.github.io)
+   */
+  isOriginAllowed(origin) {
+    if (!origin) return false;
+    if (this.allowedOrigins.length === 0) return true;
+
+    return this.allowedOrigins.some(allowed => {
+      if (allowed === '*') return true;
+      const pattern = new RegExp('^' + allowed
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^.]+') + '$');
+      return pattern.test(origin);
+    });
+  }
+
+  corsHeaders(req) {
+    const origin = req.headers.origin;
+    if (!this.isOriginAllowed(origin)) {
+      return {};
+    }
+
+    return {
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key, If-None-Match',
+      'Access-Control-Expose-Headers': 'ETag, Retry-After',
+      'Vary': 'Origin'
+    };
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  sendJson(res, status, body, headers = {}) {
+    if (status === 304) {
+      res.writeHead(304, { 'Cache-Control': 'no-store', ...headers });
+      return res.end();
+    }
+    
+    const payload = JSON.stringify(body, null, 2);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(payload),
+      'Cache-Control': 'no-store',
+      ...headers
+    });
+    res.end(payload);
+  }
+
+  /**
+   * Layani file statis dari root repository
+   */
+  serveStatic(req, res, pathname, headers) {
+    let relative;
+    try {
+      relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname).replace(/^\/+/, '');
+    } catch (error) {
+      if (!(error instanceof URIError)) throw error;
+      return this.sendJson(res, 400, { error: 'Invalid URL encoding' }, headers);
+    }
+    const filePath = path.resolve(this.rootDir, relative);
+
+    if (!filePath.startsWith(this.rootDir + path.sep) || !STATIC_ALLOWED.some(pattern => pattern.test(relative))) {
+      return this.sendJson(res, 404, { error: 'Not found' }, headers);
+    }
+
+    fs.stat(filePath, (error, stats) => {
+      if (error || !stats.isFile()) {
+        return this.sendJson(res, 404, { error: 'Not found' }, headers);
+      }
+
+      res.writeHead(200, {
+        'Content-Type': STATIC_TYPES[path.extname(filePath)] || 'application/octet-stream',
+        'Content-Length': stats.size,
+        'Cache-Control': /^(operations\/[^/]+\/)?data\//.test(relative) ? 'no-cache' : 'public, max-age=300',
+        ...headers
+      });
+
+      if (req.method === 'HEAD') {
+        return res.end();
+      }
+      fs.createReadStream(filePath).pipe(res);
+    });
+  }
+
+  async handle(req, res) {
+    const headers = this.corsHeaders(req);
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, headers);
+      return res.end();
+    }
+
+    if (!pathname.startsWith('/api/')) {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return this.sendJson(res, 405, { error: 'Method not allowed' }, headers);
+      }
+      return this.serveStatic(req, res, pathname, headers);
+    }
+
+    // Stream tetap terbuka: ditangani di sini, bukan lewat APIHandler
+    if (req.method === 'GET' && /^\/api\/stream\/?$/.test(pathname)) {
+      return this.handleStream(req, res, headers);
+    }
+    
+    let body;
+    try {
+      body = req.method === 'POST' ? await this.readBody(req) : undefined;
+    } catch (error) {
+      return this.sendJson(res, error.statusCode || 400, { error: error.message }, headers);
+    }
+
+    const result = await this.handler.handleRequest({
+      method: req.method,
+      url: req.url,
+      headers: req.headers,
+      ip: req.socket.remoteAddress,
+      body
+    });
+
+    this.sendJson(res, result.status, result.body, { ...headers, ...(result.headers || {}) });
+  }
+
+  async handleStream(req, res, headers) {
+    await this.handler.logAPIRequest({ method: req.method, url: req.url, headers: req.headers, ip: req.socket.remoteAddress });
+    
+    if (!this.live.connect(req, res, headers)) {
+      return this.sendJson(res, 503, { error: 'Too many live connections, poll /api/snapshot instead' }, { ...headers, 'Retry-After': '30' });
+    }
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        this.handle(req, res).catch(error => {
+          console.error('❌ Unhandled API error:', error.message);
+          if (!res.headersSent) {
+            this.sendJson(res, 500, { error: 'Internal server error' });
+          } else {
+            res.end();
+          }
+        });
+      });
+
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        console.log(`🚀 API server berjalan di http://${this.host}:${this.port}`);
+        if (this.handler.operation) {
+          console.log(`🗂️ Operasi: ${this.handler.operation.id}${this.handler.operation.archived ? ' (arsip, hanya baca)' : ''}`);
+        }
+        this.live.start();
+        if (this.alerts) this.alerts.start();
+        resolve(this.server);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      // Koneksi stream ditutup dulu agar server.close() tidak menunggu selamanya
+      this.live.stop();
+      if (this.alerts) this.alerts.stop();
+      this.server.close(() => resolve());
+    });
+  }
+}
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const portArg = args.find(arg => arg.startsWith('--port='));
+  process.env.AUDIT_CHAIN = process.env.AUDIT_CHAIN || 'api-host';
+
+  const server = new APIServer({
+    port: portArg ? portArg.split('=')[1] : undefined
+  });
+
+  server.start().catch(error => {
+    console.error('❌ Gagal menjalankan server:', error.message);
+    process.exit(1);
+  });
+
+  const shutdown = () => {
+    console.log('\n👋 Menghentikan API server...');
+    server.stop().then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = APIServer;
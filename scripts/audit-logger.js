@@ -1,15 +1,59 @@
 #!/usr/bin/env node
 /**
  * Sistem audit log untuk melacak semua perubahan data
+ *
+ * Setiap mutasi (DataStore, config, registry operasi, backup/restore) wajib
+ * menghasilkan event "data_change" berisi actor, alasan dan nilai sebelum/
+ * sesudah per field. DataStore menolak penulisan jika event gagal dicatat.
+ * Actor: { type: officer|admin|system, id, name }; tanpa actor dipakai nama
+ * script (dan GITHUB_ACTOR jika berjalan di GitHub Actions).
+ *
+ * Log bersifat tamper-evident: setiap entri membawa seq, prev_hash dan hash
+ * (SHA-256 atas isi entri), sehingga mengubah, menghapus atau menukar urutan
+ * entri memutus rantai. Saat hari berganti, entri terakhir hari sebelumnya
+ * ditandatangani sebagai checkpoint (HMAC dengan secret AUDIT_SIGNING_KEY) di
+ * checkpoints.jsonl. cleanupOldLogs menyimpan anchor file yang dihapus di
+ * anchors.jsonl agar `--verify` tetap bisa memeriksa sisa rantai.
+ *
+ * Satu rantai hanya boleh punya satu penulis. Workflow GitHub Actions berbagi
+ * rantai utama (data/logs/audit/) dan saling menunggu lewat concurrency group
+ * "audit-log"; penulis lain (host API) memakai rantai sendiri lewat AUDIT_CHAIN
+ * (data/logs/audit/<chain>/). Query, laporan dan `--verify` mencakup semua rantai.
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const OperationRegistry = require('./operation-registry');
+const FileLock = require('./file-lock');
+
+// Batas jumlah perubahan per event agar penulisan besar tidak membengkakkan log
+const MAX_CHANGES = 500;
+
+// Nilai kredensial hanya dicatat "berubah", tidak pernah nilainya
+const REDACTED_KEY = /(pin|password|secret|token|api_key|hash)$/i;
+
+const GENESIS_HASH = '0'.repeat(64);
+const HEAD_FILE = 'chain-head.json';
+const CHECKPOINT_FILE = 'checkpoints.jsonl';
+const ANCHOR_FILE = 'anchors.jsonl';
+const LOCK_TIMEOUT = 5000;
+const STALE_LOCK = 30000;
+const CHAIN_PATTERN = /^[a-z0-9-]+$/;
 
 class AuditLogger {
-  constructor() {
-    this.rootDir = path.join(__dirname, '..');
-    this.logDir = path.join(this.rootDir, 'data/logs/audit');
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.env = options.env || process.env;
+    this.now = options.now || (() => new Date());
+    this.signingKey = options.signingKey;
+    this.chain = options.chain !== undefined ? options.chain : (this.env.AUDIT_CHAIN || null);
+    if (this.chain && !CHAIN_PATTERN.test(this.chain)) {
+      throw new Error(`Invalid AUDIT_CHAIN "${this.chain}" (a-z, 0-9, -)`);
+    }
+    this.baseDir = this.operation.path('data/logs/audit');
+    this.logDir = this.chain ? path.join(this.baseDir, this.chain) : this.baseDir;
     this.currentLogFile = this.getCurrentLogFile();
     
     // Ensure log directory exists
@@ -22,37 +66,398 @@ class AuditLogger {
    * Dapatkan nama file log untuk hari ini
    */
   getCurrentLogFile() {
-    const today = new Date().toISOString().split('T')[0];
+    const today = this.now().toISOString().split('T')[0];
     return path.join(this.logDir, `audit-${today}.log`);
   }
 
+  /**
+   * JSON dengan key terurut, dasar perhitungan hash
+   */
+  static canonical(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => AuditLogger.canonical(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${AuditLogger.canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  static hashEntry(entry) {
+    const { hash, ...content } = entry;
+    return crypto.createHash('sha256').update(AuditLogger.canonical(content)).digest('hex');
+  }
+
+  /**
+   * Kunci HMAC untuk checkpoint/anchor: env lalu config/secrets.enc.json; null = tidak ditandatangani
+   */
+  getSigningKey() {
+    if (this.signingKey === undefined) {
+      try {
+        const SecretsStore = require('./secrets-store');
+        this.signingKey = new SecretsStore({ rootDir: this.rootDir, env: this.env }).get('AUDIT_SIGNING_KEY') || null;
+      } catch (error) {
+        console.warn(`⚠️ AUDIT_SIGNING_KEY unavailable: ${error.message}`);
+        this.signingKey = null;
+      }
+    }
+    return this.signingKey;
+  }
+
+  sign(record) {
+    const key = this.getSigningKey();
+    return key ? crypto.createHmac('sha256', key).update(AuditLogger.canonical(record)).digest('hex') : null;
+  }
+
+  readJsonLines(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  readHead() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.logDir, HEAD_FILE), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Lock bersama (file-lock.js) agar dua proses tidak menyambung rantai dari entri yang sama
+   */
+  withLock(work) {
+    const release = new FileLock(path.join(this.logDir, 'audit.lock'), {
+      timeout: LOCK_TIMEOUT,
+      staleAge: STALE_LOCK,
+      timeoutError: () => Object.assign(new Error('Timed out waiting for audit log lock'), { code: 'E_LOCK_TIMEOUT' })
+    }).acquire();
+    
+    try {
+      return work();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Checkpoint bertanda tangan untuk entri terakhir suatu hari
+   */
+  writeCheckpoint(head) {
+    const record = { date: head.date, seq: head.seq, hash: head.hash, created_at: this.now().toISOString() };
+    const checkpoint = { ...record, signature: this.sign(record) };
+    fs.appendFileSync(path.join(this.logDir, CHECKPOINT_FILE), JSON.stringify(checkpoint) + '\n');
+    return checkpoint;
+  }
+
+  /**
+   * Checkpoint manual untuk posisi rantai saat ini (mis. di akhir operasi)
+   */
+  checkpoint() {
+    fs.mkdirSync(this.logDir, { recursive: true });
+    return this.withLock(() => {
+      const head = this.readHead();
+      return head ? this.writeCheckpoint(head) : null;
+    });
+  }
+
+  /**
+   * Normalisasi actor: objek, "officer:OFF001" atau kosong (= script yang berjalan)
+   */
+  static actor(actor, env = process.env) {
+    if (actor && typeof actor === 'object') {
+      return {
+        type: actor.type || 'officer',
+        id: String(actor.id),
+        ...(actor.name && { name: actor.name })
+      };
+    }
+    if (typeof actor === 'string' && actor) {
+      const [type, id] = actor.includes(':') ? actor.split(/:(.*)/) : ['user', actor];
+      return { type, id };
+    }
+    return {
+      type: 'system',
+      id: path.basename((require.main && require.main.filename) || 'node', '.js'),
+      ...(env.GITHUB_ACTOR && { triggered_by: env.GITHUB_ACTOR })
+    };
+  }
+
+  /**
+   * Perubahan per field antara dua nilai JSON. Array objek ber-id dicocokkan
+   * per id (path "locations[id=3].mobil.available"), bukan per posisi.
+   * Key kredensial (pin_hash, password, ...) hanya ditandai redacted.
+   */
+  static diff(before, after, base = '', changes = []) {
+    if (changes.length >= MAX_CHANGES) return changes;
+    
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isKeyed = list => Array.isArray(list) && list.every(item => isObject(item) && item.id !== undefined);
+    
+    if (isObject(before) && isObject(after)) {
+      const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+      keys.forEach(key => {
+        const keyPath = base ? `${base}.${key}` : key;
+        if (REDACTED_KEY.test(key)) {
+          if (JSON.stringify(before[key]) !== JSON.stringify(after[key]) && changes.length < MAX_CHANGES) {
+            changes.push({ path: keyPath, redacted: true });
+          }
+          return;
+        }
+        AuditLogger.diff(before[key], after[key], keyPath, changes);
+      });
+    } else if (isKeyed(before) && isKeyed(after) && (before.length > 0 || after.length > 0)) {
+      const previous = new Map(before.map(item => [String(item.id), item]));
+      const next = new Map(after.map(item => [String(item.id), item]));
+      [...new Set([...previous.keys(), ...next.keys()])].forEach(id => {
+        AuditLogger.diff(previous.get(id), next.get(id), `${base}[id=${id}]`, changes);
+      });
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({
+        path: base || '(root)',
+        ...(before !== undefined && { before }),
+        ...(after !== undefined && { after })
+      });
+    }
+    return changes;
+  }
+
   /**
    * Buat entri log
    */
   log(entry) {
-    const logEntry = {
-      timestamp: new Date().toISOString(),
-      ...entry
+    fs.mkdirSync(this.logDir, { recursive: true });
+    
+    return this.withLock(() => {
+      const now = this.now();
+      const date = now.toISOString().split('T')[0];
+      const head = this.readHead();
+      
+      // Hari berganti: tutup hari sebelumnya dengan checkpoint
+      if (head && head.date !== date) {
+        this.writeCheckpoint(head);
+      }
+      
+      // Field rantai ditaruh setelah isi agar tidak bisa ditimpa oleh entry
+      const logEntry = JSON.parse(JSON.stringify({
+        id: crypto.randomUUID(),
+        timestamp: now.toISOString(),
+        operation: this.operation.id,
+        ...entry,
+        seq: head ? head.seq + 1 : 1,
+        prev_hash: head ? head.hash : GENESIS_HASH
+      }));
+      logEntry.hash = AuditLogger.hashEntry(logEntry);
+      const line = JSON.stringify(logEntry) + '\n';
+      
+      // Tulis ke file log hari ini (dihitung ulang: proses server berjalan melewati tengah malam)
+      this.currentLogFile = this.getCurrentLogFile();
+      fs.appendFileSync(this.currentLogFile, line);
+      
+      // Juga tulis ke log konsolidasi
+      fs.appendFileSync(path.join(this.logDir, 'audit-consolidated.log'), line);
+      
+      fs.writeFileSync(path.join(this.logDir, HEAD_FILE), JSON.stringify({
+        seq: logEntry.seq,
+        hash: logEntry.hash,
+        date,
+        file: path.basename(this.currentLogFile)
+      }, null, 2));
+      
+      return logEntry;
+    });
+  }
+
+  /**
+   * Nama rantai terpisah (subdirektori data/logs/audit/), tanpa rantai utama
+   */
+  chains() {
+    if (!fs.existsSync(this.baseDir)) return [];
+    return fs.readdirSync(this.baseDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && CHAIN_PATTERN.test(entry.name))
+      .map(entry => entry.name)
+      .sort();
+  }
+
+  forChain(chain) {
+    return new AuditLogger({ rootDir: this.rootDir, operation: this.operation, env: this.env, now: this.now, signingKey: this.signingKey, chain });
+  }
+
+  /**
+   * Verifikasi rantai utama dan semua rantai terpisah
+   */
+  verifyAll() {
+    const results = [null, ...this.chains()].map(chain => ({ chain: chain || 'main', ...this.forChain(chain).verify() }));
+    return { valid: results.every(result => result.valid), chains: results };
+  }
+
+  /**
+   * File log harian urut tanggal (tanpa log konsolidasi)
+   */
+  listLogFiles() {
+    if (!fs.existsSync(this.logDir)) return [];
+    return fs.readdirSync(this.logDir)
+      .filter(file => /^audit-\d{4}-\d{2}-\d{2}\.log$/.test(file))
+      .sort();
+  }
+
+  /**
+   * Periksa rantai hash, checkpoint dan anchor. Mengembalikan link pertama yang
+   * putus (file, baris, seq, alasan) jika ada entri yang diubah, dihapus atau ditukar.
+   */
+  verify() {
+    const result = {
+      valid: true,
+      entries: 0,
+      legacy: 0,
+      files: 0,
+      first_break: null,
+      checkpoints: { total: 0, verified: 0, unsigned: 0 },
+      anchors: 0
     };
+    const fail = (reason, location = {}) => {
+      if (!result.first_break) {
+        result.valid = false;
+        result.first_break = { ...location, reason };
+      }
+    };
+    
+    // Anchor: titik awal rantai untuk file yang sudah dihapus oleh retensi
+    const anchors = this.readJsonLines(path.join(this.logDir, ANCHOR_FILE));
+    anchors.forEach((anchor, index) => {
+      const { signature, ...record } = anchor;
+      if (signature && signature !== this.sign(record)) {
+        fail('anchor signature mismatch', { file: ANCHOR_FILE, line: index + 1, seq: anchor.last_seq });
+      }
+    });
+    result.anchors = anchors.length;
+    
+    const files = this.listLogFiles();
+    const firstDate = files.length > 0 ? files[0].slice(6, 16) : null;
+    const anchor = anchors
+      .filter(a => !firstDate || a.date < firstDate)
+      .sort((a, b) => a.last_seq - b.last_seq)
+      .pop();
+    
+    let expected = anchor ? { seq: anchor.last_seq + 1, prev: anchor.last_hash } : null;
+    const hashes = new Map();
+    
+    files.forEach(file => {
+      result.files++;
+      const lines = fs.readFileSync(path.join(this.logDir, file), 'utf8').split('\n');
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        const location = { file, line: index + 1 };
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          fail('unparseable entry', location);
+          return;
+        }
+        
+        // Entri sebelum rantai diaktifkan tidak bisa diverifikasi
+        if (entry.hash === undefined && !expected) {
+          result.legacy++;
+          return;
+        }
+        result.entries++;
+        location.seq = entry.seq;
+        
+        if (!expected) {
+          expected = { seq: 1, prev: GENESIS_HASH };
+        }
+        if (entry.hash === undefined) {
+          fail('entry without hash inside the chain (inserted)', location);
+        } else if (AuditLogger.hashEntry(entry) !== entry.hash) {
+          fail('hash mismatch (entry altered)', location);
+        } else if (entry.seq !== expected.seq) {
+          fail(entry.seq > expected.seq
+            ? `sequence gap: expected seq ${expected.seq} (entries deleted or moved)`
+            : `sequence out of order: expected seq ${expected.seq} (entries reordered or duplicated)`, location);
+        } else if (entry.prev_hash !== expected.prev) {
+          fail('prev_hash does not match previous entry', location);
+        }
+        
+        hashes.set(entry.seq, entry.hash);
+        expected = { seq: (Number(entry.seq) || expected.seq) + 1, prev: entry.hash };
+      });
+    });
     
-    // Tulis ke file log hari ini
-    fs.appendFileSync(this.currentLogFile, JSON.stringify(logEntry) + '\n');
+    // Checkpoint: tanda tangan sah dan entri yang dirujuk masih ada dengan hash yang sama
+    const checkpoints = this.readJsonLines(path.join(this.logDir, CHECKPOINT_FILE));
+    const lastSeq = expected ? expected.seq - 1 : 0;
+    checkpoints.forEach((checkpoint, index) => {
+      result.checkpoints.total++;
+      const { signature, ...record } = checkpoint;
+      const location = { file: CHECKPOINT_FILE, line: index + 1, seq: checkpoint.seq };
+      
+      if (!signature) {
+        result.checkpoints.unsigned++;
+      } else if (this.getSigningKey() && signature !== this.sign(record)) {
+        fail('checkpoint signature mismatch', location);
+        return;
+      }
+      
+      if (checkpoint.seq > lastSeq) {
+        fail(`checkpoint seq ${checkpoint.seq} beyond last entry ${lastSeq} (log truncated)`, location);
+      } else if (hashes.has(checkpoint.seq) && hashes.get(checkpoint.seq) !== checkpoint.hash) {
+        fail('checkpoint hash does not match entry (chain rewritten)', location);
+      } else if (signature && this.getSigningKey()) {
+        result.checkpoints.verified++;
+      }
+    });
     
-    // Juga tulis ke log konsolidasi
-    const consolidatedLog = path.join(this.logDir, 'audit-consolidated.log');
-    fs.appendFileSync(consolidatedLog, JSON.stringify(logEntry) + '\n');
+    // Head: entri terakhir yang pernah ditulis harus masih ada
+    const head = this.readHead();
+    if (head && head.seq > lastSeq) {
+      fail(`last entry seq ${head.seq} missing (log truncated)`, { file: HEAD_FILE, seq: head.seq });
+    } else if (head && hashes.has(head.seq) && hashes.get(head.seq) !== head.hash) {
+      fail('chain head does not match last entry', { file: HEAD_FILE, seq: head.seq });
+    }
     
-    return logEntry;
+    return result;
+  }
+
+  /**
+   * Log mutasi: { actor, action, target, before, after, reason, component, details }.
+   * Nilai before/after disimpan sebagai daftar perubahan per field.
+   */
+  logChange(change) {
+    const actor = AuditLogger.actor(change.actor, this.env);
+    const changes = AuditLogger.diff(change.before, change.after)
+      .filter(item => item.path !== 'metadata.revision');
+    const locations = [...new Set(changes
+      .map(item => (/^locations\[id=([^\]]+)\]/.exec(item.path) || [])[1])
+      .filter(Boolean))];
+    
+    return this.log({
+      type: 'data_change',
+      action: change.action || 'update',
+      actor,
+      user: actor.id,
+      target: change.target,
+      reason: change.reason || null,
+      component: change.component || AuditLogger.actor(null, this.env).id,
+      ...(change.revision && { revision: change.revision }),
+      ...(locations.length > 0 && { locations }),
+      changes,
+      ...(changes.length >= MAX_CHANGES && { truncated: true }),
+      ...(change.details && { details: change.details })
+    });
   }
 
   /**
    * Log perubahan data parkir
    */
   logParkingUpdate(updateData) {
+    const actor = updateData.actor ? AuditLogger.actor(updateData.actor, this.env) : null;
     return this.log({
       type: 'parking_update',
       action: 'update',
-      user: updateData.user || 'unknown',
+      ...(actor && { actor }),
+      user: updateData.user || actor?.id || 'unknown',
+      ...(updateData.updateId && { update_id: updateData.updateId }),
+      ...(updateData.reason !== undefined && { reason: updateData.reason }),
       location: updateData.location,
       changes: updateData.changes,
       ip_address: updateData.ip,
@@ -97,6 +502,8 @@ class AuditLogger {
     return this.log({
       type: 'backup',
       action: backupData.action,
+      actor: AuditLogger.actor(backupData.actor, this.env),
+      ...(backupData.reason && { reason: backupData.reason }),
       file: backupData.file,
       size: backupData.size,
       success: backupData.success,
@@ -127,20 +534,23 @@ class AuditLogger {
   queryLogs(query = {}) {
     const logs = [];
     const logFiles = [];
+    const dirs = [this.baseDir, ...this.chains().map(chain => path.join(this.baseDir, chain))].filter(dir => fs.existsSync(dir));
     
     // Tentukan file log yang akan dibaca
     if (query.date) {
       const dateStr = new Date(query.date).toISOString().split('T')[0];
-      const specificLog = path.join(this.logDir, `audit-${dateStr}.log`);
-      if (fs.existsSync(specificLog)) {
-        logFiles.push(specificLog);
-      }
+      dirs.forEach(dir => {
+        const specificLog = path.join(dir, `audit-${dateStr}.log`);
+        if (fs.existsSync(specificLog)) {
+          logFiles.push(specificLog);
+        }
+      });
     } else {
       // Baca semua file log atau rentang tanggal
-      const files = fs.readdirSync(this.logDir)
+      const files = dirs.flatMap(dir => fs.readdirSync(dir)
         .filter(file => file.startsWith('audit-') && file.endsWith('.log'))
         .filter(file => !file.includes('consolidated'))
-        .map(file => path.join(this.logDir, file));
+        .map(file => path.join(dir, file)));
       
       if (query.startDate || query.endDate) {
         const startDate = query.startDate ? new Date(query.startDate) : new Date(0);
@@ -184,7 +594,12 @@ class AuditLogger {
                 matches = false;
               }
               
-              if (query.location && logEntry.location !== query.location) {
+              if (query.location && String(logEntry.location) !== String(query.location) &&
+                  !(logEntry.locations || []).includes(String(query.location))) {
+                matches = false;
+              }
+              
+              if (query.target && logEntry.target !== query.target) {
                 matches = false;
               }
               
@@ -239,7 +654,7 @@ class AuditLogger {
       endDate
     };
     
-    const logs = this.queryLogs(query);
+    const logs = this.queryLogs({ ...query, limit: Number.MAX_SAFE_INTEGER });
     
     // Analisis statistik
     const stats = {
@@ -248,7 +663,8 @@ class AuditLogger {
       by_action: {},
       by_user: {},
       by_location: {},
-      timeline: [],
+      by_target: {},
+      timeline: {},
       errors: 0,
       warnings: 0
     };
@@ -266,8 +682,12 @@ class AuditLogger {
       }
       
       // Count by location
-      if (log.location) {
-        stats.by_location[log.location] = (stats.by_location[log.location] || 0) + 1;
+      [].concat(log.locations || log.location || []).forEach(location => {
+        stats.by_location[location] = (stats.by_location[location] || 0) + 1;
+      });
+      
+      if (log.target) {
+        stats.by_target[log.target] = (stats.by_target[log.target] || 0) + 1;
       }
       
       // Count errors and warnings
@@ -292,11 +712,12 @@ class AuditLogger {
       },
       summary: stats,
       recent_activities: logs.logs.slice(0, 50), // 50 aktivitas terbaru
+      change_history: this.changeHistory(logs.logs),
       recommendations: this.generateRecommendations(stats)
     };
     
     // Save report
-    const reportDir = path.join(this.rootDir, 'data/reports/audit');
+    const reportDir = this.operation.path('data/reports/audit');
     if (!fs.existsSync(reportDir)) {
       fs.mkdirSync(reportDir, { recursive: true });
     }
@@ -312,6 +733,48 @@ class AuditLogger {
     };
   }
 
+  /**
+   * Riwayat mutasi urut waktu: siapa mengubah apa, dari nilai berapa ke berapa, dan kenapa
+   */
+  changeHistory(logs) {
+    return logs
+      .filter(log => log.type === 'data_change' || (log.type === 'parking_update' && log.actor && Array.isArray(log.changes)))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .map(log => ({
+        timestamp: log.timestamp,
+        actor: log.actor,
+        action: log.action,
+        target: log.target || (log.location !== undefined ? `location ${log.location}` : undefined),
+        reason: log.reason,
+        component: log.component,
+        revision: log.revision,
+        changes: log.changes,
+        ...(log.truncated && { truncated: true })
+      }));
+  }
+
+  /**
+   * Cetak riwayat mutasi (opsional untuk satu lokasi)
+   */
+  printHistory(location) {
+    const { logs } = this.queryLogs({ location, limit: Number.MAX_SAFE_INTEGER });
+    const history = this.changeHistory(logs);
+    const format = value => value === undefined ? '(none)' : JSON.stringify(value);
+    
+    console.log(`🕘 Change history${location ? ` for location ${location}` : ''}: ${history.length} change(s)\n`);
+    history.forEach(entry => {
+      const who = `${entry.actor.type}:${entry.actor.id}${entry.actor.name ? ` (${entry.actor.name})` : ''}` +
+        (entry.actor.triggered_by ? ` via ${entry.actor.triggered_by}` : '');
+      console.log(`${entry.timestamp}  ${who}  ${entry.action} ${entry.target}${entry.reason ? ` - ${entry.reason}` : ''}`);
+      entry.changes
+        .filter(change => !location || change.path.startsWith(`locations[id=${location}]`))
+        .forEach(change => {
+          console.log(`   ${change.path}: ${change.redacted ? '[redacted]' : `${format(change.before)} → ${format(change.after)}`}`);
+        });
+    });
+    return history;
+  }
+
   /**
    * Generate recommendations dari statistik
    */
@@ -342,17 +805,28 @@ class AuditLogger {
   }
 
   /**
-   * Bersihkan log lama
+   * Bersihkan log lama. Rantai diverifikasi dulu (log yang rusak tidak dihapus),
+   * lalu entri terakhir setiap file yang dihapus disimpan sebagai anchor.
    */
   cleanupOldLogs(retentionDays = 90) {
     console.log(`🧹 Cleaning up audit logs older than ${retentionDays} days...`);
     
-    const cutoffDate = new Date();
+    const cutoffDate = this.now();
     cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
     
-    const logFiles = fs.readdirSync(this.logDir)
-      .filter(file => file.startsWith('audit-') && file.endsWith('.log'))
-      .filter(file => !file.includes('consolidated'));
+    const verification = this.verify();
+    if (!verification.valid) {
+      const broken = verification.first_break;
+      console.error(`❌ Audit chain broken at ${broken.file}:${broken.line || '-'} (${broken.reason}); cleanup skipped`);
+      return {
+        deleted: 0,
+        kept: this.listLogFiles().length,
+        retention_days: retentionDays,
+        error: broken.reason
+      };
+    }
+    
+    const logFiles = this.listLogFiles();
     
     let deleted = 0;
     let kept = 0;
@@ -364,6 +838,7 @@ class AuditLogger {
         const filePath = path.join(this.logDir, file);
         
         if (fileDate < cutoffDate) {
+          this.archiveAnchor(match[1], filePath);
           fs.unlinkSync(filePath);
           deleted++;
           console.log(`   🗑️  Deleted: ${file}`);
@@ -382,6 +857,28 @@ class AuditLogger {
     };
   }
 
+  /**
+   * Simpan posisi rantai di akhir file yang akan dihapus
+   */
+  archiveAnchor(date, filePath) {
+    const entries = this.readJsonLines(filePath).filter(entry => entry.hash);
+    if (entries.length === 0) return null;
+    
+    const last = entries[entries.length - 1];
+    const record = {
+      date,
+      file: path.basename(filePath),
+      first_seq: entries[0].seq,
+      last_seq: last.seq,
+      last_hash: last.hash,
+      entries: entries.length,
+      archived_at: this.now().toISOString()
+    };
+    const anchor = { ...record, signature: this.sign(record) };
+    fs.appendFileSync(path.join(this.logDir, ANCHOR_FILE), JSON.stringify(anchor) + '\n');
+    return anchor;
+  }
+
   /**
    * Main function
    */
@@ -407,6 +904,9 @@ class AuditLogger {
         if (arg === '--location' && args[index + 1]) {
           query.location = args[index + 1];
         }
+        if (arg === '--target' && args[index + 1]) {
+          query.target = args[index + 1];
+        }
         if (arg === '--date' && args[index + 1]) {
           query.date = args[index + 1];
         }
@@ -437,6 +937,48 @@ class AuditLogger {
       return this.generateAuditReport(startDate, endDate);
     }
     
+    if (args.includes('--verify')) {
+      const all = this.verifyAll();
+      
+      all.chains.forEach(result => {
+        const checkpoints = result.checkpoints;
+        
+        console.log(`\n⛓️ Chain: ${result.chain}`);
+        console.log(`🔗 Entries checked: ${result.entries} in ${result.files} file(s)` +
+          (result.legacy > 0 ? ` (${result.legacy} legacy entries without hash)` : ''));
+        console.log(`🔏 Checkpoints: ${checkpoints.verified}/${checkpoints.total} signature verified` +
+          (checkpoints.unsigned > 0 ? `, ${checkpoints.unsigned} unsigned` : '') +
+          (!this.getSigningKey() && checkpoints.total > 0 ? ' (AUDIT_SIGNING_KEY not set)' : ''));
+        console.log(`⚓ Anchors from retention: ${result.anchors}`);
+        
+        if (result.valid) {
+          console.log('✅ Audit log intact');
+        } else {
+          const broken = result.first_break;
+          console.error(`❌ First broken link: ${broken.file}${broken.line ? `:${broken.line}` : ''}` +
+            `${broken.seq !== undefined ? ` (seq ${broken.seq})` : ''} - ${broken.reason}`);
+        }
+      });
+      
+      if (!all.valid) {
+        process.exitCode = 1;
+      }
+      return all;
+    }
+    
+    if (args.includes('--checkpoint')) {
+      const checkpoint = this.checkpoint();
+      console.log(checkpoint
+        ? `🔏 Checkpoint at seq ${checkpoint.seq}${checkpoint.signature ? '' : ' (unsigned: AUDIT_SIGNING_KEY not set)'}`
+        : 'ℹ️ Audit log is empty, nothing to checkpoint');
+      return checkpoint;
+    }
+    
+    if (args.includes('--history')) {
+      const location = args[args.indexOf('--history') + 1];
+      return this.printHistory(location && !location.startsWith('--') ? location : undefined);
+    }
+    
     if (args.includes('--cleanup')) {
       const retentionDays = parseInt(args[args.indexOf('--cleanup') + 1]) || 90;
       return this.cleanupOldLogs(retentionDays);
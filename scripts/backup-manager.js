@@ -8,16 +8,25 @@ const path = require('path');
 const { execSync } = require('child_process');
 const zlib = require('zlib');
 const { promisify } = require('util');
+const DataStore = require('./data-store');
+const OccupancyLog = require('./occupancy-log');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+const MaintenanceMode = require('./maintenance-mode');
 
 const gzip = promisify(zlib.gzip);
 const gunzip = promisify(zlib.gunzip);
 
 class BackupManager {
-  constructor() {
-    this.rootDir = path.join(__dirname, '..');
-    this.dataFile = path.join(this.rootDir, 'data/parkir-data.json');
-    this.backupDir = path.join(this.rootDir, 'data/backups');
-    this.configFile = path.join(this.rootDir, 'config/system-settings.json');
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = OperationRegistry.current({ rootDir: this.rootDir });
+    this.dataFile = this.operation.path('data/parkir-data.json');
+    this.backupDir = this.operation.path('data/backups');
+    this.configLoader = new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.store = new DataStore({ rootDir: this.rootDir, operation: this.operation });
+    this.eventLog = new OccupancyLog({ rootDir: this.rootDir, operation: this.operation, store: this.store });
+    this.maintenance = new MaintenanceMode({ rootDir: this.rootDir, operation: this.operation, configLoader: this.configLoader });
     
     // Load config
     this.config = this.loadConfig();
@@ -29,18 +38,20 @@ class BackupManager {
   }
 
   loadConfig() {
-    try {
-      return JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
-    } catch (error) {
+    if (!fs.existsSync(this.configLoader.filePath('system-settings'))) {
       console.warn('⚠️ System config not found, using defaults');
-      return {
+    }
+    
+    // Config yang tidak valid melempar error yang menyebut key yang salah
+    return this.configLoader.load('system-settings', {
+      defaults: {
         data_management: {
           backup_interval: 3600000, // 1 jam
           max_backup_files: 30,
           data_retention_days: 90
         }
-      };
-    }
+      }
+    });
   }
 
   /**
@@ -112,6 +123,14 @@ class BackupManager {
       console.log(`   Compressed: ${backupInfo.compressed_size} bytes (${backupInfo.compression_ratio}% smaller)`);
       console.log(`   Files: ${compressedBackupFile}`);
 
+      this.store.auditor().logBackupActivity({
+        action: 'create',
+        file: path.relative(this.rootDir, compressedBackupFile),
+        size: backupInfo.compressed_size,
+        success: true,
+        reason: `${type}: ${reason}`
+      });
+      
       // Cleanup old backups
       this.cleanupOldBackups();
 
@@ -128,6 +147,12 @@ class BackupManager {
 
     } catch (error) {
       console.error('❌ Backup creation failed:', error.message);
+      this.store.auditor().logBackupActivity({
+        action: 'create',
+        success: false,
+        error: error.message,
+        reason: `${type}: ${reason}`
+      });
       return {
         success: false,
         error: error.message
@@ -157,6 +182,12 @@ class BackupManager {
         const toDelete = files.slice(maxFiles);
         toDelete.forEach(file => {
           fs.unlinkSync(file.path);
+          this.store.auditor().logBackupActivity({
+            action: 'delete',
+            file: path.relative(this.rootDir, file.path),
+            success: true,
+            reason: `Retention: keep newest ${maxFiles} files`
+          });
           console.log(`🗑️  Deleted old backup: ${file.name}`);
         });
         
@@ -183,9 +214,15 @@ class BackupManager {
   }
 
   /**
-   * Restore dari backup
+   * Restore dari backup. Sistem dalam mode pemeliharaan selama restore:
+   * API menolak update dan processor menahan antrian
    */
   async restoreBackup(backupFile) {
+    const reason = `Restore from ${path.relative(this.rootDir, backupFile)}`;
+    return this.maintenance.during(reason, () => this.applyBackup(backupFile));
+  }
+
+  async applyBackup(backupFile) {
     console.log(`🔄 Restoring from backup: ${backupFile}`);
     
     try {
@@ -201,15 +238,14 @@ class BackupManager {
         backupData = JSON.parse(fs.readFileSync(backupFile, 'utf8'));
       }
 
+      // Backup format lama dinaikkan ke format sekarang; versi tidak dikenal
+      // ditolak (E_VERSION) sebelum data saat ini disentuh
+      const restoredData = this.store.upgrade('data', backupData.data || backupData, true);
+
       // Backup current data before restore
       const currentBackup = await this.createBackup('auto', 'pre-restore-backup');
       
-      // Restore data
-      const dataToRestore = backupData.data || backupData;
-      fs.writeFileSync(this.dataFile, JSON.stringify(dataToRestore, null, 2));
-      
-      // Update metadata
-      const restoredData = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+      // Restore data beserta metadata restore dalam satu penulisan atomik
       restoredData.metadata = {
         ...restoredData.metadata,
         restored_from: backupFile,
@@ -217,7 +253,13 @@ class BackupManager {
         pre_restore_backup: currentBackup.files?.compressed
       };
       
-      fs.writeFileSync(this.dataFile, JSON.stringify(restoredData, null, 2));
+      // Okupansi hasil restore menjadi baseline baru di log event
+      this.eventLog.writeBaseline(restoredData, 'backup-restore', {
+        audit: {
+          reason: `Restore from ${path.relative(this.rootDir, backupFile)}`,
+          details: { pre_restore_backup: currentBackup.files?.compressed && path.relative(this.rootDir, currentBackup.files.compressed) }
+        }
+      });
 
       console.log('✅ Restore completed successfully');
       console.log(`   Original backup: ${backupFile}`);
@@ -396,7 +438,7 @@ class BackupManager {
       }
 
       // Commit ke git
-      execSync('git add data/backups/*', { cwd: this.rootDir });
+      execSync(`git add ${path.relative(this.rootDir, this.backupDir)}`, { cwd: this.rootDir });
       
       const commitMessage = `💾 Auto-backup: ${new Date().toLocaleString()}`;
       execSync(`git commit -m "${commitMessage}"`, { cwd: this.rootDir });
@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+/**
+ * Kapasitas efektif lokasi berdasarkan jadwal (capacity_schedule)
+ *
+ * Lokasi dengan operasional khusus (mis. STADION KRIDOSONO) punya kapasitas
+ * yang berubah per periode tanggal. Resolver ini dipakai script Node
+ * (require) dan kedua halaman web (<script src="scripts/capacity-schedule.js">
+ * setelah time-window.js dan vehicle-types.js, tersedia sebagai
+ * window.CapacitySchedule). Tanggal dan jam dibaca lewat TimeWindow (zona waktu
+ * ui_settings.timezone); jenis kendaraan dari CapacitySchedule.vehicleTypes.
+*
+ * Format di config/locations-config.json:
+ *   "capacity_schedule": [
+ *     { "label": "Periode 1", "from": "2026-04-20", "to": "2026-04-22",
+ *       "hours": "18:00-24:00", "capacity": { "bus": 0, "mobil": 30, "motor": 150 } }
+ *   ]
+ * Di luar semua periode, kapasitas kembali ke field "capacity" lokasi.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    const TimeWindow = require('./time-window');
+    const VehicleTypes = require('./vehicle-types');
+    module.exports = factory(TimeWindow, VehicleTypes);
+    // Di Node zona waktu diambil dari config/system-settings.json dan jenis kendaraan dari config/vehicle-types.json
+    module.exports.timeWindow = TimeWindow.fromSettings();
+    module.exports.vehicleTypes = VehicleTypes.load();
+  } else {
+    root.CapacitySchedule = factory(root.TimeWindow, root.VehicleTypes);
+  }
+})(typeof self !== 'undefined' ? self : this, function (TimeWindow, VehicleTypes) {
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+  class CapacitySchedule {
+    /**
+     * Tanggal (YYYY-MM-DD) dan menit sejak tengah malam untuk suatu waktu
+     */
+    static localTime(at = new Date()) {
+      return CapacitySchedule.timeWindow.localTime(at);
+    }
+    
+    static parseHours(hours) {
+      return TimeWindow.parse(hours);
+    }
+    
+    /**
+     * Apakah menit lokal berada dalam jam buka; jam yang tidak terbaca dianggap selalu buka
+     */
+    static isOpen(hours, minutes) {
+      const window = TimeWindow.parse(hours);
+      return !window || TimeWindow.position(window, minutes).open;
+    }
+    
+    /**
+     * Kapasitas dasar dari field "capacity" config ({ bus: { total } } atau angka)
+     */
+    static baseCapacity(location) {
+      const capacity = {};
+      CapacitySchedule.vehicleTypes.ids.forEach(type => {
+        const value = location?.capacity?.[type];
+        capacity[type] = Number(typeof value === 'object' && value !== null ? value.total : value) || 0;
+      });
+      return capacity;
+    }
+    
+    /**
+     * Periode jadwal yang berlaku pada tanggal WIB dari `at` (batas from/to inklusif)
+     */
+    static activePeriod(location, at = new Date()) {
+      const { date } = CapacitySchedule.localTime(at);
+      return (location?.capacity_schedule || []).find(period => period.from <= date && date <= period.to) || null;
+    }
+    
+    /**
+     * Kapasitas efektif lokasi pada waktu `at`
+     */
+    static resolve(location, at = new Date()) {
+      const period = CapacitySchedule.activePeriod(location, at);
+      const capacity = CapacitySchedule.baseCapacity(location);
+      
+      if (period) {
+        CapacitySchedule.vehicleTypes.ids.forEach(type => {
+          capacity[type] = Number(period.capacity?.[type]) || 0;
+        });
+      }
+      
+      const hours = (period && period.hours) || location?.operational_hours || null;
+      const status = CapacitySchedule.timeWindow.status(hours, at);
+      
+      // Lokasi berjadwal tutup di luar semua periode
+      if (location?.capacity_schedule && !period) {
+        status.state = TimeWindow.STATES.CLOSED;
+        status.next_change_at = null;
+      }
+      
+      const vehicleTypes = period || !Array.isArray(location?.vehicle_types)
+        ? CapacitySchedule.vehicleTypes.ids.filter(type => capacity[type] > 0)
+        : location.vehicle_types;
+      
+      return {
+        capacity,
+        vehicle_types: vehicleTypes,
+        period: period ? (period.label || `${period.from} - ${period.to}`) : null,
+        from: period ? period.from : null,
+        to: period ? period.to : null,
+        hours,
+        state: status.state,
+        open: status.state !== TimeWindow.STATES.CLOSED,
+        opens_at: status.opens_at,
+        closes_at: status.closes_at,
+        next_change_at: status.next_change_at,
+        source: period ? 'schedule' : 'config'
+      };
+    }
+    
+    /**
+     * Kapasitas efektif satu jenis kendaraan
+     */
+    static capacityOf(location, type, at = new Date()) {
+      return CapacitySchedule.resolve(location, at).capacity[type] || 0;
+    }
+    
+    /**
+     * Total kapasitas efektif seluruh lokasi (padanan total_capacity di config)
+     */
+    static totals(locations, at = new Date()) {
+      return (locations || []).reduce((totals, location) => {
+        const { capacity } = CapacitySchedule.resolve(location, at);
+        CapacitySchedule.vehicleTypes.ids.forEach(type => {
+          totals[type] += capacity[type];
+          totals.total += capacity[type];
+        });
+        return totals;
+      }, { ...CapacitySchedule.vehicleTypes.map(0), total: 0 });
+    }
+    
+    /**
+     * total_capacity dari config disesuaikan dengan lokasi yang sedang dalam periode jadwal
+     */
+    static adjustTotals(configTotals, locations, at = new Date()) {
+      const adjusted = { ...configTotals };
+      (locations || []).forEach(location => {
+        if (!CapacitySchedule.activePeriod(location, at)) return;
+        
+        const base = CapacitySchedule.baseCapacity(location);
+        const { capacity } = CapacitySchedule.resolve(location, at);
+        CapacitySchedule.vehicleTypes.ids.forEach(type => {
+          const difference = capacity[type] - base[type];
+          adjusted[type] = (adjusted[type] || 0) + difference;
+          if (adjusted.total !== undefined) adjusted.total += difference;
+        });
+      });
+      return adjusted;
+    }
+    
+    /**
+     * Tandai status operasional (open / closing_soon / closed) setiap lokasi di
+     * parkir-data.json; kembalikan daftar lokasi yang statusnya berubah
+     */
+    static annotate(data, config, at = new Date()) {
+      const changes = [];
+      
+      (data?.locations || []).forEach(dataLoc => {
+        const configLoc = (config?.locations || []).find(loc => Number(loc.id) === Number(dataLoc.id));
+        const { state } = CapacitySchedule.resolve(configLoc || dataLoc, at);
+        
+        if (dataLoc.operational_status !== state) {
+          changes.push({ location_id: dataLoc.id, location: dataLoc.nama, from: dataLoc.operational_status || null, to: state });
+          dataLoc.operational_status = state;
+        }
+      });
+      
+      return changes;
+    }
+    
+    /**
+     * Periksa struktur capacity_schedule satu lokasi, kembalikan daftar error
+     */
+    static validate(location) {
+      const errors = [];
+      const schedule = location?.capacity_schedule;
+      const name = location?.name || location?.nama || location?.id;
+      
+      if (schedule === undefined) return errors;
+      if (!Array.isArray(schedule)) {
+        return [`${name}: capacity_schedule must be an array`];
+      }
+      
+      schedule.forEach((period, index) => {
+        const label = `${name} capacity_schedule[${index}]`;
+        
+        if (!DATE_PATTERN.test(period.from || '') || !DATE_PATTERN.test(period.to || '')) {
+          errors.push(`${label}: from/to must be YYYY-MM-DD`);
+        } else if (period.from > period.to) {
+          errors.push(`${label}: from (${period.from}) is after to (${period.to})`);
+        }
+        
+        if (period.hours !== undefined && !CapacitySchedule.parseHours(period.hours)) {
+          errors.push(`${label}: invalid hours "${period.hours}"`);
+        }
+        
+        Object.keys(period.capacity || {}).forEach(type => {
+          const value = period.capacity[type];
+          if (!CapacitySchedule.vehicleTypes.has(type)) {
+            errors.push(`${label}: unknown vehicle type "${type}"`);
+            return;
+          }
+          if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+            errors.push(`${label}: ${type} capacity must be a non-negative integer`);
+          }
+        });
+        
+        schedule.slice(index + 1).forEach((other, offset) => {
+          if (period.from <= other.to && other.from <= period.to) {
+            errors.push(`${label} overlaps capacity_schedule[${index + 1 + offset}]`);
+          }
+        });
+      });
+      
+      return errors;
+    }
+  }
+
+  // Zona waktu dan jenis kendaraan default untuk halaman web
+  CapacitySchedule.timeWindow = new TimeWindow();
+  CapacitySchedule.vehicleTypes = new VehicleTypes();
+
+  return CapacitySchedule;
+});
+
+// Run if called directly
+if (typeof module === 'object' && typeof require === 'function' && require.main === module) {
+  const path = require('path');
+  const CapacitySchedule = module.exports;
+  const TimeWindow = require('./time-window');
+  const OperationRegistry = require('./operation-registry');
+  const ConfigLoader = require('./config-loader');
+  const rootDir = path.join(__dirname, '..');
+  const operation = OperationRegistry.current({ rootDir });
+
+  const atArg = process.argv.find(arg => arg.startsWith('--at='));
+  const at = atArg ? atArg.slice('--at='.length) : new Date().toISOString();
+  const stateIcons = { open: '🟢', closing_soon: '🟡', closed: '⚫' };
+
+  try {
+    const config = new ConfigLoader({ rootDir, operation }).load('locations-config');
+    
+    // Tulis status operasional ke parkir-data.json (hanya jika ada yang berubah)
+    if (process.argv.includes('--apply-status')) {
+      const DataStore = require('./data-store');
+      const store = new DataStore({ rootDir, operation });
+      let changes = [];
+      
+      store.transaction('data', tx => {
+        const data = tx.read('data');
+        changes = CapacitySchedule.annotate(data, config, at);
+        if (changes.length > 0) {
+          tx.write('data', data);
+        }
+      }, { action: 'apply-operational-status', reason: `Operational hours at ${at}` });
+      
+      changes.forEach(change => console.log(`${stateIcons[change.to]} ${change.location}: ${change.from || '-'} → ${change.to}`));
+      console.log(`✅ Operational status updated for ${changes.length} locations`);
+      process.exit(0);
+    }
+    
+    const local = CapacitySchedule.localTime(at);
+    console.log(`📅 Effective capacity at ${local.date} ${TimeWindow.formatMinutes(local.minutes)} (${CapacitySchedule.timeWindow.timezone})\n`);
+    
+    const vehicleTypes = CapacitySchedule.vehicleTypes;
+    const formatCapacity = capacity => vehicleTypes.ids
+      .filter(type => capacity[type] > 0)
+      .map(type => `${vehicleTypes.icon(type)} ${capacity[type]}`)
+      .join(' ') || '-';
+    
+    const errors = [];
+    config.locations.forEach(location => {
+      const effective = CapacitySchedule.resolve(location, at);
+      const detail = effective.source === 'schedule' ? ` [${effective.period}, ${effective.hours}]` : '';
+      console.log(`${stateIcons[effective.state]} ${location.name}: ${formatCapacity(effective.capacity)}${detail}`);
+      errors.push(...CapacitySchedule.validate(location));
+    });
+    
+    const totals = CapacitySchedule.totals(config.locations, at);
+    console.log(`\n📊 Total: ${formatCapacity(totals)} (${totals.total})`);
+    
+    if (errors.length > 0) {
+      console.log('\n🚨 Schedule errors:');
+      errors.forEach(error => console.log(`   • ${error}`));
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
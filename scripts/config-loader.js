@@ -0,0 +1,462 @@
+#!/usr/bin/env node
+/**
+ * Loader config terpadu untuk semua script dan halaman web
+ *
+ * - File config boleh memakai komentar // dan /* *\/ (JSONC)
+ * - Override lewat environment (dan file .env di root via dotenv) dengan
+ *   format PARKIR_<FILE>__<KEY>__<SUBKEY>=nilai, mis.
+ *   PARKIR_NOTIFICATIONS__THRESHOLDS__UTILIZATION__WARNING=75
+ *   Nilai dibaca sebagai JSON bila bisa (true, 75, ["a"]), selain itu string.
+ * - Referensi ${secret:NAMA} diisi dari environment atau file terenkripsi
+ *   (lihat scripts/secrets-store.js); nilai secret tidak pernah muncul di pesan error
+ * - Setiap file divalidasi terhadap schemas/<file>.schema.json; error
+ *   menyebut file dan key yang salah (serta variabel env jika asalnya dari sana)
+ * - Key "version" adalah versi format file: versi lama dinaikkan di memori,
+ *   versi yang tidak dikenal ditolak (lihat scripts/migrations.js)
+ *
+ * locations-config dan officers dibaca dari direktori operasi aktif.
+ * Di browser (<script src="scripts/config-loader.js">, window.ConfigLoader)
+ * hanya parse() dan publicSettings() yang tersedia.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ConfigLoader = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const ENV_PREFIX = 'PARKIR_';
+  const FILES = ['system-settings', 'notifications', 'locations-config', 'officers', 'vehicle-types', 'operations'];
+  const OPERATION_FILES = ['locations-config', 'officers'];
+
+  // Pemeriksaan antar-key yang tidak bisa dinyatakan di schema
+  const CHECKS = {
+    notifications(config) {
+      const utilization = config.thresholds?.utilization || {};
+      return utilization.warning >= utilization.critical
+        ? [{ path: 'thresholds.utilization.warning', message: `must be lower than critical (${utilization.critical})` }]
+        : [];
+    },
+    'system-settings'(config) {
+      const timezone = config.ui_settings?.timezone;
+      try {
+        if (timezone) new Intl.DateTimeFormat('en', { timeZone: timezone });
+        return [];
+      } catch (error) {
+        return [{ path: 'ui_settings.timezone', message: `unknown timezone "${timezone}"` }];
+      }
+    },
+    'locations-config'(config, loader) {
+      const CapacitySchedule = require('./capacity-schedule');
+      const VehicleTypes = require('./vehicle-types');
+      const vehicleTypes = VehicleTypes.load({ configLoader: loader });
+      const errors = [];
+      const seen = { id: new Map(), code: new Map() };
+      const unknownType = (path, type) => {
+        if (!vehicleTypes.has(type)) {
+          errors.push({ path, message: `unknown vehicle type "${type}" (not in config/vehicle-types.json)` });
+        }
+      };
+      
+      Object.keys(config.total_capacity || {}).filter(type => type !== 'total').forEach(type => {
+        unknownType(`total_capacity.${type}`, type);
+      });
+      (config.locations || []).forEach((location, index) => {
+        Object.keys(location.capacity || {}).forEach(type => unknownType(`locations[${index}].capacity.${type}`, type));
+        (location.vehicle_types || []).forEach((type, i) => unknownType(`locations[${index}].vehicle_types[${i}]`, type));
+        ['id', 'code'].forEach(key => {
+          if (location[key] === undefined) return;
+          if (seen[key].has(location[key])) {
+            errors.push({ path: `locations[${index}].${key}`, message: `duplicates locations[${seen[key].get(location[key])}] (${location[key]})` });
+          } else {
+            seen[key].set(location[key], index);
+          }
+        });
+        CapacitySchedule.validate(location).forEach(message => {
+          errors.push({ path: `locations[${index}].capacity_schedule`, message });
+        });
+      });
+      return errors;
+    },
+    officers(config) {
+      const seen = new Set();
+      return (config.officers || []).reduce((errors, officer, index) => {
+        if (seen.has(officer.id)) errors.push({ path: `officers[${index}].id`, message: `duplicate officer id ${officer.id}` });
+        seen.add(officer.id);
+        return errors;
+      }, []);
+    },
+    operations(config) {
+      const ids = (config.operations || []).map(op => op.id);
+      return config.active && !ids.includes(config.active)
+        ? [{ path: 'active', message: `unknown operation "${config.active}" (available: ${ids.join(', ')})` }]
+        : [];
+    }
+  };
+
+  class ConfigLoader {
+    constructor(options = {}) {
+      const path = require('path');
+      this.rootDir = options.rootDir || path.join(__dirname, '..');
+      this.env = options.env || process.env;
+      this.operation = options.operation || null;
+      this.cache = {};
+      this.schemas = {};
+      this.missingSecrets = {};
+      
+      if (options.envFile !== false) {
+        ConfigLoader.loadEnvFile(options.envFile || path.join(this.rootDir, '.env'), this.env);
+      }
+      
+      const SecretsStore = require('./secrets-store');
+      this.secrets = options.secrets || new SecretsStore({ rootDir: this.rootDir, env: this.env });
+    }
+    
+    static error(message, file, errors = []) {
+      return Object.assign(new Error(message), { code: 'E_CONFIG', file, errors });
+    }
+    
+    /**
+     * File .env di root (opsional) ke environment; variabel yang sudah ada tidak ditimpa
+     */
+    static loadEnvFile(envFile, env = process.env) {
+      const fs = require('fs');
+      if (!fs.existsSync(envFile)) return;
+      require('dotenv').config({ path: envFile, processEnv: env });
+    }
+    
+    /**
+     * Hapus komentar // dan /* *\/ di luar string. Komentar diganti spasi
+     * sehingga posisi error JSON.parse tetap menunjuk ke baris aslinya.
+     */
+    static stripComments(text) {
+      let result = '';
+      let inString = false;
+      
+      for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inString) {
+          result += char;
+          if (char === '\\') {
+            result += text[++i] || '';
+          } else if (char === '"') {
+            inString = false;
+          }
+        } else if (char === '"') {
+          inString = true;
+          result += char;
+        } else if (char === '/' && text[i + 1] === '/') {
+          while (i < text.length && text[i] !== '\n') {
+            result += ' ';
+            i++;
+          }
+          if (i < text.length) result += '\n';
+        } else if (char === '/' && text[i + 1] === '*') {
+          const end = text.indexOf('*/', i + 2);
+          const stop = end === -1 ? text.length : end + 2;
+          result += text.slice(i, stop).replace(/[^\n]/g, ' ');
+          i = stop - 1;
+        } else {
+          result += char;
+        }
+      }
+      
+      return result;
+    }
+    
+    /**
+     * Parse JSONC; error menyebut baris dan kolom
+     */
+    static parse(text, file = 'config') {
+      const stripped = ConfigLoader.stripComments(String(text).replace(/^\uFEFF/, ''));
+      try {
+        return JSON.parse(stripped);
+      } catch (error) {
+        const position = Number((/position (\d+)/.exec(error.message) || [])[1]);
+        let where = '';
+        if (!isNaN(position)) {
+          const before = stripped.slice(0, position).split('\n');
+          where = ` (line ${before.length}, column ${before[before.length - 1].length + 1})`;
+        }
+        throw ConfigLoader.error(`${file}: invalid JSON${where}: ${error.message}`, file, [
+          { path: '(root)', message: `invalid JSON${where}` }
+        ]);
+      }
+    }
+    
+    /**
+     * Bagian config yang aman untuk halaman publik dan panel petugas
+     */
+    static publicSettings(settings = {}, notifications = {}) {
+      const limits = settings.limits || {};
+      return {
+        system: {
+          name: settings.system?.name,
+          version: settings.system?.version,
+          environment: settings.system?.environment,
+          maintenance_mode: Boolean(settings.system?.maintenance_mode)
+        },
+        data_management: {
+          auto_refresh_interval: settings.data_management?.auto_refresh_interval,
+          cache_duration: settings.data_management?.cache_duration
+        },
+        ui_settings: { ...(settings.ui_settings || {}) },
+        features: { ...(settings.features || {}) },
+        limits: {
+          max_notes_length: limits.max_notes_length,
+          max_history_items: limits.max_history_items,
+          max_pending_updates: limits.max_pending_updates
+        },
+        thresholds: {
+          utilization: { ...(notifications.thresholds?.utilization || {}) }
+        }
+      };
+    }
+    
+    /**
+     * Prefix variabel env untuk satu file: PARKIR_NOTIFICATIONS__
+     */
+    static envPrefix(name) {
+      return `${ENV_PREFIX}${name.toUpperCase().replace(/-/g, '_')}__`;
+    }
+    
+    getOperation() {
+      if (!this.operation) {
+        const OperationRegistry = require('./operation-registry');
+        this.operation = OperationRegistry.current({ rootDir: this.rootDir });
+      }
+      return this.operation;
+    }
+    
+    filePath(name) {
+      const path = require('path');
+      return OPERATION_FILES.includes(name)
+        ? this.getOperation().path(`config/${name}.json`)
+        : path.join(this.rootDir, 'config', `${name}.json`);
+    }
+    
+    schemaPath(name) {
+      return require('path').join(__dirname, '..', 'schemas', `${name}.schema.json`);
+    }
+    
+    /**
+     * Terapkan PARKIR_<FILE>__... ke config; kembalikan { path: nama variabel }
+     */
+    applyEnv(name, config) {
+      const prefix = ConfigLoader.envPrefix(name);
+      const sources = {};
+      
+      Object.keys(this.env).filter(key => key.startsWith(prefix)).sort().forEach(key => {
+        const keys = key.slice(prefix.length).split('__').map(part => part.toLowerCase());
+        if (keys.some(part => !part)) return;
+        
+        let target = config;
+        keys.slice(0, -1).forEach(part => {
+          if (target[part] === null || typeof target[part] !== 'object') target[part] = {};
+          target = target[part];
+        });
+        
+        const last = keys[keys.length - 1];
+        const raw = this.env[key];
+        let value = raw;
+        if (typeof target[last] !== 'string') {
+          try {
+            value = JSON.parse(raw);
+          } catch (error) {
+            value = raw;
+          }
+        }
+        target[last] = value;
+        sources[keys.join('.')] = key;
+      });
+      
+      return sources;
+    }
+    
+    /**
+     * Naikkan format file lama ke versi sekarang (di memori); versi tidak dikenal → E_CONFIG
+     */
+    upgrade(name, config, file) {
+      const Migrations = require('./migrations');
+      if (!Migrations.FORMATS[name]) return config;
+      
+      try {
+        const result = new Migrations({ rootDir: this.rootDir, operation: this.operation, configLoader: this }).upgrade(name, config);
+        if (result.applied.length > 0) {
+          console.warn(`⚠️ ${file}: format ${result.from || '(none)'} migrated in memory to ${result.to} (run: npm run migrate)`);
+        }
+        return result.value;
+      } catch (error) {
+        if (error.code !== 'E_VERSION') throw error;
+        throw ConfigLoader.error(`${file}: ${error.message.replace(/^[^:]*: /, '')}`, file, [{ path: 'version', message: `unknown format version "${error.version}" (supported: ${error.supported.join(', ')})` }]);
+      }
+    }
+    
+    /**
+     * Validasi terhadap schema dan pemeriksaan tambahan; kembalikan daftar error
+     */
+    validate(name, config, sources = {}) {
+      const fs = require('fs');
+      const SchemaValidator = require('./schema-validator');
+      const errors = [];
+      
+      if (!(name in this.schemas)) {
+        const schemaPath = this.schemaPath(name);
+        this.schemas[name] = fs.existsSync(schemaPath) ? new SchemaValidator(JSON.parse(fs.readFileSync(schemaPath, 'utf8'))) : null;
+      }
+      if (this.schemas[name]) {
+        errors.push(...this.schemas[name].validate(config));
+      }
+      if (CHECKS[name] && errors.length === 0) {
+        errors.push(...CHECKS[name](config, this));
+      }
+      
+      // Tandai error yang berasal dari override environment atau secret
+      return errors.map(error => {
+        const source = Object.keys(sources).find(key => error.path === key || error.path.startsWith(`${key}.`) || error.path.startsWith(`${key}[`));
+        if (!source) return error;
+        const fromSecret = sources[source].startsWith('${secret:');
+        return {
+          ...error,
+          message: fromSecret ? error.message.replace(/ \(got .*\)$/, '') : error.message,
+          source: sources[source]
+        };
+      });
+    }
+    
+    static formatErrors(file, errors) {
+      return errors.map(error => `${file}: ${error.path} ${error.message}${error.source ? ` (from ${error.source})` : ''}`);
+    }
+    
+    /**
+     * Baca, parse, override dan validasi satu file config (di-cache per instance).
+     * options.defaults dipakai jika file tidak ada; config tidak valid selalu melempar E_CONFIG.
+     * options.env: false untuk config yang akan ditulis kembali ke file (tanpa override dan secret).
+     * options.secrets: false untuk ditampilkan (override dipakai, ${secret:NAMA} tidak diisi).
+     * options.path: baca file lain dengan schema yang sama (mis. config test).
+     */
+    load(name, options = {}) {
+      const cacheable = options.env !== false && options.secrets !== false && !options.path;
+      if (cacheable && this.cache[name] && !options.fresh) return this.cache[name];
+      
+      const fs = require('fs');
+      const path = require('path');
+      const filePath = options.path || this.filePath(name);
+      const file = path.relative(this.rootDir, filePath).replace(/\\/g, '/');
+      let config;
+      
+      if (fs.existsSync(filePath)) {
+        config = this.upgrade(name, ConfigLoader.parse(fs.readFileSync(filePath, 'utf8'), file), file);
+      } else if (options.defaults !== undefined) {
+        config = JSON.parse(JSON.stringify(options.defaults));
+      } else {
+        throw ConfigLoader.error(`${file}: file not found`, file, [{ path: '(root)', message: 'file not found' }]);
+      }
+      
+      const sources = options.env === false ? {} : this.applyEnv(name, config);
+      
+      if (options.env !== false && options.secrets !== false) {
+        const { resolved, missing } = this.secrets.resolve(config);
+        Object.entries(resolved).forEach(([key, names]) => {
+          sources[key] = names.split(',').map(secret => `\${secret:${secret}}`).join(', ');
+        });
+        // Secret di bagian yang dimatikan (enabled: false) tidak perlu diisi
+        this.missingSecrets[name] = missing.filter(secret => {
+          let target = config;
+          return !secret.path.split('.').some(key => {
+            target = target && target[key];
+            return target && target.enabled === false;
+          });
+        });
+      }
+      
+      if (options.validate !== false && fs.existsSync(filePath)) {
+        const errors = this.validate(name, config, sources);
+        if (errors.length > 0) {
+          const lines = ConfigLoader.formatErrors(file, errors);
+          throw ConfigLoader.error(`Invalid config (${lines.length} error(s)):\n  ${lines.join('\n  ')}`, file, errors);
+        }
+      }
+      
+      if (cacheable) this.cache[name] = config;
+      return config;
+    }
+    
+    /**
+     * Periksa semua file config; kembalikan { file: [error] } untuk yang bermasalah
+     */
+    check() {
+      const fs = require('fs');
+      const results = {};
+      
+      FILES.forEach(name => {
+        if (!fs.existsSync(this.filePath(name))) return;
+        try {
+          this.load(name, { fresh: true });
+          results[name] = [];
+        } catch (error) {
+          results[name] = error.code === 'E_CONFIG'
+            ? error.errors.map(e => ({ ...e, file: error.file }))
+            : [{ path: '(root)', message: error.message }];
+        }
+      });
+      return results;
+    }
+    
+    /**
+     * Config publik (system-settings + threshold notifikasi) untuk halaman web
+     */
+    publicConfig() {
+      const notifications = this.load('notifications', { defaults: {} });
+      return ConfigLoader.publicSettings(this.load('system-settings', { defaults: {} }), notifications);
+    }
+  }
+
+  ConfigLoader.FILES = FILES;
+
+  return ConfigLoader;
+});
+
+// CLI Interface
+if (typeof module === 'object' && typeof require === 'function' && require.main === module) {
+  const ConfigLoader = module.exports;
+  const loader = new ConfigLoader();
+  const args = process.argv.slice(2);
+  const showArg = args.find(a => a.startsWith('--show='));
+
+  try {
+    if (showArg) {
+      // Secret tidak pernah dicetak (terminal/log CI): referensi ${secret:NAMA} ditampilkan apa adanya
+      console.log(JSON.stringify(loader.load(showArg.slice('--show='.length), { secrets: false, validate: false }), null, 2));
+    } else if (args.includes('--public')) {
+      console.log(JSON.stringify(loader.publicConfig(), null, 2));
+    } else {
+      console.log('🔧 Checking configuration files...\n');
+      const results = loader.check();
+      let failed = 0;
+      
+      Object.entries(results).forEach(([name, errors]) => {
+        if (errors.length === 0) {
+          console.log(`✅ ${name}`);
+          (loader.missingSecrets[name] || []).forEach(secret => {
+            console.log(`   ⚠️ ${secret.path}: \${secret:${secret.name}} not set (environment or secrets store)`);
+          });
+          return;
+        }
+        failed++;
+        console.log(`❌ ${name}`);
+        errors.forEach(error => {
+          console.log(`   • ${error.path} ${error.message}${error.source ? ` (from ${error.source})` : ''}`);
+        });
+      });
+      
+      console.log(`\n${failed === 0 ? '✅ All configuration files are valid' : `❌ ${failed} configuration file(s) invalid`}`);
+      process.exit(failed === 0 ? 0 : 1);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
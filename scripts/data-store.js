@@ -0,0 +1,446 @@
+#!/usr/bin/env node
+/**
+ * Penyimpanan bersama untuk data/parkir-data.json dan data/pending-updates.json
+ *
+ * Semua script yang menulis kedua file ini harus lewat DataStore:
+ * - lock file (<file>.lock, lihat file-lock.js) agar penulis tidak saling menimpa
+ * - tulis ke file sementara lalu rename, sehingga pembaca tidak pernah melihat file setengah jadi
+ * - optimistic check: write() dengan expectedRevision ditolak (E_CONFLICT) jika file
+ *   sudah diubah proses lain sejak dibaca
+ *
+ * Revisi parkir-data.json disimpan di metadata.revision dan naik setiap kali ditulis.
+ * metadata.version adalah versi format data: file versi lama dinaikkan ke format
+ * sekarang saat dibaca dan ditulis, versi yang tidak dikenal ditolak (E_VERSION,
+ * lihat migrations.js).
+ * Untuk file tanpa metadata (pending-updates.json) revisi adalah hash isi file.
+ *
+ * Path file mengikuti operasi terpilih (lihat operation-registry.js); operasi
+ * yang diarsipkan hanya bisa dibaca, lock untuk menulis ditolak (E_READ_ONLY).
+ *
+ * Setiap penulisan dicatat ke audit log (audit-logger.js) sebelum file diganti,
+ * dengan konteks { actor, action, reason } dari pemanggil. Jika audit gagal
+ * ditulis, file tidak diubah (E_AUDIT).
+ *
+ * Status per jenis kendaraan di parkir-data.json (location[type].status)
+ * dihitung ulang dari status_definitions sebelum setiap penulisan (status-engine.js).
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const OperationRegistry = require('./operation-registry');
+const AuditLogger = require('./audit-logger');
+const StatusEngine = require('./status-engine');
+const Migrations = require('./migrations');
+const FileLock = require('./file-lock');
+
+const FILES = {
+  data: { path: 'data/parkir-data.json' },
+  pending: { path: 'data/pending-updates.json', fallback: [] }
+};
+
+const DEFAULT_LOCK_TIMEOUT = 10000; // 10 detik menunggu lock
+const DEFAULT_STALE_LOCK = 60000;   // lock lebih tua dari 1 menit dianggap ditinggal
+
+class DataStore {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.paths = options.paths || {}; // override lokasi file, mis. { data: '/tmp/parkir-data.json' }
+    this.lockTimeout = options.lockTimeout || DEFAULT_LOCK_TIMEOUT;
+    this.staleLockAge = options.staleLockAge || DEFAULT_STALE_LOCK;
+    this.auditLogger = options.auditLogger || null;
+    this.statusEngine = options.statusEngine || null;
+    this.migrations = options.migrations || null;
+    this.migrationWarned = {};
+  }
+
+  static error(code, message, details = {}) {
+    return Object.assign(new Error(message), { code }, details);
+  }
+
+  /**
+   * Revisi sebuah nilai: metadata.revision untuk objek ber-metadata, selain itu hash isi
+   */
+  static revisionOf(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.metadata) {
+      return Number(value.metadata.revision) || 0;
+    }
+    return crypto.createHash('sha1').update(JSON.stringify(value === undefined ? null : value)).digest('hex').slice(0, 16);
+  }
+
+  resolvePath(name) {
+    if (!FILES[name]) {
+      throw new Error(`Unknown data file: ${name}`);
+    }
+    return this.paths[name] || this.operation.path(FILES[name].path);
+  }
+
+  parse(name, content) {
+    if (content === null) {
+      if (FILES[name].fallback === undefined) {
+        throw DataStore.error('ENOENT', `Data file not found: ${this.resolvePath(name)}`);
+      }
+      return JSON.parse(JSON.stringify(FILES[name].fallback));
+    }
+    return this.upgrade(name, JSON.parse(content));
+  }
+
+  /**
+   * Naikkan format lama ke versi sekarang (di memori); versi tidak dikenal → E_VERSION.
+   * Peringatan dicetak sekali per file per instance.
+   */
+  upgrade(name, value, writing = false) {
+    if (!this.migrations) {
+      this.migrations = new Migrations({ rootDir: this.rootDir, operation: this.operation });
+    }
+    const result = this.migrations.upgrade(name, value);
+    if (result.applied.length > 0 && !this.migrationWarned[name]) {
+      this.migrationWarned[name] = true;
+      console.warn(writing
+        ? `⚠️ ${FILES[name].path}: format ${result.from || '(none)'} upgraded to ${result.to} before writing`
+        : `⚠️ ${FILES[name].path}: format ${result.from || '(none)'} migrated in memory to ${result.to} (run: npm run migrate)`);
+    }
+    return result.value;
+  }
+
+  /**
+   * Baca file (tanpa lock - rename atomik menjamin isi selalu utuh)
+   */
+  read(name) {
+    let content = null;
+    try {
+      content = fs.readFileSync(this.resolvePath(name), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return this.parse(name, content);
+  }
+
+  async readAsync(name) {
+    let content = null;
+    try {
+      content = await fsp.readFile(this.resolvePath(name), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return this.parse(name, content);
+  }
+
+  /**
+   * Isi file saat ini untuk menghitung revisi berikutnya; file hilang/rusak
+   * (misalnya saat emergency restore) dianggap revisi 0
+   */
+  readCurrent(name) {
+    try {
+      return this.read(name);
+    } catch {
+      return undefined;
+    }
+  }
+
+  async readCurrentAsync(name) {
+    try {
+      return await this.readAsync(name);
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Siapkan isi yang akan ditulis; objek ber-metadata mendapat revisi berikutnya
+   */
+  serialize(value, current) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.metadata) {
+      const base = current && typeof current === 'object' && !Array.isArray(current) && current.metadata
+        ? DataStore.revisionOf(current)
+        : 0;
+      value.metadata.revision = base + 1;
+    }
+    return JSON.stringify(value, null, 2);
+  }
+
+  auditor() {
+    if (!this.auditLogger) {
+      this.auditLogger = new AuditLogger({ rootDir: this.rootDir, operation: this.operation });
+    }
+    return this.auditLogger;
+  }
+
+  /**
+   * Hitung ulang status kendaraan sebelum parkir-data.json ditulis
+   */
+  applyStatus(name, value) {
+    if (name !== 'data' || !value || !Array.isArray(value.locations)) return;
+    if (!this.statusEngine) {
+      this.statusEngine = StatusEngine.load({ rootDir: this.rootDir, operation: this.operation });
+    }
+    this.statusEngine.applyAll(value);
+  }
+
+  /**
+   * Catat perubahan sebelum file diganti; audit gagal = penulisan dibatalkan
+   */
+  audit(name, before, after, context = {}) {
+    try {
+      this.auditor().logChange({
+        ...context,
+        target: FILES[name].path,
+        before,
+        after,
+        revision: {
+          before: before === undefined ? null : DataStore.revisionOf(before),
+          after: DataStore.revisionOf(after)
+        }
+      });
+    } catch (error) {
+      throw DataStore.error('E_AUDIT', `Audit log could not be written, ${FILES[name].path} left unchanged: ${error.message}`, { file: name });
+    }
+  }
+
+  tempPath(file) {
+    return `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  }
+
+  writeAtomic(file, content) {
+    const temp = this.tempPath(file);
+    try {
+      const fd = fs.openSync(temp, 'w');
+      try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(temp, file);
+    } catch (error) {
+      fs.rmSync(temp, { force: true });
+      throw error;
+    }
+  }
+
+  async writeAtomicAsync(file, content) {
+    const temp = this.tempPath(file);
+    try {
+      const handle = await fsp.open(temp, 'w');
+      try {
+        await handle.writeFile(content);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fsp.rename(temp, file);
+    } catch (error) {
+      await fsp.rm(temp, { force: true });
+      throw error;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Locking
+  // ---------------------------------------------------------------------------
+
+  lockPath(name) {
+    return this.resolvePath(name) + '.lock';
+  }
+
+  fileLock(name) {
+    return new FileLock(this.lockPath(name), {
+      timeout: this.lockTimeout,
+      staleAge: this.staleLockAge,
+      timeoutError: () => DataStore.error('E_LOCK_TIMEOUT', `Timed out waiting for lock on ${FILES[name].path}`, { file: name })
+    });
+  }
+
+  /**
+   * Lock dianggap ditinggal jika prosesnya sudah mati (host yang sama) atau terlalu tua
+   */
+  isStale(lockFile) {
+    return new FileLock(lockFile, { staleAge: this.staleLockAge }).isStale();
+  }
+
+  /**
+   * Ambil lock untuk beberapa file (urutan tetap agar tidak deadlock); mengembalikan fungsi release
+   */
+  lock(names) {
+    OperationRegistry.assertWritable(this.operation);
+    const held = [];
+    const release = () => held.reverse().forEach(unlock => unlock());
+
+    try {
+      for (const name of [...new Set(names)].sort()) {
+        held.push(this.fileLock(name).acquire());
+      }
+    } catch (error) {
+      release();
+      throw error;
+    }
+    return release;
+  }
+
+  async lockAsync(names) {
+    OperationRegistry.assertWritable(this.operation);
+    const held = [];
+    const release = () => held.reverse().forEach(unlock => unlock());
+
+    try {
+      for (const name of [...new Set(names)].sort()) {
+        held.push(await this.fileLock(name).acquireAsync());
+      }
+    } catch (error) {
+      release();
+      throw error;
+    }
+    return release;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transaksi
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Jalankan work(tx) sambil memegang lock atas file-file yang disebut.
+   * tx.read(name) membaca isi terbaru, tx.write(name, value) menulis secara atomik.
+   * context ({ actor, action, reason }) dicatat ke audit log untuk setiap tx.write;
+   * tx.write(name, value, context) bisa menimpanya per file.
+   */
+  transaction(names, work, context = {}) {
+    const release = this.lock([].concat(names));
+    try {
+      return work({
+        read: name => this.read(name),
+        write: (name, value, writeContext = {}) => {
+          const current = this.readCurrent(name);
+          value = this.upgrade(name, value, true);
+          this.applyStatus(name, value);
+          const content = this.serialize(value, current);
+          this.audit(name, current, value, { ...context, ...writeContext });
+          this.writeAtomic(this.resolvePath(name), content);
+        }
+      });
+    } finally {
+      release();
+    }
+  }
+
+  async transactionAsync(names, work, context = {}) {
+    const release = await this.lockAsync([].concat(names));
+    try {
+      return await work({
+        read: name => this.readAsync(name),
+        write: async (name, value, writeContext = {}) => {
+          const current = await this.readCurrentAsync(name);
+          value = this.upgrade(name, value, true);
+          this.applyStatus(name, value);
+          const content = this.serialize(value, current);
+          this.audit(name, current, value, { ...context, ...writeContext });
+          await this.writeAtomicAsync(this.resolvePath(name), content);
+        }
+      });
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Tulis seluruh isi file. Dengan options.expectedRevision, penulisan ditolak
+   * jika revisi di disk berbeda (data sudah diubah proses lain sejak dibaca).
+   * options.audit berisi konteks audit ({ actor, action, reason }).
+   */
+  write(name, value, options = {}) {
+    return this.transaction(name, tx => {
+      if (options.expectedRevision !== undefined) {
+        this.checkRevision(name, tx.read(name), options.expectedRevision);
+      }
+      tx.write(name, value);
+      return DataStore.revisionOf(value);
+    }, options.audit);
+  }
+
+  async writeAsync(name, value, options = {}) {
+    return this.transactionAsync(name, async tx => {
+      if (options.expectedRevision !== undefined) {
+        this.checkRevision(name, await tx.read(name), options.expectedRevision);
+      }
+      await tx.write(name, value);
+      return DataStore.revisionOf(value);
+    }, options.audit);
+  }
+
+  checkRevision(name, current, expectedRevision) {
+    const actual = DataStore.revisionOf(current);
+    if (actual !== expectedRevision) {
+      throw DataStore.error('E_CONFLICT',
+        `${FILES[name].path} was modified by another process (expected revision ${expectedRevision}, found ${actual})`,
+        { file: name, expected: expectedRevision, actual });
+    }
+  }
+
+  /**
+   * Read-modify-write di bawah lock. mutator boleh mengubah nilai langsung
+   * atau mengembalikan nilai baru; hasil akhirnya yang dikembalikan.
+   */
+  update(name, mutator, context = {}) {
+    return this.transaction(name, tx => {
+      const current = tx.read(name);
+      const result = mutator(current);
+      const next = result === undefined ? current : result;
+      tx.write(name, next);
+      return next;
+    }, context);
+  }
+
+  async updateAsync(name, mutator, context = {}) {
+    return this.transactionAsync(name, async tx => {
+      const current = await tx.read(name);
+      const result = await mutator(current);
+      const next = result === undefined ? current : result;
+      await tx.write(name, next);
+      return next;
+    }, context);
+  }
+}
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const store = new DataStore();
+
+  if (args.includes('--status')) {
+    console.log(`🗂️ Operation: ${store.operation.id}${store.operation.archived ? ' (archived, read-only)' : ''}`);
+    Object.keys(FILES).forEach(name => {
+      const lockFile = store.lockPath(name);
+      const locked = fs.existsSync(lockFile);
+      let revision = '-';
+      try {
+        revision = DataStore.revisionOf(store.read(name));
+      } catch (error) {
+        revision = `unreadable (${error.message})`;
+      }
+
+      console.log(`📄 ${path.relative(store.rootDir, store.resolvePath(name))}`);
+      console.log(`   Revision: ${revision}`);
+      console.log(`   Lock: ${locked ? (store.isStale(lockFile) ? '⚠️ stale' : '🔒 held') : '🔓 free'}`);
+    });
+  } else if (args.includes('--clear-stale')) {
+    Object.keys(FILES).forEach(name => {
+      const lockFile = store.lockPath(name);
+      if (fs.existsSync(lockFile) && store.isStale(lockFile)) {
+        fs.rmSync(lockFile, { force: true });
+        console.log(`🧹 Removed stale lock: ${lockFile}`);
+      }
+    });
+  } else {
+    console.log(`
+Data Store
+
+Usage:
+  node scripts/data-store.js --status        Show revision and lock state
+  node scripts/data-store.js --clear-stale   Remove locks left by dead processes
+    `);
+  }
+}
+
+module.exports = DataStore;
+module.exports.FILES = FILES;
@@ -6,10 +6,23 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+const VehicleTypes = require('./vehicle-types');
+const SecretsStore = require('./secrets-store');
+const AuditLogger = require('./audit-logger');
+const Migrations = require('./migrations');
+
+// File data yang punya schema (schemas/parkir-data, schemas/pending-updates)
+const DATA_FILES = { 'parkir-data.json': 'data', 'pending-updates.json': 'pending' };
 
 class DeploymentChecker {
   constructor() {
     this.rootDir = path.join(__dirname, '..');
+    this.operation = OperationRegistry.current({ rootDir: this.rootDir });
+    this.configLoader = new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.vehicleTypes = VehicleTypes.load({ configLoader: this.configLoader });
+    this.migrations = new Migrations({ rootDir: this.rootDir, operation: this.operation, configLoader: this.configLoader });
     this.results = {
       timestamp: new Date().toISOString(),
       environment: 'unknown',
@@ -87,6 +100,7 @@ class DeploymentChecker {
     const optionalFiles = [
       'config/notifications.json',
       'config/vehicle-types.json',
+      'config/operations.json',
       'data/pending-updates.json',
       'README.md',
       'manifest.json',
@@ -254,23 +268,17 @@ class DeploymentChecker {
    * Helper: Simple glob function
    */
   glob(pattern) {
-    const baseDir = pattern.startsWith('scripts/') ? 'scripts' : '.';
-    const searchPattern = pattern.includes('*') ? pattern.split('/').pop() : pattern;
-    
-    const files = [];
-    
-    if (pattern === 'scripts/*.js') {
-      const scriptsDir = path.join(this.rootDir, 'scripts');
-      if (fs.existsSync(scriptsDir)) {
-        fs.readdirSync(scriptsDir)
-          .filter(file => file.endsWith('.js'))
-          .forEach(file => {
-            files.push(path.join(scriptsDir, file));
-          });
-      }
+    // Hanya pola "<dir>/*.<ext>" (scripts/*.js, config/*.json, data/*.json)
+    const dir = path.join(this.rootDir, path.dirname(pattern));
+    const extension = path.extname(pattern);
+    
+    if (!pattern.includes('*') || !fs.existsSync(dir)) {
+      return [];
     }
     
-    return files;
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith(extension))
+      .map(file => path.join(dir, file));
   }
 
   /**
@@ -284,9 +292,23 @@ class DeploymentChecker {
     let allJsonValid = true;
     
     jsonFiles.forEach(file => {
+      const name = path.basename(file, '.json');
+      
       try {
-        const content = fs.readFileSync(file, 'utf8');
-        JSON.parse(content);
+        // File config dibaca lewat ConfigLoader (JSONC + validasi schema)
+        if (path.dirname(file) === path.join(this.rootDir, 'config') && ConfigLoader.FILES.includes(name)) {
+          this.configLoader.load(name, { fresh: true });
+        } else if (DATA_FILES[path.basename(file)]) {
+          // Versi format harus dikenal, isi (setelah dinaikkan) harus sesuai schema
+          const kind = DATA_FILES[path.basename(file)];
+          const { value } = this.migrations.upgrade(kind, JSON.parse(fs.readFileSync(file, 'utf8')));
+          const errors = this.migrations.validate(kind, value, { vehicleTypes: this.vehicleTypes });
+          if (errors.length > 0) {
+            throw new Error(`${errors.length} schema error(s): ${errors.slice(0, 5).map(error => `${error.path} ${error.message}`).join('; ')}`);
+          }
+        } else {
+          JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
         
         this.addCheck(
           `json_validity_${path.basename(file)}`,
@@ -313,8 +335,8 @@ class DeploymentChecker {
    */
   checkDataConsistency() {
     try {
-      const dataPath = path.join(this.rootDir, 'data/parkir-data.json');
-      const configPath = path.join(this.rootDir, 'config/locations-config.json');
+      const dataPath = this.operation.path('data/parkir-data.json');
+      const configPath = this.operation.path('config/locations-config.json');
       
       if (!fs.existsSync(dataPath) || !fs.existsSync(configPath)) {
         this.addCheck('data_consistency', 'failed', 'Required files for consistency check missing');
@@ -322,7 +344,7 @@ class DeploymentChecker {
       }
       
       const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
-      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      const config = this.configLoader.load('locations-config');
       
       const issues = [];
       
@@ -331,29 +353,16 @@ class DeploymentChecker {
         issues.push(`Location count mismatch: data=${data.locations.length}, config=${config.locations.length}`);
       }
       
-      // Check statistics
-      let calculatedBus = 0;
-      let calculatedMobil = 0;
-      let calculatedMotor = 0;
+      // Check statistics (semua jenis dari config/vehicle-types.json)
+      const { available } = this.vehicleTypes.totals(data.locations);
       
-      data.locations.forEach(location => {
-        calculatedBus += location.bus?.available || 0;
-        calculatedMobil += location.mobil?.available || 0;
-        calculatedMotor += location.motor?.available || 0;
+      this.vehicleTypes.ids.forEach(type => {
+        const reported = data.statistics[VehicleTypes.availableKey(type)];
+        if (available[type] !== reported) {
+          issues.push(`${this.vehicleTypes.name(type)} statistics mismatch: calculated=${available[type]}, reported=${reported}`);
+        }
       });
       
-      if (calculatedBus !== data.statistics.total_available_bus) {
-        issues.push(`Bus statistics mismatch: calculated=${calculatedBus}, reported=${data.statistics.total_available_bus}`);
-      }
-      
-      if (calculatedMobil !== data.statistics.total_available_mobil) {
-        issues.push(`Mobil statistics mismatch: calculated=${calculatedMobil}, reported=${data.statistics.total_available_mobil}`);
-      }
-      
-      if (calculatedMotor !== data.statistics.total_available_motor) {
-        issues.push(`Motor statistics mismatch: calculated=${calculatedMotor}, reported=${data.statistics.total_available_motor}`);
-      }
-      
       if (issues.length === 0) {
         this.addCheck(
           'data_consistency',
@@ -432,6 +441,67 @@ class DeploymentChecker {
     }
   }
 
+  /**
+   * Check: Secret asli di file yang di-track git (harus lewat ${secret:NAMA})
+   */
+  checkSecrets() {
+    let files;
+    try {
+      files = execSync('git ls-files -z', { cwd: this.rootDir, encoding: 'utf8' }).split('\0').filter(Boolean);
+    } catch (error) {
+      this.addCheck('secret_scan', 'warning', `Secret scan skipped: ${error.message}`, { error: error.message });
+      return false;
+    }
+    
+    const findings = SecretsStore.scanFiles(this.rootDir, files);
+    
+    if (findings.length > 0) {
+      this.addCheck(
+        'secret_scan',
+        'failed',
+        `Secrets found in tracked files: ${findings.map(f => `${f.file}${f.line ? `:${f.line}` : ''} (${f.rule})`).join(', ')}`,
+        { files_scanned: files.length, findings: findings.length }
+      );
+      return false;
+    }
+    
+    this.addCheck(
+      'secret_scan',
+      'passed',
+      `No secrets found in ${files.length} tracked files`,
+      { files_scanned: files.length }
+    );
+    return true;
+  }
+
+  /**
+   * Check: Rantai hash audit log utuh (tidak ada entri yang diubah/dihapus)
+   */
+  checkAuditLog() {
+    const result = new AuditLogger({ rootDir: this.rootDir, operation: this.operation }).verifyAll();
+    const broken = result.chains.find(chain => !chain.valid);
+    
+    if (broken) {
+      const link = broken.first_break;
+      this.addCheck(
+        'audit_log',
+        'failed',
+        `Audit log tampered (chain ${broken.chain}): ${link.file}${link.line ? `:${link.line}` : ''} - ${link.reason}`,
+        result
+      );
+      return false;
+    }
+    
+    const total = key => result.chains.reduce((sum, chain) => sum + (key ? chain.checkpoints[key] : chain.entries), 0);
+    this.addCheck(
+      'audit_log',
+      'passed',
+      `Audit chain intact (${result.chains.length} chain(s), ${total()} entries, ${total('verified')}/${total('total')} checkpoints verified)`,
+      result
+    );
+    return true;
+  }
+
   /**
    * Check: Dependencies
    */
@@ -550,6 +620,8 @@ class DeploymentChecker {
     this.checkJsonValidity();
     this.checkDataConsistency();
     this.checkGitStatus();
+    this.checkSecrets();
+    this.checkAuditLog();
     this.checkDependencies();
     this.checkGitHubPages();
     
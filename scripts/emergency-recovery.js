@@ -6,13 +6,27 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const DataStore = require('./data-store');
+const OccupancyLog = require('./occupancy-log');
+const CapacitySchedule = require('./capacity-schedule');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+const VehicleTypes = require('./vehicle-types');
+const Migrations = require('./migrations');
+const MaintenanceMode = require('./maintenance-mode');
 
 class EmergencyRecovery {
-  constructor() {
-    this.rootDir = path.join(__dirname, '..');
-    this.dataFile = path.join(this.rootDir, 'data/parkir-data.json');
-    this.backupDir = path.join(this.rootDir, 'data/backups');
-    this.logDir = path.join(this.rootDir, 'data/logs');
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = OperationRegistry.current({ rootDir: this.rootDir });
+    this.dataFile = this.operation.path('data/parkir-data.json');
+    this.backupDir = this.operation.path('data/backups');
+    this.logDir = this.operation.path('data/logs');
+    this.store = new DataStore({ rootDir: this.rootDir, operation: this.operation });
+    this.vehicleTypes = VehicleTypes.load({ rootDir: this.rootDir, operation: this.operation });
+    this.eventLog = new OccupancyLog({ rootDir: this.rootDir, operation: this.operation, store: this.store, vehicleTypes: this.vehicleTypes });
+    this.configLoader = new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.maintenance = new MaintenanceMode({ rootDir: this.rootDir, operation: this.operation, configLoader: this.configLoader });
     
     // Ensure directories exist
     [this.backupDir, this.logDir].forEach(dir => {
@@ -137,9 +151,14 @@ class EmergencyRecovery {
   }
 
   /**
-   * Restore dari backup
+   * Restore dari backup (dalam mode pemeliharaan)
    */
   async restoreFromBackup(backupPath) {
+    const reason = `Emergency restore from ${path.relative(this.rootDir, backupPath)}`;
+    return this.maintenance.during(reason, () => this.applyBackup(backupPath));
+  }
+
+  async applyBackup(backupPath) {
     console.log(`🔄 Restoring from backup: ${backupPath}`);
     
     // Backup file saat ini terlebih dahulu
@@ -159,8 +178,9 @@ class EmergencyRecovery {
       backupData = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
     }
     
-    // Pastikan kita memiliki data yang benar
-    const dataToRestore = backupData.data || backupData;
+    // Pastikan kita memiliki data yang benar. Backup format lama dinaikkan
+    // ke format sekarang; versi tidak dikenal ditolak (E_VERSION)
+    const dataToRestore = this.store.upgrade('data', backupData.data || backupData, true);
     
     // Update metadata
     dataToRestore.metadata = {
@@ -171,8 +191,11 @@ class EmergencyRecovery {
       recovery_type: 'emergency'
     };
     
-    // Tulis data yang dipulihkan
-    fs.writeFileSync(this.dataFile, JSON.stringify(dataToRestore, null, 2));
+    // Tulis data yang dipulihkan (menimpa apa pun yang ada, tapi tetap di bawah lock)
+    // dan catat sebagai baseline baru di log okupansi
+    this.eventLog.writeBaseline(dataToRestore, 'emergency-restore', {
+      audit: { reason: `Emergency restore from ${path.relative(this.rootDir, backupPath)}` }
+    });
     
     console.log('✅ Data restored successfully');
     
@@ -196,67 +219,44 @@ class EmergencyRecovery {
   createEmergencyData() {
     console.log('🚨 Creating emergency data structure...');
     
+    // Kapasitas per jenis kendaraan; status dihitung DataStore saat ditulis
+    const now = new Date().toISOString();
+    const vehicles = (capacity, updatedBy) => this.vehicleTypes.map(type => ({
+      total: capacity[type] || 0,
+      available: capacity[type] || 0,
+      last_update: now,
+      updated_by: updatedBy
+    }));
+    
     const emergencyData = {
       metadata: {
         last_updated: new Date().toISOString(),
         updated_by: 'emergency-recovery.js',
-        version: 'emergency-1.0',
+        version: Migrations.DATA_VERSION,
         total_locations: 15,
-        operation_name: 'Ops Ketupat Progo 2026',
-        operation_period: '20-26 April 2026',
+        operation_id: this.operation.id,
+        operation_name: this.operation.short_name || this.operation.name,
+        operation_period: this.operation.period || null,
+        vehicle_types: [...this.vehicleTypes.ids],
         emergency_created: true
       },
-      statistics: {
-        total_bus_capacity: 454,
-        total_mobil_capacity: 1690,
-        total_motor_capacity: 1682,
-        total_available_bus: 454,
-        total_available_mobil: 1690,
-        total_available_motor: 1682,
-        utilization_percent: {
-          bus: "0.0",
-          mobil: "0.0",
-          motor: "0.0",
-          overall: "0.0"
-        },
-        update_count_today: 0,
-        last_processed: new Date().toISOString(),
-        emergency_mode: true
-      },
+      statistics: {},
       locations: []
     };
     
     // Tambahkan lokasi dasar
-    const locationsConfig = path.join(this.rootDir, 'config/locations-config.json');
+    const locationsConfig = this.operation.path('config/locations-config.json');
     if (fs.existsSync(locationsConfig)) {
       try {
-        const config = JSON.parse(fs.readFileSync(locationsConfig, 'utf8'));
+        // Tanpa validasi: data darurat tetap dibuat meski config bermasalah
+        const config = this.configLoader.load('locations-config', { validate: false });
         config.locations.forEach(loc => {
+          const { capacity } = CapacitySchedule.resolve(loc);
           emergencyData.locations.push({
             id: loc.id,
             nama: loc.name,
             alamat: loc.address,
-            bus: {
-              total: loc.capacity.bus.total,
-              available: loc.capacity.bus.total,
-              last_update: new Date().toISOString(),
-              updated_by: 'emergency-recovery',
-              status: 'empty'
-            },
-            mobil: {
-              total: loc.capacity.mobil.total,
-              available: loc.capacity.mobil.total,
-              last_update: new Date().toISOString(),
-              updated_by: 'emergency-recovery',
-              status: 'empty'
-            },
-            motor: {
-              total: loc.capacity.motor.total,
-              available: loc.capacity.motor.total,
-              last_update: new Date().toISOString(),
-              updated_by: 'emergency-recovery',
-              status: 'empty'
-            },
+            ...vehicles(capacity, 'emergency-recovery'),
             koordinat: loc.coordinates,
             status: loc.status,
             petugas: `P${loc.id.toString().padStart(3, '0')}${loc.code.substring(0, 3)}`,
@@ -277,9 +277,7 @@ class EmergencyRecovery {
           id: 1,
           nama: "SENOPATI",
           alamat: "JL P. SENOPATI",
-          bus: { total: 62, available: 62, last_update: new Date().toISOString(), updated_by: 'emergency', status: 'empty' },
-          mobil: { total: 200, available: 200, last_update: new Date().toISOString(), updated_by: 'emergency', status: 'empty' },
-          motor: { total: 0, available: 0, last_update: new Date().toISOString(), updated_by: 'emergency', status: 'not_available' },
+          ...vehicles({ bus: 62, mobil: 200 }, 'emergency'),
           koordinat: "-7.8017074,110.3681792",
           status: "open",
           petugas: "P001SEN",
@@ -290,6 +288,14 @@ class EmergencyRecovery {
       ];
     }
     
+    emergencyData.statistics = {
+      ...this.calculateStatistics(emergencyData.locations),
+      utilization_percent: { ...this.vehicleTypes.map("0.0"), overall: "0.0" },
+      update_count_today: 0,
+      last_processed: now,
+      emergency_mode: true
+    };
+    
     // Backup data saat ini jika ada
     if (fs.existsSync(this.dataFile)) {
       const backupFile = path.join(this.backupDir, `pre-emergency-${Date.now()}.json`);
@@ -298,7 +304,9 @@ class EmergencyRecovery {
     }
     
     // Tulis data darurat
-    fs.writeFileSync(this.dataFile, JSON.stringify(emergencyData, null, 2));
+    this.eventLog.writeBaseline(emergencyData, 'emergency-data', {
+      audit: { reason: 'Data file missing or corrupt, emergency data generated from config' }
+    });
     
     console.log('✅ Emergency data created');
     
@@ -326,24 +334,24 @@ class EmergencyRecovery {
     }
     
     try {
-      const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+      const data = this.store.read('data');
+      const revision = DataStore.revisionOf(data);
       
       // Backup data saat ini
       const backupFile = path.join(this.backupDir, `pre-reset-${Date.now()}.json`);
       fs.writeFileSync(backupFile, JSON.stringify(data, null, 2));
       console.log(`📁 Data backed up to: ${backupFile}`);
       
-      // Reset setiap lokasi ke kapasitas penuh
+      // Reset setiap lokasi ke kapasitas penuh (status dihitung ulang DataStore saat ditulis)
       let resetCount = 0;
       data.locations.forEach(location => {
-        ['bus', 'mobil', 'motor'].forEach(vehicleType => {
+        this.vehicleTypes.ids.forEach(vehicleType => {
           if (location[vehicleType]) {
             const total = location[vehicleType].total || 0;
             if (total > 0) {
               location[vehicleType].available = total;
               location[vehicleType].last_update = new Date().toISOString();
               location[vehicleType].updated_by = 'emergency-reset';
-              location[vehicleType].status = 'empty';
               resetCount++;
             }
           }
@@ -368,7 +376,10 @@ class EmergencyRecovery {
       };
       
       // Simpan data
-      fs.writeFileSync(this.dataFile, JSON.stringify(data, null, 2));
+      this.eventLog.writeBaseline(data, 'emergency-reset', {
+        expectedRevision: revision,
+        audit: { reason: `Reset ${resetCount} vehicle capacities to full` }
+      });
       
       console.log(`✅ Reset ${resetCount} vehicle capacities`);
       
@@ -397,26 +408,7 @@ class EmergencyRecovery {
    * Hitung statistik
    */
   calculateStatistics(locations) {
-    let stats = {
-      total_bus_capacity: 0,
-      total_mobil_capacity: 0,
-      total_motor_capacity: 0,
-      total_available_bus: 0,
-      total_available_mobil: 0,
-      total_available_motor: 0
-    };
-
-    locations.forEach(location => {
-      stats.total_bus_capacity += location.bus?.total || 0;
-      stats.total_mobil_capacity += location.mobil?.total || 0;
-      stats.total_motor_capacity += location.motor?.total || 0;
-      
-      stats.total_available_bus += location.bus?.available || 0;
-      stats.total_available_mobil += location.mobil?.available || 0;
-      stats.total_available_motor += location.motor?.available || 0;
-    });
-
-    return stats;
+    return this.vehicleTypes.statistics(locations);
   }
 
   /**
@@ -426,8 +418,16 @@ class EmergencyRecovery {
     console.log('🌐 Attempting recovery from GitHub...');
     
     try {
-      // Coba pull dari GitHub
+      // Coba pull dari GitHub; perubahan data dari pull tetap dicatat di audit log
+      const before = this.store.readCurrent('data');
       execSync('git pull', { cwd: this.rootDir, stdio: 'pipe' });
+      this.store.auditor().logChange({
+        action: 'git-pull-recovery',
+        target: 'data/parkir-data.json',
+        before,
+        after: this.store.readCurrent('data'),
+        reason: 'Emergency recovery from remote repository'
+      });
       console.log('✅ Successfully pulled from GitHub');
       
       // Cek apakah data file sekarang valid
@@ -475,6 +475,14 @@ class EmergencyRecovery {
       };
     }
     
+    // Sistem read-only sampai pemulihan selesai
+    return this.maintenance.during(`Automatic recovery: ${dataStatus.error}`, () => this.recover());
+  }
+
+  /**
+   * Langkah pemulihan: backup, GitHub, reset kapasitas, lalu data darurat
+   */
+  async recover() {
     // Langkah 2: Coba restore dari backup terbaru
     console.log('\n1. Looking for latest backup...');
     const latestBackup = this.getLatestBackup();
@@ -570,11 +578,11 @@ class EmergencyRecovery {
     }
     
     if (args.includes('--reset')) {
-      return this.resetToFullCapacity();
+      return this.maintenance.during('Reset to full capacity', () => this.resetToFullCapacity());
     }
     
     if (args.includes('--emergency')) {
-      return this.createEmergencyData();
+      return this.maintenance.during('Create emergency data', () => this.createEmergencyData());
     }
     
     if (args.includes('--restore')) {
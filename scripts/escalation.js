@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+/**
+ * Eskalasi alert critical yang belum dikonfirmasi (escalation di config/notifications.json)
+ *
+ * Kebijakan dipilih dari jenis alert (AlertState.familyOf): kapasitas (utilization,
+ * stale_update, ...) atau system_error dari health-check.js. Setiap langkah punya
+ * after_minutes sejak alert menjadi critical dan penerima:
+ *   location_officer - petugas lokasi (Web Push ke perangkatnya, WhatsApp jika ada phone)
+ *   <role>           - kontak jaga dengan role tersebut (primary, technical, ...)
+ * Kontak jaga dibaca dari escalation.on_call (per hari operasi dan jam); di luar
+ * jadwal dipakai emergency_contacts dengan role yang sama. Konfirmasi (ack) atau
+ * alert selesai menghentikan eskalasi. Eskalasi berjalan di host API (alert-monitor.js),
+ * tempat ack disimpan, sehingga pesan menunjuk ke API atau CLI di host tersebut.
+ *
+ * Setiap pemberitahuan dicatat ke data/logs/escalations.log (siapa, kapan, lewat apa).
+ *
+ *   node scripts/escalation.js              # proses eskalasi yang jatuh tempo
+ *   node scripts/escalation.js --on-call [--at=<ISO>]
+ *   node scripts/escalation.js --report [--date=YYYY-MM-DD]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+const TimeWindow = require('./time-window');
+const AlertState = require('./alert-state');
+const NotificationChannels = require('./notification-channels');
+const PushNotifier = require('./push-notifier');
+const OfficerAuth = require('./officer-auth');
+
+const LOCATION_OFFICER = 'location_officer';
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULTS = {
+  enabled: false,
+  channels: ['whatsapp'],
+  policies: {},
+  on_call: []
+};
+
+const TEMPLATE = {
+  title: '📟 ESKALASI ALERT',
+  message: '{alert} belum dikonfirmasi selama {minutes} menit (level {level}). Konfirmasi: POST /api/alerts/{id}/ack (token petugas) atau di host API: node scripts/alert-state.js --ack={id} --by=<nama>'
+};
+
+// Field kontak yang dipakai tiap channel
+const CONTACT_FIELDS = {
+  whatsapp: ['phone', 'recipients'],
+  email: ['email', 'recipients'],
+  telegram: ['telegram_chat_id', 'chat_id']
+};
+
+class Escalation {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.configLoader = options.configLoader || new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.config = options.config || this.configLoader.load('notifications', { defaults: {} });
+    this.settings = { ...DEFAULTS, ...(this.config.escalation || {}) };
+    this.alertState = options.alertState || new AlertState({ rootDir: this.rootDir, operation: this.operation, config: this.config });
+    this.channels = options.channels || new NotificationChannels({ config: this.config });
+    this.push = options.push || null;
+    this.auth = options.auth || null;
+    this.timeWindow = options.timeWindow || TimeWindow.fromSettings(this.rootDir);
+    this.logDir = this.operation.path('data/logs');
+    this.now = options.now || (() => Date.now());
+  }
+
+  pushNotifier() {
+    if (!this.push) {
+      this.push = new PushNotifier({ rootDir: this.rootDir, operation: this.operation, configLoader: this.configLoader, config: this.config });
+    }
+    return this.push;
+  }
+
+  officerAuth() {
+    if (!this.auth) {
+      this.auth = new OfficerAuth({ rootDir: this.rootDir, operation: this.operation, configLoader: this.configLoader });
+    }
+    return this.auth;
+  }
+
+  /**
+   * [nama, kebijakan] untuk jenis alert, atau null jika tidak ada yang cocok
+   */
+  policyFor(record) {
+    const family = AlertState.familyOf(record.type);
+    return Object.entries(this.settings.policies)
+      .find(([name, policy]) => (policy.alert_types || []).includes(family)) || null;
+  }
+
+  /**
+   * Hari operasi (YYYY-MM-DD) dari start_date..end_date; null = setiap hari
+   */
+  operationDays() {
+    const { start_date: start, end_date: end } = this.operation;
+    if (!start || !end) return null;
+
+    const days = [];
+    for (let day = Date.parse(`${start}T00:00:00Z`); day <= Date.parse(`${end}T00:00:00Z`); day += DAY) {
+      days.push(new Date(day).toISOString().slice(0, 10));
+    }
+    return days;
+  }
+
+  /**
+   * Apakah entri jadwal jaga berlaku pada waktu `at`. Jam yang melewati tengah malam
+   * ("22:00-06:00") ikut tanggal saat jaga dimulai.
+   */
+  onShift(entry, at) {
+    const { date, minutes } = this.timeWindow.localTime(at);
+    const window = TimeWindow.parse(entry.hours);
+    let shiftDate = date;
+
+    if (window) {
+      if (!TimeWindow.position(window, minutes).open) return false;
+      if (window.end < window.start && minutes < window.end) {
+        shiftDate = new Date(Date.parse(`${date}T00:00:00Z`) - DAY).toISOString().slice(0, 10);
+      }
+    }
+
+    const days = entry.dates || this.operationDays();
+    return !days || days.includes(shiftDate);
+  }
+
+  /**
+   * Kontak yang dihubungi untuk sebuah role pada waktu `at`
+   */
+  contactsFor(role, at = new Date(this.now())) {
+    const contacts = this.config.emergency_contacts || [];
+    const onCall = this.settings.on_call
+      .filter(entry => entry.role === role && this.onShift(entry, at))
+      .map(entry => {
+        const listed = entry.contact ? contacts.find(contact => contact.name === entry.contact) : null;
+        return { role, ...listed, ...entry, name: listed?.name || entry.name, on_call: true };
+      })
+      .filter(contact => contact.name);
+
+    return onCall.length > 0 ? onCall : contacts.filter(contact => contact.role === role);
+  }
+
+  /**
+   * Petugas aktif yang bertugas di lokasi alert
+   */
+  officersFor(record) {
+    if (record.location_id === null || record.location_id === undefined) return [];
+
+    const auth = this.officerAuth();
+    return (auth.loadOfficers().officers || [])
+      .filter(officer => officer.active !== false &&
+        auth.getOfficerLocations(officer).some(location => location.id === Number(record.location_id)));
+  }
+
+  describe(record) {
+    const alert = record.alert || {};
+    if (alert.message) return alert.message;
+
+    return [
+      alert.location || record.key,
+      alert.vehicle && `(${alert.vehicle})`,
+      alert.utilization && `${alert.utilization}%`,
+      alert.hours_since_update && `${alert.hours_since_update} jam tanpa update`
+    ].filter(Boolean).join(' ');
+  }
+
+  buildMessage(record, level, minutes) {
+    const template = (this.config.alert_templates || {}).escalation || TEMPLATE;
+    return {
+      title: `${template.title} - ${this.operation.short_name || this.operation.name}`,
+      text: PushNotifier.format(template.message, {
+        alert: this.describe(record),
+        type: record.type,
+        minutes,
+        level: level + 1,
+        id: record.id
+      })
+    };
+  }
+
+  /**
+   * Sejak kapan alert critical (dibuka sebagai critical, atau naik ke critical)
+   */
+  static criticalSince(record) {
+    return Date.parse(record.escalated_at || record.opened_at);
+  }
+
+  /**
+   * Ambil langkah yang jatuh tempo di bawah lock agar dua proses tidak mengirim ganda
+   */
+  async claimDue() {
+    const nowMs = this.now();
+
+    return this.alertState.update(store => {
+      const due = [];
+
+      store.alerts.forEach(record => {
+        if (record.severity !== 'critical' || !['open', 'escalated'].includes(record.state)) return;
+
+        const match = this.policyFor(record);
+        if (!match) return;
+
+        const [policyName, policy] = match;
+        const minutes = Math.floor((nowMs - Escalation.criticalSince(record)) / 60000);
+        const reached = record.escalation?.level ?? -1;
+        const steps = (policy.steps || [])
+          .map((step, level) => ({ ...step, level }))
+          .filter(step => step.level > reached && (step.after_minutes || 0) <= minutes);
+        if (steps.length === 0) return;
+
+        record.escalation = {
+          policy: policyName,
+          level: steps[steps.length - 1].level,
+          notified: record.escalation?.notified || []
+        };
+        steps.forEach(step => due.push({ record: { ...record }, step, minutes }));
+      });
+
+      return due;
+    });
+  }
+
+  /**
+   * Kirim satu langkah ke penerimanya; mengembalikan entri log per penerima/channel
+   */
+  async notifyStep({ record, step, minutes }) {
+    const message = this.buildMessage(record, step.level, minutes);
+    const at = new Date(this.now()).toISOString();
+    const base = { timestamp: at, alert_id: record.id, key: record.key, policy: record.escalation.policy, level: step.level + 1, target: step.notify };
+    const entries = [];
+
+    if (step.notify === LOCATION_OFFICER) {
+      const officers = this.officersFor(record);
+      const push = this.pushNotifier();
+
+      for (const officer of officers) {
+        if (push.enabled()) {
+          const subscriptions = push.store.list({ audience: 'officer', officer_id: officer.id });
+          if (subscriptions.length > 0) {
+            const result = await push.sendTo(subscriptions, { ...message, tag: `escalation-${record.id}`, url: '/admin-petugas.html' }, { urgency: 'high' });
+            entries.push({ ...base, contact: officer.name, officer_id: officer.id, channel: 'push', success: result.sent > 0, sent: result.sent });
+          }
+        }
+        if (officer.phone) {
+          const delivery = await this.channels.deliver('whatsapp', message, { recipients: [officer.phone] });
+          entries.push({ ...base, contact: officer.name, officer_id: officer.id, ...this.entryOf(delivery) });
+        }
+      }
+
+      if (entries.length === 0) {
+        entries.push({ ...base, success: false, skipped: officers.length > 0 ? 'officer has no push subscription or phone' : 'no officer for location' });
+      }
+      return entries;
+    }
+
+    const contacts = this.contactsFor(step.notify, new Date(this.now()));
+    for (const contact of contacts) {
+      for (const channel of this.settings.channels) {
+        const [field, override] = CONTACT_FIELDS[channel] || [];
+        if (!field || !contact[field]) continue;
+
+        const delivery = await this.channels.deliver(channel, message, { [override]: channel === 'telegram' ? contact[field] : [contact[field]] });
+        entries.push({ ...base, contact: contact.name, role: contact.role, on_call: Boolean(contact.on_call), ...this.entryOf(delivery) });
+      }
+    }
+
+    if (entries.length === 0) {
+      entries.push({ ...base, success: false, skipped: contacts.length > 0 ? 'contact has no address for escalation.channels' : `no contact for role ${step.notify}` });
+    }
+    return entries;
+  }
+
+  entryOf(delivery) {
+    return {
+      channel: delivery.channel,
+      success: delivery.success,
+      attempts: delivery.attempts,
+      ...(delivery.error && { error: delivery.error })
+    };
+  }
+
+  logEntries(entries) {
+    if (entries.length === 0) return;
+
+    fs.mkdirSync(this.logDir, { recursive: true });
+    fs.appendFileSync(path.join(this.logDir, 'escalations.log'), entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+  }
+
+  /**
+   * Proses semua alert yang jatuh tempo; tidak pernah throw ke pemanggil (monitor/health check)
+   */
+  async run() {
+    if (!this.settings.enabled) {
+      return { escalated: 0, entries: [], skipped: 'escalation.enabled is false' };
+    }
+
+    let due;
+    try {
+      due = await this.claimDue();
+    } catch (error) {
+      console.warn(`⚠️ Escalation skipped: ${error.message}`);
+      return { escalated: 0, entries: [], skipped: error.message };
+    }
+
+    const entries = [];
+    for (const item of due) {
+      const stepEntries = await this.notifyStep(item);
+      entries.push(...stepEntries);
+
+      const who = stepEntries.map(entry => entry.contact || entry.skipped).filter(Boolean).join(', ');
+      console.log(`📟 Escalation ${item.record.id} level ${item.step.level + 1} (${item.step.notify}): ${who}`);
+    }
+    this.logEntries(entries);
+
+    // Catat ringkasan di alert agar terlihat di --list dan GET /api/alerts
+    if (due.length > 0) {
+      await this.alertState.update(store => {
+        entries.forEach(entry => {
+          const record = store.alerts.find(candidate => candidate.id === entry.alert_id);
+          if (!record?.escalation) return;
+          record.escalation.notified = [...record.escalation.notified, {
+            at: entry.timestamp,
+            level: entry.level,
+            target: entry.target,
+            contact: entry.contact || null,
+            channel: entry.channel || null,
+            success: entry.success
+          }].slice(-20);
+        });
+      }).catch(error => console.warn(`⚠️ Escalation not recorded on alert: ${error.message}`));
+    }
+
+    return { escalated: due.length, entries };
+  }
+
+  /**
+   * Entri escalations.log, opsional untuk satu tanggal (YYYY-MM-DD, UTC)
+   */
+  report(options = {}) {
+    const logFile = path.join(this.logDir, 'escalations.log');
+    if (!fs.existsSync(logFile)) return [];
+
+    return fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(entry => !options.date || entry.timestamp.startsWith(options.date));
+  }
+}
+
+Escalation.LOCATION_OFFICER = LOCATION_OFFICER;
+Escalation.DEFAULTS = DEFAULTS;
+
+module.exports = Escalation;
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  const escalation = new Escalation({ operation: OperationRegistry.current({ operation: OperationRegistry.requested() }) });
+
+  if (args.includes('--on-call')) {
+    const at = option('at') ? new Date(option('at')) : new Date();
+    const roles = [...new Set([
+      ...(escalation.config.emergency_contacts || []).map(contact => contact.role),
+      ...escalation.settings.on_call.map(entry => entry.role)
+    ])].filter(Boolean);
+
+    console.log(`📟 On call at ${at.toISOString()} (${escalation.operation.id})\n`);
+    roles.forEach(role => {
+      const contacts = escalation.contactsFor(role, at);
+      console.log(`${role.padEnd(12)} ${contacts.map(contact => `${contact.name}${contact.on_call ? '' : ' (emergency contact)'}`).join(', ') || '-'}`);
+    });
+  } else if (args.includes('--report')) {
+    const entries = escalation.report({ date: option('date') });
+    console.log(`📟 Escalation report (${escalation.operation.id}${option('date') ? `, ${option('date')}` : ''}): ${entries.length} notification(s)\n`);
+    entries.forEach(entry => {
+      const result = entry.skipped ? `⏭️ ${entry.skipped}` : `${entry.success ? '✅' : '❌'} ${entry.channel}${entry.error ? ` (${entry.error})` : ''}`;
+      console.log(`${entry.timestamp} ${entry.alert_id} L${entry.level} ${entry.target.padEnd(16)} ${(entry.contact || '-').padEnd(22)} ${result}`);
+    });
+  } else {
+    escalation.run().then(result => {
+      console.log(result.skipped ? `ℹ️ ${result.skipped}` : `📟 ${result.escalated} escalation step(s) processed`);
+    });
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Lock file bersama untuk semua penyimpanan JSON (DataStore, alert-state,
+ * push-subscriptions, audit log)
+ *
+ * Lock dibuat dengan flag 'wx' dan berisi { pid, host, token, acquired_at }.
+ * Lock dianggap ditinggal jika prosesnya sudah mati (host yang sama) atau, untuk
+ * pemegang di host lain, lebih tua dari staleAge. Melepas dan mengambil alih lock selalu memeriksa isinya,
+ * sehingga pemegang lama yang lock-nya sudah diambil alih tidak menghapus lock
+ * pemegang baru.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_TIMEOUT = 10000; // 10 detik menunggu lock
+const DEFAULT_STALE = 60000;   // lock lebih tua dari 1 menit dianggap ditinggal
+const RETRY_DELAY = 50;
+
+class FileLock {
+  constructor(lockFile, options = {}) {
+    this.lockFile = lockFile;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.staleAge = options.staleAge || DEFAULT_STALE;
+    this.timeoutError = options.timeoutError ||
+      (() => Object.assign(new Error(`Timed out waiting for lock ${path.basename(lockFile)}`), { code: 'E_LOCK_TIMEOUT' }));
+  }
+
+  readOwner() {
+    try {
+      return fs.readFileSync(this.lockFile, 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Lock di host yang sama ditinggal hanya jika prosesnya sudah mati (proses yang masih
+   * hidup tetap memegang lock selama apa pun); umur lock hanya dipakai untuk host lain
+   */
+  isStale() {
+    try {
+      const owner = JSON.parse(fs.readFileSync(this.lockFile, 'utf8'));
+      if (owner.host === os.hostname()) {
+        if (owner.pid === process.pid) return false;
+        try {
+          process.kill(owner.pid, 0);
+          return false;
+        } catch (error) {
+          // EPERM: proses ada tetapi milik user lain
+          return error.code === 'ESRCH';
+        }
+      }
+      return Date.now() - new Date(owner.acquired_at).getTime() > this.staleAge;
+    } catch {
+      // Lock kosong/rusak (proses mati saat menulis lock): pakai umur file
+      try {
+        return Date.now() - fs.statSync(this.lockFile).mtimeMs > this.staleAge;
+      } catch {
+        return true;
+      }
+    }
+  }
+
+  /**
+   * Satu percobaan mengambil lock; mengembalikan token atau null jika sedang dipegang
+   */
+  tryAcquire() {
+    const token = crypto.randomBytes(8).toString('hex');
+    const owner = JSON.stringify({ pid: process.pid, host: os.hostname(), token, acquired_at: new Date().toISOString() });
+
+    fs.mkdirSync(path.dirname(this.lockFile), { recursive: true });
+    try {
+      fs.writeFileSync(this.lockFile, owner, { flag: 'wx' });
+      return token;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const stale = this.readOwner();
+    if (this.isStale()) {
+      // Hapus hanya jika lock belum diambil alih proses lain sejak diperiksa
+      if (this.readOwner() === stale) {
+        fs.rmSync(this.lockFile, { force: true });
+      }
+      return this.tryAcquire();
+    }
+    return null;
+  }
+
+  /**
+   * Lepas lock hanya jika masih milik token ini
+   */
+  release(token) {
+    try {
+      const owner = JSON.parse(fs.readFileSync(this.lockFile, 'utf8'));
+      if (owner.token === token) {
+        fs.rmSync(this.lockFile, { force: true });
+      }
+    } catch {
+      // Lock sudah hilang (misalnya dihapus sebagai stale)
+    }
+  }
+
+  /**
+   * Tunggu lock (blocking); mengembalikan fungsi release
+   */
+  acquire() {
+    const deadline = Date.now() + this.timeout;
+    let token;
+    while (!(token = this.tryAcquire())) {
+      if (Date.now() > deadline) throw this.timeoutError();
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, RETRY_DELAY);
+    }
+    return () => this.release(token);
+  }
+
+  async acquireAsync() {
+    const deadline = Date.now() + this.timeout;
+    let token;
+    while (!(token = this.tryAcquire())) {
+      if (Date.now() > deadline) throw this.timeoutError();
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
+    }
+    return () => this.release(token);
+  }
+}
+
+module.exports = FileLock;
@@ -6,13 +6,21 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const DataStore = require('./data-store');
+const CapacitySchedule = require('./capacity-schedule');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+const VehicleTypes = require('./vehicle-types');
 
 class StatisticsFixer {
   constructor() {
     this.rootDir = path.join(__dirname, '..');
-    this.dataFile = path.join(this.rootDir, 'data/parkir-data.json');
-    this.configFile = path.join(this.rootDir, 'config/locations-config.json');
-    this.backupDir = path.join(this.rootDir, 'data/backups');
+    this.operation = OperationRegistry.current({ rootDir: this.rootDir });
+    this.dataFile = this.operation.path('data/parkir-data.json');
+    this.configLoader = new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.vehicleTypes = VehicleTypes.load({ configLoader: this.configLoader });
+    this.backupDir = this.operation.path('data/backups');
+    this.store = new DataStore({ rootDir: this.rootDir, operation: this.operation });
     
     // Ensure backup directory exists
     if (!fs.existsSync(this.backupDir)) {
@@ -40,76 +48,50 @@ class StatisticsFixer {
    * Hitung ulang statistik dari data lokasi
    */
   calculateStatistics(locations) {
-    let stats = {
-      total_bus_capacity: 0,
-      total_mobil_capacity: 0,
-      total_motor_capacity: 0,
-      total_available_bus: 0,
-      total_available_mobil: 0,
-      total_available_motor: 0
-    };
-
-    locations.forEach(location => {
-      stats.total_bus_capacity += location.bus?.total || 0;
-      stats.total_mobil_capacity += location.mobil?.total || 0;
-      stats.total_motor_capacity += location.motor?.total || 0;
-      
-      stats.total_available_bus += location.bus?.available || 0;
-      stats.total_available_mobil += location.mobil?.available || 0;
-      stats.total_available_motor += location.motor?.available || 0;
-    });
-
-    return stats;
+    return this.vehicleTypes.statistics(locations);
   }
 
   /**
    * Periksa konsistensi antara config dan data
    */
-  checkConsistency(data, config) {
+  checkConsistency(data, config, at = new Date()) {
     const issues = [];
     
-    // Map config locations by code
+    // Map config locations by id (kunci kanonik lokasi)
     const configMap = {};
     config.locations.forEach(loc => {
-      configMap[loc.code] = loc;
+      configMap[loc.id] = loc;
     });
 
     // Check each data location
     data.locations.forEach((dataLoc, index) => {
-      const configLoc = configMap[dataLoc.nama];
+      const configLoc = configMap[dataLoc.id];
       if (!configLoc) {
         issues.push(`Location ${dataLoc.nama} not found in config`);
         return;
       }
 
-      // Check capacities
-      if (dataLoc.bus.total !== configLoc.capacity.bus.total) {
-        issues.push(`${dataLoc.nama}: Bus capacity mismatch (data: ${dataLoc.bus.total}, config: ${configLoc.capacity.bus.total})`);
-      }
-      
-      if (dataLoc.mobil.total !== configLoc.capacity.mobil.total) {
-        issues.push(`${dataLoc.nama}: Mobil capacity mismatch (data: ${dataLoc.mobil.total}, config: ${configLoc.capacity.mobil.total})`);
-      }
-      
-      if (dataLoc.motor.total !== configLoc.capacity.motor.total) {
-        issues.push(`${dataLoc.nama}: Motor capacity mismatch (data: ${dataLoc.motor.total}, config: ${configLoc.capacity.motor.total})`);
-      }
-
-      // Check available doesn't exceed total
-      if (dataLoc.bus.available > dataLoc.bus.total) {
-        issues.push(`${dataLoc.nama}: Bus available (${dataLoc.bus.available}) exceeds total (${dataLoc.bus.total})`);
-        dataLoc.bus.available = dataLoc.bus.total;
-      }
-      
-      if (dataLoc.mobil.available > dataLoc.mobil.total) {
-        issues.push(`${dataLoc.nama}: Mobil available (${dataLoc.mobil.available}) exceeds total (${dataLoc.mobil.total})`);
-        dataLoc.mobil.available = dataLoc.mobil.total;
-      }
-      
-      if (dataLoc.motor.available > dataLoc.motor.total) {
-        issues.push(`${dataLoc.nama}: Motor available (${dataLoc.motor.available}) exceeds total (${dataLoc.motor.total})`);
-        dataLoc.motor.available = dataLoc.motor.total;
-      }
+      // Check capacities terhadap kapasitas efektif (capacity_schedule ikut diperhitungkan)
+      const { capacity } = CapacitySchedule.resolve(configLoc, at);
+      this.vehicleTypes.ids.forEach(type => {
+        const vehicle = dataLoc[type];
+        const name = this.vehicleTypes.name(type);
+        
+        if (!vehicle) {
+          issues.push(`${dataLoc.nama}: ${name} data missing (run node scripts/vehicle-types.js --migrate)`);
+          return;
+        }
+        
+        if (vehicle.total !== capacity[type]) {
+          issues.push(`${dataLoc.nama}: ${name} capacity mismatch (data: ${vehicle.total}, config: ${capacity[type]})`);
+        }
+        
+        // Check available doesn't exceed total
+        if (vehicle.available > vehicle.total) {
+          issues.push(`${dataLoc.nama}: ${name} available (${vehicle.available}) exceeds total (${vehicle.total})`);
+          vehicle.available = vehicle.total;
+        }
+      });
     });
 
     return { issues, data };
@@ -141,8 +123,9 @@ class StatisticsFixer {
     
     try {
       // Load data
-      const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
-      const config = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+      const data = this.store.read('data');
+      const revision = DataStore.revisionOf(data);
+      const config = this.configLoader.load('locations-config');
       
       // Create backup
       const backupFile = this.createBackup();
@@ -162,19 +145,24 @@ class StatisticsFixer {
       console.log('\n📊 Fixing main statistics...');
       const finalData = this.fixMainStatistics(fixedData);
       
-      // Save fixed data
-      fs.writeFileSync(this.dataFile, JSON.stringify(finalData, null, 2));
+      // Save fixed data (gagal dengan E_CONFLICT jika data berubah sejak dibaca)
+      this.store.write('data', finalData, {
+        expectedRevision: revision,
+        audit: {
+          action: 'fix-statistics',
+          reason: issues.length > 0 ? `Consistency fix: ${issues.join('; ')}` : 'Recalculated statistics'
+        }
+      });
       
       // Log results
       console.log('\n✅ Statistics fixed successfully!');
       console.log(`📁 Backup saved: ${backupFile}`);
-      console.log(`🚌 Bus: ${finalData.statistics.total_available_bus}/${finalData.statistics.total_bus_capacity}`);
-      console.log(`🚗 Mobil: ${finalData.statistics.total_available_mobil}/${finalData.statistics.total_mobil_capacity}`);
-      console.log(`🏍️ Motor: ${finalData.statistics.total_available_motor}/${finalData.statistics.total_motor_capacity}`);
+      this.vehicleTypes.describeTotals(finalData.statistics).forEach(line => console.log(line));
       
       // Commit changes if in git repository
       try {
-        execSync('git add data/parkir-data.json', { cwd: this.rootDir });
+        const auditDir = path.relative(this.rootDir, this.store.auditor().logDir);
+        execSync(`git add ${path.relative(this.rootDir, this.dataFile)} ${auditDir}`, { cwd: this.rootDir });
         execSync('git commit -m "🔧 Auto-fix statistics"', { cwd: this.rootDir });
         console.log('💾 Changes committed to git');
       } catch (gitError) {
@@ -204,10 +192,10 @@ class StatisticsFixer {
     console.log('🚀 Running quick fix...');
     
     try {
-      const data = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
-      const fixedData = this.fixMainStatistics(data);
-      
-      fs.writeFileSync(this.dataFile, JSON.stringify(fixedData, null, 2));
+      this.store.update('data', data => this.fixMainStatistics(data), {
+        action: 'quick-fix-statistics',
+        reason: 'Emergency statistics recalculation'
+      });
       console.log('✅ Quick fix completed');
       
       return {
@@ -1,15 +1,32 @@
 #!/usr/bin/env node
 /**
  * Health check script untuk monitoring kesehatan sistem parkir
+ *
+ * Check yang gagal dicatat sebagai alert system_error (alert-state.js, sumber "health")
+ * dan dieskalasi ke kontak teknis sesuai kebijakan "system" (escalation.js). Alert
+ * hanya dicatat di host API (alert-monitor.js); --check-only hanya membuat laporan.
+ *
+ *   node scripts/health-check.js [--check-only]
  */
 
 const fs = require('fs');
 const path = require('path');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+const VehicleTypes = require('./vehicle-types');
+const AlertState = require('./alert-state');
+const Escalation = require('./escalation');
 const https = require('https');
 
 class SystemHealthChecker {
-  constructor() {
-    this.rootDir = path.join(__dirname, '..');
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.configLoader = options.configLoader || new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.alertState = options.alertState || null;
+    this.escalation = options.escalation || null;
+    this.checkOnly = Boolean(options.checkOnly);
+    this.vehicleTypes = VehicleTypes.load({ configLoader: this.configLoader });
     this.checks = [];
     this.results = {
       timestamp: new Date().toISOString(),
@@ -38,25 +55,28 @@ class SystemHealthChecker {
    */
   checkConfigFiles() {
     const requiredConfigs = [
-      'config/locations-config.json',
-      'config/notifications.json',
-      'config/system-settings.json',
-      'config/vehicle-types.json'
+      'locations-config',
+      'notifications',
+      'system-settings',
+      'vehicle-types'
     ];
 
     const missing = [];
     const corrupted = [];
 
-    requiredConfigs.forEach(config => {
-      const filePath = path.join(this.rootDir, config);
+    // Dibaca lewat ConfigLoader: komentar diizinkan, key yang salah disebutkan
+    requiredConfigs.forEach(name => {
+      const filePath = this.configLoader.filePath(name);
+      const config = path.relative(this.rootDir, filePath);
       
       if (!fs.existsSync(filePath)) {
         missing.push(config);
       } else {
         try {
-          JSON.parse(fs.readFileSync(filePath, 'utf8'));
+          this.configLoader.load(name, { fresh: true });
         } catch (error) {
-          corrupted.push(`${config} (${error.message})`);
+          const reasons = error.errors ? ConfigLoader.formatErrors(config, error.errors) : [`${config} (${error.message})`];
+          corrupted.push(...reasons);
         }
       }
     });
@@ -207,11 +227,10 @@ class SystemHealthChecker {
    */
   checkDataConsistency() {
     try {
-      const dataPath = path.join(this.rootDir, 'data/parkir-data.json');
-      const configPath = path.join(this.rootDir, 'config/locations-config.json');
+      const dataPath = this.operation.path('data/parkir-data.json');
       
       const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
-      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      const config = this.configLoader.load('locations-config');
 
       const issues = [];
 
@@ -220,29 +239,16 @@ class SystemHealthChecker {
         issues.push(`Location count mismatch: data=${data.locations.length}, config=${config.locations.length}`);
       }
 
-      // Check statistics
-      let calculatedBus = 0;
-      let calculatedMobil = 0;
-      let calculatedMotor = 0;
+      // Check statistics (semua jenis dari config/vehicle-types.json)
+      const { available } = this.vehicleTypes.totals(data.locations);
 
-      data.locations.forEach(location => {
-        calculatedBus += location.bus?.available || 0;
-        calculatedMobil += location.mobil?.available || 0;
-        calculatedMotor += location.motor?.available || 0;
+      this.vehicleTypes.ids.forEach(type => {
+        const reported = data.statistics[VehicleTypes.availableKey(type)];
+        if (available[type] !== reported) {
+          issues.push(`${this.vehicleTypes.name(type)} statistics mismatch: calculated=${available[type]}, reported=${reported}`);
+        }
       });
 
-      if (calculatedBus !== data.statistics.total_available_bus) {
-        issues.push(`Bus statistics mismatch: calculated=${calculatedBus}, reported=${data.statistics.total_available_bus}`);
-      }
-
-      if (calculatedMobil !== data.statistics.total_available_mobil) {
-        issues.push(`Mobil statistics mismatch: calculated=${calculatedMobil}, reported=${data.statistics.total_available_mobil}`);
-      }
-
-      if (calculatedMotor !== data.statistics.total_available_motor) {
-        issues.push(`Motor statistics mismatch: calculated=${calculatedMotor}, reported=${data.statistics.total_available_motor}`);
-      }
-
       return {
         passed: issues.length === 0,
         details: {
@@ -267,7 +273,7 @@ class SystemHealthChecker {
    */
   checkBackupHealth() {
     try {
-      const backupDir = path.join(this.rootDir, 'data/backups');
+      const backupDir = this.operation.path('data/backups');
       
       if (!fs.existsSync(backupDir)) {
         return {
@@ -345,7 +351,7 @@ class SystemHealthChecker {
    */
   checkLogFiles() {
     try {
-      const logDir = path.join(this.rootDir, 'data/logs');
+      const logDir = this.operation.path('data/logs');
       
       if (!fs.existsSync(logDir)) {
         return {
@@ -724,7 +730,7 @@ class SystemHealthChecker {
    * Simpan report ke file
    */
   saveReport(results) {
-    const reportDir = path.join(this.rootDir, 'data/reports');
+    const reportDir = this.operation.path('data/reports');
     
     if (!fs.existsSync(reportDir)) {
       fs.mkdirSync(reportDir, { recursive: true });
@@ -736,6 +742,46 @@ class SystemHealthChecker {
     return reportFile;
   }
 
+  /**
+   * Check yang gagal sebagai alert system_error: check critical -> severity critical
+   */
+  buildAlerts(results) {
+    return results.details.filter(check => !check.passed).map(check => {
+      const issues = [check.error, ...(check.details?.issues || [])].filter(Boolean);
+      return {
+        type: 'system_error',
+        check: check.name,
+        severity: check.critical ? 'critical' : 'warning',
+        message: `Health check ${check.name} gagal${issues.length > 0 ? `: ${issues.slice(0, 3).join('; ')}` : ''}`
+      };
+    });
+  }
+
+  /**
+   * Catat status alert lalu jalankan eskalasi; kegagalan di sini tidak menggagalkan health check
+   */
+  async raiseAlerts(results) {
+    try {
+      if (!this.alertState) {
+        const config = this.configLoader.load('notifications', { defaults: {} });
+        this.alertState = new AlertState({ rootDir: this.rootDir, operation: this.operation, config, source: 'health' });
+        this.escalation = this.escalation || new Escalation({ rootDir: this.rootDir, operation: this.operation, configLoader: this.configLoader, config, alertState: this.alertState });
+      }
+      
+      const lifecycle = await this.alertState.evaluate(this.buildAlerts(results));
+      lifecycle.notices.forEach(notice => {
+        const icon = notice.lifecycle === 'resolved' ? '✅' : '🚨';
+        console.log(`${icon} System alert ${notice.lifecycle}: ${notice.check} #${notice.alert_id}`);
+      });
+      
+      const escalation = this.escalation ? await this.escalation.run() : null;
+      return { notices: lifecycle.notices.length, suppressed: lifecycle.suppressed.length, escalated: escalation?.escalated || 0 };
+    } catch (error) {
+      console.warn(`⚠️ System alerts not recorded: ${error.message}`);
+      return { error: error.message };
+    }
+  }
+
   /**
    * Main function
    */
@@ -746,17 +792,20 @@ class SystemHealthChecker {
     const reportFile = this.saveReport(results);
     console.log(`\n📁 Report saved to: ${reportFile}`);
     
+    const alerts = this.checkOnly ? null : await this.raiseAlerts(results);
+    
     return {
       success: results.overall_status !== 'critical',
       report: results,
-      reportFile
+      reportFile,
+      alerts
     };
   }
 }
 
 // Run if called directly
 if (require.main === module) {
-  const checker = new SystemHealthChecker();
+  const checker = new SystemHealthChecker({ checkOnly: process.argv.includes('--check-only') });
   checker.run().catch(console.error);
 }
 
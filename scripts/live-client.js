@@ -0,0 +1,161 @@
+/**
+ * Data parkir langsung dari API server untuk index.html dan admin-petugas.html.
+ * EventSource ke GET /api/stream (scripts/live-updates.js); selama stream putus,
+ * polling bersyarat ke GET /api/snapshot dengan If-None-Match (304 = tidak berubah).
+ *
+ * Status (onState):
+ *   connecting - menunggu stream pertama kali
+ *   live       - stream tersambung, perubahan datang saat diterapkan
+ *   polling    - stream putus tapi server menjawab polling
+ *   offline    - server tidak terjangkau atau melayani operasi lain;
+ *                halaman memakai sumber datanya sendiri
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LiveClient = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const RECONNECT_DELAY = 5000;
+  const MAX_RECONNECT_DELAY = 5 * 60 * 1000;
+  const CLOSED = 2; // EventSource.CLOSED
+
+  class LiveClient {
+    constructor(options = {}) {
+      this.apiBaseUrl = options.apiBaseUrl || '';
+      this.operation = options.operation || null;
+      this.revision = options.revision ?? null;
+      this.pollInterval = options.pollInterval || 30000;
+      this.onSnapshot = options.onSnapshot || (() => {});
+      this.onLocations = options.onLocations || (() => {});
+      this.onState = options.onState || (() => {});
+      this.fetch = options.fetch || ((...args) => fetch(...args));
+      this.EventSource = options.EventSource !== undefined
+        ? options.EventSource
+        : (typeof EventSource !== 'undefined' ? EventSource : null);
+      
+      this.state = 'connecting';
+      this.etag = null;
+      this.source = null;
+      this.pollTimer = null;
+      this.reconnectTimer = null;
+      this.reconnects = 0;
+      this.stopped = true;
+    }
+    
+    setState(state) {
+      if (state === this.state) return;
+      this.state = state;
+      this.onState(state);
+    }
+    
+    start() {
+      this.stopped = false;
+      this.connect();
+      this.schedulePoll();
+    }
+    
+    stop() {
+      this.stopped = true;
+      if (this.source) this.source.close();
+      this.source = null;
+      clearTimeout(this.pollTimer);
+      clearTimeout(this.reconnectTimer);
+      this.pollTimer = null;
+      this.reconnectTimer = null;
+    }
+    
+    connect() {
+      if (this.stopped || !this.EventSource) return;
+      
+      const source = new this.EventSource(`${this.apiBaseUrl}/api/stream`);
+      this.source = source;
+      
+      source.addEventListener('open', () => {
+        this.reconnects = 0;
+        this.setState('live');
+      });
+      source.addEventListener('snapshot', event => this.receive('snapshot', event.data));
+      source.addEventListener('locations', event => this.receive('locations', event.data));
+      source.addEventListener('error', () => {
+        if (this.state === 'live') this.setState('polling');
+        
+        // CLOSED: browser berhenti mencoba (HTTP error, bukan text/event-stream)
+        if (source.readyState === CLOSED && this.source === source) {
+          source.close();
+          this.source = null;
+          const delay = Math.min(RECONNECT_DELAY * 2 ** this.reconnects, MAX_RECONNECT_DELAY);
+          this.reconnects++;
+          this.reconnectTimer = setTimeout(() => this.connect(), delay);
+        }
+      });
+    }
+    
+    receive(type, raw) {
+      try {
+        this.accept(type, JSON.parse(raw));
+      } catch (error) {
+        console.warn('⚠️ Live event ignored:', error.message);
+      }
+    }
+    
+    /**
+     * Terapkan snapshot/perubahan; payload operasi lain atau perubahan dengan revisi
+     * lama diabaikan. Snapshot selalu diterapkan: revisi mulai lagi dari 1 jika file
+     * data dibangun ulang (emergency-recovery.js).
+     */
+    accept(type, payload) {
+      if (this.operation && payload.operation && payload.operation !== this.operation) {
+        console.warn(`⚠️ Live server melayani operasi ${payload.operation}, bukan ${this.operation}`);
+        this.stop();
+        this.setState('offline');
+        return false;
+      }
+      if (type === 'locations' && this.revision !== null && payload.revision <= this.revision) {
+        return false;
+      }
+      
+      this.revision = payload.revision;
+      (type === 'snapshot' ? this.onSnapshot : this.onLocations)(payload);
+      return true;
+    }
+    
+    schedulePoll() {
+      if (this.stopped || this.pollTimer) return;
+      
+      this.pollTimer = setTimeout(async () => {
+        this.pollTimer = null;
+        if (this.state !== 'live') await this.poll();
+        this.schedulePoll();
+      }, this.pollInterval);
+    }
+    
+    /**
+     * Satu kali polling bersyarat; 304 berarti data di halaman masih terbaru
+     */
+    async poll() {
+      try {
+        const response = await this.fetch(`${this.apiBaseUrl}/api/snapshot`, {
+          cache: 'no-store',
+          headers: this.etag ? { 'If-None-Match': this.etag } : {}
+        });
+        if (this.stopped || this.state === 'live') return;
+        if (response.status !== 304) {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          const payload = await response.json();
+          this.etag = response.headers.get('ETag');
+          if (!this.accept('snapshot', payload) && this.stopped) return;
+        }
+        this.setState('polling');
+      } catch (error) {
+        this.setState('offline');
+      }
+    }
+  }
+
+  LiveClient.RECONNECT_DELAY = RECONNECT_DELAY;
+
+  return LiveClient;
+});
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Perubahan data parkir langsung ke browser lewat Server-Sent Events (GET /api/stream)
+ *
+ * parkir-data.json dipantau (fs.watchFile), sehingga perubahan dari UpdateProcessor,
+ * restore atau proses lain di host yang sama ikut tersiar tanpa memanggil server.
+ * Event:
+ *   snapshot  - seluruh lokasi, saat terhubung, jika daftar lokasi berubah atau jika
+ *               revisi mundur (file data dibangun ulang oleh emergency-recovery.js)
+ *   locations - hanya lokasi yang berubah, dengan statistik dan metadata terbaru
+ * id event = metadata.revision; klien yang tersambung ulang dengan Last-Event-ID
+ * yang masih terbaru tidak dikirimi snapshot lagi.
+ * GET /api/snapshot (APIHandler) melayani isi yang sama untuk polling bersyarat
+ * (ETag / If-None-Match) selama stream terputus.
+ *
+ *   node scripts/live-updates.js   # tampilkan event di terminal
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OperationRegistry = require('./operation-registry');
+const DataStore = require('./data-store');
+
+const WATCH_INTERVAL = 1000;  // ms antar pemeriksaan file data
+const HEARTBEAT = 25000;      // komentar kosong agar proxy tidak memutus koneksi diam
+const RETRY = 5000;           // jeda reconnect yang disarankan ke EventSource
+const MAX_CLIENTS = 500;
+
+class LiveUpdates {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.store = options.store || new DataStore({ rootDir: this.rootDir, operation: this.operation });
+    this.dataPath = this.store.resolvePath('data');
+    this.watchInterval = options.watchInterval || WATCH_INTERVAL;
+    this.heartbeat = options.heartbeat || HEARTBEAT;
+    this.retry = options.retry || RETRY;
+    this.maxClients = options.maxClients || MAX_CLIENTS;
+    this.persistent = Boolean(options.persistent); // false: pemantauan tidak menahan proses tetap hidup
+    this.clients = new Set();
+    this.last = null;
+    this.heartbeatTimer = null;
+    this.watcher = null;
+  }
+
+  /**
+   * Isi snapshot (stream dan GET /api/snapshot) dari parkir-data.json
+   */
+  static snapshotOf(operation, data) {
+    return {
+      operation: operation.id,
+      revision: DataStore.revisionOf(data),
+      metadata: data.metadata,
+      statistics: data.statistics,
+      locations: data.locations
+    };
+  }
+
+  static etagOf(snapshot) {
+    return `"${snapshot.operation}-${snapshot.revision}"`;
+  }
+
+  static format(event, data, id) {
+    return `${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  snapshot() {
+    return LiveUpdates.snapshotOf(this.operation, this.store.read('data'));
+  }
+
+  remember(snapshot) {
+    this.last = {
+      revision: snapshot.revision,
+      statistics: JSON.stringify(snapshot.statistics),
+      locations: new Map(snapshot.locations.map(location => [location.id, JSON.stringify(location)]))
+    };
+  }
+
+  /**
+   * Bandingkan data dengan yang terakhir disiarkan; kirim event jika ada yang berubah.
+   * Mengembalikan nama event yang dikirim, atau null.
+   */
+  check() {
+    let snapshot;
+    try {
+      snapshot = this.snapshot();
+    } catch (error) {
+      // File sedang diganti (restore) atau rusak: tunggu perubahan berikutnya
+      return null;
+    }
+    
+    const previous = this.last;
+    this.remember(snapshot);
+    if (!previous) return null;
+    
+    const sameLocations = snapshot.locations.length === previous.locations.size &&
+      snapshot.locations.every(location => previous.locations.has(location.id));
+    if (!sameLocations || snapshot.revision < previous.revision) {
+      this.broadcast('snapshot', snapshot, snapshot.revision);
+      return 'snapshot';
+    }
+    
+    const changed = snapshot.locations.filter(location => previous.locations.get(location.id) !== JSON.stringify(location));
+    if (changed.length === 0 && this.last.statistics === previous.statistics) {
+      return null;
+    }
+    
+    this.broadcast('locations', { ...snapshot, locations: changed }, snapshot.revision);
+    return 'locations';
+  }
+
+  broadcast(event, data, id) {
+    const message = LiveUpdates.format(event, data, id);
+    this.clients.forEach(res => res.write(message));
+  }
+
+  /**
+   * Buka stream untuk satu request; false jika batas koneksi tercapai
+   */
+  connect(req, res, headers = {}) {
+    if (this.clients.size >= this.maxClients) {
+      return false;
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no', // nginx: jangan tahan event di buffer
+      ...headers
+    });
+    res.write(`retry: ${this.retry}\n\n`);
+    
+    try {
+      const snapshot = this.snapshot();
+      if (req.headers['last-event-id'] !== String(snapshot.revision)) {
+        res.write(LiveUpdates.format('snapshot', snapshot, snapshot.revision));
+      }
+    } catch (error) {
+      console.warn(`⚠️ Live snapshot unavailable: ${error.message}`);
+    }
+    
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+    return true;
+  }
+
+  start() {
+    if (this.watcher) return;
+    
+    this.check();
+    this.watcher = () => this.check();
+    fs.watchFile(this.dataPath, { interval: this.watchInterval, persistent: this.persistent }, this.watcher);
+    
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach(res => res.write(': ping\n\n'));
+    }, this.heartbeat);
+    this.heartbeatTimer.unref();
+  }
+
+  stop() {
+    if (this.watcher) {
+      fs.unwatchFile(this.dataPath, this.watcher);
+      this.watcher = null;
+    }
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+  }
+}
+
+LiveUpdates.MAX_CLIENTS = MAX_CLIENTS;
+
+module.exports = LiveUpdates;
+
+// CLI Interface
+if (require.main === module) {
+  const live = new LiveUpdates({ operation: OperationRegistry.current({ operation: OperationRegistry.requested() }), persistent: true });
+  live.broadcast = (event, data) => {
+    const names = data.locations.map(location => location.nama).join(', ');
+    console.log(`📡 ${new Date().toISOString()} ${event} r${data.revision}: ${names}`);
+  };
+
+  live.start();
+  console.log(`👀 Watching ${path.relative(process.cwd(), live.dataPath)} (Ctrl+C to stop)`);
+}
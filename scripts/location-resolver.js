@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * Resolusi identitas lokasi untuk seluruh pipeline update
+ *
+ * Update bisa menyebut lokasi dengan id numerik (1), code ("SRIWEDANI"),
+ * atau nama ("SRI WEDANI"). Semua bentuk itu dinormalisasi ke satu kunci
+ * kanonik: id numerik dari config/locations-config.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DataStore = require('./data-store');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+
+// Field pada update yang bisa berisi referensi lokasi, urut prioritas
+const LOCATION_FIELDS = ['location_id', 'location_code', 'location', 'location_name'];
+
+class LocationResolver {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.configPath = this.operation.path('config/locations-config.json');
+    this.configLoader = new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.dataPath = this.operation.path('data/parkir-data.json');
+    this.pendingPath = this.operation.path('data/pending-updates.json');
+    this.store = new DataStore({ rootDir: this.rootDir, operation: this.operation });
+
+    this.entries = [];
+    this.index = new Map();
+    this.ambiguous = new Set();
+
+    if (options.config || options.data) {
+      this.build(options.config, options.data);
+    } else {
+      this.load();
+    }
+  }
+
+  /**
+   * Normalisasi teks: "Sri Wedani" / "sri-wedani" / "SRIWEDANI" => "SRIWEDANI"
+   */
+  static normalizeKey(value) {
+    return String(value).trim().toUpperCase().replace(/[\s_\-.]+/g, '');
+  }
+
+  load() {
+    const config = fs.existsSync(this.configPath) ? this.configLoader.load('locations-config', { fresh: true }) : null;
+    const data = fs.existsSync(this.dataPath) ? JSON.parse(fs.readFileSync(this.dataPath, 'utf8')) : null;
+    this.build(config, data);
+  }
+
+  build(config, data) {
+    this.entries = [];
+    this.index.clear();
+    this.ambiguous.clear();
+
+    (config?.locations || []).forEach(loc => {
+      this.addEntry({ id: Number(loc.id), code: loc.code, name: loc.name });
+    });
+
+    // Lokasi di parkir-data.json yang belum ada di config tetap bisa di-resolve
+    (data?.locations || []).forEach(loc => {
+      const existing = this.entries.find(e => e.id === Number(loc.id));
+      if (existing) {
+        this.indexKey(loc.nama, existing);
+      } else {
+        this.addEntry({ id: Number(loc.id), code: LocationResolver.normalizeKey(loc.nama), name: loc.nama });
+      }
+    });
+  }
+
+  addEntry(entry) {
+    this.entries.push(entry);
+    this.indexKey(entry.id, entry);
+    this.indexKey(entry.code, entry);
+    this.indexKey(entry.name, entry);
+  }
+
+  indexKey(value, entry) {
+    if (value === undefined || value === null || value === '') return;
+
+    const key = LocationResolver.normalizeKey(value);
+    const current = this.index.get(key);
+
+    if (current && current.id !== entry.id) {
+      // Kunci yang sama menunjuk ke dua lokasi berbeda: jangan ditebak
+      this.ambiguous.add(key);
+      return;
+    }
+    this.index.set(key, entry);
+  }
+
+  /**
+   * Resolve satu referensi (id, code, atau nama) ke entry kanonik
+   */
+  resolve(ref) {
+    if (ref === undefined || ref === null || ref === '') return null;
+
+    const key = LocationResolver.normalizeKey(ref);
+    if (this.ambiguous.has(key)) return null;
+    return this.index.get(key) || null;
+  }
+
+  /**
+   * Resolve lokasi dari sebuah update (mencoba semua field lokasi)
+   */
+  resolveUpdate(update) {
+    for (const field of LOCATION_FIELDS) {
+      if (update[field] !== undefined && update[field] !== null && update[field] !== '') {
+        return this.resolve(update[field]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Referensi lokasi mentah dari update, untuk pesan error
+   */
+  describeReference(update) {
+    const field = LOCATION_FIELDS.find(f => update[f] !== undefined && update[f] !== null && update[f] !== '');
+    return field ? `${field}=${update[field]}` : 'no location field';
+  }
+
+  /**
+   * Cari objek lokasi di parkir-data.json untuk entry kanonik
+   */
+  findDataLocation(data, ref) {
+    const entry = typeof ref === 'object' && ref !== null ? ref : this.resolve(ref);
+    if (!entry) return null;
+
+    return data.locations.find(l => Number(l.id) === entry.id) ||
+      data.locations.find(l => LocationResolver.normalizeKey(l.nama) === LocationResolver.normalizeKey(entry.name)) ||
+      null;
+  }
+
+  /**
+   * Kembalikan salinan update dengan field lokasi kanonik, atau null jika tidak dikenal
+   */
+  normalizeUpdate(update) {
+    const entry = this.resolveUpdate(update);
+    if (!entry) return null;
+
+    const normalized = { ...update };
+    delete normalized.location;
+
+    normalized.location_id = entry.id;
+    normalized.location_code = entry.code;
+    normalized.location_name = entry.name;
+    return normalized;
+  }
+
+  /**
+   * Migrasi entry lama di pending-updates.json (location_id berisi nama, field "location", dst.)
+   */
+  migratePendingUpdates(options = {}) {
+    const result = { total: 0, migrated: 0, unchanged: 0, unresolved: [] };
+
+    if (!fs.existsSync(this.pendingPath)) {
+      return result;
+    }
+
+    const migrate = updates => updates.map(update => {
+      const normalized = this.normalizeUpdate(update);
+
+      if (!normalized) {
+        result.unresolved.push(this.describeReference(update));
+        return update;
+      }
+
+      const changed = LOCATION_FIELDS.some(field => normalized[field] !== update[field]);
+      if (changed) {
+        result.migrated++;
+        return normalized;
+      }
+
+      result.unchanged++;
+      return update;
+    });
+
+    if (options.dryRun) {
+      const updates = this.store.read('pending');
+      result.total = updates.length;
+      migrate(updates);
+    } else {
+      // Di bawah lock agar update yang masuk dari API selama migrasi tidak hilang
+      this.store.update('pending', updates => {
+        result.total = updates.length;
+        return migrate(updates);
+      }, { action: 'migrate-references', reason: 'Normalize location references to id/code' });
+    }
+
+    return result;
+  }
+}
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const resolver = new LocationResolver();
+
+  if (args.includes('--migrate-pending')) {
+    const dryRun = args.includes('--dry-run');
+    const result = resolver.migratePendingUpdates({ dryRun });
+
+    console.log(`📋 Pending updates: ${result.total}`);
+    console.log(`   🔁 Migrated: ${result.migrated}${dryRun ? ' (dry run, not saved)' : ''}`);
+    console.log(`   ✅ Already canonical: ${result.unchanged}`);
+    if (result.unresolved.length > 0) {
+      console.log(`   ❌ Unresolved: ${result.unresolved.length}`);
+      result.unresolved.forEach(ref => console.log(`      - ${ref}`));
+      process.exit(1);
+    }
+  } else if (args.includes('--resolve')) {
+    const ref = args[args.indexOf('--resolve') + 1];
+    const entry = resolver.resolve(ref);
+
+    if (!entry) {
+      console.error(`❌ Location not found: ${ref}`);
+      process.exit(1);
+    }
+    console.log(JSON.stringify(entry, null, 2));
+  } else {
+    console.log(`
+Location Resolver
+
+Usage:
+  node scripts/location-resolver.js --resolve <id|code|nama>
+  node scripts/location-resolver.js --migrate-pending [--dry-run]
+    `);
+  }
+}
+
+module.exports = LocationResolver;
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * Mode pemeliharaan: satu operasi hanya bisa dibaca
+ *
+ * Aktif jika system.maintenance_mode di config/system-settings.json bernilai
+ * true (diatur manual) atau file data/maintenance.json operasi ada (dibuat otomatis
+ * oleh backup-manager.js dan emergency-recovery.js selama restore). File state
+ * ada di data_dir operasi, sehingga restore satu operasi tidak menahan operasi lain.
+ * Selama aktif:
+ * - APIHandler menolak update dengan 503 + Retry-After (code E_MAINTENANCE)
+ * - UpdateProcessor menahan antrean (pending-updates.json tidak disentuh)
+ * - admin-petugas.html menampilkan banner; input petugas menunggu di outbox (update-outbox.js)
+ * - index.html menampilkan pemberitahuan "data sedang dipelihara"
+ *
+ * File state tidak dihapus jika proses pemulihan mati di tengah jalan:
+ * sistem tetap read-only sampai dimatikan dengan --off.
+ *
+ *   node scripts/maintenance-mode.js --status
+ *   node scripts/maintenance-mode.js --on --reason="Restore backup" [--retry-after=300]
+ *   node scripts/maintenance-mode.js --off
+ *   node scripts/maintenance-mode.js --status --operation=<id>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('./config-loader');
+const AuditLogger = require('./audit-logger');
+const OperationRegistry = require('./operation-registry');
+
+const STATE_FILE = 'data/maintenance.json';
+const DEFAULT_RETRY_AFTER = 120; // detik
+
+class MaintenanceMode {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.configLoader = options.configLoader || new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.auditLogger = options.auditLogger || null;
+    this.statePath = this.operation.path(STATE_FILE);
+  }
+
+  auditor() {
+    if (!this.auditLogger) {
+      this.auditLogger = new AuditLogger({ rootDir: this.rootDir, operation: this.operation });
+    }
+    return this.auditLogger;
+  }
+
+  readState() {
+    try {
+      return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * { active, source: 'settings' | 'state' | null, reason, since, retry_after }
+   */
+  status() {
+    const state = this.readState();
+    if (state) {
+      return {
+        active: true,
+        source: 'state',
+        reason: state.reason || null,
+        since: state.since || null,
+        retry_after: Number(state.retry_after) || DEFAULT_RETRY_AFTER
+      };
+    }
+    
+    let settings = {};
+    try {
+      settings = this.configLoader.load('system-settings', { defaults: {}, fresh: true });
+    } catch (error) {
+      console.warn(`⚠️ Maintenance flag not readable: ${error.message}`);
+    }
+    return settings.system?.maintenance_mode === true
+      ? { active: true, source: 'settings', reason: 'system.maintenance_mode', since: null, retry_after: DEFAULT_RETRY_AFTER }
+      : { active: false, source: null, reason: null, since: null, retry_after: null };
+  }
+
+  isActive() {
+    return this.status().active;
+  }
+
+  /**
+   * Aktifkan mode pemeliharaan (file state). Mengembalikan state, atau null jika sudah aktif.
+   */
+  enable(reason, options = {}) {
+    if (this.readState()) return null;
+    
+    const state = {
+      reason: reason || 'Maintenance',
+      since: new Date().toISOString(),
+      by: AuditLogger.actor(options.actor).id,
+      retry_after: Number(options.retryAfter) || DEFAULT_RETRY_AFTER
+    };
+    
+    this.auditor().logChange({
+      actor: options.actor,
+      action: 'maintenance-on',
+      target: STATE_FILE,
+      before: null,
+      after: state,
+      reason: state.reason
+    });
+    
+    // Tulis atomik agar pembaca tidak melihat file setengah jadi
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+    const tempPath = `${this.statePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, this.statePath);
+    
+    console.log(`🚧 Maintenance mode ON: ${state.reason}`);
+    return state;
+  }
+
+  /**
+   * Matikan mode pemeliharaan (file state); flag di system-settings.json tidak diubah
+   */
+  disable(options = {}) {
+    const state = this.readState();
+    if (!state) return false;
+    
+    this.auditor().logChange({
+      actor: options.actor,
+      action: 'maintenance-off',
+      target: STATE_FILE,
+      before: state,
+      after: null,
+      reason: options.reason || `End of: ${state.reason}`
+    });
+    fs.rmSync(this.statePath, { force: true });
+    
+    console.log('✅ Maintenance mode OFF');
+    return true;
+  }
+
+  /**
+   * Jalankan work() dalam mode pemeliharaan. Jika mode sudah aktif (mis. restore
+   * di dalam auto-recover) state milik pemanggil luar tidak dimatikan.
+   */
+  async during(reason, work, options = {}) {
+    const owned = this.enable(reason, options) !== null;
+    try {
+      return await work();
+    } finally {
+      if (owned) this.disable(options);
+    }
+  }
+}
+
+MaintenanceMode.STATE_FILE = STATE_FILE;
+MaintenanceMode.DEFAULT_RETRY_AFTER = DEFAULT_RETRY_AFTER;
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  const maintenance = new MaintenanceMode({ operation: OperationRegistry.current({ operation: OperationRegistry.requested() }) });
+
+  try {
+    if (args.includes('--on')) {
+      if (!maintenance.enable(option('reason') || 'Manual maintenance', { retryAfter: option('retry-after') })) {
+        console.log('ℹ️ Maintenance mode is already on');
+      }
+    } else if (args.includes('--off')) {
+      if (!maintenance.disable({ reason: option('reason') })) {
+        const status = maintenance.status();
+        console.log(status.active
+          ? 'ℹ️ Maintenance is set by system.maintenance_mode in config/system-settings.json'
+          : 'ℹ️ Maintenance mode is already off');
+      }
+    } else {
+      const status = maintenance.status();
+      console.log(status.active
+        ? `🚧 Maintenance mode ON (${status.source === 'state' ? path.relative(maintenance.rootDir, maintenance.statePath) : 'config/system-settings.json'})\n   Reason: ${status.reason}${status.since ? `\n   Since: ${status.since}` : ''}\n   Retry after: ${status.retry_after}s`
+        : `✅ Maintenance mode OFF (${maintenance.operation.id})`);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = MaintenanceMode;
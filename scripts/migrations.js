@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+/**
+ * Versi format, JSON Schema dan migrasi bertahap untuk file data & config
+ *
+ * - data/parkir-data.json: versi di metadata.version, schema schemas/parkir-data.schema.json
+ * - data/pending-updates.json: array tanpa versi, schema schemas/pending-updates.schema.json
+ * - config/*.json: versi di key "version", schema schemas/<file>.schema.json
+ *
+ * File versi lama dinaikkan langkah demi langkah (1.0.0 → 2.0.0 → 2.1.0).
+ * DataStore dan ConfigLoader menaikkan format di memori saat membaca dan
+ * menulis; versi yang tidak dikenal (lebih baru dari script ini atau salah
+ * ketik) ditolak dengan E_VERSION sehingga backup lama/asing tidak pernah
+ * ditulis ulang begitu saja. File tanpa versi dianggap versi pertamanya.
+ *
+ *   node scripts/migrations.js [--all] [--dry-run]   Naikkan file di disk ke format sekarang
+ *   node scripts/migrations.js --check [--all]       Laporkan versi dan error schema
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SchemaValidator = require('./schema-validator');
+const VehicleTypes = require('./vehicle-types');
+
+// Format per file. steps: { from, to, description, up(value, migrations) }
+const FORMATS = {
+  data: {
+    file: 'data/parkir-data.json',
+    schema: 'parkir-data',
+    versionPath: ['metadata', 'version'],
+    initial: '1.0.0',
+    current: '2.1.0',
+    steps: [
+      {
+        from: '1.0.0',
+        to: '2.0.0',
+        description: 'Metadata operasi (total_locations, operation_name, operation_period) dan id lokasi numerik',
+        up(data, migrations) {
+          const operation = migrations.getOperation();
+          data.locations = data.locations || [];
+          data.statistics = data.statistics || {};
+          data.locations.forEach(location => {
+            if (/^\d+$/.test(String(location.id))) location.id = Number(location.id);
+          });
+          data.metadata = {
+            last_updated: new Date().toISOString(),
+            updated_by: 'migration',
+            ...data.metadata,
+            total_locations: data.locations.length,
+            operation_name: data.metadata?.operation_name || operation.short_name || operation.name,
+            operation_period: data.metadata?.operation_period || operation.period || null
+          };
+        }
+      },
+      {
+        // emergency-recovery.js lama menulis data darurat dengan label versi sendiri
+        from: 'emergency-1.0',
+        to: '2.0.0',
+        description: 'Data darurat dari emergency-recovery.js (struktur sama dengan 2.0.0)',
+        up() {}
+      },
+      {
+        from: '2.0.0',
+        to: '2.1.0',
+        description: 'Entri untuk semua jenis kendaraan di config/vehicle-types.json, metadata.vehicle_types dan metadata.revision',
+        up(data, migrations) {
+          migrations.vehicleTypes().migrate(data, (location, type) => migrations.capacityOf(location, type));
+          data.metadata.revision = Number(data.metadata.revision) || 0;
+        }
+      }
+    ]
+  },
+  pending: {
+    file: 'data/pending-updates.json',
+    schema: 'pending-updates'
+  },
+  'system-settings': { config: true, versionPath: ['version'], current: '1.0.0', steps: [] },
+  notifications: { config: true, versionPath: ['version'], current: '1.0.0', steps: [] },
+  'locations-config': { config: true, versionPath: ['version'], current: '2.0.0', steps: [] },
+  officers: { config: true, versionPath: ['version'], current: '1.0.0', steps: [] },
+  'vehicle-types': { config: true, versionPath: ['version'], current: '1.0.0', steps: [] },
+  operations: { config: true, versionPath: ['version'], current: '1.0.0', steps: [] }
+};
+
+class Migrations {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || null;
+    this.configLoader = options.configLoader || null;
+    this.schemas = {};
+    this.cache = {};
+  }
+
+  static error(message, details = {}) {
+    return Object.assign(new Error(message), { code: 'E_VERSION' }, details);
+  }
+
+  static format(kind) {
+    if (!FORMATS[kind]) {
+      throw new Error(`Unknown file format: ${kind}`);
+    }
+    return FORMATS[kind];
+  }
+
+  static fileOf(kind) {
+    const format = Migrations.format(kind);
+    return format.file || `config/${kind}.json`;
+  }
+
+  /**
+   * Versi yang tertulis di file (null jika tidak ada)
+   */
+  static versionOf(kind, value) {
+    const format = Migrations.format(kind);
+    if (!format.versionPath || !value || typeof value !== 'object') return null;
+    const version = format.versionPath.reduce((target, key) => (target && typeof target === 'object' ? target[key] : undefined), value);
+    return version === undefined || version === null ? null : String(version);
+  }
+
+  static setVersion(kind, value, version) {
+    const keys = Migrations.format(kind).versionPath;
+    let target = value;
+    keys.slice(0, -1).forEach(key => {
+      if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = version;
+  }
+
+  /**
+   * Semua versi yang bisa dibaca: versi awal tiap langkah dan versi sekarang
+   */
+  static supported(kind) {
+    const format = Migrations.format(kind);
+    return [...new Set([...(format.steps || []).map(step => step.from), format.current])];
+  }
+
+  /**
+   * Langkah dari versi `from` ke versi sekarang; versi tidak dikenal → E_VERSION
+   */
+  static plan(kind, from) {
+    const format = Migrations.format(kind);
+    if (!format.versionPath) return [];
+    
+    const steps = [];
+    let version = from === null ? (format.initial || format.current) : from;
+    while (version !== format.current) {
+      const step = format.steps.find(candidate => candidate.from === version);
+      if (!step || steps.includes(step)) {
+        throw Migrations.error(
+          `${Migrations.fileOf(kind)}: unknown format version "${from}" (supported: ${Migrations.supported(kind).join(', ')}); refusing to process it`,
+          { file: Migrations.fileOf(kind), version: from, supported: Migrations.supported(kind) });
+      }
+      steps.push(step);
+      version = step.to;
+    }
+    return steps;
+  }
+
+  getOperation() {
+    if (!this.operation) {
+      const OperationRegistry = require('./operation-registry');
+      this.operation = OperationRegistry.current({ rootDir: this.rootDir });
+    }
+    return this.operation;
+  }
+
+  loader() {
+    if (!this.configLoader) {
+      const ConfigLoader = require('./config-loader');
+      this.configLoader = new ConfigLoader({ rootDir: this.rootDir, operation: this.getOperation() });
+    }
+    return this.configLoader;
+  }
+
+  vehicleTypes() {
+    if (!this.cache.vehicleTypes) {
+      this.cache.vehicleTypes = VehicleTypes.load({ configLoader: this.loader() });
+    }
+    return this.cache.vehicleTypes;
+  }
+
+  /**
+   * Kapasitas dasar dari locations-config untuk entri jenis kendaraan baru (0 jika tidak ada)
+   */
+  capacityOf(location, type) {
+    if (this.cache.locations === undefined) {
+      try {
+        this.cache.locations = this.loader().load('locations-config', { validate: false }).locations || [];
+      } catch (error) {
+        this.cache.locations = [];
+      }
+    }
+    const CapacitySchedule = require('./capacity-schedule');
+    const configLoc = this.cache.locations.find(loc => Number(loc.id) === Number(location.id));
+    return configLoc ? CapacitySchedule.capacityOf(configLoc, type) : 0;
+  }
+
+  /**
+   * Naikkan nilai ke format sekarang (nilai diubah langsung).
+   * Kembalikan { value, from, to, applied: [deskripsi langkah] }.
+   */
+  upgrade(kind, value) {
+    const format = Migrations.format(kind);
+    const from = Migrations.versionOf(kind, value);
+    if (!format.versionPath || !value || typeof value !== 'object' || Array.isArray(value)) {
+      return { value, from, to: from, applied: [] };
+    }
+    
+    const steps = Migrations.plan(kind, from);
+    steps.forEach(step => {
+      const result = step.up(value, this);
+      if (result !== undefined) value = result;
+      Migrations.setVersion(kind, value, step.to);
+    });
+    return { value, from, to: Migrations.versionOf(kind, value), applied: steps.map(step => `${step.from} → ${step.to}: ${step.description}`) };
+  }
+
+  validator(kind) {
+    const name = Migrations.format(kind).schema || kind;
+    if (!(name in this.schemas)) {
+      const schemaPath = path.join(__dirname, '..', 'schemas', `${name}.schema.json`);
+      this.schemas[name] = new SchemaValidator(JSON.parse(fs.readFileSync(schemaPath, 'utf8')));
+    }
+    return this.schemas[name];
+  }
+
+  /**
+   * Validasi terhadap schema; kembalikan daftar { path, message }.
+   * Untuk data, entri jenis kendaraan dari config ikut diperiksa
+   * (options.entries: false melewatinya, mis. untuk validator yang memperbaikinya).
+   */
+  validate(kind, value, options = {}) {
+    const validator = this.validator(kind);
+    const errors = validator.validate(value);
+    
+    if (kind === 'data' && options.entries !== false && Array.isArray(value?.locations)) {
+      const vehicleTypes = options.vehicleTypes || this.vehicleTypes();
+      value.locations.forEach((location, index) => {
+        vehicleTypes.ids.filter(type => location && location[type] !== undefined).forEach(type => {
+          validator.check({ $ref: '#/definitions/vehicle' }, location[type], `locations[${index}].${type}`, errors);
+        });
+      });
+    }
+    return errors;
+  }
+
+  /**
+   * Periksa satu file di disk: { kind, file, exists, version, steps, errors }
+   */
+  inspect(kind) {
+    const format = Migrations.format(kind);
+    const filePath = this.filePath(kind);
+    const result = { kind, file: path.relative(this.rootDir, filePath).replace(/\\/g, '/'), exists: fs.existsSync(filePath), version: null, steps: [], errors: [] };
+    if (!result.exists) return result;
+    
+    try {
+      const ConfigLoader = require('./config-loader');
+      const value = format.config ? ConfigLoader.parse(fs.readFileSync(filePath, 'utf8'), result.file) : JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      result.version = Migrations.versionOf(kind, value);
+      result.steps = Migrations.plan(kind, result.version).map(step => `${step.from} → ${step.to}`);
+      
+      const upgraded = this.upgrade(kind, JSON.parse(JSON.stringify(value))).value;
+      result.errors = format.config
+        ? this.loader().validate(kind, upgraded)
+        : this.validate(kind, upgraded);
+    } catch (error) {
+      result.errors = [{ path: '(root)', message: error.message, code: error.code }];
+    }
+    return result;
+  }
+
+  filePath(kind) {
+    const format = Migrations.format(kind);
+    return format.config
+      ? this.loader().filePath(kind)
+      : this.getOperation().path(format.file);
+  }
+
+  /**
+   * Tulis file di disk dalam format sekarang (data lewat DataStore, config
+   * langsung dengan audit log); kembalikan { file, from, to, applied }
+   */
+  migrateFile(kind, options = {}) {
+    const format = Migrations.format(kind);
+    const filePath = this.filePath(kind);
+    const file = path.relative(this.rootDir, filePath).replace(/\\/g, '/');
+    if (!fs.existsSync(filePath)) return { file, from: null, to: null, applied: [] };
+    
+    const ConfigLoader = require('./config-loader');
+    const raw = format.config ? ConfigLoader.parse(fs.readFileSync(filePath, 'utf8'), file) : JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const before = JSON.parse(JSON.stringify(raw));
+    const result = { file, ...this.upgrade(kind, raw) };
+    delete result.value;
+    if (result.applied.length === 0 || options.dryRun) return result;
+    
+    const reason = `Migrate ${file} format ${result.from || '(none)'} → ${result.to}`;
+    if (format.config) {
+      // Komentar JSONC tidak ikut tertulis ulang
+      const AuditLogger = require('./audit-logger');
+      new AuditLogger({ rootDir: this.rootDir, operation: this.getOperation() }).logChange({
+        action: 'migrate-format', target: file, before, after: raw, reason
+      });
+      fs.writeFileSync(filePath, JSON.stringify(raw, null, 2) + '\n');
+    } else {
+      // DataStore menaikkan format saat membaca, isi hasil bacaan langsung ditulis
+      const DataStore = require('./data-store');
+      new DataStore({ rootDir: this.rootDir, operation: this.getOperation() })
+        .update(kind, () => {}, { action: 'migrate-format', reason, details: { steps: result.applied } });
+    }
+    return result;
+  }
+}
+
+Migrations.FORMATS = FORMATS;
+Migrations.DATA_VERSION = FORMATS.data.current;
+
+// Diekspor sebelum CLI: DataStore/ConfigLoader yang dipakai CLI memuat modul ini kembali
+module.exports = Migrations;
+
+// CLI Interface
+if (require.main === module) {
+  const ConfigLoader = require('./config-loader');
+  const OperationRegistry = require('./operation-registry');
+  const rootDir = path.join(__dirname, '..');
+  const args = process.argv.slice(2);
+  const check = args.includes('--check');
+  const dryRun = args.includes('--dry-run');
+
+  try {
+    // --all: semua operasi kecuali arsip (hanya bisa dibaca)
+    const operations = args.includes('--all')
+      ? new OperationRegistry({ rootDir }).list().filter(operation => !operation.archived)
+      : [OperationRegistry.current({ rootDir })];
+    const sharedConfigs = ConfigLoader.FILES.filter(name => !['locations-config', 'officers'].includes(name));
+    let failed = 0;
+    
+    console.log(`🧬 ${check ? 'Checking' : 'Migrating'} file formats${dryRun ? ' (dry run)' : ''}\n`);
+    
+    operations.forEach((operation, index) => {
+      const migrations = new Migrations({ rootDir, operation });
+      const kinds = ['data', 'pending', 'locations-config', 'officers', ...(index === 0 ? sharedConfigs : [])];
+      console.log(`📋 ${operation.id}`);
+      
+      kinds.forEach(kind => {
+        const report = migrations.inspect(kind);
+        if (!report.exists) return;
+        
+        const version = Migrations.format(kind).versionPath ? ` ${report.version || '(no version)'}` : '';
+        if (report.errors.some(error => error.code === 'E_VERSION')) {
+          failed++;
+          console.log(`   ❌ ${report.file}:${version} ${report.errors[0].message}`);
+          return;
+        }
+        
+        if (report.steps.length > 0 && !check) {
+          const result = migrations.migrateFile(kind, { dryRun });
+          console.log(`   🔁 ${report.file}: ${result.from || '(no version)'} → ${result.to}${dryRun ? ' (not saved)' : ''}`);
+          result.applied.forEach(step => console.log(`      • ${step}`));
+        } else if (report.steps.length > 0) {
+          console.log(`   ⚠️ ${report.file}:${version} needs migration (${report.steps.join(', ')})`);
+        } else {
+          console.log(`   ✅ ${report.file}:${version || ' schema only'}`);
+        }
+        
+        if (kind === 'pending' && !check) {
+          // Referensi lokasi lama (nama/kode) di antrean ke id kanonik
+          const LocationResolver = require('./location-resolver');
+          const result = new LocationResolver({ rootDir, operation }).migratePendingUpdates({ dryRun });
+          if (result.migrated > 0) console.log(`      • ${result.migrated} location reference(s) normalized`);
+        }
+        
+        if (report.errors.length > 0) {
+          failed++;
+          report.errors.forEach(error => console.log(`      ❌ ${error.path} ${error.message}`));
+        }
+      });
+    });
+    
+    console.log(failed === 0
+      ? '\n✅ All files use a known format and match their schema'
+      : `\n❌ ${failed} file(s) with an unknown version or schema errors`);
+    process.exit(failed === 0 ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
@@ -1,23 +1,53 @@
 #!/usr/bin/env node
 /**
  * Real-time monitoring untuk konsistensi data statistik
+ *
+ * Issue dan alert dicatat ke log setiap run, tetapi hanya ditampilkan sebagai
+ * pemberitahuan saat statusnya berubah (lihat alert-state.js). Status alert dan
+ * pengingat push hanya di host API (alert-monitor.js); --check-only menampilkan
+ * semua issue tanpa menyentuh status alert atau mengirim push.
+ *
+ *   node scripts/monitor-statistics.js [--check-only] [--continuous <menit>]
  */
 
 const fs = require('fs');
 const path = require('path');
+const CapacitySchedule = require('./capacity-schedule');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+const VehicleTypes = require('./vehicle-types');
+const PushNotifier = require('./push-notifier');
+const AlertState = require('./alert-state');
 
 class StatisticsMonitor {
-  constructor() {
-    this.rootDir = path.join(__dirname, '..');
-    this.dataFile = path.join(this.rootDir, 'data/parkir-data.json');
-    this.configFile = path.join(this.rootDir, 'config/locations-config.json');
-    this.notificationConfig = path.join(this.rootDir, 'config/notifications.json');
-    this.logDir = path.join(this.rootDir, 'data/logs');
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.dataFile = this.operation.path('data/parkir-data.json');
+    this.configLoader = options.configLoader || new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.vehicleTypes = VehicleTypes.load({ configLoader: this.configLoader });
+    this.logDir = this.operation.path('data/logs');
+    this.checkOnly = Boolean(options.checkOnly);
     
     // Load configs
     this.config = this.loadConfig();
     this.notificationSettings = this.loadNotificationSettings();
     
+    // Pengingat "update hitungan" ke petugas lewat Web Push
+    this.push = options.push || new PushNotifier({
+      rootDir: this.rootDir,
+      operation: this.operation,
+      configLoader: this.configLoader,
+      config: this.notificationSettings,
+      vehicleTypes: this.vehicleTypes
+    });
+    this.alertState = options.alertState || new AlertState({
+      rootDir: this.rootDir,
+      operation: this.operation,
+      config: this.notificationSettings,
+      source: 'monitor'
+    });
+    
     // Ensure log directory exists
     if (!fs.existsSync(this.logDir)) {
       fs.mkdirSync(this.logDir, { recursive: true });
@@ -26,7 +56,7 @@ class StatisticsMonitor {
 
   loadConfig() {
     try {
-      return JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+      return this.configLoader.load('locations-config');
     } catch (error) {
       console.error('❌ Error loading config:', error.message);
       return null;
@@ -34,39 +64,27 @@ class StatisticsMonitor {
   }
 
   loadNotificationSettings() {
-    try {
-      return JSON.parse(fs.readFileSync(this.notificationConfig, 'utf8'));
-    } catch (error) {
+    if (!fs.existsSync(this.configLoader.filePath('notifications'))) {
       console.warn('⚠️ Notification config not found, using defaults');
-      return {
+    }
+    
+    // Config yang tidak valid melempar error yang menyebut key yang salah
+    return this.configLoader.load('notifications', {
+      defaults: {
         thresholds: {
           utilization: { warning: 80, critical: 95 },
           data_consistency: { max_difference: 5 }
         }
-      };
-    }
+      }
+    });
   }
 
   /**
    * Hitung statistik dari data lokasi
    */
   calculateFromLocations(locations) {
-    return locations.reduce((acc, loc) => {
-      acc.bus.total += loc.bus?.total || 0;
-      acc.bus.available += loc.bus?.available || 0;
-      
-      acc.mobil.total += loc.mobil?.total || 0;
-      acc.mobil.available += loc.mobil?.available || 0;
-      
-      acc.motor.total += loc.motor?.total || 0;
-      acc.motor.available += loc.motor?.available || 0;
-      
-      return acc;
-    }, {
-      bus: { total: 0, available: 0 },
-      mobil: { total: 0, available: 0 },
-      motor: { total: 0, available: 0 }
-    });
+    const { capacity, available } = this.vehicleTypes.totals(locations);
+    return this.vehicleTypes.map(type => ({ total: capacity[type], available: available[type] }));
   }
 
   /**
@@ -75,15 +93,15 @@ class StatisticsMonitor {
   calculateUtilization(calculated) {
     const utilization = {};
     
-    ['bus', 'mobil', 'motor'].forEach(type => {
+    this.vehicleTypes.ids.forEach(type => {
       const data = calculated[type];
       utilization[type] = data.total > 0 ? 
         ((data.total - data.available) / data.total) * 100 : 0;
     });
     
     // Overall utilization
-    const totalCapacity = calculated.bus.total + calculated.mobil.total + calculated.motor.total;
-    const totalAvailable = calculated.bus.available + calculated.mobil.available + calculated.motor.available;
+    const totalCapacity = this.vehicleTypes.ids.reduce((sum, type) => sum + calculated[type].total, 0);
+    const totalAvailable = this.vehicleTypes.ids.reduce((sum, type) => sum + calculated[type].available, 0);
     utilization.overall = totalCapacity > 0 ? 
       ((totalCapacity - totalAvailable) / totalCapacity) * 100 : 0;
     
@@ -96,48 +114,32 @@ class StatisticsMonitor {
   checkConsistency(calculated, reported) {
     const issues = [];
     
-    // Check bus
-    const busDiff = Math.abs(calculated.bus.available - reported.total_available_bus);
-    if (busDiff > this.notificationSettings.thresholds.data_consistency.max_difference) {
-      issues.push({
-        type: 'data_inconsistency',
-        vehicle: 'bus',
-        calculated: calculated.bus.available,
-        reported: reported.total_available_bus,
-        difference: busDiff,
-        severity: busDiff > 10 ? 'critical' : 'warning'
-      });
-    }
-    
-    // Check mobil
-    const mobilDiff = Math.abs(calculated.mobil.available - reported.total_available_mobil);
-    if (mobilDiff > this.notificationSettings.thresholds.data_consistency.max_difference) {
-      issues.push({
-        type: 'data_inconsistency',
-        vehicle: 'mobil',
-        calculated: calculated.mobil.available,
-        reported: reported.total_available_mobil,
-        difference: mobilDiff,
-        severity: mobilDiff > 10 ? 'critical' : 'warning'
-      });
-    }
-    
-    // Check motor
-    const motorDiff = Math.abs(calculated.motor.available - reported.total_available_motor);
-    if (motorDiff > this.notificationSettings.thresholds.data_consistency.max_difference) {
-      issues.push({
-        type: 'data_inconsistency',
-        vehicle: 'motor',
-        calculated: calculated.motor.available,
-        reported: reported.total_available_motor,
-        difference: motorDiff,
-        severity: motorDiff > 10 ? 'critical' : 'warning'
-      });
-    }
+    this.vehicleTypes.ids.forEach(type => {
+      const reportedAvailable = reported[VehicleTypes.availableKey(type)] || 0;
+      const diff = Math.abs(calculated[type].available - reportedAvailable);
+      if (diff > this.notificationSettings.thresholds.data_consistency.max_difference) {
+        issues.push({
+          type: 'data_inconsistency',
+          vehicle: type,
+          calculated: calculated[type].available,
+          reported: reportedAvailable,
+          difference: diff,
+          severity: diff > 10 ? 'critical' : 'warning'
+        });
+      }
+    });
     
     return issues;
   }
 
+  /**
+   * Lokasi di luar jam operasional tidak perlu dipantau (alert ditahan)
+   */
+  isClosed(location, at = new Date()) {
+    const configLoc = this.config?.locations?.find(l => l.id === location.id);
+    return CapacitySchedule.resolve(configLoc || location, at).state === 'closed';
+  }
+
   /**
    * Cek high utilization locations
    */
@@ -146,7 +148,9 @@ class StatisticsMonitor {
     const { warning, critical } = this.notificationSettings.thresholds.utilization;
     
     locations.forEach(location => {
-      ['bus', 'mobil', 'motor'].forEach(type => {
+      if (this.isClosed(location)) return;
+      
+      this.vehicleTypes.ids.forEach(type => {
         const vehicle = location[type];
         if (vehicle && vehicle.total > 0) {
           const utilization = ((vehicle.total - vehicle.available) / vehicle.total) * 100;
@@ -154,6 +158,7 @@ class StatisticsMonitor {
           if (utilization >= critical) {
             alerts.push({
               type: 'high_utilization',
+              location_id: location.id,
               location: location.nama,
               vehicle: type,
               utilization: utilization.toFixed(1),
@@ -164,6 +169,7 @@ class StatisticsMonitor {
           } else if (utilization >= warning) {
             alerts.push({
               type: 'high_utilization',
+              location_id: location.id,
               location: location.nama,
               vehicle: type,
               utilization: utilization.toFixed(1),
@@ -188,10 +194,12 @@ class StatisticsMonitor {
     const now = new Date();
     
     locations.forEach(location => {
+      if (this.isClosed(location, now)) return;
+      
       let lastUpdate = null;
       
       // Cari timestamp update terakhir
-      ['bus', 'mobil', 'motor'].forEach(type => {
+      this.vehicleTypes.ids.forEach(type => {
         if (location[type]?.last_update) {
           const updateTime = new Date(location[type].last_update);
           if (!lastUpdate || updateTime > lastUpdate) {
@@ -205,6 +213,7 @@ class StatisticsMonitor {
         if (hoursDiff >= staleHours) {
           alerts.push({
             type: 'stale_update',
+            location_id: location.id,
             location: location.nama,
             hours_since_update: hoursDiff.toFixed(1),
             last_update: lastUpdate.toISOString(),
@@ -243,18 +252,32 @@ class StatisticsMonitor {
   }
 
   /**
-   * Kirim notifikasi berdasarkan severity
+   * Status alert via AlertState; jika tidak bisa disimpan (operasi arsip, lock) semua ditampilkan
+   */
+  async evaluateAlerts(alerts) {
+    try {
+      return await this.alertState.evaluate(alerts);
+    } catch (error) {
+      console.warn(`⚠️ Alert state unavailable (${error.message}), showing all alerts`);
+      return AlertState.passthrough(alerts);
+    }
+  }
+
+  /**
+   * Kirim notifikasi berdasarkan severity; suppressed = alert aktif yang sudah diberitahukan
    */
-  sendNotifications(issues, alerts) {
+  sendNotifications(issues, alerts, suppressed = []) {
     const allNotifications = [...issues, ...alerts];
-    const critical = allNotifications.filter(n => n.severity === 'critical');
-    const warnings = allNotifications.filter(n => n.severity === 'warning');
+    const resolved = allNotifications.filter(n => n.lifecycle === 'resolved');
+    const active = allNotifications.filter(n => n.lifecycle !== 'resolved');
+    const critical = active.filter(n => n.severity === 'critical');
+    const warnings = active.filter(n => n.severity === 'warning');
     
     // Print ke console (default)
     if (critical.length > 0) {
       console.log('\n🚨 CRITICAL ALERTS:');
       critical.forEach(alert => {
-        console.log(`  ❌ ${alert.type.toUpperCase()}: ${alert.location || alert.vehicle}`);
+        console.log(`  ❌ ${alert.type.toUpperCase()}: ${alert.location || alert.vehicle}${alert.lifecycle === 'escalated' ? ' (escalated)' : ''}`);
         if (alert.difference) console.log(`     Difference: ${alert.difference} units`);
         if (alert.utilization) console.log(`     Utilization: ${alert.utilization}%`);
       });
@@ -269,12 +292,25 @@ class StatisticsMonitor {
       });
     }
     
+    if (resolved.length > 0) {
+      console.log('\n✅ RESOLVED:');
+      resolved.forEach(alert => {
+        console.log(`  ✅ ${alert.type.toUpperCase()}: ${alert.location || alert.vehicle} (after ${alert.duration})`);
+      });
+    }
+    
+    if (suppressed.length > 0) {
+      console.log(`\n🔕 ${suppressed.length} alert(s) unchanged since last notice (ack: POST /api/alerts/:id/ack)`);
+    }
+    
     // TODO: Implement email/slack/telegram notifications
     // berdasarkan config di notifications.json
     
     return {
       critical: critical.length,
       warnings: warnings.length,
+      resolved: resolved.length,
+      suppressed: suppressed.length,
       total: allNotifications.length
     };
   }
@@ -286,15 +322,9 @@ class StatisticsMonitor {
     const report = {
       timestamp: new Date().toISOString(),
       summary: {
-        calculated: {
-          bus: calculated.bus.available,
-          mobil: calculated.mobil.available,
-          motor: calculated.motor.available
-        },
+        calculated: this.vehicleTypes.map(type => calculated[type].available),
         utilization: {
-          bus: utilization.bus.toFixed(1),
-          mobil: utilization.mobil.toFixed(1),
-          motor: utilization.motor.toFixed(1),
+          ...this.vehicleTypes.map(type => utilization[type].toFixed(1)),
           overall: utilization.overall.toFixed(1)
         },
         issues_found: issues.length,
@@ -352,8 +382,17 @@ class StatisticsMonitor {
       // Log issues
       const logFile = this.logIssues(consistencyIssues, allAlerts);
       
-      // Send notifications
-      const notifications = this.sendNotifications(consistencyIssues, allAlerts);
+      // Send notifications: hanya yang baru, naik severity atau selesai
+      const lifecycle = this.checkOnly
+        ? AlertState.passthrough([...consistencyIssues, ...allAlerts])
+        : await this.evaluateAlerts([...consistencyIssues, ...allAlerts]);
+      const noticedIssues = lifecycle.notices.filter(n => n.type === 'data_inconsistency');
+      const noticedAlerts = lifecycle.notices.filter(n => n.type !== 'data_inconsistency');
+      const notifications = this.sendNotifications(noticedIssues, noticedAlerts, lifecycle.suppressed);
+      notifications.push = this.checkOnly ? { sent: 0, skipped: 'check only' } : await this.push.remindOfficers(staleAlerts);
+      if (notifications.push.sent > 0) {
+        console.log(`🔔 Push reminders sent to officers: ${notifications.push.sent}`);
+      }
       
       // Generate report
       const report = this.generateReport(calculated, utilization, consistencyIssues, allAlerts);
@@ -362,8 +401,9 @@ class StatisticsMonitor {
       console.log('\n' + '='.repeat(60));
       console.log('📈 MONITORING SUMMARY');
       console.log('='.repeat(60));
-      console.log(`✅ Calculated: Bus ${calculated.bus.available}, Mobil ${calculated.mobil.available}, Motor ${calculated.motor.available}`);
-      console.log(`📊 Utilization: Bus ${utilization.bus.toFixed(1)}%, Mobil ${utilization.mobil.toFixed(1)}%, Motor ${utilization.motor.toFixed(1)}%`);
+      const types = this.vehicleTypes.types;
+      console.log(`✅ Calculated: ${types.map(type => `${type.name} ${calculated[type.id].available}`).join(', ')}`);
+      console.log(`📊 Utilization: ${types.map(type => `${type.name} ${utilization[type.id].toFixed(1)}%`).join(', ')}`);
       console.log(`⚠️  Issues: ${consistencyIssues.length} inconsistencies, ${allAlerts.length} alerts`);
       console.log(`📁 Log file: ${logFile}`);
       console.log('='.repeat(60));
@@ -416,9 +456,9 @@ class StatisticsMonitor {
 
 // Run if called directly
 if (require.main === module) {
-  const monitor = new StatisticsMonitor();
-  
   const args = process.argv.slice(2);
+  const monitor = new StatisticsMonitor({ checkOnly: args.includes('--check-only') });
+  
   if (args.includes('--continuous')) {
     const interval = parseInt(args[args.indexOf('--continuous') + 1]) || 5;
     monitor.startContinuousMonitoring(interval);
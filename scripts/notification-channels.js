@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+/**
+ * Adapter channel notifikasi: email (SMTP), Slack, Telegram dan WhatsApp
+ *
+ * Channel aktif dibaca dari alert_channels di config/notifications.json
+ * (enabled: true); beberapa channel bisa aktif sekaligus. Setiap pengiriman
+ * diulang sesuai notification_settings.retry dan menghasilkan satu delivery
+ * result per channel. Kredensial di config berupa referensi ${secret:NAMA}
+ * (diisi ConfigLoader); jika kosong dipakai environment (secrets GitHub Actions):
+ *   SMTP_USERNAME, SMTP_PASSWORD, SLACK_WEBHOOK_URL, TELEGRAM_BOT_TOKEN,
+ *   TELEGRAM_CHAT_ID, WHATSAPP_API_URL, WHATSAPP_API_KEY
+ *
+ * URL API (telegram.api_url, whatsapp.api_url, slack.webhook_url) dan server
+ * SMTP bisa diarahkan ke server lokal untuk pengujian.
+ */
+
+const http = require('http');
+const https = require('https');
+const SmtpClient = require('./smtp-client');
+
+const CHANNELS = ['email', 'slack', 'telegram', 'whatsapp'];
+
+const DEFAULT_RETRY = {
+  attempts: 3,
+  backoff_ms: 2000,
+  max_backoff_ms: 30000
+};
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+class NotificationChannels {
+  constructor(options = {}) {
+    this.config = options.config || {};
+    this.env = options.env || process.env;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    
+    const settings = this.config.notification_settings || {};
+    this.retry = { ...DEFAULT_RETRY, ...(settings.retry || {}) };
+    this.timeout = settings.timeout_ms || DEFAULT_TIMEOUT_MS;
+  }
+
+  static error(message, details = {}) {
+    return Object.assign(new Error(message), { code: 'E_DELIVERY' }, details);
+  }
+
+  /**
+   * Channel yang aktif; "method" lama tetap dihormati sebagai satu channel tambahan
+   */
+  enabled() {
+    const settings = this.config.notification_settings || {};
+    if (settings.enabled === false) return [];
+    
+    const channels = this.config.alert_channels || {};
+    return CHANNELS.filter(name => channels[name]?.enabled === true || settings.method === name);
+  }
+
+  /**
+   * Config channel dengan kredensial dari environment bila kosong
+   */
+  channelConfig(name) {
+    const config = { ...((this.config.alert_channels || {})[name] || {}) };
+    const env = this.env;
+    
+    switch (name) {
+      case 'email':
+        config.username = config.username || env.SMTP_USERNAME;
+        config.password = config.password || env.SMTP_PASSWORD;
+        break;
+      case 'slack':
+        config.webhook_url = config.webhook_url || env.SLACK_WEBHOOK_URL;
+        break;
+      case 'telegram':
+        config.bot_token = config.bot_token || env.TELEGRAM_BOT_TOKEN;
+        config.chat_id = config.chat_id || env.TELEGRAM_CHAT_ID;
+        break;
+      case 'whatsapp':
+        config.api_url = config.api_url || env.WHATSAPP_API_URL;
+        config.api_key = config.api_key || env.WHATSAPP_API_KEY;
+        break;
+    }
+    return config;
+  }
+
+  /**
+   * Kirim pesan { title, text } ke semua channel (paralel)
+   */
+  async send(message, channels = this.enabled()) {
+    return Promise.all(channels.map(name => this.deliver(name, message)));
+  }
+
+  /**
+   * Kirim ke satu channel dengan retry; tidak pernah throw.
+   * overrides menggantikan bagian config channel, mis. { recipients: [nomor] } untuk satu kontak.
+   */
+  async deliver(name, message, overrides = {}) {
+    const adapter = {
+      email: 'sendEmail',
+      slack: 'sendSlack',
+      telegram: 'sendTelegram',
+      whatsapp: 'sendWhatsApp'
+    }[name];
+    const started = Date.now();
+    const state = {};
+    let attempts = 0;
+    let lastError = null;
+    
+    if (!adapter) {
+      lastError = NotificationChannels.error(`Unknown channel: ${name}`, { permanent: true });
+    }
+    
+    while (adapter && attempts < this.retry.attempts) {
+      attempts++;
+      try {
+        const detail = await this[adapter]({ ...this.channelConfig(name), ...overrides }, message, state);
+        return {
+          channel: name,
+          success: true,
+          attempts,
+          ...detail,
+          duration_ms: Date.now() - started,
+          timestamp: new Date().toISOString()
+        };
+      } catch (error) {
+        lastError = error;
+        if (error.permanent || attempts >= this.retry.attempts) break;
+        await this.sleep(this.backoff(attempts, error));
+      }
+    }
+    
+    return {
+      channel: name,
+      success: false,
+      attempts,
+      error: lastError.message,
+      ...(lastError.status && { status: lastError.status }),
+      duration_ms: Date.now() - started,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Jeda sebelum percobaan berikutnya: Retry-After dari server, atau eksponensial
+   */
+  backoff(attempt, error) {
+    const requested = Number(error?.retryAfter) * 1000;
+    const delay = requested > 0 ? requested : this.retry.backoff_ms * Math.pow(2, attempt - 1);
+    return Math.min(delay, this.retry.max_backoff_ms);
+  }
+
+  /**
+   * Request HTTP(S) JSON; status selain 2xx menjadi error (4xx permanen kecuali 408/429)
+   */
+  request(url, { method = 'POST', headers = {}, body } = {}) {
+    return new Promise((resolve, reject) => {
+      let target;
+      try {
+        target = new URL(url);
+      } catch (error) {
+        reject(NotificationChannels.error('Invalid URL', { permanent: true }));
+        return;
+      }
+      
+      const payload = body === undefined ? null : Buffer.from(JSON.stringify(body));
+      const transport = target.protocol === 'http:' ? http : https;
+      const req = transport.request(target, {
+        method,
+        headers: {
+          'User-Agent': 'ParkingSystemNotifier',
+          ...(payload && { 'Content-Type': 'application/json', 'Content-Length': payload.length }),
+          ...headers
+        },
+        timeout: this.timeout
+      }, res => {
+        let raw = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          raw += chunk;
+        });
+        res.on('end', () => {
+          let parsed = raw;
+          try {
+            parsed = raw ? JSON.parse(raw) : null;
+          } catch (error) {
+            // Slack membalas teks "ok"
+          }
+          
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve({ status: res.statusCode, body: parsed });
+            return;
+          }
+          
+          const description = parsed?.description || parsed?.error || (typeof parsed === 'string' ? parsed : '');
+          reject(NotificationChannels.error(`HTTP ${res.statusCode}${description ? `: ${String(description).substring(0, 200)}` : ''}`, {
+            status: res.statusCode,
+            permanent: res.statusCode >= 400 && res.statusCode < 500 && ![408, 429].includes(res.statusCode),
+            retryAfter: res.headers['retry-after'] || parsed?.parameters?.retry_after
+          }));
+        });
+      });
+      
+      req.on('timeout', () => req.destroy(NotificationChannels.error(`Timeout after ${this.timeout}ms`)));
+      req.on('error', error => reject(error));
+      if (payload) req.write(payload);
+      req.end();
+    });
+  }
+
+  requireConfig(name, config, fields) {
+    const missing = fields.filter(field => !config[field] || (Array.isArray(config[field]) && config[field].length === 0));
+    if (missing.length > 0) {
+      throw NotificationChannels.error(`${name} channel not configured: missing ${missing.join(', ')}`, { permanent: true });
+    }
+  }
+
+  /**
+   * Email lewat SMTP
+   */
+  async sendEmail(config, message) {
+    this.requireConfig('Email', config, ['smtp_server', 'recipients']);
+    
+    const client = new SmtpClient({
+      host: config.smtp_server,
+      port: config.port,
+      secure: config.secure,
+      starttls: config.starttls,
+      username: config.username,
+      password: config.password,
+      timeout: this.timeout
+    });
+    const result = await client.send({
+      from: config.from || config.username,
+      to: config.recipients,
+      subject: message.title,
+      text: message.text
+    });
+    
+    return { recipients: result.accepted.length, response: result.response };
+  }
+
+  /**
+   * Slack incoming webhook
+   */
+  async sendSlack(config, message) {
+    this.requireConfig('Slack', config, ['webhook_url']);
+    
+    const response = await this.request(config.webhook_url, {
+      body: {
+        ...(config.channel && { channel: config.channel }),
+        ...(config.username && { username: config.username }),
+        text: `*${message.title}*\n${message.text}`
+      }
+    });
+    return { status: response.status };
+  }
+
+  /**
+   * Telegram Bot API sendMessage
+   */
+  async sendTelegram(config, message) {
+    this.requireConfig('Telegram', config, ['bot_token', 'chat_id']);
+    
+    const apiUrl = (config.api_url || 'https://api.telegram.org').replace(/\/$/, '');
+    const response = await this.request(`${apiUrl}/bot${config.bot_token}/sendMessage`, {
+      body: {
+        chat_id: config.chat_id,
+        text: `${message.title}\n\n${message.text}`,
+        disable_web_page_preview: true
+      }
+    });
+    
+    if (response.body?.ok === false) {
+      throw NotificationChannels.error(`Telegram error: ${response.body.description || 'unknown'}`);
+    }
+    return { status: response.status, message_id: response.body?.result?.message_id };
+  }
+
+  /**
+   * WhatsApp lewat HTTP gateway: POST { to, message } per nomor dengan Bearer api_key.
+   * Nomor yang sudah terkirim tidak dikirim ulang saat retry.
+   */
+  async sendWhatsApp(config, message, state = {}) {
+    const recipients = [].concat(config.recipients || config.phone_number || []).filter(Boolean);
+    this.requireConfig('WhatsApp', { ...config, recipients }, ['api_url', 'api_key', 'recipients']);
+    
+    state.sent = state.sent || [];
+    for (const to of recipients.filter(number => !state.sent.includes(number))) {
+      await this.request(config.api_url, {
+        headers: { Authorization: `Bearer ${config.api_key}` },
+        body: { to, message: `${message.title}\n\n${message.text}` }
+      });
+      state.sent.push(to);
+    }
+    return { recipients: state.sent.length };
+  }
+}
+
+module.exports = NotificationChannels;
+module.exports.CHANNELS = CHANNELS;
+
+// CLI Interface
+if (require.main === module) {
+  const ConfigLoader = require('./config-loader');
+
+  const config = new ConfigLoader().load('notifications');
+  const channelArg = process.argv.find(a => a.startsWith('--channel='));
+  const channels = new NotificationChannels({ config });
+  const selected = channelArg ? channelArg.slice('--channel='.length).split(',') : channels.enabled();
+
+  if (selected.length === 0) {
+    console.log('ℹ️ No notification channels enabled in config/notifications.json');
+    console.log('   Usage: node scripts/notification-channels.js [--channel=email,slack,telegram,whatsapp]');
+    process.exit(0);
+  }
+
+  console.log(`📤 Sending test message via: ${selected.join(', ')}`);
+  channels.send({
+    title: '🧪 TEST NOTIFIKASI PARKIR',
+    text: `Pesan uji channel notifikasi (${new Date().toISOString()})`
+  }, selected).then(results => {
+    results.forEach(result => {
+      const icon = result.success ? '✅' : '❌';
+      console.log(`${icon} ${result.channel}: ${result.success ? 'delivered' : result.error} (${result.attempts} attempt(s))`);
+    });
+    process.exit(results.every(result => result.success) ? 0 : 1);
+  });
+}
@@ -1,20 +1,63 @@
 #!/usr/bin/env node
 /**
  * Script untuk mengirim notifikasi utilisasi parkir tinggi
+ *
+ * Alert yang sama hanya dikirim saat statusnya berubah (baru, naik ke critical,
+ * selesai); lihat alert-state.js untuk cooldown dan konfirmasi (--ack).
+ * Pengiriman, eskalasi dan push hanya di host API (alert-monitor.js); --check-only
+ * menampilkan semua alert di console tanpa menyentuh status alert.
+ *
+ *   node scripts/notify-utilization.js [--check-only | --test | --report]
  */
 
 const fs = require('fs');
 const path = require('path');
+const CapacitySchedule = require('./capacity-schedule');
+const OperationRegistry = require('./operation-registry');
+const NotificationChannels = require('./notification-channels');
+const ConfigLoader = require('./config-loader');
+const VehicleTypes = require('./vehicle-types');
+const PushNotifier = require('./push-notifier');
+const AlertState = require('./alert-state');
+const Escalation = require('./escalation');
 
 class UtilizationNotifier {
-  constructor() {
-    this.rootDir = path.join(__dirname, '..');
-    this.dataFile = path.join(this.rootDir, 'data/parkir-data.json');
-    this.configFile = path.join(this.rootDir, 'config/notifications.json');
-    this.logDir = path.join(this.rootDir, 'data/logs');
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.dataFile = this.operation.path('data/parkir-data.json');
+    this.configLoader = options.configLoader || new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.vehicleTypes = options.vehicleTypes || VehicleTypes.load({ configLoader: this.configLoader });
+    this.logDir = this.operation.path('data/logs');
+    this.checkOnly = Boolean(options.checkOnly);
     
     // Load config
-    this.config = this.loadConfig();
+    this.config = options.config || this.loadConfig();
+    this.locationsConfig = this.loadLocationsConfig();
+    this.channels = options.channels || new NotificationChannels({ config: this.config, sleep: options.sleep });
+    // Pemberitahuan "ada tempat lagi" ke pengunjung lewat Web Push
+    this.push = options.push || new PushNotifier({
+      rootDir: this.rootDir,
+      operation: this.operation,
+      configLoader: this.configLoader,
+      config: this.config,
+      vehicleTypes: this.vehicleTypes
+    });
+    this.alertState = options.alertState || new AlertState({
+      rootDir: this.rootDir,
+      operation: this.operation,
+      config: this.config,
+      source: 'utilization'
+    });
+    // Alert critical yang belum dikonfirmasi diteruskan ke petugas lokasi lalu kontak jaga
+    this.escalation = options.escalation || new Escalation({
+      rootDir: this.rootDir,
+      operation: this.operation,
+      configLoader: this.configLoader,
+      config: this.config,
+      alertState: this.alertState,
+      channels: this.channels
+    });
     
     // Ensure log directory exists
     if (!fs.existsSync(this.logDir)) {
@@ -23,11 +66,13 @@ class UtilizationNotifier {
   }
 
   loadConfig() {
-    try {
-      return JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
-    } catch (error) {
+    if (!fs.existsSync(this.configLoader.filePath('notifications'))) {
       console.warn('⚠️ Notification config not found, using defaults');
-      return {
+    }
+    
+    // Config yang tidak valid melempar error yang menyebut key yang salah
+    return this.configLoader.load('notifications', {
+      defaults: {
         notification_settings: {
           method: 'console',
           log_level: 'info'
@@ -44,8 +89,23 @@ class UtilizationNotifier {
             message: "Lokasi {location} mencapai {utilization}% utilisasi. Kapasitas tersisa: {available}/{total}"
           }
         }
-      };
+      }
+    });
+  }
+
+  loadLocationsConfig() {
+    if (!fs.existsSync(this.configLoader.filePath('locations-config'))) {
+      console.warn('⚠️ Locations config not found, operational hours ignored');
     }
+    return this.configLoader.load('locations-config', { defaults: { locations: [] } });
+  }
+
+  /**
+   * Lokasi di luar jam operasional tidak menghasilkan alert
+   */
+  isClosed(location, at = new Date()) {
+    const configLoc = this.locationsConfig.locations.find(l => l.id === location.id);
+    return CapacitySchedule.resolve(configLoc || location, at).state === 'closed';
   }
 
   /**
@@ -58,8 +118,11 @@ class UtilizationNotifier {
     data.locations.forEach(location => {
       // Skip locations with special status
       if (location.status === 'special') return;
+      
+      // Skip locations outside operational hours
+      if (this.isClosed(location)) return;
 
-      ['bus', 'mobil', 'motor'].forEach(vehicleType => {
+      this.vehicleTypes.ids.forEach(vehicleType => {
         const vehicle = location[vehicleType];
         
         // Skip if vehicle type not available
@@ -75,6 +138,7 @@ class UtilizationNotifier {
         if (utilization >= critical) {
           alerts.push({
             type: 'critical_utilization',
+            location_id: location.id,
             location: location.nama,
             vehicle: vehicleType,
             utilization: utilization.toFixed(1),
@@ -87,6 +151,7 @@ class UtilizationNotifier {
         } else if (utilization >= warning) {
           alerts.push({
             type: 'warning_utilization',
+            location_id: location.id,
             location: location.nama,
             vehicle: vehicleType,
             utilization: utilization.toFixed(1),
@@ -108,21 +173,12 @@ class UtilizationNotifier {
    */
   analyzeSystemUtilization(data) {
     const stats = data.statistics;
-    const totals = {
-      bus: stats.total_bus_capacity,
-      mobil: stats.total_mobil_capacity,
-      motor: stats.total_motor_capacity
-    };
-    
-    const available = {
-      bus: stats.total_available_bus,
-      mobil: stats.total_available_mobil,
-      motor: stats.total_available_motor
-    };
+    const totals = this.vehicleTypes.map(type => stats[VehicleTypes.capacityKey(type)] || 0);
+    const available = this.vehicleTypes.map(type => stats[VehicleTypes.availableKey(type)] || 0);
 
     const systemAlerts = [];
 
-    ['bus', 'mobil', 'motor'].forEach(type => {
+    this.vehicleTypes.ids.forEach(type => {
       if (totals[type] > 0) {
         const utilization = ((totals[type] - available[type]) / totals[type]) * 100;
         
@@ -134,7 +190,7 @@ class UtilizationNotifier {
             available: available[type],
             total: totals[type],
             severity: 'critical',
-            message: `Sistem ${type} mencapai ${utilization.toFixed(1)}% utilisasi`
+            message: `Sistem ${this.vehicleTypes.name(type).toLowerCase()} mencapai ${utilization.toFixed(1)}% utilisasi`
           });
         }
       }
@@ -155,6 +211,7 @@ class UtilizationNotifier {
     message = message.replace('{available}', data.available || '0');
     message = message.replace('{total}', data.total || '0');
     message = message.replace('{vehicle}', data.vehicle || 'kendaraan');
+    message = message.replace('{duration}', data.duration || '-');
     
     return message;
   }
@@ -173,8 +230,10 @@ class UtilizationNotifier {
     console.log('='.repeat(70));
 
     // Group by severity
-    const critical = alerts.filter(a => a.severity === 'critical');
-    const warning = alerts.filter(a => a.severity === 'warning');
+    const active = alerts.filter(a => a.lifecycle !== 'resolved');
+    const resolved = alerts.filter(a => a.lifecycle === 'resolved');
+    const critical = active.filter(a => a.severity === 'critical');
+    const warning = active.filter(a => a.severity === 'warning');
 
     if (critical.length > 0) {
       console.log('\n🔴 CRITICAL UTILIZATION (>95%):');
@@ -195,94 +254,139 @@ class UtilizationNotifier {
       });
     }
 
+    if (resolved.length > 0) {
+      console.log('\n✅ RESOLVED:');
+      resolved.forEach(alert => {
+        console.log(`\n📍 ${alert.location || alert.message} - ${(alert.vehicle || '').toUpperCase()}`);
+        console.log(`   Active for: ${alert.duration}`);
+      });
+    }
+
     console.log('\n' + '='.repeat(70));
-    console.log(`📊 Total Alerts: ${alerts.length} (${critical.length} critical, ${warning.length} warning)`);
+    console.log(`📊 Total Alerts: ${active.length} (${critical.length} critical, ${warning.length} warning)${resolved.length > 0 ? `, ${resolved.length} resolved` : ''}`);
     console.log('='.repeat(70));
   }
 
   /**
-   * Kirim notifikasi via email
+   * Susun pesan { title, text } untuk channel dari template alert_templates.
+   * Alert dari AlertState.evaluate() membawa lifecycle (opened/escalated/resolved) dan alert_id.
    */
-  async sendEmailNotification(alerts) {
-    // Implementation untuk email
-    console.log('📧 Email notification would be sent (not implemented)');
-    console.log(`   Alerts: ${alerts.length}`);
-    
-    // Log untuk development
-    const emailLog = {
-      timestamp: new Date().toISOString(),
-      method: 'email',
-      alerts_count: alerts.length,
-      alerts: alerts
+  buildMessage(alerts) {
+    const templates = this.config.alert_templates || {};
+    const template = templates.high_utilization || {
+      title: '🚨 PARKIR HAMPIR PENUH',
+      message: 'Lokasi {location} mencapai {utilization}% utilisasi. Kapasitas tersisa: {available}/{total}'
+    };
+    const resolvedTemplate = templates.alert_resolved || {
+      title: '✅ ALERT SELESAI',
+      message: 'Lokasi {location} kembali di bawah ambang batas setelah {duration}'
     };
+    const active = alerts.filter(a => a.lifecycle !== 'resolved');
+    const resolved = alerts.filter(a => a.lifecycle === 'resolved');
+    const critical = active.filter(a => a.severity === 'critical').length;
+    
+    const lines = alerts.map(alert => {
+      const suffix = `${alert.location ? ` (${alert.vehicle})` : ''}${alert.alert_id ? ` #${alert.alert_id}` : ''}`;
+      if (alert.lifecycle === 'resolved') {
+        const text = alert.location ? this.formatMessage(resolvedTemplate, alert) : `${alert.message} - selesai setelah ${alert.duration}`;
+        return `✅ ${text}${suffix}`;
+      }
+      
+      const icon = alert.lifecycle === 'escalated' ? '⬆️🔴' : (alert.severity === 'critical' ? '🔴' : '🟡');
+      const text = alert.location ? this.formatMessage(template, alert) : alert.message;
+      return `${icon} ${text}${suffix}`;
+    });
+    
+    const summary = [`Total: ${active.length} alert (${critical} critical, ${active.length - critical} warning)`];
+    if (resolved.length > 0) summary.push(`Selesai: ${resolved.length}`);
+    if (active.some(a => a.alert_id)) summary.push('Konfirmasi: POST /api/alerts/<id>/ack atau di host API: node scripts/alert-state.js --ack=<id>');
     
-    const logFile = path.join(this.logDir, 'email-notifications.log');
-    fs.appendFileSync(logFile, JSON.stringify(emailLog) + '\n');
+    return {
+      title: `${(active.length > 0 ? template : resolvedTemplate).title} - ${this.operation.short_name || this.operation.name}`,
+      text: [...lines, '', ...summary].join('\n')
+    };
+  }
+
+  /**
+   * Kirim notifikasi via email (SMTP)
+   */
+  async sendEmailNotification(alerts) {
+    return this.channels.deliver('email', this.buildMessage(alerts));
   }
 
   /**
-   * Kirim notifikasi via Slack
+   * Kirim notifikasi via Slack (incoming webhook)
    */
   async sendSlackNotification(alerts) {
-    // Implementation untuk Slack
-    console.log('💬 Slack notification would be sent (not implemented)');
-    console.log(`   Alerts: ${alerts.length}`);
-    
-    // Log untuk development
-    const slackLog = {
-      timestamp: new Date().toISOString(),
-      method: 'slack',
-      alerts_count: alerts.length,
-      alerts: alerts
-    };
+    return this.channels.deliver('slack', this.buildMessage(alerts));
+  }
+
+  /**
+   * Kirim notifikasi via Telegram Bot API
+   */
+  async sendTelegramNotification(alerts) {
+    return this.channels.deliver('telegram', this.buildMessage(alerts));
+  }
+
+  /**
+   * Kirim notifikasi via WhatsApp gateway
+   */
+  async sendWhatsAppNotification(alerts) {
+    return this.channels.deliver('whatsapp', this.buildMessage(alerts));
+  }
+
+  /**
+   * Catat hasil pengiriman per channel
+   */
+  logDeliveries(deliveries) {
+    if (deliveries.length === 0) return;
     
-    const logFile = path.join(this.logDir, 'slack-notifications.log');
-    fs.appendFileSync(logFile, JSON.stringify(slackLog) + '\n');
+    const logFile = path.join(this.logDir, 'notification-deliveries.log');
+    fs.appendFileSync(logFile, deliveries.map(d => JSON.stringify(d)).join('\n') + '\n');
   }
 
   /**
-   * Kirim notifikasi sesuai config
+   * Kirim notifikasi ke console dan channel (default: semua channel aktif di alert_channels)
    */
-  async sendNotifications(alerts) {
+  async sendNotifications(alerts, channels = this.channels.enabled()) {
     if (alerts.length === 0) {
-      return { sent: 0, method: 'none' };
+      return { sent: 0, method: 'none', channels: [], deliveries: [] };
     }
 
-    const method = this.config.notification_settings?.method || 'console';
+    // Console selalu ditampilkan (log workflow)
+    this.sendConsoleNotification(alerts);
     
-    try {
-      switch (method) {
-        case 'email':
-          await this.sendEmailNotification(alerts);
-          break;
-        case 'slack':
-          await this.sendSlackNotification(alerts);
-          break;
-        case 'telegram':
-          console.log('📱 Telegram notification would be sent (not implemented)');
-          break;
-        case 'whatsapp':
-          console.log('📲 WhatsApp notification would be sent (not implemented)');
-          break;
-        case 'console':
-        default:
-          this.sendConsoleNotification(alerts);
-          break;
+    const deliveries = await this.channels.send(this.buildMessage(alerts), channels);
+    this.logDeliveries(deliveries);
+    
+    deliveries.forEach(delivery => {
+      if (delivery.success) {
+        console.log(`📤 ${delivery.channel}: delivered (${delivery.attempts} attempt(s))`);
+      } else {
+        console.error(`❌ ${delivery.channel}: ${delivery.error} (${delivery.attempts} attempt(s))`);
       }
-      
-      return {
-        sent: alerts.length,
-        method,
-        timestamp: new Date().toISOString()
-      };
-      
+    });
+    
+    const failed = deliveries.filter(d => !d.success).length;
+    return {
+      sent: channels.length === 0 || failed < deliveries.length ? alerts.length : 0,
+      method: ['console', ...channels].join(','),
+      channels,
+      deliveries,
+      failed,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Status alert via AlertState; jika tidak bisa disimpan (operasi arsip, lock) semua alert dikirim
+   */
+  async evaluateAlerts(alerts) {
+    try {
+      return await this.alertState.evaluate(alerts);
     } catch (error) {
-      console.error('❌ Error sending notifications:', error.message);
-      return {
-        sent: 0,
-        method,
-        error: error.message
-      };
+      console.warn(`⚠️ Alert state unavailable (${error.message}), sending all alerts`);
+      return AlertState.passthrough(alerts);
     }
   }
 
@@ -290,27 +394,17 @@ class UtilizationNotifier {
    * Generate report harian
    */
   generateDailyReport(data) {
+    const capacity = this.vehicleTypes.map(type => data.statistics[VehicleTypes.capacityKey(type)] || 0);
+    const available = this.vehicleTypes.map(type => data.statistics[VehicleTypes.availableKey(type)] || 0);
+    const sum = values => Object.values(values).reduce((total, value) => total + value, 0);
+    
     const report = {
       date: new Date().toISOString().split('T')[0],
       timestamp: new Date().toISOString(),
       summary: {
         total_locations: data.locations.length,
-        total_capacity: {
-          bus: data.statistics.total_bus_capacity,
-          mobil: data.statistics.total_mobil_capacity,
-          motor: data.statistics.total_motor_capacity,
-          total: data.statistics.total_bus_capacity + 
-                data.statistics.total_mobil_capacity + 
-                data.statistics.total_motor_capacity
-        },
-        total_available: {
-          bus: data.statistics.total_available_bus,
-          mobil: data.statistics.total_available_mobil,
-          motor: data.statistics.total_available_motor,
-          total: data.statistics.total_available_bus + 
-                data.statistics.total_available_mobil + 
-                data.statistics.total_available_motor
-        }
+        total_capacity: { ...capacity, total: sum(capacity) },
+        total_available: { ...available, total: sum(available) }
       },
       top_utilized_locations: [],
       recommendations: []
@@ -321,7 +415,7 @@ class UtilizationNotifier {
       let totalCapacity = 0;
       let totalAvailable = 0;
 
-      ['bus', 'mobil', 'motor'].forEach(type => {
+      this.vehicleTypes.ids.forEach(type => {
         totalCapacity += location[type]?.total || 0;
         totalAvailable += location[type]?.available || 0;
       });
@@ -353,7 +447,7 @@ class UtilizationNotifier {
     }
 
     // Save report
-    const reportDir = path.join(this.rootDir, 'data/reports');
+    const reportDir = this.operation.path('data/reports');
     if (!fs.existsSync(reportDir)) {
       fs.mkdirSync(reportDir, { recursive: true });
     }
@@ -381,9 +475,26 @@ class UtilizationNotifier {
       
       const allAlerts = [...locationAlerts, ...systemAlerts];
       
+      // Hanya alert yang statusnya berubah yang dikirim (--check-only: semua, hanya ke console)
+      const lifecycle = this.checkOnly ? AlertState.passthrough(allAlerts) : await this.evaluateAlerts(allAlerts);
+      if (lifecycle.suppressed.length > 0) {
+        console.log(`🔕 ${lifecycle.suppressed.length} alert(s) unchanged since last notice, not re-sent`);
+      }
+      
       // Send notifications
-      console.log(`🔔 Sending ${allAlerts.length} alerts...`);
-      const notificationResult = await this.sendNotifications(allAlerts);
+      console.log(`🔔 Sending ${lifecycle.notices.length} alerts...`);
+      const notificationResult = this.checkOnly
+        ? await this.sendNotifications(lifecycle.notices, [])
+        : await this.sendNotifications(lifecycle.notices);
+      
+      const escalationResult = this.checkOnly ? { escalated: 0, skipped: 'check only' } : await this.escalation.run();
+      
+      // Lokasi yang tadinya penuh dan kini punya tempat (hanya lokasi yang dipantau)
+      const monitored = data.locations.filter(location => location.status !== 'special' && !this.isClosed(location));
+      const pushResult = this.checkOnly ? { sent: 0, skipped: 'check only' } : await this.push.notifySpaceAgain(monitored, locationAlerts);
+      if (pushResult.sent > 0) {
+        console.log(`🔔 "Space again" push sent to visitors: ${pushResult.sent}`);
+      }
       
       // Generate daily report (if it's morning)
       const hour = new Date().getHours();
@@ -399,7 +510,12 @@ class UtilizationNotifier {
         alerts_generated: allAlerts.length,
         critical_alerts: allAlerts.filter(a => a.severity === 'critical').length,
         warning_alerts: allAlerts.filter(a => a.severity === 'warning').length,
+        notices_sent: lifecycle.notices.length,
+        suppressed_alerts: lifecycle.suppressed.length,
+        resolved_alerts: lifecycle.resolved.length,
         notification_result: notificationResult,
+        escalation_result: { escalated: escalationResult.escalated, skipped: escalationResult.skipped },
+        push_result: pushResult,
         system_status: allAlerts.length > 0 ? 'needs_attention' : 'healthy'
       };
       
@@ -418,6 +534,8 @@ class UtilizationNotifier {
       return {
         success: true,
         alerts: allAlerts.length,
+        notices: lifecycle.notices.length,
+        suppressed: lifecycle.suppressed.length,
         notificationResult,
         logFile
       };
@@ -481,9 +599,9 @@ class UtilizationNotifier {
 
 // Run if called directly
 if (require.main === module) {
-  const notifier = new UtilizationNotifier();
-  
   const args = process.argv.slice(2);
+  const notifier = new UtilizationNotifier({ checkOnly: args.includes('--check-only') });
+  
   if (args.includes('--test')) {
     notifier.testNotification();
   } else if (args.includes('--report')) {
@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+/**
+ * Log okupansi append-only (event sourcing untuk parkir-data.json)
+ *
+ * Setiap update yang diterima processor dicatat sebagai satu baris JSON di
+ * data/events/occupancy-YYYY-MM-DD.jsonl. Nilai `available` di parkir-data.json
+ * adalah proyeksi dari log ini dan bisa dibangun ulang kapan saja, termasuk
+ * untuk titik waktu di masa lalu (replay) dan deret waktu laporan pasca-operasi.
+ *
+ * Jenis event:
+ *   baseline  - kondisi seluruh lokasi (awal log, reset/restore darurat)
+ *   occupancy - perubahan dari satu update petugas
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const DataStore = require('./data-store');
+const OperationRegistry = require('./operation-registry');
+const VehicleTypes = require('./vehicle-types');
+
+const FILE_PATTERN = /^occupancy-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+class OccupancyLog {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.eventsDir = this.operation.path('data/events');
+    this.store = options.store || new DataStore({ rootDir: this.rootDir, operation: this.operation });
+    this.vehicleTypes = options.vehicleTypes || VehicleTypes.load({ rootDir: this.rootDir, operation: this.operation });
+  }
+
+  fileFor(timestamp) {
+    return path.join(this.eventsDir, `occupancy-${new Date(timestamp).toISOString().split('T')[0]}.jsonl`);
+  }
+
+  /**
+   * Tambahkan event ke log hari yang sesuai (dipanggil di bawah lock data)
+   */
+  append(events) {
+    const list = [].concat(events).map(event => ({
+      event_id: crypto.randomBytes(8).toString('hex'),
+      ...event
+    }));
+    if (list.length === 0) return [];
+
+    fs.mkdirSync(this.eventsDir, { recursive: true });
+
+    // Kelompokkan per hari agar setiap file ditulis dengan satu append
+    const byFile = new Map();
+    list.forEach(event => {
+      const file = this.fileFor(event.timestamp);
+      byFile.set(file, (byFile.get(file) || '') + JSON.stringify(event) + '\n');
+    });
+    byFile.forEach((lines, file) => fs.appendFileSync(file, lines));
+
+    return list;
+  }
+
+  /**
+   * Kondisi semua lokasi pada saat ini sebagai event baseline
+   */
+  baselineEvent(data, source, timestamp = new Date().toISOString()) {
+    return {
+      type: 'baseline',
+      timestamp,
+      source,
+      locations: data.locations.map(location => {
+        const entry = { location_id: Number(location.id), location_name: location.nama, notes: location.notes || '' };
+        this.vehicleTypes.ids.forEach(type => {
+          if (!location[type]) return;
+          entry[type] = {
+            total: location[type].total,
+            available: location[type].available,
+            last_update: location[type].last_update,
+            updated_by: location[type].updated_by
+          };
+        });
+        return entry;
+      })
+    };
+  }
+
+  appendBaseline(data, source) {
+    return this.append(this.baselineEvent(data, source));
+  }
+
+  /**
+   * Tulis snapshot yang menggantikan kondisi okupansi (reset/restore) beserta
+   * event baseline-nya dalam satu lock, sehingga log dan snapshot tetap sejalan.
+   * options.audit: konteks audit ({ actor, reason }); action default = source.
+   */
+  writeBaseline(data, source, options = {}) {
+    return this.store.transaction('data', tx => {
+      if (options.expectedRevision !== undefined) {
+        this.store.checkRevision('data', tx.read('data'), options.expectedRevision);
+      }
+      tx.write('data', data);
+      this.appendBaseline(data, source);
+      return DataStore.revisionOf(data);
+    }, { action: source, ...options.audit });
+  }
+
+  hasEvents() {
+    return this.listFiles().length > 0;
+  }
+
+  /**
+   * Pastikan log punya titik awal sebelum event occupancy pertama ditulis
+   */
+  ensureBaseline(data, source = 'initial-snapshot') {
+    if (!this.hasEvents()) {
+      this.appendBaseline(data, source);
+      return true;
+    }
+    return false;
+  }
+
+  listFiles() {
+    if (!fs.existsSync(this.eventsDir)) return [];
+    return fs.readdirSync(this.eventsDir).filter(f => FILE_PATTERN.test(f)).sort();
+  }
+
+  /**
+   * Baca event (urut sesuai penulisan), opsional dibatasi sampai waktu tertentu
+   */
+  readEvents(options = {}) {
+    const until = options.at ? new Date(options.at).getTime() : Infinity;
+    const untilDay = options.at ? new Date(options.at).toISOString().split('T')[0] : null;
+    const events = [];
+
+    this.listFiles().forEach(file => {
+      const day = file.match(FILE_PATTERN)[1];
+      if (untilDay && day > untilDay) return;
+
+      fs.readFileSync(path.join(this.eventsDir, file), 'utf8').split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch {
+          // Baris terpotong (proses mati saat append) dilewati
+          console.warn(`⚠️ Skipping unreadable event ${file}:${index + 1}`);
+          return;
+        }
+        if (new Date(event.timestamp).getTime() <= until) {
+          events.push(event);
+        }
+      });
+    });
+
+    return events;
+  }
+
+  /**
+   * Terapkan event ke salinan snapshot. Struktur lokasi (nama, kapasitas, koordinat)
+   * diambil dari base; nilai okupansi seluruhnya dari event.
+   */
+  project(base, events) {
+    if (!events.some(event => event.type === 'baseline')) {
+      throw Object.assign(new Error('Event log has no baseline before the requested time'), { code: 'E_NO_BASELINE' });
+    }
+
+    const snapshot = JSON.parse(JSON.stringify(base));
+    const byId = new Map(snapshot.locations.map(location => [Number(location.id), location]));
+
+    const applyVehicle = (location, type, values) => {
+      if (!location[type] || !values) return;
+      location[type].available = Math.max(0, Math.min(values.available, location[type].total));
+      location[type].last_update = values.last_update;
+      location[type].updated_by = values.updated_by;
+    };
+
+    events.forEach(event => {
+      if (event.type === 'baseline') {
+        event.locations.forEach(entry => {
+          const location = byId.get(entry.location_id);
+          if (!location) return;
+          this.vehicleTypes.ids.forEach(type => applyVehicle(location, type, entry[type]));
+          location.notes = entry.notes;
+        });
+      } else if (event.type === 'occupancy') {
+        const location = byId.get(event.location_id);
+        if (!location) return;
+        Object.entries(event.changes || {}).forEach(([type, change]) => {
+          applyVehicle(location, type, { available: change.available, last_update: event.timestamp, updated_by: event.updated_by });
+        });
+        if (event.notes !== undefined) {
+          location.notes = event.notes;
+        }
+      }
+    });
+
+    OccupancyLog.applyTotals(snapshot, this.vehicleTypes);
+    return snapshot;
+  }
+
+  /**
+   * Hitung ulang total kapasitas/tersedia pada statistics
+   */
+  static applyTotals(data, vehicleTypes = VehicleTypes.load()) {
+    vehicleTypes.applyTotals(data);
+  }
+
+  /**
+   * Snapshot seperti pada waktu `at` (tidak menulis apa pun)
+   */
+  replay(at) {
+    const time = new Date(at);
+    if (isNaN(time.getTime())) {
+      throw new Error(`Invalid timestamp: ${at}`);
+    }
+
+    const snapshot = this.project(this.store.read('data'), this.readEvents({ at: time.toISOString() }));
+    snapshot.metadata = {
+      ...snapshot.metadata,
+      replayed_at: new Date().toISOString(),
+      as_of: time.toISOString()
+    };
+    return snapshot;
+  }
+
+  /**
+   * Bangun ulang parkir-data.json dari seluruh log
+   */
+  rebuild(audit = {}) {
+    return this.store.update('data', data => {
+      const snapshot = this.project(data, this.readEvents());
+      snapshot.metadata.rebuilt_from_events_at = new Date().toISOString();
+      return snapshot;
+    }, { action: 'rebuild-from-events', reason: 'Snapshot rebuilt from occupancy event log', ...audit });
+  }
+
+  /**
+   * Deret waktu okupansi per lokasi/jenis kendaraan untuk laporan pasca-operasi
+   */
+  series(options = {}) {
+    const from = options.from ? new Date(options.from).getTime() : -Infinity;
+    const to = options.to ? new Date(options.to).getTime() : Infinity;
+    const rows = [];
+
+    this.readEvents().forEach(event => {
+      const time = new Date(event.timestamp).getTime();
+      if (time < from || time > to) return;
+
+      const entries = event.type === 'baseline'
+        ? event.locations.map(entry => ({ ...entry, changes: entry }))
+        : [{ location_id: event.location_id, location_name: event.location_name, changes: event.changes || {} }];
+
+      entries.forEach(entry => {
+        if (options.locationId !== undefined && entry.location_id !== options.locationId) return;
+
+        this.vehicleTypes.ids.forEach(type => {
+          const change = entry.changes[type];
+          if (!change || (options.type && options.type !== type)) return;
+
+          rows.push({
+            timestamp: event.timestamp,
+            event: event.type,
+            location_id: entry.location_id,
+            location_name: entry.location_name,
+            vehicle_type: type,
+            total: change.total,
+            available: change.available,
+            occupied: change.total !== undefined ? change.total - change.available : null,
+            updated_by: event.updated_by || event.source,
+            update_id: event.update_id || null
+          });
+        });
+      });
+    });
+
+    return rows;
+  }
+
+  static toCSV(rows) {
+    const columns = ['timestamp', 'event', 'location_id', 'location_name', 'vehicle_type', 'total', 'available', 'occupied', 'updated_by', 'update_id'];
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(c => escape(row[c])).join(','))].join('\n') + '\n';
+  }
+}
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  const log = new OccupancyLog();
+
+  try {
+    if (args.includes('--replay')) {
+      const at = getArg('at');
+      if (!at) {
+        console.error('❌ --replay requires --at=<ISO timestamp>');
+        process.exit(1);
+      }
+
+      const snapshot = log.replay(at);
+      const output = getArg('output') ||
+        log.operation.path(`data/reports/replay-${snapshot.metadata.as_of.replace(/[:.]/g, '-')}.json`);
+      fs.mkdirSync(path.dirname(output), { recursive: true });
+      fs.writeFileSync(output, JSON.stringify(snapshot, null, 2));
+
+      console.log(`⏪ Snapshot as of ${snapshot.metadata.as_of}`);
+      log.vehicleTypes.describeTotals(snapshot.statistics).forEach(line => console.log(`   ${line}`));
+      console.log(`📁 Saved to: ${output}`);
+    } else if (args.includes('--rebuild')) {
+      const snapshot = log.rebuild();
+      console.log(`✅ parkir-data.json rebuilt from ${log.listFiles().length} event file(s)`);
+      console.log(`   Revision: ${snapshot.metadata.revision}`);
+    } else if (args.includes('--series')) {
+      const LocationResolver = require('./location-resolver');
+      const locationRef = getArg('location');
+      const entry = locationRef ? new LocationResolver().resolve(locationRef) : null;
+      if (locationRef && !entry) {
+        console.error(`❌ Location not found: ${locationRef}`);
+        process.exit(1);
+      }
+
+      const rows = log.series({
+        locationId: entry ? entry.id : undefined,
+        type: getArg('type'),
+        from: getArg('from'),
+        to: getArg('to')
+      });
+      const content = getArg('format') === 'json' ? JSON.stringify(rows, null, 2) + '\n' : OccupancyLog.toCSV(rows);
+      const output = getArg('output');
+
+      if (output) {
+        fs.writeFileSync(output, content);
+        console.log(`📈 ${rows.length} data points saved to: ${output}`);
+      } else {
+        process.stdout.write(content);
+      }
+    } else if (args.includes('--baseline')) {
+      log.store.transaction('data', tx => log.appendBaseline(tx.read('data'), 'manual'));
+      console.log('✅ Baseline event recorded from current parkir-data.json');
+    } else {
+      console.log(`
+Occupancy Event Log
+
+Usage:
+  node scripts/occupancy-log.js --replay --at=<ISO> [--output=file]   Snapshot as of a timestamp
+  node scripts/occupancy-log.js --rebuild                             Rebuild parkir-data.json from events
+  node scripts/occupancy-log.js --series [--location=<ref>] [--type=mobil]
+                                [--from=<ISO>] [--to=<ISO>] [--format=csv|json] [--output=file]
+  node scripts/occupancy-log.js --baseline                            Record current snapshot as baseline
+      `);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = OccupancyLog;
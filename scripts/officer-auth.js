@@ -0,0 +1,434 @@
+#!/usr/bin/env node
+/**
+ * Autentikasi petugas: akun per petugas dengan PIN/password, sesi bertanda tangan (HMAC)
+ * dan verifikasi bahwa update hanya dikirim untuk lokasi yang menjadi tugas petugas.
+ *
+ * Secret penandatangan diambil dari environment variable SESSION_SECRET.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const LocationResolver = require('./location-resolver');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+const AuditLogger = require('./audit-logger');
+const VehicleTypes = require('./vehicle-types');
+
+const DEFAULT_SECURITY = {
+  session_timeout: 28800000, // 8 jam
+  max_login_attempts: 3,
+  password_min_length: 8,
+  lockout_duration: 900000 // 15 menit
+};
+
+const SCRYPT_KEYLEN = 32;
+// Dicocokkan jika akun tidak ada atau PIN belum diatur: biaya scrypt sama dengan akun asli
+const DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(SCRYPT_KEYLEN * 2)}`;
+// Id yang tidak terdaftar tetap dihitung seperti akun asli, dibatasi jumlahnya (yang terlama dibuang)
+const MAX_UNKNOWN_ATTEMPTS = 1000;
+const OFFICER_ID_PATTERN = /^[A-Z0-9]{1,32}$/;
+// Peran yang boleh melihat dan mengonfirmasi alert sistem (tanpa lokasi)
+const SYSTEM_ROLES = ['coordinator', 'admin'];
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(input) {
+  return Buffer.from(input.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+class OfficerAuth {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.officersPath = options.officersPath || process.env.OFFICERS_FILE ||
+      this.operation.path('config/officers.json');
+    this.configLoader = options.configLoader || new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.attemptsPath = this.operation.path('data/auth/login-attempts.json');
+    this.secret = options.secret || process.env.SESSION_SECRET || null;
+    this.resolver = options.resolver || new LocationResolver({ rootDir: this.rootDir, operation: this.operation });
+    this.vehicleTypes = options.vehicleTypes || null;
+    this.maxUnknownAttempts = options.maxUnknownAttempts || MAX_UNKNOWN_ATTEMPTS;
+
+    this.security = this.loadSecuritySettings();
+  }
+
+  loadSecuritySettings() {
+    const settings = this.configLoader.load('system-settings', { defaults: {} });
+    return { ...DEFAULT_SECURITY, ...(settings.security || {}) };
+  }
+
+  requireSecret() {
+    if (!this.secret) {
+      throw new Error('SESSION_SECRET is not configured');
+    }
+    return this.secret;
+  }
+
+  sign(value) {
+    return base64url(crypto.createHmac('sha256', this.requireSecret()).update(value).digest());
+  }
+
+  // ====== AKUN PETUGAS ======
+
+  loadOfficers() {
+    if (!fs.existsSync(this.officersPath)) {
+      return { officers: [] };
+    }
+    // File bawaan divalidasi lewat ConfigLoader; OFFICERS_FILE lain cukup di-parse
+    if (this.officersPath === this.configLoader.filePath('officers')) {
+      return this.configLoader.load('officers', { fresh: true });
+    }
+    return ConfigLoader.parse(fs.readFileSync(this.officersPath, 'utf8'), this.officersPath);
+  }
+
+  saveOfficers(registry, audit = {}) {
+    const before = fs.existsSync(this.officersPath)
+      ? ConfigLoader.parse(fs.readFileSync(this.officersPath, 'utf8'), this.officersPath)
+      : undefined;
+    registry.last_updated = new Date().toISOString();
+    this.auditor().logChange({
+      action: 'update-officers',
+      ...audit,
+      target: path.relative(this.rootDir, this.officersPath),
+      before,
+      after: registry
+    });
+    fs.writeFileSync(this.officersPath, JSON.stringify(registry, null, 2));
+  }
+
+  auditor() {
+    if (!this.auditLogger) {
+      this.auditLogger = new AuditLogger({ rootDir: this.rootDir, operation: this.operation });
+    }
+    return this.auditLogger;
+  }
+
+  findOfficer(officerId) {
+    const wanted = String(officerId || '').trim().toUpperCase();
+    return this.loadOfficers().officers.find(o => o.id.toUpperCase() === wanted) || null;
+  }
+
+  /**
+   * Id kanonik lokasi yang boleh di-update oleh petugas
+   */
+  getOfficerLocations(officer) {
+    return (officer.locations || [])
+      .map(ref => this.resolver.resolve(ref))
+      .filter(Boolean);
+  }
+
+  hashPin(pin, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(String(pin), salt, SCRYPT_KEYLEN).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+  }
+
+  verifyPin(pin, storedHash) {
+    if (!storedHash || !storedHash.startsWith('scrypt$')) return false;
+
+    const [, salt, hash] = storedHash.split('$');
+    const candidate = crypto.scryptSync(String(pin), salt, SCRYPT_KEYLEN);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === candidate.length && crypto.timingSafeEqual(candidate, expected);
+  }
+
+  validatePinStrength(pin) {
+    const minLength = this.security.password_min_length;
+    if (!pin || String(pin).length < minLength) {
+      return { valid: false, error: `PIN/password must be at least ${minLength} characters` };
+    }
+    return { valid: true };
+  }
+
+  setPin(officerId, pin) {
+    const strength = this.validatePinStrength(pin);
+    if (!strength.valid) {
+      throw new Error(strength.error);
+    }
+
+    const registry = this.loadOfficers();
+    const officer = registry.officers.find(o => o.id.toUpperCase() === String(officerId).toUpperCase());
+    if (!officer) {
+      throw new Error(`Officer not found: ${officerId}`);
+    }
+
+    officer.pin_hash = this.hashPin(pin);
+    officer.pin_updated_at = new Date().toISOString();
+    this.saveOfficers(registry, { action: 'set-pin', reason: `PIN changed for ${officer.id}` });
+    return officer;
+  }
+
+  // ====== PERCOBAAN LOGIN ======
+
+  loadAttempts() {
+    try {
+      return JSON.parse(fs.readFileSync(this.attemptsPath, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  saveAttempts(attempts) {
+    fs.mkdirSync(path.dirname(this.attemptsPath), { recursive: true });
+    fs.writeFileSync(this.attemptsPath, JSON.stringify(attempts, null, 2));
+  }
+
+  getLockout(officerId, attempts = this.loadAttempts()) {
+    const record = attempts[officerId];
+    if (record && record.locked_until && new Date(record.locked_until) > new Date()) {
+      return record.locked_until;
+    }
+    return null;
+  }
+
+  /**
+   * Catat login gagal. Id yang tidak terdaftar (known = false) dihitung dengan cara yang sama
+   * agar respon tidak membedakannya dari akun asli, tetapi jumlahnya dibatasi
+   * maxUnknownAttempts sehingga file percobaan tidak tumbuh tanpa batas.
+   */
+  recordFailure(officerId, known = true) {
+    const attempts = this.loadAttempts();
+    const record = attempts[officerId] || { failures: 0 };
+    if (!known) record.unknown = true;
+
+    delete record.locked_until;
+    record.failures += 1;
+    record.last_failure = new Date().toISOString();
+
+    if (record.failures >= this.security.max_login_attempts) {
+      record.locked_until = new Date(Date.now() + this.security.lockout_duration).toISOString();
+      record.failures = 0;
+    }
+
+    attempts[officerId] = record;
+    
+    const unknown = Object.keys(attempts)
+      .filter(id => attempts[id].unknown)
+      .sort((a, b) => String(attempts[a].last_failure).localeCompare(String(attempts[b].last_failure)));
+    unknown.slice(0, Math.max(0, unknown.length - this.maxUnknownAttempts)).forEach(id => {
+      delete attempts[id];
+    });
+    
+    this.saveAttempts(attempts);
+    return record;
+  }
+
+  clearFailures(officerId) {
+    const attempts = this.loadAttempts();
+    if (attempts[officerId]) {
+      delete attempts[officerId];
+      this.saveAttempts(attempts);
+    }
+  }
+
+  /**
+   * Login petugas. Mengembalikan { success, token, officer, locations, expires_at } atau { success: false, status, error }
+   */
+  login(officerId, pin) {
+    const id = String(officerId || '').trim().toUpperCase();
+    if (!id || !pin) {
+      return { success: false, status: 400, error: 'officer_id and pin are required' };
+    }
+
+    const lockedUntil = this.getLockout(id);
+    if (lockedUntil) {
+      return { success: false, status: 429, error: 'Too many failed attempts', locked_until: lockedUntil };
+    }
+
+    const officer = this.findOfficer(id);
+    // Selalu satu hash scrypt penuh (akun tidak ada / PIN belum diatur) agar waktu respon tidak membocorkan id petugas
+    const storedHash = officer && officer.pin_hash && officer.pin_hash.startsWith('scrypt$') ? officer.pin_hash : DUMMY_HASH;
+    const valid = this.verifyPin(pin, storedHash) && storedHash !== DUMMY_HASH && officer.active !== false;
+
+    if (!valid) {
+      // Id tidak terdaftar mendapat respon yang sama (sisa percobaan, lockout) dengan akun asli;
+      // id di luar format petugas tidak mungkin ada sehingga tidak perlu dicatat
+      const record = officer || OFFICER_ID_PATTERN.test(id) ? this.recordFailure(id, Boolean(officer)) : { failures: 1 };
+      return record.locked_until
+        ? { success: false, status: 429, error: 'Too many failed attempts', locked_until: record.locked_until }
+        : {
+          success: false,
+          status: 401,
+          error: 'Invalid officer id or PIN',
+          attempts_left: this.security.max_login_attempts - record.failures
+        };
+    }
+
+    this.clearFailures(id);
+
+    const locations = this.getOfficerLocations(officer);
+    const token = this.issueToken(officer, locations);
+    const claims = this.verifyToken(token);
+
+    return {
+      success: true,
+      token,
+      officer: { id: officer.id, name: officer.name, role: officer.role || 'officer' },
+      locations,
+      expires_at: new Date(claims.exp).toISOString()
+    };
+  }
+
+  // ====== TOKEN SESI ======
+
+  issueToken(officer, locations = this.getOfficerLocations(officer)) {
+    const now = Date.now();
+    const payload = {
+      sub: officer.id,
+      name: officer.name,
+      role: officer.role || 'officer',
+      locations: locations.map(l => l.id),
+      sid: crypto.randomBytes(8).toString('hex'),
+      iat: now,
+      exp: now + this.security.session_timeout
+    };
+
+    const encoded = base64url(JSON.stringify(payload));
+    return `${encoded}.${this.sign(encoded)}`;
+  }
+
+  /**
+   * Verifikasi token, kembalikan claims atau null
+   */
+  verifyToken(token) {
+    if (!token || typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [encoded, signature] = token.split('.');
+    if (!safeEqual(signature, this.sign(encoded))) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(fromBase64url(encoded));
+      return claims.exp > Date.now() ? claims : null;
+    } catch {
+      return null;
+    }
+  }
+
+  canUpdateLocation(claims, locationId) {
+    return Boolean(claims) && Array.isArray(claims.locations) && claims.locations.includes(Number(locationId));
+  }
+
+  /**
+   * Koordinator/admin menangani alert tanpa lokasi (mis. system_error)
+   */
+  canHandleSystemAlerts(claims) {
+    return Boolean(claims) && SYSTEM_ROLES.includes(claims.role);
+  }
+
+  // ====== OTORISASI UPDATE ======
+
+  types() {
+    if (!this.vehicleTypes) {
+      this.vehicleTypes = VehicleTypes.load({ rootDir: this.rootDir, operation: this.operation, configLoader: this.configLoader });
+    }
+    return this.vehicleTypes;
+  }
+
+  /**
+   * Isi update yang ditandatangani: jumlah kendaraan dan jenis update (absolut/delta) ikut
+   * terikat, sehingga angka di pending-updates.json tidak bisa diubah tanpa merusak tanda tangan
+   */
+  updateSignaturePayload(update, auth) {
+    return [
+      update.id,
+      update.location_id,
+      update.timestamp,
+      update.type || '',
+      ...this.types().ids.map(type => `${type}=${update[type] === undefined || update[type] === null ? '' : update[type]}`),
+      auth.officer_id,
+      auth.locations.join(','),
+      auth.session_id,
+      auth.expires_at
+    ].join('|');
+  }
+
+  /**
+   * Tempelkan bukti otorisasi ke update (dipakai APIHandler setelah token diverifikasi).
+   * Token asli tidak disimpan di antrian, hanya tanda tangan yang terikat ke update ini.
+   */
+  authorizeUpdate(update, claims) {
+    const auth = {
+      officer_id: claims.sub,
+      officer_name: claims.name,
+      locations: claims.locations,
+      session_id: claims.sid,
+      expires_at: new Date(claims.exp).toISOString()
+    };
+    auth.signature = this.sign(this.updateSignaturePayload(update, auth));
+
+    return { ...update, auth };
+  }
+
+  /**
+   * Verifikasi update di antrian (dipakai UpdateProcessor)
+   */
+  verifyUpdate(update) {
+    const auth = update.auth;
+    if (!auth || !auth.signature) {
+      return { valid: false, error: 'Missing officer session' };
+    }
+
+    if (!safeEqual(auth.signature, this.sign(this.updateSignaturePayload(update, auth)))) {
+      return { valid: false, error: 'Invalid session signature' };
+    }
+
+    if (!Array.isArray(auth.locations) || !auth.locations.includes(Number(update.location_id))) {
+      return { valid: false, error: `Officer ${auth.officer_id} is not assigned to location ${update.location_id}` };
+    }
+
+    return { valid: true, officer_id: auth.officer_id };
+  }
+}
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.split('=').slice(1).join('=') : null;
+  };
+
+  const auth = new OfficerAuth();
+
+  try {
+    if (args.includes('--set-pin')) {
+      const officer = auth.setPin(getArg('id'), getArg('pin'));
+      console.log(`✅ PIN updated for ${officer.id} (${officer.name})`);
+    } else if (args.includes('--unlock')) {
+      auth.clearFailures(String(getArg('id')).toUpperCase());
+      console.log(`🔓 Login attempts cleared for ${getArg('id')}`);
+    } else if (args.includes('--list')) {
+      const registry = auth.loadOfficers();
+      console.log(`👮 ${registry.officers.length} officers`);
+      registry.officers.forEach(officer => {
+        const locations = auth.getOfficerLocations(officer).map(l => l.code).join(', ');
+        const pin = officer.pin_hash ? '🔑 PIN set' : '⚠️ PIN not set';
+        console.log(`   ${officer.id.padEnd(10)} ${officer.name.padEnd(25)} ${pin.padEnd(14)} ${locations}`);
+      });
+    } else {
+      console.log(`
+Officer Authentication
+
+Usage:
+  node scripts/officer-auth.js --list
+  node scripts/officer-auth.js --set-pin --id=P001SEN --pin=<PIN min ${auth.security.password_min_length} karakter>
+  node scripts/officer-auth.js --unlock --id=P001SEN
+      `);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = OfficerAuth;
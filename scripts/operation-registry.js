@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+/**
+ * Registry operasi (Ops Ketupat, Ops Lilin, ...) di config/operations.json
+ *
+ * Setiap operasi punya direktori config dan data sendiri. File per-operasi:
+ * data/* (parkir-data.json, pending-updates.json, events, backups, logs, ...)
+ * serta config/locations-config.json dan config/officers.json. Config lain
+ * (system-settings, notifications, vehicle-types) dipakai bersama.
+ *
+ * Operasi yang dipakai script: --operation=<id>, lalu env PARKIR_OPERATION,
+ * lalu "active" di registry. Operasi yang diarsipkan hanya bisa dibaca:
+ * DataStore menolak penulisan dengan kode E_READ_ONLY.
+ *
+ * Tanpa config/operations.json (misalnya direktori sandbox test) dipakai
+ * operasi bawaan yang menunjuk ke config/ dan data/ di root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('./config-loader');
+
+const REGISTRY_FILE = 'config/operations.json';
+const OPERATION_CONFIG_FILES = ['locations-config.json', 'officers.json'];
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{2,63}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DEFAULT_OPERATION = {
+  id: 'default',
+  name: 'Operasi Default',
+  config_dir: 'config',
+  data_dir: 'data',
+  archived: false
+};
+
+class OperationRegistry {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.registryPath = path.join(this.rootDir, REGISTRY_FILE);
+  }
+
+  static error(code, message) {
+    return Object.assign(new Error(message), { code });
+  }
+
+  /**
+   * Nilai --operation=<id> atau PARKIR_OPERATION
+   */
+  static requested(argv = process.argv, env = process.env) {
+    const arg = argv.find(a => a.startsWith('--operation='));
+    return (arg ? arg.slice('--operation='.length) : env.PARKIR_OPERATION) || null;
+  }
+
+  /**
+   * Operasi untuk script yang sedang berjalan (dipakai di constructor semua komponen)
+   */
+  static current(options = {}) {
+    return new OperationRegistry({ rootDir: options.rootDir }).resolve(options.operation);
+  }
+
+  /**
+   * Tolak penulisan ke operasi yang diarsipkan
+   */
+  static assertWritable(operation) {
+    if (operation && operation.archived) {
+      throw OperationRegistry.error('E_READ_ONLY',
+        `Operation ${operation.id} is archived and read-only`);
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.registryPath)) {
+      return { active: DEFAULT_OPERATION.id, operations: [{ ...DEFAULT_OPERATION }] };
+    }
+    return ConfigLoader.parse(fs.readFileSync(this.registryPath, 'utf8'), REGISTRY_FILE);
+  }
+
+  /**
+   * Catat perubahan config ke audit log sebelum ditulis.
+   * audit-logger.js sendiri memakai registry ini, jadi di-require saat dipakai.
+   */
+  audit(change) {
+    const AuditLogger = require('./audit-logger');
+    return new AuditLogger({ rootDir: this.rootDir }).logChange(change);
+  }
+
+  save(registry, audit = {}) {
+    registry.last_updated = new Date().toISOString();
+    this.audit({
+      ...audit,
+      target: REGISTRY_FILE,
+      before: fs.existsSync(this.registryPath) ? this.load() : undefined,
+      after: registry
+    });
+    const temp = `${this.registryPath}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(registry, null, 2) + '\n');
+    fs.renameSync(temp, this.registryPath);
+  }
+
+  list() {
+    const registry = this.load();
+    return registry.operations.map(entry => this.describe(entry, registry));
+  }
+
+  get(id, registry = this.load()) {
+    const entry = registry.operations.find(op => op.id === id);
+    if (!entry) {
+      throw OperationRegistry.error('E_UNKNOWN_OPERATION',
+        `Unknown operation: ${id} (available: ${registry.operations.map(op => op.id).join(', ')})`);
+    }
+    return entry;
+  }
+
+  /**
+   * Operasi dengan direktori absolut dan path(relative) untuk memetakan
+   * "data/..." / "config/locations-config.json" ke direktori operasi
+   */
+  resolve(id) {
+    const registry = this.load();
+    return this.describe(this.get(id || OperationRegistry.requested() || registry.active, registry), registry);
+  }
+
+  describe(entry, registry) {
+    const rootDir = this.rootDir;
+    const configDir = path.join(rootDir, entry.config_dir || 'config');
+    const dataDir = path.join(rootDir, entry.data_dir || 'data');
+    
+    return {
+      ...entry,
+      archived: Boolean(entry.archived),
+      active: entry.id === registry.active,
+      rootDir,
+      configDir,
+      dataDir,
+      path(relative) {
+        const normalized = relative.replace(/\\/g, '/');
+        if (normalized === 'data' || normalized.startsWith('data/')) {
+          return path.join(dataDir, normalized.slice('data'.length));
+        }
+        
+        const file = /^config\/([^/]+)$/.exec(normalized);
+        if (file && OPERATION_CONFIG_FILES.includes(file[1])) {
+          return path.join(configDir, file[1]);
+        }
+        return path.join(rootDir, normalized);
+      }
+    };
+  }
+
+  /**
+   * Buat operasi baru di operations/<id>/ dari config operasi lain (default: aktif)
+   */
+  create(id, details = {}) {
+    const registry = this.load();
+    if (!ID_PATTERN.test(id || '')) {
+      throw OperationRegistry.error('E_INVALID', 'Operation id must be 3-64 characters: a-z, 0-9 or -');
+    }
+    if (registry.operations.some(op => op.id === id)) {
+      throw OperationRegistry.error('E_EXISTS', `Operation ${id} already exists`);
+    }
+    ['start_date', 'end_date'].forEach(field => {
+      if (details[field] && !DATE_PATTERN.test(details[field])) {
+        throw OperationRegistry.error('E_INVALID', `${field} must be YYYY-MM-DD`);
+      }
+    });
+    
+    const source = this.resolve(details.from || registry.active);
+    const entry = {
+      id,
+      name: details.name || id,
+      short_name: details.short_name || details.name || id,
+      period: details.period || null,
+      start_date: details.start_date || null,
+      end_date: details.end_date || null,
+      config_dir: `operations/${id}/config`,
+      data_dir: `operations/${id}/data`,
+      archived: false
+    };
+    const target = this.describe(entry, registry);
+    
+    fs.mkdirSync(target.configDir, { recursive: true });
+    fs.mkdirSync(target.dataDir, { recursive: true });
+    
+    // Config lokasi disalin; jadwal kapasitas yang sudah lewat tidak ikut
+    const config = ConfigLoader.parse(fs.readFileSync(source.path('config/locations-config.json'), 'utf8'), 'locations-config.json');
+    config.operation = { ...(config.operation || {}), name: entry.name, period: entry.period };
+    config.last_updated = new Date().toISOString();
+    config.locations.forEach(location => {
+      if (!location.capacity_schedule) return;
+      location.capacity_schedule = location.capacity_schedule.filter(p => !entry.start_date || p.to >= entry.start_date);
+      if (location.capacity_schedule.length === 0) delete location.capacity_schedule;
+    });
+    this.audit({
+      action: 'operation-create',
+      target: `${entry.config_dir}/locations-config.json`,
+      after: config,
+      reason: `Copied from operation ${source.id}`
+    });
+    fs.writeFileSync(target.path('config/locations-config.json'), JSON.stringify(config, null, 2) + '\n');
+    
+    if (fs.existsSync(source.path('config/officers.json'))) {
+      fs.copyFileSync(source.path('config/officers.json'), target.path('config/officers.json'));
+    }
+    
+    // Data awal: kapasitas dari config baru, semua lokasi kosong (tersedia = kapasitas)
+    const DataStore = require('./data-store');
+    const OccupancyLog = require('./occupancy-log');
+    const CapacitySchedule = require('./capacity-schedule');
+    const VehicleTypes = require('./vehicle-types');
+    const vehicleTypes = VehicleTypes.load({ rootDir: this.rootDir, operation: source });
+    const data = new DataStore({ rootDir: this.rootDir, operation: source }).read('data');
+    const now = new Date().toISOString();
+    
+    data.locations.forEach(location => {
+      const configLoc = config.locations.find(loc => Number(loc.id) === Number(location.id));
+      const capacity = configLoc ? CapacitySchedule.resolve(configLoc, now).capacity : null;
+      
+      vehicleTypes.ids.forEach(type => {
+        // Jenis yang belum ada di data operasi sumber ikut dibuat
+        location[type] = location[type] || { total: 0, updated_by: 'system' };
+        if (capacity) location[type].total = capacity[type];
+        location[type].available = location[type].total;
+        location[type].last_update = now;
+      });
+      delete location.operational_status;
+    });
+    data.metadata = {
+      ...data.metadata,
+      last_updated: now,
+      updated_by: 'system',
+      operation_id: entry.id,
+      operation_name: entry.short_name,
+      operation_period: entry.period,
+      data_source: `${entry.config_dir}/locations-config.json`
+    };
+    delete data.metadata.revision;
+    OccupancyLog.applyTotals(data, vehicleTypes);
+    
+    registry.operations.push(entry);
+    this.save(registry, { action: 'operation-create', reason: `Create operation ${id}` });
+    
+    const store = new DataStore({ rootDir: this.rootDir, operation: target });
+    new OccupancyLog({ rootDir: this.rootDir, operation: target, store }).writeBaseline(data, 'operation-create');
+    
+    return this.describe(entry, registry);
+  }
+
+  /**
+   * Jadikan operasi default untuk semua script dan halaman publik
+   */
+  activate(id) {
+    const registry = this.load();
+    const entry = this.get(id, registry);
+    if (entry.archived) {
+      throw OperationRegistry.error('E_READ_ONLY', `Operation ${id} is archived and cannot be activated`);
+    }
+    
+    registry.active = id;
+    this.save(registry, { action: 'operation-activate', reason: `Activate operation ${id}` });
+    return this.describe(entry, registry);
+  }
+
+  /**
+   * Arsipkan operasi (hanya baca); operasi aktif harus diganti dulu
+   */
+  archive(id) {
+    const registry = this.load();
+    const entry = this.get(id, registry);
+    if (registry.active === id) {
+      throw OperationRegistry.error('E_ACTIVE', `Operation ${id} is active; activate another operation first`);
+    }
+    
+    entry.archived = true;
+    entry.archived_at = new Date().toISOString();
+    this.save(registry, { action: 'operation-archive', reason: `Archive operation ${id}` });
+    return this.describe(entry, registry);
+  }
+}
+
+module.exports = OperationRegistry;
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  const registry = new OperationRegistry();
+
+  try {
+    if (getArg('create')) {
+      const operation = registry.create(getArg('create'), {
+        name: getArg('name'),
+        short_name: getArg('short-name'),
+        period: getArg('period'),
+        start_date: getArg('start'),
+        end_date: getArg('end'),
+        from: getArg('from')
+      });
+      console.log(`✅ Operation created: ${operation.id}`);
+      console.log(`   Config: ${path.relative(registry.rootDir, operation.configDir)}`);
+      console.log(`   Data: ${path.relative(registry.rootDir, operation.dataDir)}`);
+      console.log(`   Activate with: node scripts/operation-registry.js --activate=${operation.id}`);
+    } else if (getArg('activate')) {
+      const operation = registry.activate(getArg('activate'));
+      console.log(`✅ Active operation: ${operation.id} (${operation.name})`);
+    } else if (getArg('archive')) {
+      const operation = registry.archive(getArg('archive'));
+      console.log(`🗄️ Operation archived (read-only): ${operation.id}`);
+    } else if (args.includes('--list') || args.length === 0) {
+      registry.list().forEach(operation => {
+        const icon = operation.active ? '⭐' : operation.archived ? '🗄️' : '📋';
+        console.log(`${icon} ${operation.id}: ${operation.name}${operation.period ? ` (${operation.period})` : ''}`);
+        console.log(`   Config: ${operation.config_dir}  Data: ${operation.data_dir}`);
+      });
+    } else {
+      console.log(`
+Operation Registry
+
+Usage:
+  node scripts/operation-registry.js --list
+  node scripts/operation-registry.js --create=<id> --name="Operasi Lilin Progo 2026"
+                                     [--short-name=...] [--period="..."] [--start=YYYY-MM-DD]
+                                     [--end=YYYY-MM-DD] [--from=<source id>]
+  node scripts/operation-registry.js --activate=<id>
+  node scripts/operation-registry.js --archive=<id>
+
+Other scripts accept --operation=<id> (or PARKIR_OPERATION) to work on a
+specific operation; archived operations are read-only.
+      `);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
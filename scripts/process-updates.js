@@ -1,23 +1,46 @@
 // scripts/process-updates.js - COMPATIBLE VERSION
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { execSync } = require('child_process');
+const LocationResolver = require('./location-resolver');
+const OfficerAuth = require('./officer-auth');
+const DataStore = require('./data-store');
+const OccupancyLog = require('./occupancy-log');
+const OperationRegistry = require('./operation-registry');
+const VehicleTypes = require('./vehicle-types');
+const ValidationRules = require('./validation-rules');
+const MaintenanceMode = require('./maintenance-mode');
+const ConfigLoader = require('./config-loader');
+const UpdateIndex = require('./update-index');
 
 class UpdateProcessor {
-  constructor() {
-    this.dataPath = path.join(__dirname, '../data/parkir-data.json');
-    this.pendingPath = path.join(__dirname, '../data/pending-updates.json');
-    this.backupDir = path.join(__dirname, '../data/backups');
-    this.archiveDir = path.join(__dirname, '../data/updates/archive');
-    this.logDir = path.join(__dirname, '../data/logs');
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.dataPath = this.operation.path('data/parkir-data.json');
+    this.pendingPath = this.operation.path('data/pending-updates.json');
+    this.backupDir = this.operation.path('data/backups');
+    this.archiveDir = this.operation.path('data/updates/archive');
+    this.logDir = this.operation.path('data/logs');
+    this.store = options.store || new DataStore({ rootDir: this.rootDir, operation: this.operation });
+    this.vehicleTypes = options.vehicleTypes || VehicleTypes.load({ rootDir: this.rootDir, operation: this.operation });
+    this.validation = options.validation || ValidationRules.load({ rootDir: this.rootDir, operation: this.operation });
+    this.eventLog = new OccupancyLog({ rootDir: this.rootDir, operation: this.operation, store: this.store, vehicleTypes: this.vehicleTypes });
+    this.resolver = new LocationResolver({ rootDir: this.rootDir, operation: this.operation });
+    this.auth = options.auth || new OfficerAuth({ rootDir: this.rootDir, operation: this.operation, resolver: this.resolver, vehicleTypes: this.vehicleTypes });
+    this.configLoader = options.configLoader || new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.maintenance = options.maintenance || new MaintenanceMode({ rootDir: this.rootDir, operation: this.operation, configLoader: this.configLoader });
+    this.updateIndex = options.updateIndex || new UpdateIndex({ rootDir: this.rootDir, operation: this.operation });
     
     this.ensureDirectories();
   }
 
   ensureDirectories() {
     [this.backupDir, this.archiveDir, this.logDir].forEach(dir => {
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+      if (!fsSync.existsSync(dir)) {
+        fsSync.mkdirSync(dir, { recursive: true });
       }
     });
   }
@@ -64,16 +87,22 @@ class UpdateProcessor {
     }
   }
 
-  async loadData() {
+  async loadData(tx) {
     try {
-      const [dataContent, pendingContent] = await Promise.all([
-        fs.readFile(this.dataPath, 'utf8'),
-        fs.readFile(this.pendingPath, 'utf8').catch(() => '[]')
-      ]);
-
-      const data = JSON.parse(dataContent);
-      let pendingUpdates = JSON.parse(pendingContent);
+      const read = name => tx ? tx.read(name) : this.store.readAsync(name);
+      const [data, pending] = await Promise.all([read('data'), read('pending')]);
+      let pendingUpdates = pending;
 
+      // Entry lama bisa memakai nama/code sebagai location_id: normalisasi ke id kanonik
+      pendingUpdates = pendingUpdates.map(update => this.resolver.normalizeUpdate(update) || update);
+      
+      // Entry lama tanpa id mendapat id deterministik dari isinya
+      pendingUpdates.forEach(update => {
+        if (update.id === undefined || update.id === null) {
+          update.id = 'legacy-' + crypto.createHash('sha1').update(JSON.stringify(update)).digest('hex').slice(0, 16);
+        }
+      });
+      
       // Validate data structure
       if (!data.locations || !Array.isArray(data.locations)) {
         throw new Error('Invalid data structure: missing locations array');
@@ -91,205 +120,113 @@ class UpdateProcessor {
     }
   }
 
-  validateUpdate(update, location) {
-    const errors = [];
-    const warnings = [];
-
-    // Required fields - SESUAI dengan workflow
-    if (!update.location_id || typeof update.location_id !== 'string') {
-      errors.push('Missing location_id');
-    }
-
-    if (!update.petugas_name || typeof update.petugas_name !== 'string') {
-      errors.push('Missing petugas_name');
-    }
+  /**
+   * Idempotency key update (id lama dipakai jika key belum ada)
+   */
+  getUpdateKey(update) {
+    return String(update.idempotency_key || update.id);
+  }
 
-    // Validate vehicle data - SESUAI dengan format direct fields
-    const validateVehicle = (type, value, maxCapacity) => {
-      if (value === undefined || value === null) return null;
-      
-      const numValue = parseInt(value);
-      if (isNaN(numValue)) {
-        errors.push(`${type}: Invalid number (${value})`);
-        return null;
-      }
-      
-      if (numValue < 0) {
-        errors.push(`${type}: Negative value (${numValue})`);
-        return null;
-      }
-      
-      if (numValue > maxCapacity) {
-        warnings.push(`${type}: ${numValue} exceeds capacity ${maxCapacity}, capping to max`);
-        return maxCapacity;
-      }
-      
-      return numValue;
-    };
+  /**
+   * Kumpulkan key update yang sudah pernah diterapkan (antrian + indeks arsip)
+   */
+  async loadAppliedKeys(pendingUpdates) {
+    const applied = new Map();
+    const isApplied = u => u.status === 'processed' || u.status === 'no_changes';
+    
+    const index = await this.updateIndex.read();
+    Object.entries(index.updates)
+      .filter(([, entry]) => isApplied(entry))
+      .forEach(([key, entry]) => applied.set(key, entry));
+    
+    pendingUpdates.filter(isApplied).forEach(u => applied.set(this.getUpdateKey(u), u));
+    return applied;
+  }
 
+  /**
+   * Validasi update dengan ValidationRules terhadap kapasitas di parkir-data.json;
+   * nilai di atas kapasitas dipotong, delta diterapkan ke nilai saat ini
+   */
+  validateUpdate(update, location) {
+    const validation = this.validation.validateUpdate(update, {
+      location: { id: location.id },
+      capacity: this.vehicleTypes.map(type => location[type]?.total || 0)
+    });
+    const warnings = [...validation.warnings];
     const processedData = {};
     
-    if (update.bus !== undefined && location.bus.total > 0) {
-      const validValue = validateVehicle('bus', update.bus, location.bus.total);
-      if (validValue !== null) processedData.bus = validValue;
-    }
-
-    if (update.mobil !== undefined && location.mobil.total > 0) {
-      const validValue = validateVehicle('mobil', update.mobil, location.mobil.total);
-      if (validValue !== null) processedData.mobil = validValue;
-    }
-
-    if (update.motor !== undefined && location.motor.total > 0) {
-      const validValue = validateVehicle('motor', update.motor, location.motor.total);
-      if (validValue !== null) processedData.motor = validValue;
-    }
+    this.vehicleTypes.ids.forEach(type => {
+      const value = validation.value[type];
+      if (value === undefined) return;
+      
+      // Delta: jumlah kendaraan masuk (+) / keluar (-) diterapkan ke nilai saat ini
+      processedData[type] = update.type === 'delta'
+        ? this.validation.applyDelta(type, location[type], value, warnings)
+        : value;
+    });
 
     return { 
-      isValid: errors.length === 0,
-      errors, 
+      isValid: validation.valid,
+      errors: validation.errors, 
       warnings, 
-      processedData 
+      processedData,
+      notes: validation.value.notes
     };
   }
 
   async processUpdates() {
-    await this.log('Starting update processing');
+    await this.log('Starting update processing', 'info', { operation: this.operation.id });
+    
+    // Operasi arsip hanya bisa dibaca: antrian dibiarkan apa adanya
+    if (this.operation.archived) {
+      await this.log(`Operation ${this.operation.id} is archived (read-only), nothing processed`, 'warn');
+      return {
+        processed: 0,
+        failed: 0,
+        duplicates: 0,
+        updatedLocations: [],
+        hasChanges: false
+      };
+    }
     
     try {
-      // Create backup first
-      await this.createBackup();
-      
-      // Load data
-      const { data, pendingUpdates } = await this.loadData();
-      
-      // Filter unprocessed updates - SESUAI dengan workflow
-      const unprocessed = pendingUpdates.filter(u => 
-        u.status === 'pending' || (!u.status && !u.processed_at)
-      );
+      // Data dan antrian dikunci selama diproses agar API tidak menambah entry di tengah jalan.
+      // Mode pemeliharaan diperiksa sesudah lock didapat: restore yang mulai saat processor
+      // menunggu lock tetap menahan antrian.
+      const results = await this.store.transactionAsync(['data', 'pending'], async tx => {
+        const maintenance = this.maintenance.status();
+        if (maintenance.active) {
+          const pending = await tx.read('pending').catch(() => []);
+          return { maintenance, held: pending.filter(u => u.status === 'pending' || (!u.status && !u.processed_at)).length };
+        }
+        
+        // Create backup first
+        await this.createBackup();
+        return this.applyPendingUpdates(tx);
+      });
       
-      if (unprocessed.length === 0) {
-        await this.log('No updates to process');
+      // Mode pemeliharaan: antrian ditahan sampai restore/pemeliharaan selesai
+      if (results && results.maintenance) {
+        await this.log(`Maintenance mode is on, ${results.held} pending updates held`, 'warn', { reason: results.maintenance.reason, since: results.maintenance.since });
+        return {
+          processed: 0,
+          failed: 0,
+          duplicates: 0,
+          updatedLocations: [],
+          hasChanges: false,
+          held: results.held
+        };
+      }
+      if (!results) {
         return { 
           processed: 0, 
           failed: 0, 
+          duplicates: 0,
           updatedLocations: [],
           hasChanges: false 
         };
       }
 
-      await this.log(`Processing ${unprocessed.length} updates`, 'info');
-
-      const results = {
-        processed: [],
-        failed: [],
-        updatedLocations: new Set()
-      };
-
-      // Process each update
-      for (const update of unprocessed) {
-        try {
-          // Find location by nama (location_id = nama lokasi)
-          const location = data.locations.find(l => l.nama === update.location_id);
-          if (!location) {
-            throw new Error(`Location not found: ${update.location_id}`);
-          }
-
-          // Validate update
-          const validation = this.validateUpdate(update, location);
-          
-          if (!validation.isValid) {
-            throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
-          }
-
-          // Apply updates
-          let changesMade = false;
-          
-          if (validation.processedData.bus !== undefined && 
-              location.bus.available !== validation.processedData.bus) {
-            location.bus.available = validation.processedData.bus;
-            location.bus.last_update = new Date().toISOString();
-            location.bus.updated_by = update.petugas_name || 'system';
-            changesMade = true;
-          }
-
-          if (validation.processedData.mobil !== undefined && 
-              location.mobil.available !== validation.processedData.mobil) {
-            location.mobil.available = validation.processedData.mobil;
-            location.mobil.last_update = new Date().toISOString();
-            location.mobil.updated_by = update.petugas_name || 'system';
-            changesMade = true;
-          }
-
-          if (validation.processedData.motor !== undefined && 
-              location.motor.available !== validation.processedData.motor) {
-            location.motor.available = validation.processedData.motor;
-            location.motor.last_update = new Date().toISOString();
-            location.motor.updated_by = update.petugas_name || 'system';
-            changesMade = true;
-          }
-
-          if (update.notes && update.notes.trim()) {
-            location.notes = update.notes.trim().substring(0, 500);
-          }
-
-          if (changesMade) {
-            results.updatedLocations.add(location.nama);
-            update.status = 'processed';
-            update.processed_at = new Date().toISOString();
-            update.validation_warnings = validation.warnings;
-            results.processed.push(update);
-            
-            await this.log(`Updated ${location.nama}`, 'info', {
-              bus: validation.processedData.bus,
-              mobil: validation.processedData.mobil,
-              motor: validation.processedData.motor
-            });
-          } else {
-            update.status = 'no_changes';
-            update.processed_at = new Date().toISOString();
-            results.processed.push(update);
-            await this.log(`No changes for ${location.nama}`, 'info');
-          }
-
-        } catch (error) {
-          update.status = 'failed';
-          update.error = error.message;
-          update.failed_at = new Date().toISOString();
-          results.failed.push(update);
-          
-          await this.log(`Failed to process update for ${update.location_id}`, 'error', {
-            error: error.message
-          });
-        }
-      }
-
-      // Update pending file - maintain workflow format
-      const updatedPending = pendingUpdates.map(pending => {
-        const processed = results.processed.find(p => 
-          p.location_id === pending.location_id && 
-          p.timestamp === pending.timestamp
-        );
-        const failed = results.failed.find(f => 
-          f.location_id === pending.location_id && 
-          f.timestamp === pending.timestamp
-        );
-        return processed || failed || pending;
-      });
-
-      // Update statistics if changes were made
-      if (results.updatedLocations.size > 0) {
-        this.updateStatistics(data);
-        data.metadata.last_updated = new Date().toISOString();
-        data.metadata.updated_by = 'GitHub Actions';
-        data.metadata.processing_timestamp = new Date().toISOString();
-      }
-
-      // Save all data
-      await Promise.all([
-        fs.writeFile(this.dataPath, JSON.stringify(data, null, 2)),
-        fs.writeFile(this.pendingPath, JSON.stringify(updatedPending, null, 2))
-      ]);
-
       // Archive processed updates
       if (results.processed.length > 0) {
         await this.archiveUpdates(results.processed);
@@ -298,12 +235,14 @@ class UpdateProcessor {
       await this.log('Processing completed', 'info', {
         processed: results.processed.length,
         failed: results.failed.length,
+        duplicates: results.duplicates.length,
         updatedLocations: Array.from(results.updatedLocations)
       });
 
       return {
         processed: results.processed.length,
         failed: results.failed.length,
+        duplicates: results.duplicates.length,
         updatedLocations: Array.from(results.updatedLocations),
         hasChanges: results.updatedLocations.size > 0
       };
@@ -314,42 +253,211 @@ class UpdateProcessor {
     }
   }
 
-  updateStatistics(data) {
-    const stats = data.locations.reduce((acc, loc) => {
-      acc.bus += loc.bus.available || 0;
-      acc.mobil += loc.mobil.available || 0;
-      acc.motor += loc.motor.available || 0;
-      return acc;
-    }, { bus: 0, mobil: 0, motor: 0 });
+  /**
+   * Terapkan semua update pending di dalam transaksi DataStore; null jika tidak ada yang diproses
+   */
+  async applyPendingUpdates(tx) {
+    // Load data
+    const { data, pendingUpdates } = await this.loadData(tx);
+    
+    // Filter unprocessed updates - SESUAI dengan workflow
+    const unprocessed = pendingUpdates.filter(u => 
+      u.status === 'pending' || (!u.status && !u.processed_at)
+    );
+    
+    if (unprocessed.length === 0) {
+      await this.log('No updates to process');
+      return null;
+    }
+    
+    await this.log(`Processing ${unprocessed.length} updates`, 'info');
+    
+    const results = {
+      processed: [],
+      failed: [],
+      duplicates: [],
+      updatedLocations: new Set()
+    };
+    
+    const appliedKeys = await this.loadAppliedKeys(pendingUpdates);
+    const events = [];
+    
+    // Log okupansi butuh titik awal sebelum perubahan pertama
+    this.eventLog.ensureBaseline(data);
+    
+    // Process each update
+    for (const update of unprocessed) {
+      // Update yang sama (retry dari petugas) cukup diakui, tidak diterapkan ulang
+      const key = this.getUpdateKey(update);
+      if (appliedKeys.has(key)) {
+        update.status = 'duplicate';
+        update.duplicate_of = appliedKeys.get(key).id;
+        update.processed_at = new Date().toISOString();
+        results.duplicates.push(update);
+        await this.log(`Duplicate update ${key} acknowledged, not re-applied`, 'warn');
+        continue;
+      }
+      
+      try {
+        // Find location via resolver (id, code atau nama)
+        const entry = this.resolver.resolveUpdate(update);
+        const location = entry && this.resolver.findDataLocation(data, entry);
+        if (!location) {
+          throw new Error(`Location not found: ${this.resolver.describeReference(update)}`);
+        }
+        
+        // Sesi petugas harus sah dan berlaku untuk lokasi ini
+        const authorization = this.auth.verifyUpdate(update);
+        if (!authorization.valid) {
+          throw new Error(`Unauthorized: ${authorization.error}`);
+        }
+        
+        // Validate update
+        const validation = this.validateUpdate(update, location);
+        
+        if (!validation.isValid) {
+          throw new Error(`Validation failed: ${ValidationRules.describe(validation.errors)}`);
+        }
+        
+        // Apply updates - setiap perubahan juga dicatat sebagai event okupansi
+        const appliedAt = new Date().toISOString();
+        const updatedBy = update.petugas_name || 'system';
+        const changes = {};
+        
+        this.vehicleTypes.ids.forEach(type => {
+          const value = validation.processedData[type];
+          if (value === undefined || location[type].available === value) return;
+          
+          changes[type] = {
+            previous: location[type].available,
+            available: value,
+            total: location[type].total,
+            ...(update.type === 'delta' && { delta: Number(update[type]) })
+          };
+          location[type].available = value;
+          location[type].last_update = appliedAt;
+          location[type].updated_by = updatedBy;
+        });
+        const changesMade = Object.keys(changes).length > 0;
+        
+        let notes;
+        const previousNotes = location.notes;
+        if (validation.notes && validation.notes !== location.notes) {
+          notes = validation.notes;
+          location.notes = notes;
+        }
+        
+        if (changesMade || notes !== undefined) {
+          // Audit per update: petugas yang mengirim, bukan processor yang menerapkan
+          this.store.auditor().logParkingUpdate({
+            actor: { type: 'officer', id: update.petugas_id || 'unknown', name: update.petugas_name },
+            updateId: update.id,
+            location: String(location.id),
+            reason: update.notes || null,
+            changes: [
+              ...Object.entries(changes).map(([type, change]) => ({
+                path: `locations[id=${location.id}].${type}.available`,
+                before: change.previous,
+                after: change.available
+              })),
+              ...(notes !== undefined ? [{ path: `locations[id=${location.id}].notes`, before: previousNotes, after: notes }] : [])
+            ]
+          });
+          
+          events.push({
+            type: 'occupancy',
+            timestamp: appliedAt,
+            update_id: update.id,
+            idempotency_key: update.idempotency_key,
+            location_id: Number(location.id),
+            location_name: location.nama,
+            officer_id: update.petugas_id,
+            updated_by: updatedBy,
+            changes,
+            ...(notes !== undefined && { notes })
+          });
+        }
+        
+        if (changesMade) {
+          results.updatedLocations.add(location.nama);
+          update.status = 'processed';
+          update.processed_at = new Date().toISOString();
+          update.validation_warnings = validation.warnings;
+          results.processed.push(update);
+          appliedKeys.set(key, update);
+          
+          await this.log(`Updated ${location.nama}`, 'info', validation.processedData);
+        } else {
+          update.status = 'no_changes';
+          update.processed_at = new Date().toISOString();
+          results.processed.push(update);
+          appliedKeys.set(key, update);
+          await this.log(`No changes for ${location.nama}`, 'info');
+        }
+      
+      } catch (error) {
+        update.status = 'failed';
+        update.error = error.message;
+        update.failed_at = new Date().toISOString();
+        results.failed.push(update);
+        
+        await this.log(`Failed to process update for ${update.location_id}`, 'error', {
+          error: error.message
+        });
+      }
+    }
+    
+    // Update statistics if changes were made
+    if (results.updatedLocations.size > 0) {
+      this.updateStatistics(data);
+      data.metadata.last_updated = new Date().toISOString();
+      data.metadata.updated_by = 'GitHub Actions';
+      data.metadata.processing_timestamp = new Date().toISOString();
+    }
+    
+    // Event ditulis lebih dulu: jika proses mati sebelum snapshot tersimpan,
+    // parkir-data.json bisa dibangun ulang dengan `occupancy-log.js --rebuild`
+    this.eventLog.append(events);
+    
+    // Save all data - status hasil proses sudah ditulis langsung pada entry pending (per id)
+    const applied = results.processed.map(update => update.id);
+    await tx.write('data', data, {
+      action: 'apply-updates',
+      reason: `Applied ${applied.length} pending update(s)`,
+      details: { update_ids: applied }
+    });
+    await tx.write('pending', pendingUpdates, {
+      action: 'process-queue',
+      reason: `${results.processed.length} processed, ${results.failed.length} failed, ${results.duplicates.length} duplicate(s)`
+    });
+    
+    return results;
+  }
 
-    // Validate against total capacity
-    const totalCapacity = data.locations.reduce((acc, loc) => {
-      acc.bus += loc.bus.total || 0;
-      acc.mobil += loc.mobil.total || 0;
-      acc.motor += loc.motor.total || 0;
-      return acc;
-    }, { bus: 0, mobil: 0, motor: 0 });
+  updateStatistics(data) {
+    const ids = this.vehicleTypes.ids;
+    const { capacity: totalCapacity, available: stats } = this.vehicleTypes.totals(data.locations);
 
     // Ensure available doesn't exceed capacity
-    stats.bus = Math.min(stats.bus, totalCapacity.bus);
-    stats.mobil = Math.min(stats.mobil, totalCapacity.mobil);
-    stats.motor = Math.min(stats.motor, totalCapacity.motor);
+    ids.forEach(type => {
+      stats[type] = Math.min(stats[type], totalCapacity[type]);
+    });
 
-    data.statistics = {
-      total_bus_capacity: totalCapacity.bus,
-      total_mobil_capacity: totalCapacity.mobil,
-      total_motor_capacity: totalCapacity.motor,
-      total_available_bus: stats.bus,
-      total_available_mobil: stats.mobil,
-      total_available_motor: stats.motor,
-      update_count_today: (data.statistics?.update_count_today || 0) + 1,
+    const updateCount = (data.statistics?.update_count_today || 0) + 1;
+    data.statistics = {};
+    ids.forEach(type => {
+      data.statistics[VehicleTypes.capacityKey(type)] = totalCapacity[type];
+    });
+    ids.forEach(type => {
+      data.statistics[VehicleTypes.availableKey(type)] = stats[type];
+    });
+    Object.assign(data.statistics, {
+      update_count_today: updateCount,
       last_processed: new Date().toISOString(),
-      utilization: {
-        bus: totalCapacity.bus > 0 ? ((totalCapacity.bus - stats.bus) / totalCapacity.bus * 100).toFixed(1) : "0.0",
-        mobil: totalCapacity.mobil > 0 ? ((totalCapacity.mobil - stats.mobil) / totalCapacity.mobil * 100).toFixed(1) : "0.0",
-        motor: totalCapacity.motor > 0 ? ((totalCapacity.motor - stats.motor) / totalCapacity.motor * 100).toFixed(1) : "0.0"
-      }
-    };
+      utilization: this.vehicleTypes.map(type => totalCapacity[type] > 0
+        ? ((totalCapacity[type] - stats[type]) / totalCapacity[type] * 100).toFixed(1)
+        : "0.0")
+    });
   }
 
   async archiveUpdates(updates) {
@@ -367,6 +475,7 @@ class UpdateProcessor {
       
       existingData.push(...updates);
       await fs.writeFile(archiveFile, JSON.stringify(existingData, null, 2));
+      await this.updateIndex.record(updates, path.basename(archiveFile));
       
       await this.log('Updates archived', 'info', { file: archiveFile, count: updates.length });
     } catch (error) {
@@ -385,6 +494,7 @@ if (require.main === module) {
       // Output for GitHub Actions
       console.log(`::set-output name=processed_count::${result.processed}`);
       console.log(`::set-output name=failed_count::${result.failed}`);
+      console.log(`::set-output name=duplicate_count::${result.duplicates}`);
       console.log(`::set-output name=updated_locations::${result.updatedLocations.join(',')}`);
       console.log(`::set-output name=has_changes::${result.hasChanges}`);
       
@@ -0,0 +1,131 @@
+/**
+ * Langganan Web Push di browser untuk index.html (pengunjung) dan
+ * admin-petugas.html (petugas). Subscription dibuat lewat service worker
+ * (update-sw.js) dengan public key VAPID dari GET /api/push/key lalu
+ * didaftarkan ke API server (POST /api/push/subscriptions).
+ *
+ * Satu browser punya satu subscription per service worker: mendaftar ulang
+ * (lokasi lain, atau login petugas) memperbarui record yang sama di server.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PushClient = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  class PushClient {
+    constructor(options = {}) {
+      this.apiBaseUrl = options.apiBaseUrl || '';
+      this.fetch = options.fetch || ((...args) => fetch(...args));
+      this.key = null;
+    }
+    
+    static supported() {
+      return typeof navigator !== 'undefined' && 'serviceWorker' in navigator &&
+        typeof window !== 'undefined' && 'PushManager' in window && 'Notification' in window;
+    }
+    
+    /**
+     * Public key base64url ke Uint8Array untuk applicationServerKey
+     */
+    static keyToBytes(base64url) {
+      const base64 = (base64url + '='.repeat((4 - base64url.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+      const raw = atob(base64);
+      return Uint8Array.from(raw, char => char.charCodeAt(0));
+    }
+    
+    /**
+     * Public key VAPID dari server, null jika push tidak tersedia (fitur mati, tanpa API server)
+     */
+    async publicKey() {
+      if (this.key) return this.key;
+      try {
+        const response = await this.fetch(`${this.apiBaseUrl}/api/push/key`);
+        const body = response.ok ? await response.json() : null;
+        this.key = body && body.public_key ? body.public_key : null;
+      } catch (error) {
+        this.key = null;
+      }
+      return this.key;
+    }
+    
+    async registration() {
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (!registration) {
+        throw new Error('Service worker belum terpasang');
+      }
+      return registration;
+    }
+    
+    /**
+     * Subscription yang sudah ada di browser ini, atau null
+     */
+    async current() {
+      if (!PushClient.supported()) return null;
+      try {
+        return await (await this.registration()).pushManager.getSubscription();
+      } catch (error) {
+        return null;
+      }
+    }
+    
+    /**
+     * Minta izin, buat/ambil subscription lalu daftarkan ke server.
+     * options.token: token sesi petugas; options.locations: pilihan pengunjung.
+     */
+    async subscribe(options = {}) {
+      const key = await this.publicKey();
+      if (!key) {
+        throw new Error('Notifikasi push tidak tersedia');
+      }
+      
+      if (Notification.permission !== 'granted' && await Notification.requestPermission() !== 'granted') {
+        throw new Error('Izin notifikasi ditolak di browser');
+      }
+      
+      const registration = await this.registration();
+      const subscription = await registration.pushManager.getSubscription() ||
+        await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: PushClient.keyToBytes(key) });
+      
+      const response = await this.fetch(`${this.apiBaseUrl}/api/push/subscriptions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(options.token && { Authorization: `Bearer ${options.token}` })
+        },
+        body: JSON.stringify({ subscription: subscription.toJSON(), locations: options.locations })
+      });
+      const result = await response.json().catch(() => ({}));
+      
+      if (!response.ok) {
+        throw Object.assign(new Error(result.error || `Pendaftaran notifikasi gagal (${response.status})`), { status: response.status });
+      }
+      return result;
+    }
+    
+    /**
+     * Hapus subscription di server dan di browser
+     */
+    async unsubscribe() {
+      const subscription = await this.current();
+      if (!subscription) return false;
+      
+      const response = await this.fetch(`${this.apiBaseUrl}/api/push/unsubscribe`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ endpoint: subscription.endpoint })
+      });
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || `Gagal menghentikan notifikasi (${response.status})`);
+      }
+      
+      await subscription.unsubscribe();
+      return true;
+    }
+  }
+
+  return PushClient;
+});
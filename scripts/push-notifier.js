@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+/**
+ * Notifikasi Web Push untuk petugas dan pengunjung
+ *
+ * Aktif jika features.push_notifications (config/system-settings.json) dan
+ * push.enabled (config/notifications.json) true serta kunci VAPID tersedia
+ * (push.public_key / push.private_key, atau VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY di environment).
+ * Pemicu:
+ * - StatisticsMonitor (stale_update): petugas lokasi tersebut diingatkan untuk
+ *   mengirim hitungan, paling sering sekali per push.officer_reminder_minutes
+ * - UtilizationNotifier: pengunjung yang memilih lokasi diberi tahu saat lokasi
+ *   yang tadinya penuh (alert critical) kembali punya tempat
+ * Subscription disimpan oleh API server (push-subscriptions.js), sehingga pemicu
+ * dijalankan oleh monitor alert di host yang sama (alert-monitor.js, distart APIServer).
+ * Di GitHub Actions kedua script berjalan dengan --check-only dan tidak mengirim push.
+ *
+ *   node scripts/push-notifier.js --status
+ *   node scripts/push-notifier.js --test [--audience=officer|visitor]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+const VehicleTypes = require('./vehicle-types');
+const WebPush = require('./web-push');
+const PushSubscriptions = require('./push-subscriptions');
+
+const DEFAULTS = {
+  enabled: false,
+  subject: '',
+  public_key: '',
+  private_key: '',
+  ttl_seconds: WebPush.DEFAULT_TTL,
+  officer_reminder_minutes: 60,
+  visitor_max_locations: 5,
+  allowed_hosts: WebPush.PUSH_SERVICE_HOSTS,
+  max_subscriptions: 5000,
+  subscribe_per_hour: 10
+};
+
+const TEMPLATES = {
+  officer_reminder: {
+    title: '⏰ UPDATE HITUNGAN PARKIR',
+    message: '{location} belum diupdate selama {hours} jam. Mohon kirim hitungan terbaru.'
+  },
+  space_available: {
+    title: '🅿️ ADA TEMPAT LAGI',
+    message: '{location} kembali tersedia: {available}'
+  }
+};
+
+class PushNotifier {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.configLoader = options.configLoader || new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.env = options.env || process.env;
+    this.config = options.config || this.configLoader.load('notifications', { defaults: {} });
+    this.settings = options.settings || this.configLoader.load('system-settings', { defaults: {} });
+    this.vehicleTypes = options.vehicleTypes || VehicleTypes.load({ configLoader: this.configLoader });
+    this.store = options.store || new PushSubscriptions({ rootDir: this.rootDir, operation: this.operation });
+    this.logDir = this.operation.path('data/logs');
+    this.now = options.now || (() => Date.now());
+    
+    this.push = this.pushConfig();
+    this.client = options.client || new WebPush({
+      publicKey: this.push.public_key,
+      privateKey: this.push.private_key,
+      subject: this.push.subject,
+      timeout: this.config.notification_settings?.timeout_ms
+    });
+  }
+
+  /**
+   * Config push dengan kunci VAPID dari environment bila kosong
+   */
+  pushConfig() {
+    const config = { ...DEFAULTS, ...(this.config.push || {}) };
+    config.public_key = config.public_key || this.env.VAPID_PUBLIC_KEY || '';
+    config.private_key = config.private_key || this.env.VAPID_PRIVATE_KEY || '';
+    config.subject = config.subject || this.env.VAPID_SUBJECT || '';
+    return config;
+  }
+
+  /**
+   * Alasan push tidak aktif, atau null jika aktif
+   */
+  disabledReason() {
+    if (this.settings.features?.push_notifications !== true) {
+      return 'features.push_notifications is off';
+    }
+    if (this.push.enabled !== true) {
+      return 'push.enabled is false in notifications.json';
+    }
+    if (this.operation.archived) {
+      return `operation ${this.operation.id} is archived`;
+    }
+    const missing = ['public_key', 'private_key', 'subject'].filter(key => !this.push[key]);
+    return missing.length > 0 ? `push not configured: missing ${missing.join(', ')}` : null;
+  }
+
+  enabled() {
+    return this.disabledReason() === null;
+  }
+
+  publicKey() {
+    return this.enabled() ? this.push.public_key : null;
+  }
+
+  template(name) {
+    return (this.config.alert_templates || {})[name] || TEMPLATES[name];
+  }
+
+  static format(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+  }
+
+  /**
+   * Kirim pesan ke beberapa subscription; tidak pernah throw.
+   * Endpoint yang sudah tidak berlaku dihapus dari penyimpanan.
+   */
+  async sendTo(subscriptions, message, options = {}) {
+    const payload = {
+      title: message.title,
+      body: message.text,
+      tag: message.tag,
+      url: message.url || '/',
+      timestamp: new Date(this.now()).toISOString()
+    };
+    
+    const deliveries = await Promise.all(subscriptions.map(async sub => {
+      try {
+        const result = await this.client.send(sub, payload, {
+          ttl: this.push.ttl_seconds,
+          urgency: options.urgency,
+          topic: message.tag
+        });
+        return { id: sub.id, audience: sub.audience, success: true, status: result.status };
+      } catch (error) {
+        return { id: sub.id, audience: sub.audience, success: false, status: error.status, gone: Boolean(error.gone), error: error.message };
+      }
+    }));
+    
+    let removed = 0;
+    try {
+      removed = await this.store.recordResults(deliveries);
+    } catch (error) {
+      console.warn(`⚠️ Push results not recorded: ${error.message}`);
+    }
+    this.logDeliveries(message, deliveries);
+    
+    return {
+      sent: deliveries.filter(d => d.success).length,
+      failed: deliveries.filter(d => !d.success).length,
+      removed,
+      deliveries
+    };
+  }
+
+  logDeliveries(message, deliveries) {
+    if (deliveries.length === 0) return;
+    
+    fs.mkdirSync(this.logDir, { recursive: true });
+    const timestamp = new Date(this.now()).toISOString();
+    const lines = deliveries.map(delivery => JSON.stringify({
+      channel: 'push',
+      tag: message.tag,
+      subscription: delivery.id,
+      audience: delivery.audience,
+      success: delivery.success,
+      ...(delivery.status && { status: delivery.status }),
+      ...(delivery.error && { error: delivery.error }),
+      timestamp
+    }));
+    fs.appendFileSync(path.join(this.logDir, 'notification-deliveries.log'), lines.join('\n') + '\n');
+  }
+
+  /**
+   * Ingatkan petugas lokasi yang lama tidak diupdate (alert stale_update dari StatisticsMonitor)
+   */
+  async remindOfficers(alerts) {
+    const reason = this.disabledReason();
+    if (reason) return { sent: 0, skipped: reason };
+    
+    const stale = alerts.filter(alert => alert.type === 'stale_update' && alert.location_id !== undefined);
+    const cooldown = this.push.officer_reminder_minutes * 60 * 1000;
+    const now = this.now();
+    
+    // Ambil giliran kirim di bawah lock agar dua monitor tidak mengirim pengingat ganda
+    const due = await this.store.update(store => {
+      const reminders = store.state.officer_reminders || {};
+      const selected = stale.filter(alert => {
+        const last = Date.parse(reminders[alert.location_id]);
+        return !(now - last < cooldown);
+      });
+      selected.forEach(alert => {
+        reminders[alert.location_id] = new Date(now).toISOString();
+      });
+      store.state.officer_reminders = reminders;
+      return selected;
+    });
+    
+    const template = this.template('officer_reminder');
+    const results = [];
+    for (const alert of due) {
+      const subscriptions = this.store.list({ audience: 'officer', location_id: alert.location_id });
+      if (subscriptions.length === 0) continue;
+      
+      results.push(await this.sendTo(subscriptions, {
+        title: template.title,
+        text: PushNotifier.format(template.message, { location: alert.location, hours: alert.hours_since_update }),
+        tag: `reminder-${alert.location_id}`,
+        url: '/admin-petugas.html'
+      }, { urgency: alert.severity === 'critical' ? 'high' : 'normal' }));
+    }
+    
+    return PushNotifier.summarize(results, { locations: due.map(alert => alert.location_id) });
+  }
+
+  /**
+   * Beri tahu pengunjung saat lokasi yang tadinya penuh (critical) kembali punya tempat.
+   * locations: lokasi yang sedang dipantau (buka, bukan status khusus); lokasi lain
+   * tidak mengubah status "penuh" yang tersimpan.
+   */
+  async notifySpaceAgain(locations, alerts) {
+    const reason = this.disabledReason();
+    if (reason) return { sent: 0, skipped: reason };
+    
+    const now = new Date(this.now()).toISOString();
+    const critical = new Set(alerts
+      .filter(alert => alert.severity === 'critical' && alert.location_id !== undefined)
+      .map(alert => `${alert.location_id}:${alert.vehicle}`));
+    
+    const freed = await this.store.update(store => {
+      const full = store.state.full || {};
+      const result = [];
+      
+      locations.forEach(location => {
+        this.vehicleTypes.ids.forEach(type => {
+          const key = `${location.id}:${type}`;
+          if (critical.has(key)) {
+            full[key] = full[key] || now;
+          } else if (full[key]) {
+            delete full[key];
+            if (location[type]?.available > 0) result.push({ location, type });
+          }
+        });
+      });
+      
+      store.state.full = full;
+      return result;
+    });
+    
+    const template = this.template('space_available');
+    const byLocation = new Map();
+    freed.forEach(({ location, type }) => {
+      byLocation.set(location.id, [...(byLocation.get(location.id) || []), { location, type }]);
+    });
+    
+    const results = [];
+    for (const [locationId, entries] of byLocation) {
+      const subscriptions = this.store.list({ audience: 'visitor', location_id: locationId });
+      if (subscriptions.length === 0) continue;
+      
+      const location = entries[0].location;
+      const available = entries
+        .map(({ type }) => `${location[type].available} ${this.vehicleTypes.name(type).toLowerCase()}`)
+        .join(', ');
+      results.push(await this.sendTo(subscriptions, {
+        title: template.title,
+        text: PushNotifier.format(template.message, { location: location.nama, available }),
+        tag: `space-${locationId}`,
+        url: '/'
+      }));
+    }
+    
+    return PushNotifier.summarize(results, { locations: [...byLocation.keys()] });
+  }
+
+  static summarize(results, extra = {}) {
+    return {
+      sent: results.reduce((total, r) => total + r.sent, 0),
+      failed: results.reduce((total, r) => total + r.failed, 0),
+      removed: results.reduce((total, r) => total + r.removed, 0),
+      ...extra
+    };
+  }
+}
+
+PushNotifier.DEFAULTS = DEFAULTS;
+PushNotifier.TEMPLATES = TEMPLATES;
+
+module.exports = PushNotifier;
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const audienceArg = args.find(a => a.startsWith('--audience='));
+  const notifier = new PushNotifier({ operation: OperationRegistry.current({ operation: OperationRegistry.requested() }) });
+  const reason = notifier.disabledReason();
+
+  if (args.includes('--test')) {
+    if (reason) {
+      console.error(`❌ Push disabled: ${reason}`);
+      process.exit(1);
+    }
+    const subscriptions = notifier.store.list({ audience: audienceArg ? audienceArg.slice('--audience='.length) : undefined });
+    console.log(`📤 Sending test push to ${subscriptions.length} subscription(s)...`);
+    notifier.sendTo(subscriptions, {
+      title: '🧪 TEST NOTIFIKASI PARKIR',
+      text: `Pesan uji push (${new Date().toISOString()})`,
+      tag: 'test'
+    }).then(result => {
+      console.log(`✅ ${result.sent} delivered, ${result.failed} failed, ${result.removed} expired subscription(s) removed`);
+      process.exit(result.failed > 0 && result.sent === 0 ? 1 : 0);
+    });
+  } else {
+    console.log(reason ? `⏸️ Push disabled: ${reason}` : '✅ Push enabled');
+    console.log(`🔔 Subscriptions: ${notifier.store.list({ audience: 'officer' }).length} officer, ${notifier.store.list({ audience: 'visitor' }).length} visitor`);
+    if (reason) console.log('   Kunci VAPID: node scripts/web-push.js --generate-keys');
+  }
+}
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Penyimpanan subscription Web Push (data/push-subscriptions.json per operasi)
+ *
+ * Dua jenis penerima:
+ * - officer: petugas yang login di admin-petugas.html; lokasi = lokasi tugasnya
+ * - visitor: pengunjung index.html yang memilih lokasi sendiri
+ * Satu endpoint = satu subscription (id = hash endpoint); mendaftar ulang
+ * memperbarui kunci dan lokasinya. Endpoint adalah data pribadi perangkat:
+ * file ini tidak di-commit dan tidak dilayani sebagai file statis.
+ *
+ * Key "state" menyimpan status pengirim (push-notifier.js) di bawah lock yang sama.
+ *
+ *   node scripts/push-subscriptions.js --list
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const OperationRegistry = require('./operation-registry');
+const FileLock = require('./file-lock');
+
+const FILE = 'data/push-subscriptions.json';
+const AUDIENCES = ['officer', 'visitor'];
+const MAX_FAILURES = 5; // gagal berturut-turut sebelum subscription dihapus
+const LOCK_TIMEOUT = 5000;
+const STALE_LOCK = 30000;
+
+class PushSubscriptions {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.filePath = options.file || this.operation.path(FILE);
+    this.lockTimeout = options.lockTimeout || LOCK_TIMEOUT;
+  }
+
+  static error(message, details = {}) {
+    return Object.assign(new Error(message), { code: 'E_PUSH_STORE' }, details);
+  }
+
+  static idOf(endpoint) {
+    return crypto.createHash('sha256').update(String(endpoint)).digest('hex').slice(0, 16);
+  }
+
+  static empty() {
+    return { version: '1.0.0', subscriptions: [], state: {} };
+  }
+
+  read() {
+    try {
+      return { ...PushSubscriptions.empty(), ...JSON.parse(fs.readFileSync(this.filePath, 'utf8')) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return PushSubscriptions.empty();
+      throw PushSubscriptions.error(`${FILE} unreadable: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lock bersama (file-lock.js) atas <file>.lock
+   */
+  lock() {
+    return new FileLock(`${this.filePath}.lock`, {
+      timeout: this.lockTimeout,
+      staleAge: STALE_LOCK,
+      timeoutError: () => Object.assign(PushSubscriptions.error(`Timed out waiting for lock on ${FILE}`), { code: 'E_LOCK_TIMEOUT' })
+    }).acquireAsync();
+  }
+
+  /**
+   * Read-modify-write di bawah lock, ditulis atomik (file sementara + rename)
+   */
+  async update(mutator) {
+    OperationRegistry.assertWritable(this.operation);
+    const release = await this.lock();
+    try {
+      const store = this.read();
+      const result = await mutator(store);
+      const temp = `${this.filePath}.${process.pid}.tmp`;
+      await fsp.writeFile(temp, JSON.stringify(store, null, 2));
+      await fsp.rename(temp, this.filePath);
+      return result;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Subscription untuk audience dan (opsional) lokasi tertentu
+   */
+  list(filter = {}) {
+    return this.read().subscriptions.filter(sub =>
+      (!filter.audience || sub.audience === filter.audience) &&
+      (filter.location_id === undefined || sub.locations.includes(Number(filter.location_id))) &&
+      (!filter.officer_id || sub.officer_id === filter.officer_id));
+  }
+
+  /**
+   * Simpan atau perbarui subscription; mengembalikan { subscription, created }.
+   * Dengan options.max, subscription baru ditolak (E_PUSH_LIMIT) jika sudah penuh.
+   */
+  async save(subscription, options = {}) {
+    if (!AUDIENCES.includes(options.audience)) {
+      throw PushSubscriptions.error(`Unknown audience: ${options.audience}`);
+    }
+    
+    const id = PushSubscriptions.idOf(subscription.endpoint);
+    const now = new Date().toISOString();
+    
+    return this.update(store => {
+      const existing = store.subscriptions.find(sub => sub.id === id);
+      if (!existing && options.max && store.subscriptions.length >= options.max) {
+        throw Object.assign(PushSubscriptions.error(`Subscription limit reached (${options.max})`), { code: 'E_PUSH_LIMIT' });
+      }
+      const record = {
+        id,
+        endpoint: subscription.endpoint,
+        keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+        audience: options.audience,
+        officer_id: options.officer_id || null,
+        locations: [...new Set((options.locations || []).map(Number))].sort((a, b) => a - b),
+        created_at: existing?.created_at || now,
+        updated_at: now,
+        last_success_at: existing?.last_success_at || null,
+        failures: 0
+      };
+      
+      store.subscriptions = store.subscriptions.filter(sub => sub.id !== id).concat(record);
+      return { subscription: record, created: !existing };
+    });
+  }
+
+  async remove(endpointOrId) {
+    const id = /^[0-9a-f]{16}$/.test(endpointOrId) ? endpointOrId : PushSubscriptions.idOf(endpointOrId);
+    return this.update(store => {
+      const before = store.subscriptions.length;
+      store.subscriptions = store.subscriptions.filter(sub => sub.id !== id);
+      return store.subscriptions.length < before;
+    });
+  }
+
+  /**
+   * Catat hasil kirim [{ id, success, gone }]: endpoint yang gone (404/410) atau
+   * gagal MAX_FAILURES kali berturut-turut dihapus. Mengembalikan jumlah yang dihapus.
+   */
+  async recordResults(results) {
+    if (results.length === 0) return 0;
+    
+    return this.update(store => {
+      const now = new Date().toISOString();
+      const removed = new Set();
+      
+      results.forEach(result => {
+        const sub = store.subscriptions.find(candidate => candidate.id === result.id);
+        if (!sub) return;
+        
+        if (result.success) {
+          sub.last_success_at = now;
+          sub.failures = 0;
+        } else {
+          sub.failures = (sub.failures || 0) + 1;
+          if (result.gone || sub.failures >= MAX_FAILURES) removed.add(sub.id);
+        }
+      });
+      
+      store.subscriptions = store.subscriptions.filter(sub => !removed.has(sub.id));
+      return removed.size;
+    });
+  }
+}
+
+PushSubscriptions.FILE = FILE;
+PushSubscriptions.AUDIENCES = AUDIENCES;
+PushSubscriptions.MAX_FAILURES = MAX_FAILURES;
+
+module.exports = PushSubscriptions;
+
+// CLI Interface
+if (require.main === module) {
+  const store = new PushSubscriptions({ operation: OperationRegistry.current({ operation: OperationRegistry.requested() }) });
+  const subscriptions = store.list();
+
+  console.log(`🔔 Push subscriptions (${store.operation.id}): ${subscriptions.length}\n`);
+  AUDIENCES.forEach(audience => {
+    const subs = subscriptions.filter(sub => sub.audience === audience);
+    console.log(`${audience === 'officer' ? '👮' : '🚶'} ${audience}: ${subs.length}`);
+    subs.forEach(sub => {
+      const host = new URL(sub.endpoint).host;
+      console.log(`   • ${sub.id} ${sub.officer_id ? `${sub.officer_id} ` : ''}lokasi [${sub.locations.join(', ')}] via ${host}${sub.failures ? ` (${sub.failures} failure(s))` : ''}`);
+    });
+  });
+}
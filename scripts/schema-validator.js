@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Validator JSON Schema (subset draft-07) untuk file di schemas/
+ *
+ * Keyword yang didukung: type, enum, const, properties, required,
+ * additionalProperties, items, minItems, maxItems, minimum, maximum,
+ * minLength, maxLength, pattern, format (date, date-time, email, uri),
+ * anyOf, $ref ke "#/definitions/...". Setiap error menyebut path key
+ * yang salah, mis. "alert_channels.slack.enabled".
+ */
+
+const FORMATS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value)),
+  email: value => /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(value),
+  uri: value => {
+    try {
+      return Boolean(new URL(value));
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+class SchemaValidator {
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  /**
+   * Nama tipe JSON sebuah nilai ("integer" untuk bilangan bulat)
+   */
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  static joinPath(base, key) {
+    if (typeof key === 'number') return `${base}[${key}]`;
+    return base ? `${base}.${key}` : key;
+  }
+
+  /**
+   * Validasi nilai; kembalikan daftar { path, message } (kosong = valid)
+   */
+  validate(value) {
+    const errors = [];
+    this.check(this.schema, value, '', errors);
+    return errors;
+  }
+
+  resolve(schema) {
+    if (!schema.$ref) return schema;
+    
+    const match = /^#\/definitions\/(.+)$/.exec(schema.$ref);
+    const target = match && this.schema.definitions && this.schema.definitions[match[1]];
+    if (!target) {
+      throw new Error(`Unresolvable schema reference: ${schema.$ref}`);
+    }
+    return target;
+  }
+
+  check(schema, value, path, errors) {
+    schema = this.resolve(schema);
+    const where = path || '(root)';
+    const add = message => errors.push({ path: where, message });
+    
+    if (schema.anyOf) {
+      const matched = schema.anyOf.some(option => {
+        const optionErrors = [];
+        this.check(option, value, path, optionErrors);
+        return optionErrors.length === 0;
+      });
+      if (!matched) {
+        add(schema.errorMessage || `does not match any allowed form (got ${SchemaValidator.typeOf(value)})`);
+        return;
+      }
+    }
+    
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      const actual = SchemaValidator.typeOf(value);
+      const ok = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+      if (!ok) {
+        add(`must be ${types.join(' or ')} (got ${actual})`);
+        return;
+      }
+    }
+    
+    if (schema.const !== undefined && value !== schema.const) {
+      add(`must be ${JSON.stringify(schema.const)}`);
+    }
+    
+    if (schema.enum && !schema.enum.includes(value)) {
+      add(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})`);
+    }
+    
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) add(`must be >= ${schema.minimum} (got ${value})`);
+      if (schema.maximum !== undefined && value > schema.maximum) add(`must be <= ${schema.maximum} (got ${value})`);
+    }
+    
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        add(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        add(`must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        add(schema.errorMessage || `must match ${schema.pattern} (got ${JSON.stringify(value)})`);
+      }
+      if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+        add(`must be a valid ${schema.format} (got ${JSON.stringify(value)})`);
+      }
+    }
+    
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) add(`must have at least ${schema.minItems} item(s)`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) add(`must have at most ${schema.maxItems} item(s)`);
+      if (schema.items) {
+        value.forEach((item, index) => this.check(schema.items, item, SchemaValidator.joinPath(path, index), errors));
+      }
+    }
+    
+    if (SchemaValidator.typeOf(value) === 'object') {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+          errors.push({ path: SchemaValidator.joinPath(path, key), message: 'is required' });
+        }
+      });
+      
+      Object.keys(value).forEach(key => {
+        const childPath = SchemaValidator.joinPath(path, key);
+        if (schema.properties && schema.properties[key]) {
+          this.check(schema.properties[key], value[key], childPath, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: childPath, message: 'is not a recognized key' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          this.check(schema.additionalProperties, value[key], childPath, errors);
+        }
+      });
+    }
+  }
+}
+
+module.exports = SchemaValidator;
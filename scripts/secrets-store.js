@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+/**
+ * Penyimpanan secret untuk config
+ *
+ * Kredensial tidak ditulis di file config yang di-commit. Config memakai
+ * referensi ${secret:NAMA} (boleh di tengah string) yang diisi saat load oleh
+ * ConfigLoader dari:
+ *   1. environment (secrets GitHub Actions, .env)
+ *   2. file lokal terenkripsi config/secrets.enc.json (AES-256-GCM, kunci
+ *      diturunkan dari SECRETS_KEY; file ini tidak di-commit)
+ * Secret yang tidak ditemukan menjadi string kosong sehingga channel terkait
+ * dilaporkan "not configured".
+ *
+ * scan() dipakai deploy-check untuk menolak secret asli di file yang di-track git.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FILE = 'config/secrets.enc.json';
+const NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const REFERENCE_PATTERN = /\$\{secret:([A-Za-z0-9_]+)\}/g;
+
+// Bentuk token/kunci yang dikenali di file mana pun
+const SECRET_PATTERNS = [
+  { rule: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/ },
+  { rule: 'Slack webhook URL', pattern: /https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]{6,}\/B[A-Z0-9]{6,}\/[A-Za-z0-9]{16,}/ },
+  { rule: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/ },
+  { rule: 'Telegram bot token', pattern: /\b\d{8,10}:[A-Za-z0-9_-]{35}\b/ },
+  { rule: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+  { rule: 'AWS access key', pattern: /\bAKIA[0-9A-Z]{16}\b/ },
+  { rule: 'Private key', pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH )?PRIVATE KEY-----/ }
+];
+
+// Key config/env yang berisi kredensial: nilainya harus kosong, placeholder atau ${secret:...}
+const SECRET_KEY_PATTERN = /(?:^|_)(?:token|secret|password|pass|api_key|apikey|webhook_url|private_key)$/i;
+const PLACEHOLDER_PATTERN = /^(?:|your[_-].*|ganti[_-].*|changeme|xxx.*|<.*>|\*+)$|\/xxx\//i;
+
+// File yang tidak boleh di-track sama sekali
+const LOCAL_FILES = ['.env', DEFAULT_FILE];
+const BINARY_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.ico', '.webp', '.pdf', '.zip', '.gz'];
+
+class SecretsStore {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.env = options.env || process.env;
+    this.filePath = options.file || path.join(this.rootDir, DEFAULT_FILE);
+    this.key = options.key !== undefined ? options.key : this.env.SECRETS_KEY;
+    this.values = null;
+  }
+
+  static error(message) {
+    return Object.assign(new Error(message), { code: 'E_SECRET' });
+  }
+
+  /**
+   * Nama secret yang dirujuk dalam teks config
+   */
+  static references(text) {
+    return [...String(text).matchAll(REFERENCE_PATTERN)].map(match => match[1]);
+  }
+
+  static isReference(value) {
+    return typeof value === 'string' && /^\$\{secret:[A-Za-z0-9_]+\}$/.test(value.trim());
+  }
+
+  deriveKey(salt) {
+    if (!this.key) {
+      throw SecretsStore.error(`SECRETS_KEY is required to use ${path.relative(this.rootDir, this.filePath)}`);
+    }
+    return crypto.scryptSync(String(this.key), salt, 32);
+  }
+
+  /**
+   * Isi file terenkripsi (di-cache); {} jika file belum ada
+   */
+  readFile() {
+    if (this.values) return this.values;
+    if (!fs.existsSync(this.filePath)) {
+      this.values = {};
+      return this.values;
+    }
+    
+    const file = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.deriveKey(Buffer.from(file.salt, 'base64')), Buffer.from(file.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+    
+    try {
+      const plain = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+      this.values = JSON.parse(plain.toString('utf8'));
+    } catch (error) {
+      throw SecretsStore.error(`Cannot decrypt ${path.relative(this.rootDir, this.filePath)} (wrong SECRETS_KEY?)`);
+    }
+    return this.values;
+  }
+
+  writeFile(values) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(values), 'utf8'), cipher.final()]);
+    
+    const file = {
+      version: 1,
+      cipher: 'aes-256-gcm',
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+      updated_at: new Date().toISOString()
+    };
+    
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const temp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(file, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(temp, this.filePath);
+    this.values = values;
+  }
+
+  /**
+   * Sumber secret: "env", "file" atau null
+   */
+  source(name) {
+    if (this.env[name] !== undefined && this.env[name] !== '') return 'env';
+    return Object.prototype.hasOwnProperty.call(this.readFile(), name) ? 'file' : null;
+  }
+
+  get(name) {
+    const source = this.source(name);
+    if (source === 'env') return this.env[name];
+    if (source === 'file') return this.readFile()[name];
+    return undefined;
+  }
+
+  set(name, value) {
+    if (!NAME_PATTERN.test(name)) {
+      throw SecretsStore.error(`Invalid secret name "${name}" (use UPPER_SNAKE_CASE)`);
+    }
+    this.writeFile({ ...this.readFile(), [name]: String(value) });
+  }
+
+  remove(name) {
+    const values = { ...this.readFile() };
+    if (!(name in values)) return false;
+    delete values[name];
+    this.writeFile(values);
+    return true;
+  }
+
+  list() {
+    return Object.keys(this.readFile()).sort();
+  }
+
+  /**
+   * Ganti semua ${secret:NAMA} di config (in place).
+   * Kembalikan { resolved: { path: NAMA }, missing: [{ path, name }] }.
+   */
+  resolve(config) {
+    const resolved = {};
+    const missing = [];
+    
+    const walk = (value, currentPath, assign) => {
+      if (typeof value === 'string') {
+        const names = SecretsStore.references(value);
+        if (names.length === 0) return;
+        
+        assign(value.replace(REFERENCE_PATTERN, (match, name) => {
+          const secret = this.get(name);
+          if (secret === undefined) missing.push({ path: currentPath, name });
+          return secret === undefined ? '' : secret;
+        }));
+        resolved[currentPath] = names.join(',');
+      } else if (Array.isArray(value)) {
+        value.forEach((item, index) => walk(item, `${currentPath}[${index}]`, next => {
+          value[index] = next;
+        }));
+      } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => walk(value[key], currentPath ? `${currentPath}.${key}` : key, next => {
+          value[key] = next;
+        }));
+      }
+    };
+    
+    walk(config, '', () => {});
+    return { resolved, missing };
+  }
+
+  /**
+   * Cari secret asli di satu file teks; hasil tidak memuat nilai secret
+   */
+  static scan(text, file = '') {
+    const findings = [];
+    const lines = String(text).split('\n');
+    const isEnvFile = /(^|\/)\.env(\.|$)/.test(file);
+    const isJson = /\.json$/.test(file);
+    
+    lines.forEach((line, index) => {
+      const add = rule => findings.push({ file, line: index + 1, rule });
+      
+      SECRET_PATTERNS.forEach(({ rule, pattern }) => {
+        if (pattern.test(line)) add(rule);
+      });
+      
+      const entry = isJson
+        ? /"([\w-]+)"\s*:\s*"([^"]*)"/.exec(line)
+        : isEnvFile && /^\s*([A-Za-z_][\w]*)\s*=\s*(.*?)\s*$/.exec(line);
+      if (entry && SECRET_KEY_PATTERN.test(entry[1])) {
+        const value = entry[2].replace(/^["']|["']$/g, '');
+        if (!PLACEHOLDER_PATTERN.test(value) && !SecretsStore.isReference(value)) {
+          add(`Literal value for "${entry[1]}" (use \${secret:NAME})`);
+        }
+      }
+    });
+    
+    return findings;
+  }
+
+  /**
+   * Scan daftar file (relatif ke rootDir), mis. hasil `git ls-files`
+   */
+  static scanFiles(rootDir, files) {
+    return files.flatMap(file => {
+      const normalized = file.replace(/\\/g, '/');
+      if (LOCAL_FILES.includes(normalized)) {
+        return [{ file: normalized, line: 0, rule: 'Local secrets file must not be committed' }];
+      }
+      if (BINARY_EXTENSIONS.includes(path.extname(normalized).toLowerCase())) return [];
+      
+      const filePath = path.join(rootDir, normalized);
+      if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) return [];
+      return SecretsStore.scan(fs.readFileSync(filePath, 'utf8'), normalized);
+    });
+  }
+}
+
+module.exports = SecretsStore;
+module.exports.DEFAULT_FILE = DEFAULT_FILE;
+
+// CLI Interface
+if (require.main === module) {
+  const ConfigLoader = require('./config-loader');
+
+  // .env ikut dibaca (SECRETS_KEY dan secret dari environment)
+  ConfigLoader.loadEnvFile(path.join(__dirname, '..', '.env'));
+
+  const args = process.argv.slice(2);
+  const getArg = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  const nameAfter = flag => args[args.indexOf(flag) + 1];
+  const store = new SecretsStore();
+
+  try {
+    if (args.includes('--set')) {
+      const name = nameAfter('--set');
+      // Nilai dari --value= atau stdin agar tidak tersimpan di history shell
+      const value = getArg('value') !== undefined ? getArg('value') : fs.readFileSync(0, 'utf8').replace(/\r?\n$/, '');
+      store.set(name, value);
+      console.log(`✅ Secret ${name} saved to ${DEFAULT_FILE}`);
+    } else if (args.includes('--remove')) {
+      const name = nameAfter('--remove');
+      console.log(store.remove(name) ? `🗑️ Secret ${name} removed` : `ℹ️ Secret ${name} not found in ${DEFAULT_FILE}`);
+    } else if (args.includes('--list') || args.includes('--check')) {
+      // Semua referensi di config/*.json beserta sumbernya (nilai tidak pernah ditampilkan)
+      const configDir = path.join(store.rootDir, 'config');
+      const referenced = new Map();
+      fs.readdirSync(configDir).filter(file => file.endsWith('.json') && !file.includes('secrets')).forEach(file => {
+        SecretsStore.references(ConfigLoader.stripComments(fs.readFileSync(path.join(configDir, file), 'utf8'))).forEach(name => {
+          referenced.set(name, [...(referenced.get(name) || []), file]);
+        });
+      });
+      store.list().forEach(name => {
+        if (!referenced.has(name)) referenced.set(name, []);
+      });
+      
+      console.log('🔐 Secrets\n');
+      let missing = 0;
+      [...referenced.keys()].sort().forEach(name => {
+        const source = store.source(name);
+        if (!source) missing++;
+        const files = referenced.get(name);
+        console.log(`${source ? '✅' : '⚠️ '} ${name}: ${source || 'not set'}${files.length ? ` (used in ${[...new Set(files)].join(', ')})` : ' (unused)'}`);
+      });
+      if (args.includes('--check')) process.exit(missing === 0 ? 0 : 1);
+    } else {
+      console.log(`
+Secrets Store
+
+Usage:
+  node scripts/secrets-store.js --list                 Secret yang dirujuk config dan sumbernya
+  node scripts/secrets-store.js --check                Seperti --list, exit 1 jika ada yang belum diisi
+  node scripts/secrets-store.js --set NAME [--value=]  Simpan ke ${DEFAULT_FILE} (nilai dari stdin jika tanpa --value)
+  node scripts/secrets-store.js --remove NAME
+
+File terenkripsi memakai kunci dari SECRETS_KEY (environment atau .env).
+      `);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
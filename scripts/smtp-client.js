@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * Klien SMTP minimal (net/tls) untuk notifikasi email
+ *
+ * Mendukung TLS langsung (port 465, secure: true), STARTTLS jika ditawarkan
+ * server, AUTH PLAIN/LOGIN dan pesan teks UTF-8. Tidak ada dependency
+ * eksternal sehingga bisa diuji terhadap server SMTP lokal.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+class SmtpClient {
+  constructor(options = {}) {
+    this.host = options.host || 'localhost';
+    this.port = Number(options.port) || (options.secure ? 465 : 587);
+    this.secure = Boolean(options.secure);
+    this.starttls = options.starttls !== false;
+    this.username = options.username || null;
+    this.password = options.password || null;
+    this.timeout = options.timeout || 15000;
+    this.clientName = options.clientName || os.hostname() || 'localhost';
+    // SNI hanya untuk nama host, bukan alamat IP
+    this.tlsOptions = { ...(net.isIP(this.host) ? {} : { servername: this.host }), ...(options.tls || {}) };
+    
+    this.socket = null;
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+  }
+
+  static error(message, responseCode) {
+    return Object.assign(new Error(message), {
+      code: 'E_SMTP',
+      responseCode,
+      // 5xx = permanen (jangan diulang), selain itu boleh dicoba lagi
+      permanent: responseCode >= 500 && responseCode < 600
+    });
+  }
+
+  /**
+   * Header dengan karakter non-ASCII (emoji di judul alert) di-encode RFC 2047
+   */
+  static encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+      ? value
+      : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+  }
+
+  /**
+   * Susun pesan MIME teks; body di-encode base64 (aman untuk UTF-8 dan baris ".")
+   */
+  static buildMessage({ from, to, subject, text }) {
+    const domain = (from.split('@')[1] || 'localhost').replace(/>$/, '');
+    const body = (Buffer.from(text, 'utf8').toString('base64').match(/.{1,76}/g) || []).join('\r\n');
+    
+    return [
+      `From: ${from}`,
+      `To: ${to.join(', ')}`,
+      `Subject: ${SmtpClient.encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      body
+    ].join('\r\n');
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeout, () => {
+      socket.destroy(SmtpClient.error(`SMTP timeout after ${this.timeout}ms`));
+    });
+    socket.on('data', chunk => {
+      this.buffer += chunk;
+      let index;
+      while ((index = this.buffer.indexOf('\n')) !== -1) {
+        this.lines.push(this.buffer.slice(0, index).replace(/\r$/, ''));
+        this.buffer = this.buffer.slice(index + 1);
+      }
+      this.flush();
+    });
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(SmtpClient.error('SMTP connection closed')));
+  }
+
+  fail(error) {
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(error);
+    }
+  }
+
+  /**
+   * Balasan lengkap: baris terakhir berformat "250 ..." (bukan "250-...")
+   */
+  flush() {
+    if (!this.waiting) return;
+    const last = this.lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (last === -1) return;
+    
+    const lines = this.lines.splice(0, last + 1);
+    const { resolve } = this.waiting;
+    this.waiting = null;
+    resolve({
+      code: Number(lines[last].slice(0, 3)),
+      lines: lines.map(line => line.slice(4))
+    });
+  }
+
+  readReply() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  /**
+   * Kirim perintah dan pastikan kode balasan sesuai
+   */
+  async command(line, expected) {
+    if (line !== null) {
+      this.socket.write(`${line}\r\n`);
+    }
+    const reply = await this.readReply();
+    const codes = [].concat(expected);
+    
+    if (!codes.includes(reply.code)) {
+      const shown = line && line.startsWith('AUTH') ? 'AUTH' : (line || 'greeting');
+      throw SmtpClient.error(`SMTP ${shown} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+    }
+    return reply;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const onError = error => reject(error);
+      const socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, ...this.tlsOptions }, () => resolve(socket))
+        : net.connect({ host: this.host, port: this.port }, () => resolve(socket));
+      socket.once('error', onError);
+      socket.once('connect', () => socket.removeListener('error', onError));
+      socket.once('secureConnect', () => socket.removeListener('error', onError));
+    }).then(socket => this.attach(socket));
+  }
+
+  upgrade() {
+    return new Promise((resolve, reject) => {
+      const plain = this.socket;
+      plain.removeAllListeners('data');
+      plain.removeAllListeners('close');
+      plain.setTimeout(0);
+      
+      const socket = tls.connect({ socket: plain, ...this.tlsOptions }, () => resolve(socket));
+      socket.once('error', reject);
+    }).then(socket => this.attach(socket));
+  }
+
+  async hello() {
+    const reply = await this.command(`EHLO ${this.clientName}`, 250);
+    return reply.lines.map(line => line.toUpperCase());
+  }
+
+  async authenticate(extensions) {
+    const auth = extensions.find(ext => ext.startsWith('AUTH')) || '';
+    
+    if (auth.includes('PLAIN') || !auth.includes('LOGIN')) {
+      const token = Buffer.from(`\0${this.username}\0${this.password}`).toString('base64');
+      await this.command(`AUTH PLAIN ${token}`, 235);
+      return;
+    }
+    
+    await this.command('AUTH LOGIN', 334);
+    await this.command(Buffer.from(this.username).toString('base64'), 334);
+    await this.command(Buffer.from(this.password || '').toString('base64'), 235);
+  }
+
+  /**
+   * Kirim satu email; kembalikan { accepted, response }
+   */
+  async send({ from, to, subject, text }) {
+    const recipients = [].concat(to).filter(Boolean);
+    if (!from || recipients.length === 0) {
+      throw Object.assign(SmtpClient.error('SMTP sender and at least one recipient are required'), { permanent: true });
+    }
+    
+    await this.connect();
+    
+    try {
+      await this.command(null, 220);
+      let extensions = await this.hello();
+      
+      if (!this.secure && this.starttls && extensions.includes('STARTTLS')) {
+        await this.command('STARTTLS', 220);
+        await this.upgrade();
+        extensions = await this.hello();
+      }
+      
+      if (this.username) {
+        await this.authenticate(extensions);
+      }
+      
+      const address = value => (/<([^>]+)>/.exec(value) || [null, value])[1];
+      await this.command(`MAIL FROM:<${address(from)}>`, 250);
+      for (const recipient of recipients) {
+        await this.command(`RCPT TO:<${address(recipient)}>`, [250, 251]);
+      }
+      
+      await this.command('DATA', 354);
+      const message = SmtpClient.buildMessage({ from, to: recipients, subject, text });
+      const reply = await this.command(`${message.replace(/^\./gm, '..')}\r\n.`, 250);
+      
+      await this.command('QUIT', 221).catch(() => {});
+      return { accepted: recipients, response: `${reply.code} ${reply.lines.join(' ')}` };
+    } finally {
+      this.socket.removeAllListeners('close');
+      this.socket.destroy();
+    }
+  }
+}
+
+module.exports = SmtpClient;
+
+// CLI Interface
+if (require.main === module) {
+  const getArg = name => {
+    const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+
+  if (!getArg('host') || !getArg('to')) {
+    console.log(`
+SMTP Client
+
+Usage:
+  node scripts/smtp-client.js --host=smtp.example.com --to=admin@example.com
+                              [--port=587] [--secure] [--from=...]
+
+Credentials are read from SMTP_USERNAME and SMTP_PASSWORD.
+    `);
+    process.exit(0);
+  }
+
+  const client = new SmtpClient({
+    host: getArg('host'),
+    port: getArg('port'),
+    secure: process.argv.includes('--secure'),
+    username: process.env.SMTP_USERNAME,
+    password: process.env.SMTP_PASSWORD
+  });
+
+  client.send({
+    from: getArg('from') || process.env.SMTP_USERNAME,
+    to: getArg('to').split(','),
+    subject: 'Test notifikasi sistem parkir',
+    text: `Email test dikirim ${new Date().toISOString()}`
+  }).then(result => {
+    console.log(`✅ Email accepted for ${result.accepted.join(', ')} (${result.response})`);
+  }).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
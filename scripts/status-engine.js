@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/**
+ * Status per jenis kendaraan (location[type].status) dari status_definitions
+ *
+ * Threshold di config/vehicle-types.json adalah persentase tempat tersedia
+ * minimum untuk status tersebut (empty 100, available 70, limited 30, full 0).
+ * Status dengan threshold 0 (full) hanya dipakai jika tidak ada tempat tersisa:
+ * lokasi yang masih punya tempat di bawah threshold terendah lainnya tetap
+ * berstatus terendah tersebut (limited). Status dengan threshold negatif
+ * (not_available) dipakai jika total 0.
+ *
+ * Hysteresis (status_hysteresis, dalam persen): batas di antara 0 dan 100
+ * harus dilewati sejauh margin sebelum status berpindah, sehingga lokasi di
+ * sekitar 70% tidak berganti available ↔ limited setiap ada satu kendaraan.
+ * Perpindahan ke/dari full tidak memakai margin.
+ *
+ * Dipakai DataStore setiap kali parkir-data.json ditulis dan oleh index.html
+ * (<script src="scripts/status-engine.js"> setelah vehicle-types.js, tersedia
+ * sebagai window.StatusEngine).
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./vehicle-types'));
+  } else {
+    root.StatusEngine = factory(root.VehicleTypes);
+  }
+})(typeof self !== 'undefined' ? self : this, function (VehicleTypes) {
+  const DEFAULT_HYSTERESIS = 5;
+
+  // Sama dengan config/vehicle-types.json, dipakai jika file tidak ada
+  const DEFAULT_DEFINITIONS = {
+    empty: { name: 'Kosong', color: '#10B981', threshold: 100 },
+    available: { name: 'Tersedia', color: '#3B82F6', threshold: 70 },
+    limited: { name: 'Terbatas', color: '#F59E0B', threshold: 30 },
+    full: { name: 'Penuh', color: '#EF4444', threshold: 0 },
+    not_available: { name: 'Tidak Tersedia', color: '#6B7280', threshold: -1 }
+  };
+
+  class StatusEngine {
+    constructor(options = {}) {
+      const definitions = options.definitions || DEFAULT_DEFINITIONS;
+      const hysteresis = Number(options.hysteresis === undefined ? DEFAULT_HYSTERESIS : options.hysteresis);
+      this.hysteresis = hysteresis > 0 ? hysteresis : 0;
+      this.vehicleTypes = options.vehicleTypes || new VehicleTypes();
+      
+      // Urut dari threshold tertinggi: urutan ini juga peringkat status (terbaik → terburuk)
+      this.statuses = Object.entries(definitions)
+        .map(([id, definition]) => ({ ...definition, id, threshold: Number(definition.threshold) }))
+        .sort((a, b) => b.threshold - a.threshold);
+      this.serving = this.statuses.filter(status => status.threshold >= 0);
+      
+      if (this.serving.length === 0) {
+        throw new Error('status_definitions needs at least one status with threshold >= 0');
+      }
+      
+      const unavailable = this.statuses.find(status => status.threshold < 0);
+      this.unavailableId = unavailable ? unavailable.id : this.serving[this.serving.length - 1].id;
+    }
+    
+    static fromConfig(config = {}) {
+      return new StatusEngine({
+        definitions: config.status_definitions,
+        hysteresis: config.status_hysteresis,
+        vehicleTypes: VehicleTypes.fromConfig(config)
+      });
+    }
+    
+    /**
+     * Engine dari config/vehicle-types.json (Node). Config yang tidak terbaca
+     * tidak boleh menghentikan penulisan data: dipakai definisi bawaan.
+     */
+    static load(options = {}) {
+      const ConfigLoader = require('./config-loader');
+      try {
+        const loader = options.configLoader || new ConfigLoader({ rootDir: options.rootDir, operation: options.operation });
+        return StatusEngine.fromConfig(loader.load('vehicle-types', { defaults: {} }));
+      } catch (error) {
+        console.warn(`⚠️ Using default status definitions: ${error.message}`);
+        return new StatusEngine();
+      }
+    }
+    
+    static percentage(available, total) {
+      if (!(total > 0)) return 0;
+      return Math.min(100, Math.max(0, (Number(available) || 0) / total * 100));
+    }
+    
+    describe(id) {
+      return this.statuses.find(status => status.id === id) || null;
+    }
+    
+    margin(status) {
+      return status.threshold > 0 && status.threshold < 100 ? this.hysteresis : 0;
+    }
+    
+    /**
+     * Status terbaik yang threshold-nya terpenuhi; status threshold 0 hanya untuk 0 tempat tersisa
+     */
+    match(percentage) {
+      const open = this.serving.filter(status => status.threshold > 0);
+      if (percentage <= 0 || open.length === 0) return this.serving[this.serving.length - 1];
+      return open.find(status => percentage >= status.threshold) || open[open.length - 1];
+    }
+    
+    /**
+     * Status untuk available/total; previous (status tersimpan) mengaktifkan hysteresis
+     */
+    status(available, total, previous = null) {
+      if (!(Number(total) > 0)) return this.unavailableId;
+      
+      const percentage = StatusEngine.percentage(available, Number(total));
+      const next = this.match(percentage);
+      const rank = this.serving.findIndex(status => status.id === previous);
+      const nextRank = this.serving.indexOf(next);
+      if (rank < 0 || nextRank === rank) return next.id;
+      // Penuh atau tidak adalah fakta (0 tempat), bukan batas persentase
+      if (next.threshold <= 0 || this.serving[rank].threshold <= 0) return next.id;
+      
+      // Naik jika batas status di atasnya terlewati sejauh margin,
+      // turun jika persentase di bawah threshold status sebelumnya - margin
+      const boundary = nextRank < rank ? this.serving[rank - 1] : this.serving[rank];
+      const stays = nextRank < rank
+        ? percentage < boundary.threshold + this.margin(boundary)
+        : percentage >= boundary.threshold - this.margin(boundary);
+      
+      return stays ? previous : next.id;
+    }
+    
+    /**
+     * Status terburuk dari beberapa status (untuk indikator lokasi)
+     */
+    worst(ids) {
+      const ranked = ids
+        .map(id => this.serving.findIndex(status => status.id === id))
+        .filter(rank => rank >= 0);
+      return ranked.length > 0 ? this.serving[Math.max(...ranked)].id : this.unavailableId;
+    }
+    
+    /**
+     * Hitung ulang vehicleData.status; true jika berubah
+     */
+    apply(vehicleData) {
+      if (!vehicleData || typeof vehicleData !== 'object') return false;
+      
+      const next = this.status(vehicleData.available, vehicleData.total, vehicleData.status);
+      if (vehicleData.status === next) return false;
+      vehicleData.status = next;
+      return true;
+    }
+    
+    /**
+     * Hitung ulang status semua lokasi di parkir-data.json; jumlah yang berubah
+     */
+    applyAll(data) {
+      let changed = 0;
+      (data?.locations || []).forEach(location => {
+        this.vehicleTypes.ids.forEach(type => {
+          if (this.apply(location[type])) changed++;
+        });
+      });
+      return changed;
+    }
+  }
+
+  StatusEngine.DEFAULT_DEFINITIONS = DEFAULT_DEFINITIONS;
+  StatusEngine.DEFAULT_HYSTERESIS = DEFAULT_HYSTERESIS;
+
+  return StatusEngine;
+});
+
+// Run if called directly
+if (typeof module === 'object' && typeof require === 'function' && require.main === module) {
+  const path = require('path');
+  const StatusEngine = module.exports;
+  const DataStore = require('./data-store');
+  const rootDir = path.join(__dirname, '..');
+
+  try {
+    const store = new DataStore({ rootDir });
+    const engine = StatusEngine.load({ rootDir, operation: store.operation });
+    const vehicleTypes = engine.vehicleTypes;
+    const data = store.read('data');
+    
+    console.log(`🚦 Status per vehicle type (hysteresis ${engine.hysteresis}%)\n`);
+    
+    let stale = 0;
+    data.locations.forEach(location => {
+      const parts = vehicleTypes.ids.filter(type => location[type]).map(type => {
+        const vehicle = location[type];
+        const status = engine.status(vehicle.available, vehicle.total, vehicle.status);
+        if (status !== vehicle.status) stale++;
+        const marker = status !== vehicle.status ? ` (stored: ${vehicle.status || '-'})` : '';
+        return `${vehicleTypes.icon(type)} ${vehicle.available ?? 0}/${vehicle.total ?? 0} ${engine.describe(status)?.name || status}${marker}`;
+      });
+      console.log(`• ${location.nama}: ${parts.join(' · ')}`);
+    });
+    
+    console.log(stale > 0
+      ? `\n⚠️ ${stale} stored status value(s) out of date; recomputed on the next write`
+      : '\n✅ All stored statuses are up to date');
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
@@ -5,16 +5,25 @@
 
 const fs = require('fs');
 const path = require('path');
+const DataStore = require('./data-store');
+const CapacitySchedule = require('./capacity-schedule');
+const OccupancyLog = require('./occupancy-log');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+const VehicleTypes = require('./vehicle-types');
 
 class ConfigSyncer {
   constructor() {
     this.rootDir = path.join(__dirname, '..');
-    this.configFile = path.join(this.rootDir, 'config/locations-config.json');
-    this.dataFile = path.join(this.rootDir, 'data/parkir-data.json');
-    this.vehicleTypesFile = path.join(this.rootDir, 'config/vehicle-types.json');
-    this.settingsFile = path.join(this.rootDir, 'config/system-settings.json');
+    this.operation = OperationRegistry.current({ rootDir: this.rootDir });
+    this.configFile = this.operation.path('config/locations-config.json');
+    this.dataFile = this.operation.path('data/parkir-data.json');
+    this.configLoader = new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.vehicleTypes = VehicleTypes.load({ configLoader: this.configLoader });
+    this.store = new DataStore({ rootDir: this.rootDir, operation: this.operation });
+    this.eventLog = new OccupancyLog({ rootDir: this.rootDir, operation: this.operation, store: this.store });
     
-    this.backupDir = path.join(this.rootDir, 'data/backups');
+    this.backupDir = this.operation.path('data/backups');
     
     // Ensure backup directory exists
     if (!fs.existsSync(this.backupDir)) {
@@ -56,6 +65,18 @@ class ConfigSyncer {
     }
   }
 
+  /**
+   * Load locations-config lewat ConfigLoader (JSONC + validasi schema)
+   */
+  loadConfig(options = {}) {
+    try {
+      return this.configLoader.load('locations-config', { fresh: true, ...options });
+    } catch (error) {
+      console.error(`❌ Error loading ${this.configFile}:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Sync dari config ke data (update data berdasarkan config)
    */
@@ -67,20 +88,25 @@ class ConfigSyncer {
     console.log(`📁 Data backup: ${dataBackup}`);
     
     // Load files
-    const config = this.loadJsonFile(this.configFile);
+    const config = this.loadConfig();
     const data = this.loadJsonFile(this.dataFile);
     
     if (!config || !data) {
       console.error('❌ Failed to load required files');
       return { success: false, error: 'File loading failed' };
     }
+    const dataRevision = DataStore.revisionOf(data);
+    const now = new Date();
     
     const updates = [];
     const errors = [];
     
-    // Update metadata
+    // Update metadata (nama & periode operasi dari registry)
     data.metadata = {
       ...data.metadata,
+      operation_id: this.operation.id,
+      operation_name: this.operation.short_name || this.operation.name,
+      operation_period: this.operation.period || data.metadata?.operation_period,
       last_config_sync: new Date().toISOString(),
       config_version: config.version,
       sync_type: 'config_to_data'
@@ -113,9 +139,10 @@ class ConfigSyncer {
         dataLoc.status = configLoc.status;
       }
       
-      // Update capacities
-      ['bus', 'mobil', 'motor'].forEach(vehicleType => {
-        const configCapacity = configLoc.capacity[vehicleType]?.total || 0;
+      // Update capacities (kapasitas efektif saat ini, termasuk capacity_schedule)
+      const effective = CapacitySchedule.resolve(configLoc, now);
+      this.vehicleTypes.ids.forEach(vehicleType => {
+        const configCapacity = effective.capacity[vehicleType];
         const dataTotal = dataLoc[vehicleType]?.total || 0;
         
         if (configCapacity !== dataTotal) {
@@ -181,8 +208,17 @@ class ConfigSyncer {
       recalculated_by: 'sync-config.js'
     };
     
-    // Save updated data
-    fs.writeFileSync(this.dataFile, JSON.stringify(data, null, 2));
+    // Save updated data (ditolak jika data diubah proses lain selama sync).
+    // Total kapasitas bisa berubah, jadi log okupansi mendapat baseline baru.
+    try {
+      this.eventLog.writeBaseline(data, 'config-sync', {
+        expectedRevision: dataRevision,
+        audit: { reason: `Config → data: ${updates.length} location(s) updated` }
+      });
+    } catch (error) {
+      console.error(`❌ Failed to save data: ${error.message}`);
+      return { success: false, error: error.message, code: error.code };
+    }
     
     // Log results
     console.log('\n📊 SYNC RESULTS:');
@@ -203,9 +239,7 @@ class ConfigSyncer {
     }
     
     console.log(`\n📈 Updated Statistics:`);
-    console.log(`   Bus: ${stats.total_available_bus}/${stats.total_bus_capacity}`);
-    console.log(`   Mobil: ${stats.total_available_mobil}/${stats.total_mobil_capacity}`);
-    console.log(`   Motor: ${stats.total_available_motor}/${stats.total_motor_capacity}`);
+    this.vehicleTypes.describeTotals(stats).forEach(line => console.log(`   ${line}`));
     
     return {
       success: errors.length === 0,
@@ -226,8 +260,8 @@ class ConfigSyncer {
     const configBackup = this.backupFile(this.configFile);
     console.log(`📁 Config backup: ${configBackup}`);
     
-    // Load files
-    const config = this.loadJsonFile(this.configFile);
+    // Load files (config ditulis kembali, jadi tanpa override env)
+    const config = this.loadConfig({ env: false });
     const data = this.loadJsonFile(this.dataFile);
     
     if (!config || !data) {
@@ -252,14 +286,19 @@ class ConfigSyncer {
         return;
       }
       
+      // Kapasitas lokasi berjadwal ditentukan capacity_schedule, bukan data
+      if (configLoc.capacity_schedule) {
+        return;
+      }
+      
       // Update capacities if data has different values
-      ['bus', 'mobil', 'motor'].forEach(vehicleType => {
+      this.vehicleTypes.ids.forEach(vehicleType => {
         const dataTotal = dataLoc[vehicleType]?.total || 0;
         const configCapacity = configLoc.capacity[vehicleType]?.total || 0;
         
         if (dataTotal !== configCapacity) {
           updates.push(`${configLoc.name} ${vehicleType}: config ${configCapacity} → ${dataTotal}`);
-          configLoc.capacity[vehicleType].total = dataTotal;
+          configLoc.capacity[vehicleType] = { ...configLoc.capacity[vehicleType], total: dataTotal };
         }
       });
     });
@@ -268,7 +307,14 @@ class ConfigSyncer {
     const totals = this.calculateTotalCapacities(config.locations);
     config.total_capacity = totals;
     
-    // Save updated config
+    // Save updated config (dicatat di audit log lebih dulu)
+    this.store.auditor().logChange({
+      action: 'config-sync',
+      target: path.relative(this.rootDir, this.configFile),
+      before: this.loadConfig({ env: false }),
+      after: config,
+      reason: `Data → config: ${updates.length} item(s) updated`
+    });
     fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
     
     // Log results
@@ -287,9 +333,7 @@ class ConfigSyncer {
     }
     
     console.log(`\n📈 Updated Total Capacities:`);
-    console.log(`   Bus: ${totals.bus}`);
-    console.log(`   Mobil: ${totals.mobil}`);
-    console.log(`   Motor: ${totals.motor}`);
+    this.vehicleTypes.types.forEach(type => console.log(`   ${type.name}: ${totals[type.id]}`));
     console.log(`   Total: ${totals.total}`);
     
     return {
@@ -305,26 +349,7 @@ class ConfigSyncer {
    * Hitung statistik dari data lokasi
    */
   calculateStatistics(locations) {
-    let stats = {
-      total_bus_capacity: 0,
-      total_mobil_capacity: 0,
-      total_motor_capacity: 0,
-      total_available_bus: 0,
-      total_available_mobil: 0,
-      total_available_motor: 0
-    };
-
-    locations.forEach(location => {
-      stats.total_bus_capacity += location.bus?.total || 0;
-      stats.total_mobil_capacity += location.mobil?.total || 0;
-      stats.total_motor_capacity += location.motor?.total || 0;
-      
-      stats.total_available_bus += location.bus?.available || 0;
-      stats.total_available_mobil += location.mobil?.available || 0;
-      stats.total_available_motor += location.motor?.available || 0;
-    });
-
-    return stats;
+    return this.vehicleTypes.statistics(locations);
   }
 
   /**
@@ -332,14 +357,13 @@ class ConfigSyncer {
    */
   calculateTotalCapacities(locations) {
     return locations.reduce((totals, location) => {
-      totals.bus += location.capacity.bus.total || 0;
-      totals.mobil += location.capacity.mobil.total || 0;
-      totals.motor += location.capacity.motor.total || 0;
-      totals.total += (location.capacity.bus.total || 0) + 
-                     (location.capacity.mobil.total || 0) + 
-                     (location.capacity.motor.total || 0);
+      this.vehicleTypes.ids.forEach(type => {
+        const capacity = location.capacity[type]?.total || 0;
+        totals[type] += capacity;
+        totals.total += capacity;
+      });
       return totals;
-    }, { bus: 0, mobil: 0, motor: 0, total: 0 });
+    }, { ...this.vehicleTypes.map(0), total: 0 });
   }
 
   /**
@@ -377,7 +401,7 @@ class ConfigSyncer {
   validateSync() {
     console.log('🔍 Validating sync consistency...');
     
-    const config = this.loadJsonFile(this.configFile);
+    const config = this.loadConfig();
     const data = this.loadJsonFile(this.dataFile);
     
     if (!config || !data) {
@@ -385,6 +409,11 @@ class ConfigSyncer {
     }
     
     const inconsistencies = [];
+    const now = new Date();
+    
+    config.locations.forEach(configLoc => {
+      inconsistencies.push(...CapacitySchedule.validate(configLoc));
+    });
     
     // Check location count
     if (config.locations.length !== data.locations.length) {
@@ -401,8 +430,9 @@ class ConfigSyncer {
       }
       
       // Check capacities
-      ['bus', 'mobil', 'motor'].forEach(vehicleType => {
-        const configCapacity = configLoc.capacity[vehicleType]?.total || 0;
+      const effective = CapacitySchedule.resolve(configLoc, now);
+      this.vehicleTypes.ids.forEach(vehicleType => {
+        const configCapacity = effective.capacity[vehicleType];
         const dataTotal = dataLoc[vehicleType]?.total || 0;
         
         if (configCapacity !== dataTotal) {
@@ -421,21 +451,17 @@ class ConfigSyncer {
       }
     });
     
-    // Check total capacities
-    const configTotal = config.total_capacity;
+    // Check total capacities (termasuk lokasi yang sedang dalam periode capacity_schedule)
+    const configTotal = CapacitySchedule.adjustTotals(config.total_capacity, config.locations, now);
     const dataStats = data.statistics;
     
-    if (configTotal.bus !== dataStats.total_bus_capacity) {
-      inconsistencies.push(`Bus total capacity mismatch: config=${configTotal.bus}, data=${dataStats.total_bus_capacity}`);
-    }
-    
-    if (configTotal.mobil !== dataStats.total_mobil_capacity) {
-      inconsistencies.push(`Mobil total capacity mismatch: config=${configTotal.mobil}, data=${dataStats.total_mobil_capacity}`);
-    }
-    
-    if (configTotal.motor !== dataStats.total_motor_capacity) {
-      inconsistencies.push(`Motor total capacity mismatch: config=${configTotal.motor}, data=${dataStats.total_motor_capacity}`);
-    }
+    this.vehicleTypes.ids.forEach(type => {
+      const configCapacity = configTotal[type] || 0;
+      const dataCapacity = dataStats[VehicleTypes.capacityKey(type)] || 0;
+      if (configCapacity !== dataCapacity) {
+        inconsistencies.push(`${this.vehicleTypes.name(type)} total capacity mismatch: config=${configCapacity}, data=${dataCapacity}`);
+      }
+    });
     
     const valid = inconsistencies.length === 0;
     
@@ -465,6 +491,11 @@ class ConfigSyncer {
   async run() {
     const args = process.argv.slice(2);
     
+    if (this.operation.archived && !args.includes('--validate')) {
+      console.error(`❌ Operation ${this.operation.id} is archived (read-only); only --validate is allowed`);
+      return { success: false, error: 'Operation is archived' };
+    }
+    
     if (args.includes('--config-to-data')) {
       return this.syncConfigToData();
     }
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Jam operasional lokasi: status buka / segera tutup / tutup
+ *
+ * Jam dibaca dalam zona waktu ui_settings.timezone (default Asia/Jakarta)
+ * dan boleh melewati tengah malam ("22:00-02:00"). Seperti
+ * capacity-schedule.js, modul ini dipakai script Node (require) dan
+ * halaman web (<script src="scripts/time-window.js">, window.TimeWindow).
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TimeWindow = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULT_TIMEZONE = 'Asia/Jakarta';
+  const DEFAULT_CLOSING_SOON_MINUTES = 30;
+  const MINUTES_PER_DAY = 24 * 60;
+
+  const STATES = {
+    OPEN: 'open',
+    CLOSING_SOON: 'closing_soon',
+    CLOSED: 'closed'
+  };
+
+  class TimeWindow {
+    constructor(options = {}) {
+      this.timezone = options.timezone || DEFAULT_TIMEZONE;
+      this.closingSoonMinutes = options.closingSoonMinutes !== undefined
+        ? Number(options.closingSoonMinutes)
+        : DEFAULT_CLOSING_SOON_MINUTES;
+      
+      // Melempar RangeError jika nama zona waktu tidak dikenal
+      this.formatter = new Intl.DateTimeFormat('en-CA', {
+        timeZone: this.timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      });
+    }
+    
+    /**
+     * Buat dari config/system-settings.json (hanya di Node)
+     */
+    static fromSettings(rootDir) {
+      const ConfigLoader = require('./config-loader');
+      
+      try {
+        const settings = new ConfigLoader({ rootDir }).load('system-settings', { defaults: {} });
+        return new TimeWindow({
+          timezone: settings.ui_settings?.timezone,
+          closingSoonMinutes: settings.ui_settings?.closing_soon_minutes
+        });
+      } catch (error) {
+        console.warn(`⚠️ ${error.message}; using default timezone`);
+        return new TimeWindow();
+      }
+    }
+    
+    /**
+     * "18:00-24:00" / "18.00-24.00" => { start: 1080, end: 1440 }
+     */
+    static parse(hours) {
+      const match = /^(\d{1,2})[:.](\d{2})\s*-\s*(\d{1,2})[:.](\d{2})$/.exec(String(hours || '').trim());
+      if (!match) return null;
+      
+      const [sh, sm, eh, em] = match.slice(1).map(Number);
+      if (sh > 24 || eh > 24 || sm > 59 || em > 59) return null;
+      return { start: sh * 60 + sm, end: eh * 60 + em };
+    }
+    
+    static formatMinutes(minutes) {
+      return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Posisi `minutes` terhadap jendela: buka atau tidak, dan berapa menit sampai berubah
+     */
+    static position(window, minutes) {
+      // Panjang jendela; "00:00-24:00" dan "00:00-00:00" berarti buka 24 jam
+      const length = ((window.end - window.start) % MINUTES_PER_DAY + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+      const elapsed = ((minutes - window.start) % MINUTES_PER_DAY + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+      
+      if (length === MINUTES_PER_DAY) {
+        return { open: true, allDay: true, minutesToChange: null };
+      }
+      if (elapsed < length) {
+        return { open: true, allDay: false, minutesToChange: length - elapsed };
+      }
+      return { open: false, allDay: false, minutesToChange: MINUTES_PER_DAY - elapsed };
+    }
+    
+    /**
+     * Tanggal (YYYY-MM-DD) dan menit sejak tengah malam di zona waktu ini
+     */
+    localTime(at = new Date()) {
+      const date = new Date(at);
+      if (isNaN(date.getTime())) {
+        throw new Error(`Invalid time: ${at}`);
+      }
+      
+      const parts = {};
+      this.formatter.formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+      });
+      return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+      };
+    }
+    
+    /**
+     * Status jam operasional pada waktu `at`; jam yang tidak terbaca dianggap buka 24 jam
+     */
+    status(hours, at = new Date()) {
+      const window = TimeWindow.parse(hours);
+      const { minutes } = this.localTime(at);
+      
+      if (!window) {
+        return { state: STATES.OPEN, hours: hours || null, opens_at: null, closes_at: null, next_change_at: null };
+      }
+      
+      const position = TimeWindow.position(window, minutes);
+      let state = position.open ? STATES.OPEN : STATES.CLOSED;
+      if (position.open && !position.allDay && position.minutesToChange <= this.closingSoonMinutes) {
+        state = STATES.CLOSING_SOON;
+      }
+      
+      const nextChange = position.minutesToChange === null
+        ? null
+        : new Date(new Date(at).getTime() + position.minutesToChange * 60000);
+      if (nextChange) nextChange.setSeconds(0, 0);
+      
+      return {
+        state,
+        hours,
+        opens_at: TimeWindow.formatMinutes(window.start),
+        closes_at: TimeWindow.formatMinutes(window.end),
+        next_change_at: nextChange ? nextChange.toISOString() : null
+      };
+    }
+    
+    isOpen(hours, at = new Date()) {
+      return this.status(hours, at).state !== STATES.CLOSED;
+    }
+  }
+
+  TimeWindow.STATES = STATES;
+
+  return TimeWindow;
+});
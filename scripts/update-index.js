@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * Indeks idempotency untuk update yang sudah diarsipkan (data/updates/index.json per operasi)
+ *
+ * id / idempotency key -> { id, status, location_id, officer_id, processed_at, archive }.
+ * UpdateProcessor mencatat setiap update yang diarsipkan, sehingga cek duplikat di API,
+ * GET /api/updates/:id dan processor cukup membaca indeks ini, bukan semua file arsip.
+ * Indeks hanya turunan dari arsip: jika belum ada atau rusak, dibangun ulang dari arsip.
+ *
+ *   node scripts/update-index.js --rebuild
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const OperationRegistry = require('./operation-registry');
+const FileLock = require('./file-lock');
+
+const FILE = 'data/updates/index.json';
+const ARCHIVE_DIR = 'data/updates/archive';
+const LOCK_TIMEOUT = 5000;
+const STALE_LOCK = 30000;
+
+class UpdateIndex {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || path.join(__dirname, '..');
+    this.operation = options.operation || OperationRegistry.current({ rootDir: this.rootDir });
+    this.filePath = options.file || this.operation.path(FILE);
+    this.archiveDir = options.archiveDir || this.operation.path(ARCHIVE_DIR);
+    this.lockTimeout = options.lockTimeout || LOCK_TIMEOUT;
+  }
+
+  static empty() {
+    return { version: '1.0.0', updates: {} };
+  }
+
+  static keysOf(update) {
+    return [...new Set([update.id, update.idempotency_key].filter(key => key !== undefined && key !== null).map(String))];
+  }
+
+  static entryOf(update, archive) {
+    return {
+      id: update.id,
+      status: update.status,
+      location_id: update.location_id ?? null,
+      officer_id: update.auth?.officer_id || null,
+      processed_at: update.processed_at || null,
+      archive
+    };
+  }
+
+  /**
+   * Isi indeks tersimpan, atau null jika belum ada / rusak
+   */
+  async load() {
+    try {
+      return { ...UpdateIndex.empty(), ...JSON.parse(await fsp.readFile(this.filePath, 'utf8')) };
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Bangun indeks dari file arsip (urut tanggal, entri terbaru menang)
+   */
+  async fromArchives() {
+    const index = UpdateIndex.empty();
+    let files = [];
+    try {
+      files = (await fsp.readdir(this.archiveDir)).filter(f => f.endsWith('.json')).sort();
+    } catch {
+      return index;
+    }
+    
+    for (const file of files) {
+      try {
+        const archived = JSON.parse(await fsp.readFile(path.join(this.archiveDir, file), 'utf8'));
+        (Array.isArray(archived) ? archived : []).forEach(update => {
+          UpdateIndex.keysOf(update).forEach(key => {
+            index.updates[key] = UpdateIndex.entryOf(update, file);
+          });
+        });
+      } catch {
+        // Arsip rusak diabaikan
+      }
+    }
+    return index;
+  }
+
+  async read() {
+    const index = await this.load();
+    if (index) return index;
+    
+    // Belum ada indeks: bangun sekali dari arsip (operasi arsip tidak ditulisi)
+    const built = await this.fromArchives();
+    if (this.operation.archived || Object.keys(built.updates).length === 0) return built;
+    return this.rebuild();
+  }
+
+  async get(id) {
+    const index = await this.read();
+    return index.updates[String(id)] || null;
+  }
+
+  /**
+   * Read-modify-write di bawah lock bersama, ditulis atomik; mutator boleh mengembalikan indeks baru
+   */
+  async update(mutator) {
+    OperationRegistry.assertWritable(this.operation);
+    const release = await new FileLock(`${this.filePath}.lock`, {
+      timeout: this.lockTimeout,
+      staleAge: STALE_LOCK,
+      timeoutError: () => Object.assign(new Error(`Timed out waiting for lock on ${FILE}`), { code: 'E_LOCK_TIMEOUT' })
+    }).acquireAsync();
+    
+    try {
+      const current = (await this.load()) || await this.fromArchives();
+      const index = (await mutator(current)) || current;
+      const temp = `${this.filePath}.${process.pid}.tmp`;
+      await fsp.writeFile(temp, JSON.stringify(index, null, 2));
+      await fsp.rename(temp, this.filePath);
+      return index;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Catat update yang baru diarsipkan ke file arsip `archive`
+   */
+  async record(updates, archive) {
+    if (updates.length === 0) return null;
+    
+    return this.update(index => {
+      updates.forEach(update => {
+        UpdateIndex.keysOf(update).forEach(key => {
+          index.updates[key] = UpdateIndex.entryOf(update, archive);
+        });
+      });
+    });
+  }
+
+  async rebuild() {
+    return this.update(() => this.fromArchives());
+  }
+}
+
+UpdateIndex.FILE = FILE;
+
+module.exports = UpdateIndex;
+
+// CLI Interface
+if (require.main === module) {
+  const index = new UpdateIndex({ operation: OperationRegistry.current({ operation: OperationRegistry.requested() }) });
+
+  if (process.argv.includes('--rebuild')) {
+    index.rebuild().then(result => {
+      console.log(`🗂️ ${FILE} rebuilt (${index.operation.id}): ${Object.keys(result.updates).length} key(s)`);
+    }).catch(error => {
+      console.error(`❌ Rebuild failed: ${error.message}`);
+      process.exit(1);
+    });
+  } else {
+    console.log(`
+Update Index
+
+Usage:
+  node scripts/update-index.js --rebuild   Rebuild ${FILE} from the update archives
+    `);
+  }
+}
@@ -0,0 +1,407 @@
+/**
+ * Outbox update petugas: antrian kirim di IndexedDB yang dipakai bersama
+ * admin-petugas.html, scripts/admin-update-fix.js dan service worker
+ * (update-sw.js, importScripts). Service worker tidak bisa membaca
+ * localStorage, jadi antrian dan sesi petugas disimpan di IndexedDB.
+ *
+ * - Setiap update masuk outbox dulu (key = idempotency_key), lalu dikirim
+ *   berurutan per petugas: entry berikutnya tidak dikirim sebelum entry
+ *   sebelumnya terkirim atau ditolak
+ * - Gagal jaringan / 5xx / 429 / mode pemeliharaan: dicoba lagi dengan
+ *   backoff eksponensial (minimal Retry-After dari server), tidak pernah dibuang
+ * - 4xx lain: ditolak (final), entry berikutnya tetap dikirim
+ * - 401: menunggu petugas login lagi
+ *
+ * Status per entry (ditampilkan di riwayat panel): queued, sending,
+ * retrying, waiting_login, delivered, rejected. Tanpa IndexedDB (mis. mode
+ * privat) outbox memakai memori halaman.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.UpdateOutbox = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DB_NAME = 'parkir-outbox';
+  const DB_VERSION = 1;
+  const SYNC_TAG = 'sync-parking-updates';
+
+  const STATES = {
+    QUEUED: 'queued',
+    SENDING: 'sending',
+    RETRYING: 'retrying',
+    WAITING_LOGIN: 'waiting_login',
+    DELIVERED: 'delivered',
+    REJECTED: 'rejected'
+  };
+  const FINAL_STATES = [STATES.DELIVERED, STATES.REJECTED];
+
+  // 5 dtk, 10 dtk, 20 dtk, ... maksimal 15 menit (±20% acak agar HP tidak serentak)
+  const DEFAULT_BACKOFF = { base: 5000, max: 15 * 60 * 1000, jitter: 0.2 };
+
+  // Entry terkirim/ditolak yang disimpan untuk riwayat
+  const KEEP_FINISHED = 50;
+
+  const clone = value => JSON.parse(JSON.stringify(value));
+
+  /**
+   * Penyimpanan di memori (fallback tanpa IndexedDB, juga untuk test Node)
+   */
+  class MemoryStore {
+    constructor() {
+      this.entries = new Map();
+      this.meta = new Map();
+    }
+    
+    async all() {
+      return [...this.entries.values()].map(clone).sort((a, b) => a.seq - b.seq);
+    }
+    
+    async get(key) {
+      return this.entries.has(key) ? clone(this.entries.get(key)) : null;
+    }
+    
+    async put(entry) {
+      this.entries.set(entry.key, clone(entry));
+    }
+    
+    async delete(key) {
+      this.entries.delete(key);
+    }
+    
+    async getMeta(name) {
+      return this.meta.has(name) ? clone(this.meta.get(name)) : null;
+    }
+    
+    async setMeta(name, value) {
+      if (value === null || value === undefined) {
+        this.meta.delete(name);
+      } else {
+        this.meta.set(name, clone(value));
+      }
+    }
+  }
+
+  /**
+   * Penyimpanan IndexedDB: store "outbox" (keyPath key, index seq) dan "meta" (sesi)
+   */
+  class IndexedDBStore {
+    constructor(options = {}) {
+      this.indexedDB = options.indexedDB || indexedDB;
+      this.dbName = options.dbName || DB_NAME;
+      this.db = null;
+    }
+    
+    open() {
+      if (!this.db) {
+        this.db = new Promise((resolve, reject) => {
+          const request = this.indexedDB.open(this.dbName, DB_VERSION);
+          request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('outbox', { keyPath: 'key' }).createIndex('seq', 'seq');
+            db.createObjectStore('meta', { keyPath: 'name' });
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return this.db;
+    }
+    
+    async run(storeName, mode, work) {
+      const db = await this.open();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = work(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    }
+    
+    all() {
+      return this.run('outbox', 'readonly', store => store.index('seq').getAll());
+    }
+    
+    async get(key) {
+      return (await this.run('outbox', 'readonly', store => store.get(key))) || null;
+    }
+    
+    put(entry) {
+      return this.run('outbox', 'readwrite', store => store.put(entry));
+    }
+    
+    delete(key) {
+      return this.run('outbox', 'readwrite', store => store.delete(key));
+    }
+    
+    async getMeta(name) {
+      const record = await this.run('meta', 'readonly', store => store.get(name));
+      return record ? record.value : null;
+    }
+    
+    setMeta(name, value) {
+      return this.run('meta', 'readwrite', store => (value === null || value === undefined)
+        ? store.delete(name)
+        : store.put({ name, value }));
+    }
+  }
+
+  class UpdateOutbox {
+    constructor(options = {}) {
+      this.store = options.store || UpdateOutbox.defaultStore();
+      this.fetch = options.fetch || ((...args) => fetch(...args));
+      this.apiBaseUrl = options.apiBaseUrl || '';
+      this.backoff = { ...DEFAULT_BACKOFF, ...(options.backoff || {}) };
+      this.random = options.random || Math.random;
+      this.now = options.now || (() => Date.now());
+      this.replaying = null;
+    }
+    
+    static defaultStore() {
+      return typeof indexedDB !== 'undefined' ? new IndexedDBStore() : new MemoryStore();
+    }
+    
+    /**
+     * Jeda sebelum percobaan ke-(attempts + 1), dalam milidetik
+     */
+    static retryDelay(attempts, backoff = DEFAULT_BACKOFF, random = Math.random) {
+      const delay = Math.min(backoff.max, backoff.base * Math.pow(2, Math.max(0, attempts - 1)));
+      const jitter = delay * (backoff.jitter || 0) * (random() * 2 - 1);
+      return Math.round(Math.min(backoff.max, delay + jitter));
+    }
+    
+    static isFinal(entry) {
+      return FINAL_STATES.includes(entry.state);
+    }
+    
+    /**
+     * Minta service worker mengirim outbox saat koneksi kembali (Background Sync).
+     * false jika browser tidak mendukung: panel mengirim sendiri saat terbuka.
+     */
+    static async requestSync() {
+      try {
+        const registration = typeof navigator !== 'undefined' && navigator.serviceWorker &&
+          await navigator.serviceWorker.getRegistration();
+        if (registration && registration.sync) {
+          await registration.sync.register(SYNC_TAG);
+          return true;
+        }
+      } catch (error) {
+        console.warn('⚠️ Background sync unavailable:', error.message);
+      }
+      return false;
+    }
+    
+    /**
+     * Sesi petugas untuk pengiriman (juga dari service worker); null = logout
+     */
+    setSession(session) {
+      return this.store.setMeta('session', session
+        ? { token: session.token, officer_id: session.officer_id, expires_at: session.expires_at || null }
+        : null);
+    }
+    
+    getSession() {
+      return this.store.getMeta('session');
+    }
+    
+    /**
+     * Masukkan update ke outbox. Key yang sama tidak masuk dua kali.
+     */
+    async enqueue(update, officerId = null, options = {}) {
+      const key = update.idempotency_key;
+      if (!key) {
+        throw new Error('Update needs an idempotency_key before it can be queued');
+      }
+      
+      const existing = await this.store.get(key);
+      if (existing) return existing;
+      
+      const entries = await this.store.all();
+      const entry = {
+        key,
+        seq: entries.reduce((max, item) => Math.max(max, item.seq), 0) + 1,
+        officer_id: officerId,
+        location_code: update.location_code || null,
+        update,
+        state: options.state || STATES.QUEUED,
+        attempts: 0,
+        next_attempt_at: null,
+        last_error: null,
+        details: null,
+        queued_at: new Date(this.now()).toISOString(),
+        delivered_at: null,
+        result: options.result || null
+      };
+      await this.store.put(entry);
+      return entry;
+    }
+    
+    get(key) {
+      return this.store.get(key);
+    }
+    
+    list() {
+      return this.store.all();
+    }
+    
+    async pending() {
+      return (await this.store.all()).filter(entry => !UpdateOutbox.isFinal(entry));
+    }
+    
+    /**
+     * Kirim outbox; panggilan bersamaan dalam satu halaman/worker berbagi satu proses.
+     * Panel dan service worker bisa mengirim entry yang sama bersamaan: server
+     * mengakuinya sebagai duplikat lewat idempotency key.
+     */
+    replay() {
+      if (!this.replaying) {
+        this.replaying = this.flush().finally(() => {
+          this.replaying = null;
+        });
+      }
+      return this.replaying;
+    }
+    
+    async flush() {
+      const now = this.now();
+      const session = await this.getSession();
+      const sessionValid = Boolean(session && session.token) &&
+        (!session.expires_at || new Date(session.expires_at).getTime() > now);
+      const summary = {
+        delivered: [],
+        rejected: [],
+        pending: 0,
+        next_attempt_at: null,
+        maintenance: null,
+        network_error: false,
+        login_required: false
+      };
+      let blocked = false;
+      
+      for (const entry of await this.pending()) {
+        const mine = sessionValid && (!entry.officer_id || entry.officer_id === session.officer_id);
+        if (!mine || blocked) {
+          summary.pending++;
+          summary.login_required = summary.login_required || !sessionValid;
+          continue;
+        }
+        
+        // Urutan dijaga: entry yang belum waktunya menahan entry sesudahnya
+        if (entry.next_attempt_at && new Date(entry.next_attempt_at).getTime() > now) {
+          blocked = true;
+          summary.pending++;
+          summary.next_attempt_at = entry.next_attempt_at;
+          continue;
+        }
+        
+        entry.state = STATES.SENDING;
+        await this.store.put(entry);
+        const outcome = await this.send(entry, session.token);
+        await this.store.put(outcome.entry);
+        
+        if (outcome.entry.state === STATES.DELIVERED) {
+          summary.delivered.push(outcome.entry);
+        } else if (outcome.entry.state === STATES.REJECTED) {
+          summary.rejected.push(outcome.entry);
+        } else {
+          blocked = true;
+          summary.pending++;
+          summary.next_attempt_at = outcome.entry.next_attempt_at;
+          summary.network_error = summary.network_error || outcome.network;
+          summary.login_required = summary.login_required || outcome.entry.state === STATES.WAITING_LOGIN;
+          summary.maintenance = outcome.maintenance || summary.maintenance;
+        }
+      }
+      
+      await this.prune();
+      return summary;
+    }
+    
+    /**
+     * Satu percobaan kirim; mengembalikan entry dengan status barunya
+     */
+    async send(entry, token) {
+      const now = this.now();
+      entry.attempts++;
+      
+      let response;
+      let result = {};
+      try {
+        response = await this.fetch(`${this.apiBaseUrl}/api/updates`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`,
+            'Idempotency-Key': entry.key
+          },
+          body: JSON.stringify(entry.update)
+        });
+        result = await response.json().catch(() => ({}));
+      } catch (error) {
+        return { entry: this.retryLater(entry, error.message, null, now), network: true };
+      }
+      
+      if (response.ok) {
+        entry.state = STATES.DELIVERED;
+        entry.delivered_at = new Date(now).toISOString();
+        entry.next_attempt_at = null;
+        entry.last_error = null;
+        entry.result = { id: result.id, status: result.status || 'pending', duplicate: Boolean(result.duplicate) };
+        return { entry };
+      }
+      
+      const message = result.error || `HTTP ${response.status}`;
+      if (response.status === 401) {
+        entry.state = STATES.WAITING_LOGIN;
+        entry.last_error = message;
+        return { entry };
+      }
+      if (response.status >= 500 || response.status === 429) {
+        const retryAfter = Number(response.headers && response.headers.get('Retry-After')) || result.retry_after;
+        return {
+          entry: this.retryLater(entry, message, retryAfter, now),
+          maintenance: result.code === 'E_MAINTENANCE' ? result : null
+        };
+      }
+      
+      entry.state = STATES.REJECTED;
+      entry.last_error = message;
+      entry.details = Array.isArray(result.details) ? result.details : null;
+      entry.next_attempt_at = null;
+      return { entry };
+    }
+    
+    retryLater(entry, message, retryAfterSeconds, now) {
+      const delay = Math.max(
+        UpdateOutbox.retryDelay(entry.attempts, this.backoff, this.random),
+        (retryAfterSeconds || 0) * 1000
+      );
+      entry.state = STATES.RETRYING;
+      entry.last_error = message;
+      entry.next_attempt_at = new Date(now + delay).toISOString();
+      return entry;
+    }
+    
+    /**
+     * Hapus riwayat terkirim/ditolak tertua di atas KEEP_FINISHED
+     */
+    async prune() {
+      const finished = (await this.store.all()).filter(UpdateOutbox.isFinal);
+      for (const entry of finished.slice(0, Math.max(0, finished.length - KEEP_FINISHED))) {
+        await this.store.delete(entry.key);
+      }
+    }
+  }
+
+  UpdateOutbox.STATES = STATES;
+  UpdateOutbox.SYNC_TAG = SYNC_TAG;
+  UpdateOutbox.DEFAULT_BACKOFF = DEFAULT_BACKOFF;
+  UpdateOutbox.MemoryStore = MemoryStore;
+  UpdateOutbox.IndexedDBStore = IndexedDBStore;
+
+  return UpdateOutbox;
+});
@@ -11,6 +11,14 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const DataStore = require('./data-store');
+const Migrations = require('./migrations');
+const CapacitySchedule = require('./capacity-schedule');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+const StatusEngine = require('./status-engine');
+const VehicleTypes = require('./vehicle-types');
+const ValidationRules = require('./validation-rules');
 
 // Command line arguments parser
 const args = require('minimist')(process.argv.slice(2), {
@@ -41,22 +49,32 @@ const args = require('minimist')(process.argv.slice(2), {
 class ParkingDataValidator {
   constructor(config = {}) {
     this.rootDir = path.join(__dirname, '..');
+    this.operation = OperationRegistry.current({ rootDir: this.rootDir });
+    this.vehicleTypes = VehicleTypes.load({ rootDir: this.rootDir, operation: this.operation });
     this.config = {
       // File paths
-      dataPath: path.resolve(this.rootDir, 'data/parkir-data.json'),
-      configPath: path.resolve(this.rootDir, 'config/locations-config.json'),
-      backupDir: path.resolve(this.rootDir, 'data/backups'),
-      reportDir: path.resolve(this.rootDir, 'data/reports'),
-      logDir: path.resolve(this.rootDir, 'data/logs'),
+      dataPath: this.operation.path('data/parkir-data.json'),
+      configPath: this.operation.path('config/locations-config.json'),
+      backupDir: this.operation.path('data/backups'),
+      reportDir: this.operation.path('data/reports'),
+      logDir: this.operation.path('data/logs'),
       
-      // Validation settings
-      allowedVehicleTypes: ['bus', 'mobil', 'motor'],
+      // Validation settings (jenis kendaraan dari config/vehicle-types.json)
+      allowedVehicleTypes: this.vehicleTypes.ids,
       
       // Merge with user config
       ...config,
       ...args
     };
     
+    this.store = new DataStore({ rootDir: this.rootDir, operation: this.operation, paths: { data: this.config.dataPath } });
+    this.configLoader = new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.statusEngine = StatusEngine.load({ configLoader: this.configLoader });
+    this.validation = ValidationRules.load({ configLoader: this.configLoader });
+    this.migrations = new Migrations({ rootDir: this.rootDir, operation: this.operation, configLoader: this.configLoader });
+    this.store.statusEngine = this.statusEngine;
+    this.dataRevision = undefined;
+    
     // Initialize state
     this.metrics = {
       startTime: Date.now(),
@@ -68,9 +86,9 @@ class ParkingDataValidator {
     };
     
     this.results = {
-      totals: { bus: 0, mobil: 0, motor: 0, total: 0 },
-      available: { bus: 0, mobil: 0, motor: 0, total: 0 },
-      utilization: { bus: 0, mobil: 0, motor: 0, overall: 0 },
+      totals: { ...this.vehicleTypes.map(0), total: 0 },
+      available: { ...this.vehicleTypes.map(0), total: 0 },
+      utilization: { ...this.vehicleTypes.map(0), overall: 0 },
       issues: [],
       warnings: [],
       fixes: [],
@@ -93,7 +111,7 @@ class ParkingDataValidator {
   loadLocationsConfig() {
     try {
       if (fs.existsSync(this.config.configPath)) {
-        const configData = JSON.parse(fs.readFileSync(this.config.configPath, 'utf8'));
+        const configData = this.configLoader.load('locations-config', { path: this.config.configPath });
         this.logger.info(`Loaded locations config: ${configData.locations.length} locations`);
         return configData;
       } else {
@@ -287,8 +305,8 @@ class ParkingDataValidator {
     this.logger.debug('Loading data file');
     
     try {
-      const rawData = fs.readFileSync(this.config.dataPath, 'utf8');
-      const data = JSON.parse(rawData);
+      const data = this.store.read('data');
+      this.dataRevision = DataStore.revisionOf(data);
       
       // Validate structure
       this.validateStructure(data);
@@ -306,27 +324,16 @@ class ParkingDataValidator {
   }
 
   /**
-   * Validate data structure
+   * Validate data structure (schemas/parkir-data.schema.json). Nilai per jenis
+   * kendaraan tidak diperiksa di sini: diperbaiki processVehicleType.
    */
   validateStructure(data) {
-    const errors = [];
-    
-    // Check for required fields
-    if (!data.locations || !Array.isArray(data.locations)) {
-      errors.push('Data must contain "locations" array');
-    }
-    
-    if (!data.statistics || typeof data.statistics !== 'object') {
-      errors.push('Data must contain "statistics" object');
-    }
+    const errors = this.migrations.validate('data', data, { entries: false })
+      .map(error => `${error.path} ${error.message}`);
     
     // Validate each location
     if (data.locations && Array.isArray(data.locations)) {
-      data.locations.forEach((location, index) => {
-        if (!location.nama) {
-          errors.push(`Location at index ${index} missing "nama"`);
-        }
-        
+      data.locations.forEach(location => {
         this.config.allowedVehicleTypes.forEach(type => {
           if (!location[type]) {
             this.logger.warn(`Location "${location.nama}" missing "${type}" data`);
@@ -441,66 +448,41 @@ class ParkingDataValidator {
       result.fixes.push(`Created missing ${vehicleType} data structure`);
     }
     
-    // Parse and validate values
+    // Parse and validate values (aturan dari ValidationRules, nilai dikoreksi)
     const originalTotal = vehicleData.total;
     const originalAvailable = vehicleData.available;
     
-    const total = this.parseNumber(vehicleData.total, 0);
-    const available = this.parseNumber(vehicleData.available, 0);
+    let stored = this.validation.checkStored(vehicleType, vehicleData);
+    stored.issues.forEach(issue => result.issues.push(issue.message));
     
-    // Get config capacity if available
-    const configCapacity = configLocation?.capacity?.[vehicleType]?.total || 0;
+    // Get config capacity if available (kapasitas efektif menurut capacity_schedule)
+    const configCapacity = configLocation ? CapacitySchedule.capacityOf(configLocation, vehicleType) : 0;
     
-    // Apply validation rules
-    if (configCapacity > 0 && total !== configCapacity) {
-      result.issues.push(`${vehicleType}: Total capacity (${total}) doesn't match config (${configCapacity})`);
+    if (configCapacity > 0 && stored.value.total !== configCapacity) {
+      result.issues.push(`${vehicleType}: Total capacity (${stored.value.total}) doesn't match config (${configCapacity})`);
       if (this.config.force || this.config.mode === 'fix') {
-        vehicleData.total = configCapacity;
+        stored = this.validation.checkStored(vehicleType, { total: configCapacity, available: stored.value.available });
+        stored.issues.forEach(issue => result.issues.push(issue.message));
         result.fixes.push(`Fixed ${vehicleType} total capacity to config value: ${configCapacity}`);
       }
     }
     
-    if (available < 0) {
-      result.issues.push(`${vehicleType}: Negative available spaces (${available})`);
-      vehicleData.available = 0;
-      result.fixes.push(`Fixed negative available spaces to 0`);
-    }
-    
-    if (available > total) {
-      result.issues.push(`${vehicleType}: Available (${available}) exceeds total (${total})`);
-      vehicleData.available = total;
-      result.fixes.push(`Fixed available spaces to match total: ${total}`);
-    }
-    
     // Update with validated values
-    vehicleData.total = vehicleData.total || total;
-    vehicleData.available = vehicleData.available || Math.min(available, vehicleData.total);
+    vehicleData.total = stored.value.total;
+    vehicleData.available = stored.value.available;
     
     // Check if values were changed
     if (originalTotal !== vehicleData.total || originalAvailable !== vehicleData.available) {
       result.fixes.push(`Updated ${vehicleType}: ${originalTotal}→${vehicleData.total}, ${originalAvailable}→${vehicleData.available}`);
     }
     
-    return result;
-  }
-
-  /**
-   * Safe number parsing
-   */
-  parseNumber(value, defaultValue = 0) {
-    if (value === null || value === undefined || value === '') {
-      return defaultValue;
-    }
-    
-    const num = Number(value);
-    
-    if (isNaN(num)) {
-      this.logger.warn(`Invalid number value: ${value}, using default: ${defaultValue}`);
-      return defaultValue;
+    // Status mengikuti status_definitions (juga dihitung ulang DataStore saat ditulis)
+    const originalStatus = vehicleData.status;
+    if (this.statusEngine.apply(vehicleData)) {
+      result.fixes.push(`Updated ${vehicleType} status: ${originalStatus || '-'}→${vehicleData.status}`);
     }
     
-    // Round to nearest integer for parking spaces
-    return Math.max(0, Math.round(num));
+    return result;
   }
 
   /**
@@ -517,7 +499,7 @@ class ParkingDataValidator {
     
     this.config.allowedVehicleTypes.forEach(type => {
       const data = location[type];
-      const configCapacity = configLocation.capacity?.[type]?.total || 0;
+      const configCapacity = CapacitySchedule.capacityOf(configLocation, type);
       
       if (configCapacity > 0 && data.total === 0) {
         recommendations.push(`${type}: Missing capacity data (config: ${configCapacity})`);
@@ -559,7 +541,7 @@ class ParkingDataValidator {
     }
     
     // Compare with config totals
-    const configTotals = this.locationsConfig.total_capacity || {};
+    const configTotals = CapacitySchedule.adjustTotals(this.locationsConfig.total_capacity || {}, this.locationsConfig.locations);
     let configConsistency = true;
     
     this.config.allowedVehicleTypes.forEach(type => {
@@ -573,21 +555,25 @@ class ParkingDataValidator {
     });
     
     // Update data statistics
-    data.statistics = {
-      // Capacity data
-      total_bus_capacity: this.results.totals.bus,
-      total_mobil_capacity: this.results.totals.mobil,
-      total_motor_capacity: this.results.totals.motor,
-      
-      // Availability data
-      total_available_bus: this.results.available.bus,
-      total_available_mobil: this.results.available.mobil,
-      total_available_motor: this.results.available.motor,
-      
-      // Utilization data
-      utilization_bus: this.results.utilization.bus.toFixed(1),
-      utilization_mobil: this.results.utilization.mobil.toFixed(1),
-      utilization_motor: this.results.utilization.motor.toFixed(1),
+    const types = this.config.allowedVehicleTypes;
+    data.statistics = {};
+    
+    // Capacity data
+    types.forEach(type => {
+      data.statistics[VehicleTypes.capacityKey(type)] = this.results.totals[type];
+    });
+    
+    // Availability data
+    types.forEach(type => {
+      data.statistics[VehicleTypes.availableKey(type)] = this.results.available[type];
+    });
+    
+    // Utilization data
+    types.forEach(type => {
+      data.statistics[`utilization_${type}`] = this.results.utilization[type].toFixed(1);
+    });
+    
+    Object.assign(data.statistics, {
       utilization_overall: this.results.utilization.overall.toFixed(1),
       
       // Metadata
@@ -596,7 +582,7 @@ class ParkingDataValidator {
       config_consistency: configConsistency ? 'good' : 'warning',
       issues_found: this.metrics.issuesFound,
       fixes_applied: this.metrics.fixesApplied
-    };
+    });
     
     // Update metadata
     data.metadata = data.metadata || {};
@@ -612,11 +598,17 @@ class ParkingDataValidator {
    */
   async saveData(data) {
     try {
-      const jsonString = JSON.stringify(data, null, 2);
-      fs.writeFileSync(this.config.dataPath, jsonString);
+      // Ditolak (E_CONFLICT) jika data diubah proses lain sejak loadData()
+      this.dataRevision = this.store.write('data', data, {
+        expectedRevision: this.dataRevision,
+        audit: {
+          action: `validate-${this.config.mode}`,
+          reason: `Validator: ${this.metrics.fixesApplied} fix(es) applied, ${this.metrics.issuesFound} issue(s) found`
+        }
+      });
       
       this.logger.info(`Data saved to: ${this.config.dataPath}`);
-      this.logger.debug(`File size: ${Buffer.byteLength(jsonString, 'utf8')} bytes`);
+      this.logger.debug(`File size: ${Buffer.byteLength(JSON.stringify(data, null, 2), 'utf8')} bytes`);
       
       // Try to commit changes if in git repository
       this.tryGitCommit();
@@ -631,7 +623,8 @@ class ParkingDataValidator {
    */
   tryGitCommit() {
     try {
-      execSync('git add data/parkir-data.json', { cwd: this.rootDir });
+      const auditDir = path.relative(this.rootDir, this.store.auditor().logDir);
+      execSync(`git add ${path.relative(this.rootDir, this.config.dataPath)} ${auditDir}`, { cwd: this.rootDir });
       execSync('git commit -m "✅ Auto-validate parking data"', { cwd: this.rootDir });
       this.logger.info('💾 Changes committed to git');
     } catch (gitError) {
@@ -905,11 +898,11 @@ Validation completed ${report.summary.issues_found > 0 ? 'with issues' : 'succes
     this.logger.info('🚀 Running quick validation...');
     
     try {
-      const data = JSON.parse(fs.readFileSync(this.config.dataPath, 'utf8'));
+      const data = this.store.read('data');
       
       // Just check basic structure and config consistency
       const issues = [];
-      let totalCapacity = { bus: 0, mobil: 0, motor: 0 };
+      const totalCapacity = this.vehicleTypes.map(0);
       
       data.locations.forEach(location => {
         this.config.allowedVehicleTypes.forEach(type => {
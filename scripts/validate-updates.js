@@ -8,16 +8,29 @@
 
 const fs = require('fs');
 const path = require('path');
+const LocationResolver = require('./location-resolver');
+const CapacitySchedule = require('./capacity-schedule');
+const DataStore = require('./data-store');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+const VehicleTypes = require('./vehicle-types');
+const ValidationRules = require('./validation-rules');
 
 class UpdatesValidator {
   constructor() {
     this.rootDir = path.join(__dirname, '..');
-    this.pendingPath = path.join(this.rootDir, 'data/pending-updates.json');
-    this.dataPath = path.join(this.rootDir, 'data/parkir-data.json');
-    this.configPath = path.join(this.rootDir, 'config/locations-config.json');
+    this.operation = OperationRegistry.current({ rootDir: this.rootDir });
+    this.pendingPath = this.operation.path('data/pending-updates.json');
+    this.dataPath = this.operation.path('data/parkir-data.json');
+    this.configPath = this.operation.path('config/locations-config.json');
+    this.configLoader = new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.vehicleTypes = VehicleTypes.load({ configLoader: this.configLoader });
+    this.validation = ValidationRules.load({ configLoader: this.configLoader });
     
     this.validLocations = [];
     this.locationMap = {};
+    this.resolver = new LocationResolver({ rootDir: this.rootDir, operation: this.operation });
+    this.store = new DataStore({ rootDir: this.rootDir, operation: this.operation });
     
     // Load data
     this.loadData();
@@ -35,23 +48,20 @@ class UpdatesValidator {
           this.locationMap[location.id] = {
             nama: location.nama,
             code: location.nama.replace(/\s+/g, '').toUpperCase(),
-            capacity: {
-              bus: location.bus?.total || 0,
-              mobil: location.mobil?.total || 0,
-              motor: location.motor?.total || 0
-            }
+            capacity: this.vehicleTypes.map(type => location[type]?.total || 0)
           };
         });
       }
       
       // Load config for additional validation
       if (fs.existsSync(this.configPath)) {
-        const configData = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        const configData = this.configLoader.load('locations-config');
         
         // Update location map with config data
         configData.locations?.forEach(configLoc => {
           if (this.locationMap[configLoc.id]) {
-            this.locationMap[configLoc.id].configCapacity = configLoc.capacity;
+            const { capacity } = CapacitySchedule.resolve(configLoc);
+            this.locationMap[configLoc.id].configCapacity = this.vehicleTypes.map(type => ({ total: capacity[type] }));
             this.locationMap[configLoc.id].code = configLoc.code;
           }
         });
@@ -72,155 +82,110 @@ class UpdatesValidator {
     
     let updates = [];
     try {
-      updates = JSON.parse(fs.readFileSync(this.pendingPath, 'utf8'));
+      updates = this.store.read('pending');
     } catch (error) {
       console.error('❌ Error reading pending updates:', error.message);
       return { valid: 0, invalid: 0, cleaned: [] };
     }
     
+    // Entry yang dibaca di sini; entry yang masuk selama validasi tidak boleh hilang
+    const seen = new Set(updates.map(update => JSON.stringify(update)));
+    
     const originalCount = updates.length;
     const validUpdates = [];
     const invalidUpdates = [];
     
     console.log(`📋 Found ${originalCount} updates to validate`);
     
+    // Update yang sudah selesai diproses dibiarkan apa adanya (tidak di-reset ke pending)
+    const finishedStatuses = ['processed', 'no_changes', 'duplicate', 'failed'];
+    let alreadyHandled = 0;
+    
     // Validation rules
     updates.forEach((update, index) => {
-      const errors = [];
-      const warnings = [];
-      
-      // Required fields validation
-      if (!update.location_id || typeof update.location_id !== 'number') {
-        errors.push('Missing or invalid location_id (must be number)');
-      }
-      
-      if (!update.petugas_name || typeof update.petugas_name !== 'string') {
-        errors.push('Missing or invalid petugas_name');
-      }
-      
-      // Location existence check
-      if (update.location_id && !this.validLocations.includes(update.location_id)) {
-        errors.push(`Invalid location_id: ${update.location_id} not found in parkir data`);
-      }
-      
-      // Get location info
-      const locationInfo = this.locationMap[update.location_id];
-      
-      // Numeric validations with capacity limits
-      if (update.bus !== undefined) {
-        const busValue = parseInt(update.bus);
-        if (isNaN(busValue) || busValue < 0) {
-          errors.push('Invalid bus value (must be non-negative number)');
-        } else if (locationInfo) {
-          const maxCapacity = locationInfo.configCapacity?.bus?.total || locationInfo.capacity.bus;
-          if (maxCapacity > 0 && busValue > maxCapacity) {
-            warnings.push(`Bus value ${busValue} exceeds capacity ${maxCapacity}`);
-            // Auto-correct if possible
-            if (this.shouldAutoCorrect()) {
-              update.bus = maxCapacity;
-              console.log(`⚠️ Auto-corrected bus value for location ${update.location_id}: ${busValue} → ${maxCapacity}`);
-            }
-          }
-        }
-      }
-      
-      if (update.mobil !== undefined) {
-        const mobilValue = parseInt(update.mobil);
-        if (isNaN(mobilValue) || mobilValue < 0) {
-          errors.push('Invalid mobil value (must be non-negative number)');
-        } else if (locationInfo) {
-          const maxCapacity = locationInfo.configCapacity?.mobil?.total || locationInfo.capacity.mobil;
-          if (maxCapacity > 0 && mobilValue > maxCapacity) {
-            warnings.push(`Mobil value ${mobilValue} exceeds capacity ${maxCapacity}`);
-            // Auto-correct if possible
-            if (this.shouldAutoCorrect()) {
-              update.mobil = maxCapacity;
-              console.log(`⚠️ Auto-corrected mobil value for location ${update.location_id}: ${mobilValue} → ${maxCapacity}`);
-            }
-          }
-        }
+      if (finishedStatuses.includes(update.status)) {
+        validUpdates.push(update);
+        alreadyHandled++;
+        return;
       }
       
-      if (update.motor !== undefined) {
-        const motorValue = parseInt(update.motor);
-        if (isNaN(motorValue) || motorValue < 0) {
-          errors.push('Invalid motor value (must be non-negative number)');
-        } else if (locationInfo) {
-          const maxCapacity = locationInfo.configCapacity?.motor?.total || locationInfo.capacity.motor;
-          if (maxCapacity > 0 && motorValue > maxCapacity) {
-            warnings.push(`Motor value ${motorValue} exceeds capacity ${maxCapacity}`);
-            // Auto-correct if possible
-            if (this.shouldAutoCorrect()) {
-              update.motor = maxCapacity;
-              console.log(`⚠️ Auto-corrected motor value for location ${update.location_id}: ${motorValue} → ${maxCapacity}`);
-            }
-          }
-        }
-      }
-      
-      // Timestamp validation
-      if (update.timestamp) {
-        const timestamp = new Date(update.timestamp);
-        if (isNaN(timestamp.getTime())) {
-          errors.push('Invalid timestamp format');
-        } else if (timestamp > new Date()) {
-          warnings.push('Timestamp is in the future');
-        }
-      }
+      // Lokasi boleh berupa id, code atau nama, dan harus ada di parkir data;
+      // aturan nilai dari ValidationRules (--strict: di atas kapasitas ditolak)
+      const resolved = this.resolver.resolveUpdate(update);
+      const location = resolved && this.validLocations.includes(resolved.id) ? resolved : null;
+      const locationInfo = location ? this.locationMap[location.id] : null;
+      const validation = this.validation.validateUpdate(update, {
+        location,
+        capacity: locationInfo ? this.vehicleTypes.map(type => locationInfo.configCapacity?.[type]?.total || locationInfo.capacity[type]) : undefined,
+        strict: !this.shouldAutoCorrect()
+      });
+      const cleaned = validation.value;
       
-      // Notes length validation
-      if (update.notes && update.notes.length > 500) {
-        warnings.push('Notes too long (truncated to 500 chars)');
-        update.notes = update.notes.substring(0, 500);
-      }
+      validation.warnings.filter(issue => issue.code === 'W_CAPPED_TO_CAPACITY').forEach(issue => {
+        console.log(`⚠️ Auto-corrected ${issue.field} value for location ${cleaned.location_id}: ${issue.value} → ${cleaned[issue.field]}`);
+      });
       
-      if (errors.length === 0) {
+      if (validation.valid) {
         // Clean data
         const cleanedUpdate = {
-          location_id: update.location_id,
-          location_name: locationInfo?.nama || `Location_${update.location_id}`,
-          location_code: locationInfo?.code || `LOC${update.location_id}`,
-          petugas_name: update.petugas_name.trim(),
-          timestamp: update.timestamp || new Date().toISOString(),
+          ...(update.id !== undefined && { id: update.id }),
+          ...(update.idempotency_key && { idempotency_key: update.idempotency_key }),
+          location_id: cleaned.location_id,
+          location_name: locationInfo?.nama || `Location_${cleaned.location_id}`,
+          location_code: locationInfo?.code || `LOC${cleaned.location_id}`,
+          type: cleaned.type,
+          ...(update.petugas_id && { petugas_id: update.petugas_id }),
+          petugas_name: cleaned.petugas_name,
+          timestamp: cleaned.timestamp,
+          ...(update.received_at && { received_at: update.received_at }),
           status: 'pending',
           validated_at: new Date().toISOString()
         };
         
         // Add vehicle data if present
-        if (update.bus !== undefined) cleanedUpdate.bus = parseInt(update.bus);
-        if (update.mobil !== undefined) cleanedUpdate.mobil = parseInt(update.mobil);
-        if (update.motor !== undefined) cleanedUpdate.motor = parseInt(update.motor);
-        if (update.notes) cleanedUpdate.notes = update.notes.trim();
+        this.vehicleTypes.ids.forEach(type => {
+          if (cleaned[type] !== undefined) cleanedUpdate[type] = cleaned[type];
+        });
+        if (cleaned.notes) cleanedUpdate.notes = cleaned.notes;
+        
+        // Bukti sesi petugas diperiksa ulang oleh process-updates.js
+        if (update.auth) cleanedUpdate.auth = update.auth;
         
         // Add warnings if any
-        if (warnings.length > 0) {
-          cleanedUpdate.warnings = warnings;
+        if (validation.warnings.length > 0) {
+          cleanedUpdate.warnings = validation.warnings;
         }
         
         validUpdates.push(cleanedUpdate);
         
-        if (warnings.length > 0) {
-          console.log(`⚠️ Location ${update.location_id}: ${warnings.join(', ')}`);
+        if (validation.warnings.length > 0) {
+          console.log(`⚠️ Location ${cleaned.location_id}: ${ValidationRules.describe(validation.warnings)}`);
         }
       } else {
         invalidUpdates.push({
           original: update,
-          errors,
-          warnings,
+          errors: validation.errors,
+          warnings: validation.warnings,
           failed_at: new Date().toISOString()
         });
         
-        console.log(`❌ Invalid update for location ${update.location_id}:`, errors.join(', '));
+        console.log(`❌ Invalid update (${this.resolver.describeReference(update)}):`, ValidationRules.describe(validation.errors));
       }
     });
     
-    // Save cleaned updates
+    // Save cleaned updates; entry baru dari API selama validasi ikut dipertahankan
+    const saved = this.store.update('pending', current => [
+      ...validUpdates,
+      ...current.filter(update => !seen.has(JSON.stringify(update)))
+    ], {
+      action: 'validate-queue',
+      reason: `${invalidUpdates.length} invalid update(s) moved to archive`
+    });
     if (validUpdates.length > 0) {
-      fs.writeFileSync(this.pendingPath, JSON.stringify(validUpdates, null, 2));
       console.log(`✅ Saved ${validUpdates.length} valid updates`);
-    } else {
-      // If no valid updates, write empty array
-      fs.writeFileSync(this.pendingPath, JSON.stringify([], null, 2));
+    }
+    if (saved.length > validUpdates.length) {
+      console.log(`📥 Kept ${saved.length - validUpdates.length} updates received during validation`);
     }
     
     // Archive invalid updates for debugging
@@ -230,12 +195,13 @@ class UpdatesValidator {
     
     console.log(`\n📊 VALIDATION SUMMARY:`);
     console.log(`   Total: ${originalCount}`);
-    console.log(`   ✅ Valid: ${validUpdates.length}`);
+    console.log(`   ✅ Valid: ${validUpdates.length - alreadyHandled}`);
+    console.log(`   ⏭️ Already processed: ${alreadyHandled}`);
     console.log(`   ❌ Invalid: ${invalidUpdates.length}`);
     console.log(`   📁 Saved to: ${this.pendingPath}`);
     
     return {
-      valid: validUpdates.length,
+      valid: validUpdates.length - alreadyHandled,
       invalid: invalidUpdates.length,
       cleaned: validUpdates
     };
@@ -248,7 +214,7 @@ class UpdatesValidator {
   
   archiveInvalidUpdates(invalidUpdates) {
     try {
-      const invalidDir = path.join(this.rootDir, 'data/updates/invalid');
+      const invalidDir = this.operation.path('data/updates/invalid');
       if (!fs.existsSync(invalidDir)) {
         fs.mkdirSync(invalidDir, { recursive: true });
       }
@@ -281,13 +247,13 @@ class UpdatesValidator {
       let errorCount = 0;
       let warningCount = 0;
       
+      // Aturan yang sama dengan validasi penuh; nilai ekstrem = di atas max_capacity jenis
       updates.forEach(update => {
-        if (!update.location_id || !update.petugas_name) {
+        const validation = this.validation.validateUpdate(update);
+        if (!validation.valid) {
           errorCount++;
         }
-        
-        // Check for extreme values
-        if (update.bus > 1000 || update.mobil > 1000 || update.motor > 1000) {
+        if (validation.warnings.length > 0) {
           warningCount++;
         }
       });
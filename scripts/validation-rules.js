@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+/**
+ * Aturan validasi nilai update dan data parkir (satu implementasi untuk semua)
+ *
+ * Sumber aturan:
+ * - validation_rules di config/vehicle-types.json (must_be_integer,
+ *   cannot_exceed_total, cannot_be_negative, allow_zero, allow_empty_string)
+ * - limits.max_notes_length di config/system-settings.json (menang atas
+ *   max_notes_length di validation_rules)
+ *
+ * Hasil validasi berupa issue berkode { code, field, message, value? }:
+ * kode E_* adalah error (update ditolak), W_* peringatan (update diterima,
+ * nilai mungkin dikoreksi). Dipakai APIHandler, validate-updates.js,
+ * process-updates.js, validate-parking.js dan admin-petugas.html
+ * (<script src="scripts/validation-rules.js"> setelah vehicle-types.js,
+ * tersedia sebagai window.ValidationRules).
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./vehicle-types'));
+  } else {
+    root.ValidationRules = factory(root.VehicleTypes);
+  }
+})(typeof self !== 'undefined' ? self : this, function (VehicleTypes) {
+  // Sama dengan config/vehicle-types.json, dipakai jika file tidak ada
+  const DEFAULT_RULES = {
+    must_be_integer: true,
+    cannot_exceed_total: true,
+    cannot_be_negative: true,
+    allow_zero: true,
+    allow_empty_string: false,
+    max_notes_length: 500
+  };
+
+  const UPDATE_TYPES = ['absolute', 'delta'];
+  const LOCATION_FIELDS = ['location_id', 'location_code', 'location', 'location_name'];
+
+  const CODES = {
+    E_LOCATION_REQUIRED: 'error',
+    E_UNKNOWN_LOCATION: 'error',
+    E_PETUGAS_REQUIRED: 'error',
+    E_TIMESTAMP_REQUIRED: 'error',
+    E_INVALID_TIMESTAMP: 'error',
+    E_INVALID_TYPE: 'error',
+    E_NO_VALUES: 'error',
+    E_EMPTY_VALUE: 'error',
+    E_NOT_A_NUMBER: 'error',
+    E_NOT_INTEGER: 'error',
+    E_NEGATIVE: 'error',
+    E_ZERO_NOT_ALLOWED: 'error',
+    E_EXCEEDS_CAPACITY: 'error',
+    E_EMPTY_DELTA: 'error',
+    W_CAPPED_TO_CAPACITY: 'warning',
+    W_ABOVE_TYPE_MAXIMUM: 'warning',
+    W_TYPE_NOT_AVAILABLE: 'warning',
+    W_DELTA_EXCEEDS_CAPACITY: 'warning',
+    W_DELTA_CLAMPED: 'warning',
+    W_FUTURE_TIMESTAMP: 'warning',
+    W_NOTES_TRUNCATED: 'warning'
+  };
+
+  const isBlank = value => value === undefined || value === null || value === '';
+
+  class ValidationRules {
+    constructor(options = {}) {
+      this.rules = { ...DEFAULT_RULES, ...(options.rules || {}) };
+      this.limits = { ...(options.limits || {}) };
+      this.vehicleTypes = options.vehicleTypes || new VehicleTypes();
+    }
+    
+    /**
+     * vehicleTypesConfig: isi config/vehicle-types.json; settings: system-settings.json
+     * atau ConfigLoader.publicSettings() (keduanya memuat limits)
+     */
+    static fromConfig(vehicleTypesConfig = {}, settings = {}) {
+      return new ValidationRules({
+        rules: vehicleTypesConfig.validation_rules,
+        limits: settings?.limits,
+        vehicleTypes: VehicleTypes.fromConfig(vehicleTypesConfig)
+      });
+    }
+    
+    /**
+     * Aturan dari config (Node). Config yang tidak terbaca tidak menghentikan
+     * pipeline update: dipakai aturan bawaan.
+     */
+    static load(options = {}) {
+      const ConfigLoader = require('./config-loader');
+      try {
+        const loader = options.configLoader || new ConfigLoader({ rootDir: options.rootDir, operation: options.operation });
+        return ValidationRules.fromConfig(
+          loader.load('vehicle-types', { defaults: {} }),
+          loader.load('system-settings', { defaults: {} })
+        );
+      } catch (error) {
+        console.warn(`⚠️ Using default validation rules: ${error.message}`);
+        return new ValidationRules();
+      }
+    }
+    
+    static isError(issue) {
+      return CODES[issue.code] === 'error';
+    }
+    
+    /**
+     * Pesan issue untuk log / tampilan ("a, b, c")
+     */
+    static describe(issues = []) {
+      return issues.map(issue => issue.message).join(', ');
+    }
+    
+    get maxNotesLength() {
+      return Number(this.limits.max_notes_length) || Number(this.rules.max_notes_length) || DEFAULT_RULES.max_notes_length;
+    }
+    
+    issue(code, field, message, value) {
+      return { code, field, message, ...(value !== undefined && { value }) };
+    }
+    
+    /**
+     * Parse satu nilai ke angka menurut aturan; null jika tidak bisa dipakai
+     */
+    parseValue(field, raw, issues) {
+      if (raw === '' && !this.rules.allow_empty_string) {
+        issues.push(this.issue('E_EMPTY_VALUE', field, `${field} must not be empty`, raw));
+        return null;
+      }
+      
+      const value = typeof raw === 'string' ? Number(raw.trim()) : Number(raw);
+      if (raw === '' || typeof raw === 'boolean' || isNaN(value) || !isFinite(value)) {
+        issues.push(this.issue('E_NOT_A_NUMBER', field, `${field} must be a number (${raw})`, raw));
+        return null;
+      }
+      if (this.rules.must_be_integer && !Number.isInteger(value)) {
+        issues.push(this.issue('E_NOT_INTEGER', field, `${field} must be an integer (${raw})`, raw));
+        return null;
+      }
+      return value;
+    }
+    
+    /**
+     * Validasi satu nilai absolut (tempat tersedia) terhadap kapasitas.
+     * capacity undefined = tidak diketahui, diperiksa terhadap max_capacity jenis.
+     */
+    checkValue(type, raw, capacity, issues, options = {}) {
+      const value = this.parseValue(type, raw, issues);
+      if (value === null) return null;
+      
+      if (value < 0 && this.rules.cannot_be_negative) {
+        issues.push(this.issue('E_NEGATIVE', type, `${type} must not be negative (${value})`, value));
+        return null;
+      }
+      if (value === 0 && !this.rules.allow_zero) {
+        issues.push(this.issue('E_ZERO_NOT_ALLOWED', type, `${type} must not be 0`, value));
+        return null;
+      }
+      
+      if (capacity === undefined || capacity === null) {
+        const maximum = Number(this.vehicleTypes.get(type)?.max_capacity);
+        if (maximum > 0 && value > maximum) {
+          issues.push(this.issue('W_ABOVE_TYPE_MAXIMUM', type, `${type} ${value} is above the ${type} maximum (${maximum})`, value));
+        }
+        return value;
+      }
+      
+      if (this.rules.cannot_exceed_total && value > capacity) {
+        if (options.strict) {
+          issues.push(this.issue('E_EXCEEDS_CAPACITY', type, `${type} ${value} exceeds capacity ${capacity}`, value));
+          return null;
+        }
+        issues.push(this.issue('W_CAPPED_TO_CAPACITY', type, `${type} ${value} exceeds capacity ${capacity}, capped`, value));
+        return capacity;
+      }
+      return value;
+    }
+    
+    /**
+     * Validasi satu delta (kendaraan masuk +, keluar -); selalu bilangan bulat
+     */
+    checkDelta(type, raw, capacity, issues) {
+      const value = this.parseValue(type, raw, issues);
+      if (value === null) return null;
+      
+      if (!Number.isInteger(value)) {
+        issues.push(this.issue('E_NOT_INTEGER', type, `${type} delta must be an integer (${raw})`, raw));
+        return null;
+      }
+      if (capacity > 0 && Math.abs(value) > capacity) {
+        issues.push(this.issue('W_DELTA_EXCEEDS_CAPACITY', type, `${type} delta ${value} exceeds capacity ${capacity}`, value));
+      }
+      return value;
+    }
+    
+    /**
+     * Terapkan delta ke tempat tersedia saat ini; hasil dibatasi 0..total
+     */
+    applyDelta(type, vehicleData, delta, issues = []) {
+      const total = Number(vehicleData?.total) || 0;
+      const current = Number(vehicleData?.available) || 0;
+      const target = current - delta;
+      const value = Math.max(0, Math.min(total, target));
+      if (value !== target) {
+        issues.push(this.issue('W_DELTA_CLAMPED', type, `${type}: delta ${delta} from ${current} clamped to ${value}`, delta));
+      }
+      return value;
+    }
+    
+    /**
+     * Validasi update petugas (body API, entry antrian, form panel).
+     *
+     * options.location: entry lokasi hasil resolve ({ id }), null jika referensi
+     *   tidak dikenal, undefined jika tidak diperiksa
+     * options.capacity: { <type>: total } kapasitas lokasi; jenis dengan kapasitas 0
+     *   diabaikan (W_TYPE_NOT_AVAILABLE), tanpa capacity dipakai max_capacity jenis
+     * options.strict: nilai di atas kapasitas ditolak, bukan dipotong
+     *
+     * Mengembalikan { valid, errors, warnings, value } dengan value = update bersih
+     * (nilai kendaraan langsung di field, angka, location_id numerik).
+     */
+    validateUpdate(update = {}, options = {}) {
+      const issues = [];
+      const value = { ...update };
+      const now = options.now ? new Date(options.now) : new Date();
+      
+      // Lokasi
+      const reference = LOCATION_FIELDS.find(field => !isBlank(update[field]));
+      if (!reference) {
+        issues.push(this.issue('E_LOCATION_REQUIRED', 'location_id', 'location_id, location_code or location is required'));
+      } else if (options.location === null) {
+        issues.push(this.issue('E_UNKNOWN_LOCATION', reference, `Unknown location (${reference}=${update[reference]})`, update[reference]));
+      } else if (options.location) {
+        value.location_id = Number(options.location.id);
+      } else if (/^\d+$/.test(String(update.location_id ?? '').trim())) {
+        value.location_id = Number(update.location_id);
+      }
+      
+      if (typeof update.petugas_name !== 'string' || update.petugas_name.trim() === '') {
+        issues.push(this.issue('E_PETUGAS_REQUIRED', 'petugas_name', 'petugas_name is required'));
+      } else {
+        value.petugas_name = update.petugas_name.trim();
+      }
+      
+      if (isBlank(update.timestamp)) {
+        issues.push(this.issue('E_TIMESTAMP_REQUIRED', 'timestamp', 'timestamp is required'));
+      } else {
+        const timestamp = new Date(update.timestamp);
+        if (isNaN(timestamp.getTime())) {
+          issues.push(this.issue('E_INVALID_TIMESTAMP', 'timestamp', `Invalid timestamp format (${update.timestamp})`, update.timestamp));
+        } else if (timestamp > now) {
+          issues.push(this.issue('W_FUTURE_TIMESTAMP', 'timestamp', 'Timestamp is in the future', update.timestamp));
+        }
+      }
+      
+      // Nilai kendaraan boleh di dalam "data" (body API lama) atau langsung di update
+      const type = update.type === undefined || update.type === null ? 'absolute' : update.type;
+      const values = update.data && typeof update.data === 'object' ? update.data : update;
+      delete value.data;
+      value.type = type;
+      
+      const provided = this.vehicleTypes.ids.filter(id => values[id] !== undefined && values[id] !== null &&
+        !(values[id] === '' && this.rules.allow_empty_string));
+      this.vehicleTypes.ids.forEach(id => delete value[id]);
+      
+      if (!UPDATE_TYPES.includes(type)) {
+        issues.push(this.issue('E_INVALID_TYPE', 'type', `type must be one of ${UPDATE_TYPES.join(', ')}`, type));
+      } else if (provided.length === 0) {
+        issues.push(this.issue('E_NO_VALUES', 'data', `at least one of ${this.vehicleTypes.ids.join(', ')} is required`));
+      } else {
+        provided.forEach(id => {
+          const capacity = options.capacity ? Number(options.capacity[id]) || 0 : undefined;
+          if (capacity === 0) {
+            issues.push(this.issue('W_TYPE_NOT_AVAILABLE', id, `${id} has no capacity at this location, ignored`, values[id]));
+            return;
+          }
+          
+          const checked = type === 'delta'
+            ? this.checkDelta(id, values[id], capacity, issues)
+            : this.checkValue(id, values[id], capacity, issues, options);
+          if (checked !== null) value[id] = checked;
+        });
+        
+        const deltas = this.vehicleTypes.ids.filter(id => value[id] !== undefined);
+        if (type === 'delta' && !issues.some(ValidationRules.isError) && deltas.every(id => value[id] === 0)) {
+          issues.push(this.issue('E_EMPTY_DELTA', 'data', 'delta update must change at least one vehicle type'));
+        }
+      }
+      
+      // Catatan dipotong, bukan ditolak
+      if (isBlank(update.notes)) {
+        delete value.notes;
+      } else {
+        const notes = String(update.notes).trim();
+        if (notes.length > this.maxNotesLength) {
+          issues.push(this.issue('W_NOTES_TRUNCATED', 'notes', `Notes too long (truncated to ${this.maxNotesLength} chars)`));
+        }
+        value.notes = notes.substring(0, this.maxNotesLength);
+      }
+      
+      const errors = issues.filter(ValidationRules.isError);
+      return {
+        valid: errors.length === 0,
+        errors,
+        warnings: issues.filter(issue => !ValidationRules.isError(issue)),
+        value
+      };
+    }
+    
+    /**
+     * Periksa nilai tersimpan location[type] = { total, available } di parkir-data.json.
+     * Semua issue bisa diperbaiki: value berisi total/available yang sudah dikoreksi.
+     */
+    checkStored(type, vehicleData = {}) {
+      const issues = [];
+      const read = (field, raw) => {
+        const name = `${type}.${field}`;
+        if (isBlank(raw)) return 0;
+        
+        let number = Number(raw);
+        if (isNaN(number) || typeof raw === 'boolean') {
+          issues.push(this.issue('E_NOT_A_NUMBER', name, `${name} must be a number (${raw}), reset to 0`, raw));
+          return 0;
+        }
+        if (this.rules.must_be_integer && !Number.isInteger(number)) {
+          number = Math.round(number);
+          issues.push(this.issue('E_NOT_INTEGER', name, `${name} must be an integer (${raw}), rounded to ${number}`, raw));
+        }
+        if (number < 0 && this.rules.cannot_be_negative) {
+          issues.push(this.issue('E_NEGATIVE', name, `${name} must not be negative (${number}), reset to 0`, number));
+          return 0;
+        }
+        return number;
+      };
+      
+      const total = read('total', vehicleData.total);
+      let available = read('available', vehicleData.available);
+      if (this.rules.cannot_exceed_total && available > total) {
+        issues.push(this.issue('E_EXCEEDS_CAPACITY', `${type}.available`, `${type}.available (${available}) exceeds total (${total}), capped`, available));
+        available = total;
+      }
+      
+      return { issues, value: { total, available } };
+    }
+  }
+
+  ValidationRules.DEFAULT_RULES = DEFAULT_RULES;
+  ValidationRules.UPDATE_TYPES = UPDATE_TYPES;
+  ValidationRules.CODES = CODES;
+
+  return ValidationRules;
+});
+
+// Run if called directly
+if (typeof module === 'object' && typeof require === 'function' && require.main === module) {
+  const path = require('path');
+  const ValidationRules = module.exports;
+  const rootDir = path.join(__dirname, '..');
+
+  try {
+    const validation = ValidationRules.load({ rootDir });
+    const input = process.argv[2];
+    
+    if (input) {
+      // node scripts/validation-rules.js '{"location_id":1,"mobil":10,...}'
+      const result = validation.validateUpdate(JSON.parse(input));
+      [...result.errors, ...result.warnings].forEach(issue => {
+        console.log(`${ValidationRules.isError(issue) ? '❌' : '⚠️'} ${issue.code} ${issue.field}: ${issue.message}`);
+      });
+      console.log(result.valid ? '✅ Valid' : '❌ Invalid');
+      process.exit(result.valid ? 0 : 1);
+    }
+    
+    console.log('📏 Validation rules (config/vehicle-types.json + system-settings.json limits)\n');
+    Object.entries(validation.rules).forEach(([rule, value]) => {
+      console.log(`• ${rule}: ${value}`);
+    });
+    console.log(`• max_notes_length (effective): ${validation.maxNotesLength}`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * Daftar jenis kendaraan dari config/vehicle-types.json
+ *
+ * Semua script, blok statistics di parkir-data.json dan kedua halaman web
+ * mengambil jenis kendaraan dari sini, bukan dari daftar bus/mobil/motor
+ * yang ditulis langsung. Urutan di config adalah urutan tampilan.
+ *
+ * - Data per lokasi: location[id] = { total, available, last_update, updated_by, status }
+ * - Statistics: total_<id>_capacity dan total_available_<id>
+ * - Jenis baru ditambahkan ke file data lama lewat migrasi:
+ *     node scripts/vehicle-types.js --migrate [--all]
+ *
+ * Di browser (<script src="scripts/vehicle-types.js">, window.VehicleTypes)
+ * halaman membuat instance dari config dengan VehicleTypes.fromConfig().
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.VehicleTypes = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Dipakai jika config/vehicle-types.json tidak ada (sama dengan isi awal config)
+  const DEFAULT_TYPES = {
+    bus: { id: 'bus', name: 'Bus', icon: '🚌', color: '#DC2626' },
+    mobil: { id: 'mobil', name: 'Mobil', icon: '🚗', color: '#2563EB' },
+    motor: { id: 'motor', name: 'Motor', icon: '🏍️', color: '#059669' }
+  };
+
+  class VehicleTypes {
+    constructor(types = DEFAULT_TYPES) {
+      this.types = Object.entries(types).map(([key, type]) => ({ ...type, id: type.id || key }));
+      this.ids = this.types.map(type => type.id);
+    }
+    
+    static fromConfig(config = {}) {
+      const types = config.vehicle_types;
+      return new VehicleTypes(types && Object.keys(types).length > 0 ? types : DEFAULT_TYPES);
+    }
+    
+    /**
+     * Jenis kendaraan dari config/vehicle-types.json (Node). Config yang tidak
+     * terbaca tidak menghentikan script: dipakai bus/mobil/motor.
+     */
+    static load(options = {}) {
+      const ConfigLoader = require('./config-loader');
+      try {
+        const loader = options.configLoader || new ConfigLoader({ rootDir: options.rootDir, operation: options.operation });
+        return VehicleTypes.fromConfig(loader.load('vehicle-types', { defaults: {} }));
+      } catch (error) {
+        console.warn(`⚠️ Using default vehicle types: ${error.message}`);
+        return new VehicleTypes();
+      }
+    }
+    
+    static capacityKey(id) {
+      return `total_${id}_capacity`;
+    }
+    
+    static availableKey(id) {
+      return `total_available_${id}`;
+    }
+    
+    has(id) {
+      return this.ids.includes(id);
+    }
+    
+    get(id) {
+      return this.types.find(type => type.id === id) || null;
+    }
+    
+    name(id) {
+      return this.get(id)?.name || id;
+    }
+    
+    icon(id) {
+      return this.get(id)?.icon || '🚘';
+    }
+    
+    /**
+     * Objek { <id>: value } untuk semua jenis
+     */
+    map(value = 0) {
+      const result = {};
+      this.ids.forEach(id => {
+        result[id] = typeof value === 'function' ? value(id) : value;
+      });
+      return result;
+    }
+    
+    /**
+     * Total kapasitas dan tempat tersedia per jenis dari semua lokasi
+     */
+    totals(locations = []) {
+      const capacity = this.map(0);
+      const available = this.map(0);
+      locations.forEach(location => {
+        this.ids.forEach(id => {
+          capacity[id] += Number(location[id]?.total) || 0;
+          available[id] += Number(location[id]?.available) || 0;
+        });
+      });
+      return { capacity, available };
+    }
+    
+    /**
+     * total_<id>_capacity lalu total_available_<id> untuk semua jenis (urutan key blok statistics)
+     */
+    statistics(locations = []) {
+      const { capacity, available } = this.totals(locations);
+      const stats = {};
+      this.ids.forEach(id => {
+        stats[VehicleTypes.capacityKey(id)] = capacity[id];
+      });
+      this.ids.forEach(id => {
+        stats[VehicleTypes.availableKey(id)] = available[id];
+      });
+      return stats;
+    }
+    
+    /**
+     * Hitung ulang total kapasitas/tersedia pada statistics (key total selalu
+     * di awal blok, key lain tetap dengan urutannya)
+     */
+    applyTotals(data) {
+      const totals = this.statistics(data.locations);
+      const rest = Object.entries(data.statistics || {})
+        .filter(([key]) => !(key in totals));
+      data.statistics = { ...totals, ...Object.fromEntries(rest) };
+      return data.statistics;
+    }
+    
+    /**
+     * Baris ringkasan "🚌 Bus: tersedia/kapasitas" dari blok statistics (jenis yang berkapasitas)
+     */
+    describeTotals(statistics = {}) {
+      return this.types
+        .filter(type => statistics[VehicleTypes.capacityKey(type.id)] > 0)
+        .map(type => `${this.icon(type.id)} ${type.name}: ${statistics[VehicleTypes.availableKey(type.id)] || 0}/${statistics[VehicleTypes.capacityKey(type.id)]}`);
+    }
+    
+    /**
+     * Migrasi file data: setiap lokasi mendapat entri untuk semua jenis
+     * (kapasitas dari capacityOf(location, id), default 0) dan statistics
+     * memuat key untuk semua jenis. Entri baru memakai last_update/updated_by
+     * terbaru lokasi tersebut: migrasi hanya mengubah bentuk data, bukan waktu update.
+     * Mengembalikan daftar entri yang ditambahkan.
+     */
+    migrate(data, capacityOf = () => 0, now = new Date().toISOString()) {
+      const added = [];
+      
+      (data.locations || []).forEach(location => {
+        const latest = this.ids
+          .map(id => location[id])
+          .filter(entry => entry && typeof entry === 'object' && entry.last_update)
+          .sort((a, b) => new Date(b.last_update) - new Date(a.last_update))[0];
+        
+        this.ids.forEach(id => {
+          if (location[id] && typeof location[id] === 'object') return;
+          
+          const total = Number(capacityOf(location, id)) || 0;
+          location[id] = latest
+            ? { total, available: total, last_update: latest.last_update, updated_by: latest.updated_by || 'system' }
+            : { total, available: total, last_update: now, updated_by: 'migration' };
+          added.push(`${location.nama || location.id}.${id}`);
+        });
+      });
+      
+      this.applyTotals(data);
+      data.metadata = { ...data.metadata, vehicle_types: [...this.ids] };
+      return added;
+    }
+    
+    /**
+     * Apakah file data sudah memuat semua jenis kendaraan dari config
+     */
+    isMigrated(data) {
+      return (data.locations || []).every(location => this.ids.every(id => location[id] && typeof location[id] === 'object'));
+    }
+  }
+
+  VehicleTypes.DEFAULT_TYPES = DEFAULT_TYPES;
+
+  return VehicleTypes;
+});
+
+// Run if called directly
+if (typeof module === 'object' && typeof require === 'function' && require.main === module) {
+  const path = require('path');
+  const VehicleTypes = module.exports;
+  const rootDir = path.join(__dirname, '..');
+  const args = process.argv.slice(2);
+
+  try {
+    const vehicleTypes = VehicleTypes.load({ rootDir });
+    
+    if (args.includes('--migrate')) {
+      const DataStore = require('./data-store');
+      const ConfigLoader = require('./config-loader');
+      const CapacitySchedule = require('./capacity-schedule');
+      const OperationRegistry = require('./operation-registry');
+      
+      // --all: semua operasi kecuali arsip (hanya bisa dibaca, halaman tetap menampilkannya)
+      const operations = args.includes('--all')
+        ? new OperationRegistry({ rootDir }).list().filter(operation => !operation.archived)
+        : [OperationRegistry.current({ rootDir })];
+      
+      operations.forEach(operation => {
+        const config = new ConfigLoader({ rootDir, operation }).load('locations-config', { validate: false });
+        const configOf = location => config.locations.find(loc => Number(loc.id) === Number(location.id));
+        let added = [];
+        
+        new DataStore({ rootDir, operation }).update('data', data => {
+          added = vehicleTypes.migrate(data, (location, id) => {
+            const configLoc = configOf(location);
+            return configLoc ? CapacitySchedule.capacityOf(configLoc, id) : 0;
+          });
+        }, {
+          action: 'migrate-vehicle-types',
+          reason: `Add vehicle types from config/vehicle-types.json (${vehicleTypes.ids.join(', ')})`
+        });
+        
+        console.log(added.length > 0
+          ? `✅ ${operation.id}: added ${added.length} vehicle entries`
+          : `✅ ${operation.id}: already up to date`);
+      });
+      process.exit(0);
+    }
+    
+    console.log('🚘 Vehicle types (config/vehicle-types.json)\n');
+    vehicleTypes.types.forEach(type => {
+      console.log(`${type.icon || '•'} ${type.id}: ${type.name}${type.description ? ` - ${type.description}` : ''}`);
+    });
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
@@ -5,13 +5,21 @@
 
 const fs = require('fs');
 const path = require('path');
+const CapacitySchedule = require('./capacity-schedule');
+const OperationRegistry = require('./operation-registry');
+const ConfigLoader = require('./config-loader');
+const VehicleTypes = require('./vehicle-types');
+const Migrations = require('./migrations');
 
 class ConsistencyVerifier {
   constructor() {
     this.rootDir = path.join(__dirname, '..');
-    this.configFile = path.join(this.rootDir, 'config/locations-config.json');
-    this.dataFile = path.join(this.rootDir, 'data/parkir-data.json');
-    this.reportDir = path.join(this.rootDir, 'data/reports');
+    this.operation = OperationRegistry.current({ rootDir: this.rootDir });
+    this.configLoader = new ConfigLoader({ rootDir: this.rootDir, operation: this.operation });
+    this.vehicleTypes = VehicleTypes.load({ configLoader: this.configLoader });
+    this.migrations = new Migrations({ rootDir: this.rootDir, operation: this.operation, configLoader: this.configLoader });
+    this.dataFile = this.operation.path('data/parkir-data.json');
+    this.reportDir = this.operation.path('data/reports');
     
     // Ensure report directory exists
     if (!fs.existsSync(this.reportDir)) {
@@ -33,7 +41,19 @@ class ConsistencyVerifier {
   }
 
   /**
-   * Verifikasi struktur dasar
+   * Load locations-config lewat ConfigLoader (JSONC + validasi schema)
+   */
+  loadConfig() {
+    try {
+      return this.configLoader.load('locations-config', { fresh: true });
+    } catch (error) {
+      console.error('❌ Error loading locations config:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Verifikasi struktur dasar; data diperiksa terhadap schemas/parkir-data.schema.json
    */
   verifyStructure(config, data) {
     const issues = [];
@@ -46,20 +66,15 @@ class ConsistencyVerifier {
     if (!config.total_capacity) {
       issues.push('Config: Missing total_capacity');
     }
+    
+    (config.locations || []).forEach(loc => {
+      issues.push(...CapacitySchedule.validate(loc).map(error => `Config: ${error}`));
+    });
 
     // Check data structure
-    if (!data.locations || !Array.isArray(data.locations)) {
-      issues.push('Data: Missing or invalid locations array');
-    }
-
-    if (!data.statistics) {
-      issues.push('Data: Missing statistics');
-    }
-
-    // Check metadata
-    if (!data.metadata) {
-      issues.push('Data: Missing metadata');
-    }
+    this.migrations.validate('data', data, { vehicleTypes: this.vehicleTypes }).forEach(error => {
+      issues.push(`Data: ${error.path} ${error.message}`);
+    });
 
     return issues;
   }
@@ -136,8 +151,10 @@ class ConsistencyVerifier {
   verifyLocationCapacity(configLoc, dataLoc) {
     const issues = [];
 
-    ['bus', 'mobil', 'motor'].forEach(vehicleType => {
-      const configCapacity = configLoc.capacity[vehicleType]?.total || 0;
+    const { capacity } = CapacitySchedule.resolve(configLoc);
+    
+    this.vehicleTypes.ids.forEach(vehicleType => {
+      const configCapacity = capacity[vehicleType];
       const dataTotal = dataLoc[vehicleType]?.total || 0;
 
       if (configCapacity !== dataTotal) {
@@ -160,51 +177,30 @@ class ConsistencyVerifier {
   verifyTotalStatistics(config, data) {
     const issues = [];
 
-    // Calculate from config
-    const configTotals = config.total_capacity;
+    // Calculate from config (termasuk lokasi yang sedang dalam periode capacity_schedule)
+    const configTotals = CapacitySchedule.adjustTotals(config.total_capacity, config.locations);
     
     // Get from data statistics
     const dataStats = data.statistics;
 
-    // Check bus
-    if (configTotals.bus !== dataStats.total_bus_capacity) {
-      issues.push(`Bus capacity mismatch: Config ${configTotals.bus}, Data ${dataStats.total_bus_capacity}`);
-    }
-
-    // Check mobil
-    if (configTotals.mobil !== dataStats.total_mobil_capacity) {
-      issues.push(`Mobil capacity mismatch: Config ${configTotals.mobil}, Data ${dataStats.total_mobil_capacity}`);
-    }
-
-    // Check motor
-    if (configTotals.motor !== dataStats.total_motor_capacity) {
-      issues.push(`Motor capacity mismatch: Config ${configTotals.motor}, Data ${dataStats.total_motor_capacity}`);
-    }
-
     // Calculate available from data locations
-    let calculatedBus = 0;
-    let calculatedMobil = 0;
-    let calculatedMotor = 0;
+    const { available } = this.vehicleTypes.totals(data.locations);
+
+    this.vehicleTypes.ids.forEach(type => {
+      const name = this.vehicleTypes.name(type);
+      const configCapacity = configTotals[type] || 0;
+      const dataCapacity = dataStats[VehicleTypes.capacityKey(type)] || 0;
+      if (configCapacity !== dataCapacity) {
+        issues.push(`${name} capacity mismatch: Config ${configCapacity}, Data ${dataCapacity}`);
+      }
 
-    data.locations.forEach(loc => {
-      calculatedBus += loc.bus?.available || 0;
-      calculatedMobil += loc.mobil?.available || 0;
-      calculatedMotor += loc.motor?.available || 0;
+      // Check available statistics
+      const reported = dataStats[VehicleTypes.availableKey(type)];
+      if (available[type] !== reported) {
+        issues.push(`${name} available mismatch: Calculated ${available[type]}, Reported ${reported}`);
+      }
     });
 
-    // Check available statistics
-    if (calculatedBus !== dataStats.total_available_bus) {
-      issues.push(`Bus available mismatch: Calculated ${calculatedBus}, Reported ${dataStats.total_available_bus}`);
-    }
-
-    if (calculatedMobil !== dataStats.total_available_mobil) {
-      issues.push(`Mobil available mismatch: Calculated ${calculatedMobil}, Reported ${dataStats.total_available_mobil}`);
-    }
-
-    if (calculatedMotor !== dataStats.total_available_motor) {
-      issues.push(`Motor available mismatch: Calculated ${calculatedMotor}, Reported ${dataStats.total_available_motor}`);
-    }
-
     return issues;
   }
 
@@ -224,9 +220,13 @@ class ConsistencyVerifier {
       }
     });
 
-    // Check version format
-    if (metadata.version && !/^\d+\.\d+\.\d+$/.test(metadata.version)) {
-      issues.push(`Invalid version format: ${metadata.version}`);
+    // Versi format harus dikenal; versi lama perlu dinaikkan dengan npm run migrate
+    try {
+      if (Migrations.plan('data', Migrations.versionOf('data', data)).length > 0) {
+        issues.push(`Data format ${metadata.version || '(none)'} is outdated, current is ${Migrations.DATA_VERSION} (run: npm run migrate)`);
+      }
+    } catch (error) {
+      issues.push(error.message);
     }
 
     // Check total locations matches actual
@@ -321,7 +321,7 @@ class ConsistencyVerifier {
     console.log('🔍 Starting consistency verification...\n');
 
     // Load files
-    const config = this.loadJsonFile(this.configFile);
+    const config = this.loadConfig();
     const data = this.loadJsonFile(this.dataFile);
 
     if (!config || !data) {
@@ -397,7 +397,7 @@ class ConsistencyVerifier {
   async quickCheck() {
     console.log('🚀 Running quick consistency check...');
 
-    const config = this.loadJsonFile(this.configFile);
+    const config = this.loadConfig();
     const data = this.loadJsonFile(this.dataFile);
 
     if (!config || !data) {
@@ -416,17 +416,11 @@ class ConsistencyVerifier {
     const configTotal = config.total_capacity;
     const dataTotal = data.statistics;
 
-    if (configTotal.bus !== dataTotal.total_bus_capacity) {
-      criticalIssues.push(`Bus capacity mismatch`);
-    }
-
-    if (configTotal.mobil !== dataTotal.total_mobil_capacity) {
-      criticalIssues.push(`Mobil capacity mismatch`);
-    }
-
-    if (configTotal.motor !== dataTotal.total_motor_capacity) {
-      criticalIssues.push(`Motor capacity mismatch`);
-    }
+    this.vehicleTypes.ids.forEach(type => {
+      if ((configTotal[type] || 0) !== (dataTotal[VehicleTypes.capacityKey(type)] || 0)) {
+        criticalIssues.push(`${this.vehicleTypes.name(type)} capacity mismatch`);
+      }
+    });
 
     const passed = criticalIssues.length === 0;
 
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/**
+ * Klien Web Push minimal (crypto/http) untuk notifikasi browser
+ *
+ * - Payload dienkripsi aes128gcm (RFC 8291) dengan kunci p256dh/auth dari
+ *   PushSubscription browser
+ * - Push service diautentikasi dengan VAPID (RFC 8292): JWT ES256 yang
+ *   ditandatangani private key server, public key dikirim di header
+ * Tidak ada dependency eksternal sehingga bisa diuji terhadap push service lokal.
+ *
+ *   node scripts/web-push.js --generate-keys
+ */
+
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const RECORD_SIZE = 4096;
+const DEFAULT_TTL = 3600; // detik push service menyimpan pesan jika perangkat offline
+const JWT_LIFETIME = 12 * 60 * 60; // detik; maksimum 24 jam menurut RFC 8292
+const URGENCIES = ['very-low', 'low', 'normal', 'high'];
+
+// Push service browser (Chrome, Firefox, Safari, Edge); awalan '.' = semua subdomain
+const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'updates.push.services.mozilla.com', '.push.apple.com', '.notify.windows.com'];
+
+const base64url = buffer => Buffer.from(buffer).toString('base64url');
+
+class WebPush {
+  constructor(options = {}) {
+    this.publicKey = options.publicKey || null;
+    this.privateKey = options.privateKey || null;
+    this.subject = options.subject || null;
+    this.timeout = options.timeout || 10000;
+    this.signingKey = null;
+  }
+
+  static error(message, details = {}) {
+    return Object.assign(new Error(message), { code: 'E_PUSH' }, details);
+  }
+
+  /**
+   * Pasangan kunci VAPID baru (P-256, base64url: public 65 byte, private 32 byte)
+   */
+  static generateVAPIDKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return {
+      publicKey: base64url(ecdh.getPublicKey()),
+      privateKey: base64url(ecdh.getPrivateKey())
+    };
+  }
+
+  /**
+   * Cek bentuk PushSubscription.toJSON(): endpoint https, p256dh 65 byte, auth 16 byte
+   */
+  static isValidSubscription(subscription) {
+    try {
+      const keys = subscription.keys || {};
+      return typeof subscription.endpoint === 'string' &&
+        new URL(subscription.endpoint).protocol === 'https:' &&
+        Buffer.from(String(keys.p256dh), 'base64url').length === 65 &&
+        Buffer.from(String(keys.auth), 'base64url').length === 16;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Endpoint dari browser hanya boleh menuju push service yang dikenal; alamat IP
+   * dan localhost selalu ditolak agar server tidak bisa diarahkan ke jaringan internal
+   */
+  static isAllowedEndpoint(endpoint, hosts = PUSH_SERVICE_HOSTS) {
+    try {
+      const host = new URL(endpoint).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+      if (net.isIP(host) !== 0 || host === 'localhost' || host.endsWith('.localhost')) {
+        return false;
+      }
+      return hosts.some(entry => (entry.startsWith('.') ? host.endsWith(entry) : host === entry.toLowerCase()));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  requireKeys() {
+    if (!this.publicKey || !this.privateKey || !this.subject) {
+      throw WebPush.error('VAPID keys not configured: public key, private key and subject (mailto: or https:) are required', { permanent: true });
+    }
+  }
+
+  /**
+   * Private key VAPID sebagai KeyObject (JWK dari kunci mentah base64url)
+   */
+  getSigningKey() {
+    if (!this.signingKey) {
+      this.requireKeys();
+      const publicKey = Buffer.from(this.publicKey, 'base64url');
+      if (publicKey.length !== 65 || publicKey[0] !== 0x04) {
+        throw WebPush.error('Invalid VAPID public key (expected an uncompressed P-256 point)', { permanent: true });
+      }
+      this.signingKey = crypto.createPrivateKey({
+        format: 'jwk',
+        key: {
+          kty: 'EC',
+          crv: 'P-256',
+          x: base64url(publicKey.subarray(1, 33)),
+          y: base64url(publicKey.subarray(33, 65)),
+          d: this.privateKey
+        }
+      });
+    }
+    return this.signingKey;
+  }
+
+  /**
+   * Header Authorization VAPID untuk origin push service endpoint
+   */
+  vapidHeaders(endpoint, now = Date.now()) {
+    const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = base64url(JSON.stringify({
+      aud: new URL(endpoint).origin,
+      exp: Math.floor(now / 1000) + JWT_LIFETIME,
+      sub: this.subject
+    }));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+      key: this.getSigningKey(),
+      dsaEncoding: 'ieee-p1363'
+    });
+    
+    return {
+      Authorization: `vapid t=${header}.${claims}.${base64url(signature)}, k=${this.publicKey}`
+    };
+  }
+
+  /**
+   * Enkripsi payload untuk satu subscription (RFC 8291, satu record aes128gcm)
+   */
+  static encrypt(subscription, payload, options = {}) {
+    const uaPublic = Buffer.from(subscription.keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+    const plaintext = Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload), 'utf8');
+    
+    if (plaintext.length + 1 + 16 > RECORD_SIZE - 86) {
+      throw WebPush.error(`Push payload too large (${plaintext.length} bytes)`, { permanent: true });
+    }
+    
+    // Kunci sementara server per pesan (as_public di RFC 8291)
+    const ecdh = options.ecdh || crypto.createECDH('prime256v1');
+    if (!options.ecdh) ecdh.generateKeys();
+    const asPublic = ecdh.getPublicKey();
+    const sharedSecret = ecdh.computeSecret(uaPublic);
+    const salt = options.salt || crypto.randomBytes(16);
+    
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+    const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+    
+    // Delimiter 0x02 menandai record terakhir (tanpa padding)
+    const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+    const ciphertext = Buffer.concat([cipher.update(Buffer.concat([plaintext, Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+    
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(asPublic.length, 20);
+    
+    return Buffer.concat([header, asPublic, ciphertext]);
+  }
+
+  /**
+   * Kirim satu pesan. Mengembalikan { status }; error membawa status HTTP,
+   * gone: true jika subscription sudah tidak berlaku (404/410) dan retryAfter (429).
+   */
+  send(subscription, payload, options = {}) {
+    let body;
+    let headers;
+    try {
+      body = WebPush.encrypt(subscription, payload);
+      headers = this.vapidHeaders(subscription.endpoint);
+    } catch (error) {
+      return Promise.reject(error.code === 'E_PUSH' ? error : WebPush.error(error.message, { permanent: true }));
+    }
+    
+    const urgency = URGENCIES.includes(options.urgency) ? options.urgency : 'normal';
+    
+    return new Promise((resolve, reject) => {
+      const target = new URL(subscription.endpoint);
+      const transport = target.protocol === 'http:' ? http : https;
+      const req = transport.request(target, {
+        method: 'POST',
+        headers: {
+          ...headers,
+          'Content-Type': 'application/octet-stream',
+          'Content-Encoding': 'aes128gcm',
+          'Content-Length': body.length,
+          TTL: String(options.ttl !== undefined ? options.ttl : DEFAULT_TTL),
+          Urgency: urgency,
+          // Topic: pesan baru dengan topic sama menggantikan pesan yang belum terkirim
+          ...(options.topic && { Topic: String(options.topic).replace(/[^A-Za-z0-9_-]/g, '').slice(0, 32) })
+        },
+        timeout: this.timeout
+      }, res => {
+        let raw = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          raw += chunk;
+        });
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve({ status: res.statusCode });
+            return;
+          }
+          
+          reject(WebPush.error(`Push service HTTP ${res.statusCode}${raw ? `: ${raw.substring(0, 200)}` : ''}`, {
+            status: res.statusCode,
+            gone: res.statusCode === 404 || res.statusCode === 410,
+            permanent: res.statusCode >= 400 && res.statusCode < 500 && res.statusCode !== 429,
+            retryAfter: res.headers['retry-after']
+          }));
+        });
+      });
+      
+      req.on('timeout', () => req.destroy(WebPush.error(`Timeout after ${this.timeout}ms`)));
+      req.on('error', error => reject(error));
+      req.end(body);
+    });
+  }
+}
+
+WebPush.URGENCIES = URGENCIES;
+WebPush.DEFAULT_TTL = DEFAULT_TTL;
+WebPush.PUSH_SERVICE_HOSTS = PUSH_SERVICE_HOSTS;
+
+module.exports = WebPush;
+
+// CLI Interface
+if (require.main === module) {
+  if (process.argv.includes('--generate-keys')) {
+    const keys = WebPush.generateVAPIDKeys();
+    console.log('🔑 VAPID keys (simpan sebagai secret, jangan di-commit):\n');
+    console.log(`VAPID_PUBLIC_KEY=${keys.publicKey}`);
+    console.log(`VAPID_PRIVATE_KEY=${keys.privateKey}`);
+    console.log('\n   Environment/.env, atau: node scripts/secrets-store.js --set VAPID_PRIVATE_KEY');
+    console.log('   Lalu set push.enabled: true di config/notifications.json');
+  } else {
+    console.log('Usage: node scripts/web-push.js --generate-keys');
+  }
+}
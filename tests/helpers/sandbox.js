@@ -0,0 +1,56 @@
+/**
+ * Sandbox bersama untuk test: salinan data & config repository di direktori
+ * sementara, dan registry petugas dengan PIN uji yang diketahui
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OfficerAuth = require('../../scripts/officer-auth');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const TEST_PIN = '12345678';
+
+class TestSandbox {
+  /**
+   * Direktori sementara parkir-<name>-test-* dengan data/ dan config/ serta
+   * salinan file atau direktori repository (path relatif, mis. 'data/parkir-data.json')
+   */
+  static create(name, files = []) {
+    const sandboxDir = fs.mkdtempSync(path.join(os.tmpdir(), `parkir-${name}-test-`));
+
+    ['data', 'config'].forEach(dir => {
+      fs.mkdirSync(path.join(sandboxDir, dir), { recursive: true });
+    });
+    files.forEach(file => {
+      fs.cpSync(path.join(ROOT_DIR, file), path.join(sandboxDir, file), { recursive: true });
+    });
+
+    return sandboxDir;
+  }
+
+  /**
+   * config/officers.json dari repository dengan PIN uji untuk semua petugas;
+   * extra = petugas tambahan (mis. koordinator) dengan PIN yang sama
+   */
+  static seedOfficers(sandboxDir, extra = []) {
+    process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret';
+
+    const registry = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'config/officers.json'), 'utf8'));
+    const auth = new OfficerAuth({ rootDir: sandboxDir });
+    registry.officers.forEach(officer => {
+      officer.pin_hash = auth.hashPin(TEST_PIN);
+    });
+    extra.forEach(officer => {
+      registry.officers.push({ ...officer, pin_hash: auth.hashPin(TEST_PIN), active: true });
+    });
+    fs.writeFileSync(path.join(sandboxDir, 'config/officers.json'), JSON.stringify(registry, null, 2));
+
+    return registry;
+  }
+}
+
+TestSandbox.ROOT_DIR = ROOT_DIR;
+TestSandbox.TEST_PIN = TEST_PIN;
+
+module.exports = TestSandbox;
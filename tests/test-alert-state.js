@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+/**
+ * Test untuk siklus alert (scripts/alert-state.js): open -> escalated -> resolved,
+ * cooldown per key, konfirmasi (ack) lewat store dan API, UtilizationNotifier
+ * yang hanya mengirim alert saat statusnya berubah, serta AlertMonitor di host API
+ * yang membaca ack dari status yang sama. Slack diganti server HTTP lokal.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const AlertState = require('../scripts/alert-state');
+const APIHandler = require('../scripts/api-handler');
+const NotificationChannels = require('../scripts/notification-channels');
+const UtilizationNotifier = require('../scripts/notify-utilization');
+const AlertMonitor = require('../scripts/alert-monitor');
+const TestSandbox = require('./helpers/sandbox');
+
+const TEST_PIN = TestSandbox.TEST_PIN;
+const MINUTE = 60 * 1000;
+
+class AlertStateTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.sandboxDir = null;
+    this.server = null;
+    this.messages = [];
+    this.clock = Date.parse('2026-04-20T10:00:00Z');
+  }
+
+  /**
+   * Setup: sandbox data & config (PIN petugas uji) dan webhook Slack lokal
+   */
+  async setup() {
+    this.sandboxDir = TestSandbox.create('alert', ['data/parkir-data.json', 'config/locations-config.json', 'config/system-settings.json', 'config/vehicle-types.json']);
+    TestSandbox.seedOfficers(this.sandboxDir, [{ id: 'K001', name: 'Koordinator Lapangan', locations: [], role: 'coordinator' }]);
+    
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        this.messages.push(JSON.parse(body).text);
+        res.writeHead(200);
+        res.end('ok');
+      });
+    });
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.webhookUrl = `http://127.0.0.1:${this.server.address().port}/slack`;
+  }
+
+  async cleanup() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+    }
+    if (this.sandboxDir) {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  createState(file, source = 'utilization') {
+    return new AlertState({
+      rootDir: this.sandboxDir,
+      file: path.join(this.sandboxDir, 'data', file),
+      source,
+      config: { alert_lifecycle: { cooldown_minutes: 30, notify_resolved: true, retention_hours: 24 } },
+      now: () => this.clock
+    });
+  }
+
+  alert(severity, overrides = {}) {
+    return {
+      type: `${severity}_utilization`,
+      location_id: 1,
+      location: 'SENOPATI',
+      vehicle: 'mobil',
+      utilization: severity === 'critical' ? '97.0' : '85.0',
+      available: severity === 'critical' ? 6 : 30,
+      total: 200,
+      severity,
+      ...overrides
+    };
+  }
+
+  /**
+   * Test 1: Alert baru dikirim, alert sama tidak diulang, naik ke critical dikirim, hilang -> resolved
+   */
+  async testLifecycle() {
+    console.log('\n🧪 Test 1: Open, Escalate, Resolve');
+    
+    const state = this.createState('lifecycle.json');
+    const events = [];
+    const run = async alerts => {
+      const result = await state.evaluate(alerts);
+      events.push(result.notices.map(n => n.lifecycle).join(',') || '-');
+      this.clock += 5 * MINUTE;
+      return result;
+    };
+    
+    const opened = await run([this.alert('warning')]);
+    await run([this.alert('warning')]);
+    await run([this.alert('critical')]);
+    await run([this.alert('critical')]);
+    const resolved = await run([]);
+    const record = state.list({ all: true })[0];
+    
+    const passed = events.join(' ') === 'opened - escalated - resolved' &&
+      opened.notices[0].alert_id === record.id &&
+      record.state === 'resolved' && resolved.active === 0 &&
+      resolved.notices[0].duration === '20 menit' &&
+      record.history.map(h => h.event).join(',') === 'opened,escalated,resolved';
+    
+    this.addResult('Open, Escalate, Resolve', passed,
+      passed ? 'Only state changes produce notices; resolved notice carries the duration' : 'Lifecycle notices incorrect',
+      { events, state: record?.state, history: record?.history });
+  }
+
+  /**
+   * Test 2: Alert yang muncul lagi dalam cooldown tidak dikirim; sesudahnya dikirim lagi
+   */
+  async testCooldown() {
+    console.log('\n🧪 Test 2: Cooldown Per Key');
+    
+    const state = this.createState('cooldown.json');
+    const other = this.alert('warning', { location_id: 2, location: 'NGABEAN' });
+    const noticed = async alerts => (await state.evaluate(alerts)).notices.map(n => `${n.lifecycle}:${n.location}`).join(',') || '-';
+    
+    const steps = [];
+    steps.push(await noticed([this.alert('warning')]));
+    this.clock += 5 * MINUTE;
+    steps.push(await noticed([]));
+    this.clock += 5 * MINUTE;
+    steps.push(await noticed([this.alert('warning'), other]));  // SENOPATI dalam cooldown, NGABEAN baru
+    this.clock += 5 * MINUTE;
+    steps.push(await noticed([other]));                         // SENOPATI selesai tanpa pemberitahuan
+    this.clock += 40 * MINUTE;
+    steps.push(await noticed([this.alert('warning'), other]));  // cooldown lewat
+    
+    const passed = steps.join(' | ') ===
+      'opened:SENOPATI | resolved:SENOPATI | opened:NGABEAN | - | opened:SENOPATI';
+    
+    this.addResult('Cooldown Per Key', passed,
+      passed ? 'Flapping alert stays quiet within cooldown_minutes, other keys unaffected' : 'Cooldown not applied per key',
+      { steps });
+  }
+
+  /**
+   * Test 3: Ack lewat API hanya untuk petugas lokasi tersebut (alert sistem hanya koordinator);
+   * alert yang di-ack tetap diam sampai naik severity atau selesai
+   */
+  async testAcknowledge() {
+    console.log('\n🧪 Test 3: Acknowledge Via API');
+    
+    const state = this.createState('alert-state.json');
+    const handler = new APIHandler({ rootDir: this.sandboxDir, alerts: state });
+    const login = async id => (await handler.handleRequest({
+      method: 'POST',
+      url: '/api/auth/login',
+      body: { officer_id: id, pin: TEST_PIN }
+    })).body.token;
+    const ack = (id, token, body) => handler.handleRequest({
+      method: 'POST',
+      url: `/api/alerts/${id}/ack`,
+      headers: token ? { authorization: `Bearer ${token}` } : {},
+      body
+    });
+    
+    const opened = await state.evaluate([this.alert('warning')]);
+    const id = opened.notices[0].alert_id;
+    const senopati = await login('P001SEN');
+    const ngabean = await login('P002NGA');
+    
+    const listed = await handler.handleRequest({ method: 'GET', url: '/api/alerts', headers: { authorization: `Bearer ${senopati}` } });
+    const listedOther = await handler.handleRequest({ method: 'GET', url: '/api/alerts', headers: { authorization: `Bearer ${ngabean}` } });
+    const anonymous = await ack(id, null);
+    const forbidden = await ack(id, ngabean);
+    const accepted = await ack(id, senopati, { note: 'Petugas sudah mengarahkan ke NGABEAN' });
+    const again = await ack(id, senopati);
+    const unknown = await ack('0000000000', senopati);
+    
+    this.clock += 5 * MINUTE;
+    const quiet = await state.evaluate([this.alert('warning')]);
+    const escalated = await state.evaluate([this.alert('critical')]);
+    
+    // Alert sistem (tanpa lokasi) tidak terlihat dan tidak bisa di-ack petugas lokasi
+    const system = await state.evaluate([this.alert('critical'), this.alert('critical', { type: 'system_error', location_id: null, location: null, vehicle: null })]);
+    const systemId = system.notices[0].alert_id;
+    const coordinator = await login('K001');
+    const systemListed = await handler.handleRequest({ method: 'GET', url: '/api/alerts', headers: { authorization: `Bearer ${senopati}` } });
+    const systemForbidden = await ack(systemId, senopati);
+    const systemAccepted = await ack(systemId, coordinator);
+    
+    const passed = listed.status === 200 && listed.body.count === 1 && listedOther.body.count === 0 &&
+      anonymous.status === 401 && forbidden.status === 403 &&
+      accepted.status === 200 && accepted.body.alert.state === 'acknowledged' &&
+      accepted.body.alert.acknowledged_by === 'P001SEN' && accepted.body.alert.note.startsWith('Petugas') &&
+      again.status === 409 && unknown.status === 404 &&
+      systemListed.body.alerts.every(a => a.id !== systemId) && systemForbidden.status === 403 &&
+      systemAccepted.status === 200 && systemAccepted.body.alert.acknowledged_by === 'K001' &&
+      quiet.notices.length === 0 && quiet.suppressed[0].lifecycle === 'acknowledged' &&
+      escalated.notices[0]?.lifecycle === 'escalated' && state.find(id).state === 'escalated';
+    
+    this.addResult('Acknowledge Via API', passed,
+      passed ? 'Assigned officer acknowledges; acknowledged alert is silent until it escalates' : 'Acknowledgement incorrect',
+      { listed: listed.body.count, anonymous: anonymous.status, forbidden: forbidden.status, accepted: accepted.status, again: again.status, unknown: unknown.status, systemForbidden: systemForbidden.status, systemAccepted: systemAccepted.status, quiet: quiet.notices.length });
+  }
+
+  /**
+   * Test 4: UtilizationNotifier.run tidak mengirim ulang alert yang sama dan mengirim "selesai"
+   */
+  async testNotifierRuns() {
+    console.log('\n🧪 Test 4: Notifier Sends Changes Only');
+    
+    const dataFile = path.join(this.sandboxDir, 'data/parkir-data.json');
+    const data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    const setAvailable = available => {
+      data.locations.forEach(location => {
+        ['mobil', 'motor'].forEach(type => {
+          if (location[type]) location[type].available = location[type].total;
+        });
+      });
+      const senopati = data.locations.find(location => location.nama === 'SENOPATI');
+      senopati.mobil.available = available(senopati.mobil.total);
+      fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
+    };
+    
+    const config = {
+      notification_settings: { enabled: true, method: 'console', retry: { attempts: 1, backoff_ms: 1 } },
+      thresholds: { utilization: { warning: 80, critical: 95 } },
+      alert_channels: { slack: { enabled: true, webhook_url: this.webhookUrl } },
+      alert_lifecycle: { cooldown_minutes: 30 }
+    };
+    const notifier = new UtilizationNotifier({
+      rootDir: this.sandboxDir,
+      config,
+      channels: new NotificationChannels({ config, sleep: () => Promise.resolve() }),
+      alertState: this.createState('notifier.json'),
+      push: { notifySpaceAgain: async () => ({ sent: 0 }) }
+    });
+    notifier.isClosed = () => false;
+    
+    const runs = [];
+    for (const available of [total => Math.floor(total * 0.1), total => Math.floor(total * 0.1), total => total]) {
+      setAvailable(available);
+      const before = this.messages.length;
+      const result = await notifier.run();
+      runs.push({ success: result.success, notices: result.notices, suppressed: result.suppressed, messages: this.messages.slice(before) });
+      this.clock += 5 * MINUTE;
+    }
+    
+    const [first, second, third] = runs;
+    const passed = runs.every(run => run.success) &&
+      first.notices === 1 && first.messages.length === 1 && /SENOPATI/.test(first.messages[0]) && /#[0-9a-f]{10}/.test(first.messages[0]) &&
+      second.notices === 0 && second.suppressed === 1 && second.messages.length === 0 &&
+      third.notices === 1 && third.messages.length === 1 && /ALERT SELESAI/.test(third.messages[0]) && /10 menit/.test(third.messages[0]);
+    
+    this.addResult('Notifier Sends Changes Only', passed,
+      passed ? 'Same alert on the next run is suppressed; clearing it sends one resolved message' : 'Notifier repeated or missed notices',
+      { runs });
+  }
+
+  /**
+   * Test 5: AlertMonitor (host API) menulis status yang dibaca dan di-ack lewat API;
+   * --check-only tidak menyentuh status, putaran tidak ditumpuk, monitor gagal tidak menghentikan yang lain
+   */
+  async testHostMonitor() {
+    console.log('\n🧪 Test 5: Alert Monitor On API Host');
+    
+    const dataFile = path.join(this.sandboxDir, 'data/parkir-data.json');
+    const stateFile = path.join(this.sandboxDir, 'data/alert-state.json');
+    const data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    const senopati = data.locations.find(location => location.nama === 'SENOPATI');
+    senopati.mobil.available = Math.floor(senopati.mobil.total * 0.1);
+    fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
+    fs.rmSync(stateFile, { force: true }); // bekas Test 3
+    
+    class OpenNotifier extends UtilizationNotifier {
+      isClosed() {
+        return false;
+      }
+    }
+    class BrokenMonitor {
+      async run() {
+        throw new Error('sensor offline');
+      }
+    }
+    const monitor = new AlertMonitor({ rootDir: this.sandboxDir, monitors: { broken: BrokenMonitor, utilization: OpenNotifier } });
+    
+    await new OpenNotifier({ rootDir: this.sandboxDir, checkOnly: true }).run();
+    const untouched = !fs.existsSync(stateFile);
+    
+    const [first, overlapping] = await Promise.all([monitor.runOnce(), monitor.runOnce()]);
+    const opened = new AlertState({ rootDir: this.sandboxDir, config: {} }).list().find(alert => alert.location === 'SENOPATI');
+    
+    const handler = new APIHandler({ rootDir: this.sandboxDir });
+    const token = (await handler.handleRequest({ method: 'POST', url: '/api/auth/login', body: { officer_id: 'P001SEN', pin: TEST_PIN } })).body.token;
+    const ack = await handler.handleRequest({ method: 'POST', url: `/api/alerts/${opened?.id}/ack`, headers: { authorization: `Bearer ${token}` } });
+    
+    await monitor.runOnce();
+    const after = new AlertState({ rootDir: this.sandboxDir, config: {} }).find(opened?.id);
+    
+    const passed = untouched &&
+      first.broken?.success === false && first.broken.error === 'sensor offline' && first.utilization?.success === true &&
+      Boolean(overlapping.skipped) &&
+      opened?.state === 'open' && ack.status === 200 && after?.state === 'acknowledged';
+    
+    this.addResult('Alert Monitor On API Host', passed,
+      passed ? 'Acknowledging through the API silences the alert on the next host monitor run' : 'Host monitor does not share alert state with the API',
+      { untouched, first, overlapping, opened: opened?.state, ack: ack.status, after: after?.state });
+  }
+
+  async runAllTests() {
+    console.log('🚨 RUNNING ALERT STATE TESTS\n');
+    
+    try {
+      await this.setup();
+      await this.testLifecycle();
+      await this.testCooldown();
+      await this.testAcknowledge();
+      await this.testNotifierRuns();
+      await this.testHostMonitor();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    } finally {
+      await this.cleanup();
+    }
+    
+    this.printResults();
+    this.saveResults();
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 ALERT STATE TEST RESULTS');
+    console.log('='.repeat(70));
+    
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+      if (!result.passed && Object.keys(result.details).length > 0) {
+        console.log(`   Details: ${JSON.stringify(result.details)}`);
+      }
+    });
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+    
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'alert-state',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+    
+    const reportFile = path.join(reportDir, `alert-state-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new AlertStateTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ Alert state test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = AlertStateTest;
@@ -0,0 +1,403 @@
+#!/usr/bin/env node
+/**
+ * Test untuk API server (scripts/api-server.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const APIServer = require('../scripts/api-server');
+const OfficerAuth = require('../scripts/officer-auth');
+const UpdateProcessor = require('../scripts/process-updates');
+const TestSandbox = require('./helpers/sandbox');
+
+const TEST_PIN = TestSandbox.TEST_PIN;
+
+class APIServerTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.sandboxDir = null;
+    this.server = null;
+    this.token = null;
+  }
+
+  /**
+   * Setup: Salin data & config ke direktori sementara lalu jalankan server
+   */
+  async setup() {
+    this.sandboxDir = TestSandbox.create('api', ['data/parkir-data.json', 'config/locations-config.json', 'config/notifications.json']);
+
+    // Akun petugas uji dengan PIN yang diketahui
+    TestSandbox.seedOfficers(this.sandboxDir);
+
+    this.server = new APIServer({ rootDir: this.sandboxDir, port: 0, host: '127.0.0.1', alerts: null });
+    await this.server.start();
+  }
+
+  async cleanup() {
+    if (this.server) {
+      await this.server.stop();
+    }
+    if (this.sandboxDir) {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+  }
+
+  request(method, urlPath, body, token) {
+    return new Promise((resolve, reject) => {
+      const payload = body !== undefined ? JSON.stringify(body) : null;
+      const headers = payload ? {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      } : {};
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+
+      const req = http.request({
+        host: '127.0.0.1',
+        port: this.server.port,
+        method,
+        path: urlPath,
+        headers
+      }, res => {
+        let raw = '';
+        res.on('data', chunk => { raw += chunk; });
+        res.on('end', () => {
+          let json = null;
+          try {
+            json = JSON.parse(raw);
+          } catch {
+            // Bukan JSON (misalnya file HTML)
+          }
+          resolve({ status: res.statusCode, headers: res.headers, body: json, raw });
+        });
+      });
+      req.on('error', reject);
+      if (payload) req.write(payload);
+      req.end();
+    });
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  /**
+   * Test 1: GET /api/locations
+   */
+  async testListLocations() {
+    console.log('\n🧪 Test 1: List Locations');
+
+    const res = await this.request('GET', '/api/locations');
+    const passed = res.status === 200 &&
+      res.body.count === 15 &&
+      res.body.locations.every(l => l.code && l.vehicles && l.vehicles.mobil);
+
+    this.addResult('List Locations', passed,
+      passed ? 'All locations returned with vehicle data' : 'Unexpected locations response',
+      { status: res.status, count: res.body && res.body.count });
+  }
+
+  /**
+   * Test 2: GET /api/locations/:code
+   */
+  async testLocationByCode() {
+    console.log('\n🧪 Test 2: Location By Code');
+
+    const found = await this.request('GET', '/api/locations/senopati');
+    const byName = await this.request('GET', '/api/locations/SRI%20WEDANI');
+    const missing = await this.request('GET', '/api/locations/TIDAKADA');
+    const passed = found.status === 200 && found.body.code === 'SENOPATI' &&
+      byName.status === 200 && byName.body.code === 'SRIWEDANI' &&
+      missing.status === 404;
+
+    this.addResult('Location By Code', passed,
+      passed ? 'Lookup by code/nama works and returns 404 for unknown codes' : 'Lookup by code failed',
+      { found_status: found.status, by_name_status: byName.status, missing_status: missing.status });
+  }
+
+  /**
+   * Test 3: GET /api/statistics
+   */
+  async testStatistics() {
+    console.log('\n🧪 Test 3: Statistics');
+
+    const res = await this.request('GET', '/api/statistics');
+    const passed = res.status === 200 && typeof res.body.total_mobil_capacity === 'number';
+
+    this.addResult('Statistics', passed,
+      passed ? 'Statistics returned' : 'Statistics response invalid',
+      { status: res.status });
+  }
+
+  /**
+   * Test 4: POST /api/updates lalu GET /api/updates/:id
+   */
+  async testSubmitAndTrackUpdate() {
+    console.log('\n🧪 Test 4: Submit And Track Update');
+
+    const submit = await this.request('POST', '/api/updates', {
+      location: 'SENOPATI',
+      timestamp: new Date().toISOString(),
+      data: { bus: 10, mobil: 100 }
+    }, this.token);
+
+    const id = submit.body && submit.body.id;
+    const track = id ? await this.request('GET', `/api/updates/${id}`, undefined, this.token) : { status: 0, body: {} };
+    const anonymous = id ? await this.request('GET', `/api/updates/${id}`) : { status: 0, body: {} };
+    const queued = track.body.update || {};
+    // Jumlah kendaraan ikut ditandatangani: angka yang diubah di antrian ditolak
+    const auth = new OfficerAuth({ rootDir: this.sandboxDir });
+    const signed = auth.verifyUpdate(queued).valid;
+    const tampered = auth.verifyUpdate({ ...queued, mobil: 5 }).valid || auth.verifyUpdate({ ...queued, type: 'delta' }).valid;
+    const passed = signed && !tampered && submit.status === 201 && track.status === 200 && track.body.status === 'pending' &&
+      queued.location_id === 1 && queued.location_code === 'SENOPATI' && queued.mobil === 100 &&
+      queued.petugas_id === 'P001SEN' && Boolean(queued.auth && queued.auth.signature) &&
+      anonymous.status === 200 && anonymous.body.status === 'pending' &&
+      JSON.stringify(Object.keys(anonymous.body)) === '["id","status","processed_at"]';
+
+    this.addResult('Submit And Track Update', passed,
+      passed ? 'Update queued with canonical location; status public, full update only for the submitting officer' : 'Update submission or tracking failed',
+      { submit_status: submit.status, track_status: track.status, anonymous: anonymous.body });
+  }
+
+  /**
+   * Test 5: Validasi, method & route tidak dikenal
+   */
+  async testErrorResponses() {
+    console.log('\n🧪 Test 5: Error Responses');
+
+    const invalid = await this.request('POST', '/api/updates', { location: 'SENOPATI' }, this.token);
+    const wrongMethod = await this.request('POST', '/api/statistics', {});
+    const unknown = await this.request('GET', '/api/tidak-ada');
+
+    // Error internal tidak membocorkan pesan/path ke klien
+    const handler = this.server.handler;
+    const original = handler.getStatistics;
+    handler.getStatistics = async () => {
+      throw new Error(`ENOENT: ${this.sandboxDir}/data/rahasia.json`);
+    };
+    const logError = console.error;
+    console.error = () => {};
+    const failed = await this.request('GET', '/api/statistics');
+    console.error = logError;
+    handler.getStatistics = original;
+
+    const passed = invalid.status === 400 && wrongMethod.status === 405 && unknown.status === 404 &&
+      failed.status === 500 && JSON.stringify(failed.body) === '{"error":"Internal server error"}';
+
+    this.addResult('Error Responses', passed,
+      passed ? 'Returns 400/405/404/500 as expected; 500 carries no internal details' : 'Unexpected error status codes',
+      { invalid: invalid.status, wrong_method: wrongMethod.status, unknown: unknown.status, failed: failed.body });
+  }
+
+  /**
+   * Test 6: Login petugas & otorisasi lokasi
+   */
+  async testOfficerAuthorization() {
+    console.log('\n🧪 Test 6: Officer Authorization');
+
+    const update = { location: 'NGABEAN', timestamp: new Date().toISOString(), mobil: 50 };
+    const anonymous = await this.request('POST', '/api/updates', update);
+    const wrongLocation = await this.request('POST', '/api/updates', update, this.token);
+    const forged = await this.request('POST', '/api/updates', update, this.token.replace(/.$/, c => c === 'A' ? 'B' : 'A'));
+
+    // Percobaan gagal berulang mengunci akun (max_login_attempts = 3)
+    // Id yang tidak terdaftar mendapat respon yang sama persis dengan akun asli
+    const attempt = async officerId => {
+      const { status, body } = await this.request('POST', '/api/auth/login', { officer_id: officerId, pin: 'salah-salah' });
+      return `${status}:${body.attempts_left === undefined ? '-' : body.attempts_left}`;
+    };
+    const failures = [];
+    const unknownFailures = [];
+    for (let i = 0; i < 3; i++) {
+      failures.push(await attempt('P002NGA'));
+      unknownFailures.push(await attempt('X9TIDAKADA'));
+    }
+    const lockedOut = await this.request('POST', '/api/auth/login', { officer_id: 'P002NGA', pin: TEST_PIN });
+    
+    // Jumlah id tidak terdaftar yang dicatat dibatasi
+    const auth = new OfficerAuth({ rootDir: this.sandboxDir, maxUnknownAttempts: 2 });
+    ['X1TIDAKADA', 'X2TIDAKADA', 'X3TIDAKADA'].forEach(id => auth.login(id, 'salah-salah'));
+    const tracked = Object.keys(auth.loadAttempts()).sort();
+
+    const passed = anonymous.status === 401 && wrongLocation.status === 403 && forged.status === 401 &&
+      failures.join(',') === '401:2,401:1,429:-' && lockedOut.status === 429 &&
+      unknownFailures.join(',') === failures.join(',') &&
+      tracked.join(',') === 'P002NGA,X2TIDAKADA,X3TIDAKADA';
+
+    this.addResult('Officer Authorization', passed,
+      passed ? 'Anonymous/forged sessions rejected, other locations forbidden, lockout enforced' : 'Authorization rules broken',
+      { anonymous: anonymous.status, wrong_location: wrongLocation.status, forged: forged.status, failures, unknownFailures, locked_out: lockedOut.status, tracked });
+  }
+
+  /**
+   * Test 7: File statis hanya untuk file publik
+   */
+  async testStaticFiles() {
+    console.log('\n🧪 Test 7: Static Files');
+
+    const data = await this.request('GET', '/data/parkir-data.json');
+    const pending = await this.request('GET', '/data/pending-updates.json');
+    const officers = await this.request('GET', '/config/officers.json');
+    const locations = await this.request('GET', '/config/locations-config.json');
+    const notifications = await this.request('GET', '/config/notifications.json');
+    const traversal = await this.request('GET', '/../Package.json');
+    const badStatic = await this.request('GET', '/%E0');
+    const badParam = await this.request('GET', '/api/locations/%E0');
+    const passed = data.status === 200 && pending.status === 404 && officers.status === 404 &&
+      locations.status === 200 && notifications.status === 404 && traversal.status === 404 &&
+      badStatic.status === 400 && badParam.status === 400;
+
+    this.addResult('Static Files', passed,
+      passed ? 'Public data and page config served, private files blocked, bad percent-encoding 400' : 'Static file access rules broken',
+      { data: data.status, pending: pending.status, officers: officers.status, locations: locations.status, notifications: notifications.status, traversal: traversal.status, badStatic: badStatic.status, badParam: badParam.status });
+  }
+
+  /**
+   * Test: Retry dengan idempotency key yang sama tidak membuat entry baru
+   */
+  async testIdempotentRetry() {
+    console.log('\n🧪 Test: Idempotent Retry');
+
+    const update = {
+      location_id: 1,
+      idempotency_key: 'retry-test-key-0001',
+      timestamp: new Date().toISOString(),
+      mobil: 120
+    };
+    const first = await this.request('POST', '/api/updates', update, this.token);
+    const retry = await this.request('POST', '/api/updates', update, this.token);
+
+    const pendingPath = path.join(this.sandboxDir, 'data/pending-updates.json');
+    const pending = JSON.parse(fs.readFileSync(pendingPath, 'utf8'));
+    const stored = pending.filter(u => u.idempotency_key === update.idempotency_key);
+
+    // Setelah diproses, diarsipkan dan antrian dikosongkan: retry dikenali lewat indeks arsip
+    await new UpdateProcessor({ rootDir: this.sandboxDir }).processUpdates();
+    fs.writeFileSync(pendingPath, '[]');
+    const archivedRetry = await this.request('POST', '/api/updates', update, this.token);
+    const archivedStatus = await this.request('GET', `/api/updates/${update.idempotency_key}`);
+    const archivedFull = await this.request('GET', `/api/updates/${update.idempotency_key}`, undefined, this.token);
+
+    const passed = first.status === 201 && retry.status === 200 && retry.body.duplicate === true &&
+      stored.length === 1 && stored[0].id === update.idempotency_key &&
+      archivedRetry.status === 200 && archivedRetry.body.duplicate === true && archivedRetry.body.status === 'processed' &&
+      archivedStatus.body.status === 'processed' && archivedFull.body.update?.mobil === 120 &&
+      JSON.parse(fs.readFileSync(pendingPath, 'utf8')).length === 0;
+
+    this.addResult('Idempotent Retry', passed,
+      passed ? 'Retry acknowledged as duplicate without enqueueing twice, also after the update was archived' : 'Retry created a second entry',
+      { first: first.status, retry: retry.status, stored: stored.length, archived_retry: archivedRetry.body, archived_status: archivedStatus.body });
+  }
+
+  /**
+   * Test: Update delta (hitung masuk/keluar) diterima dengan tanda +/-
+   */
+  async testDeltaUpdates() {
+    console.log('\n🧪 Test: Delta Updates');
+    
+    const base = { location_id: 1, type: 'delta', timestamp: new Date().toISOString() };
+    const delta = await this.request('POST', '/api/updates', { ...base, mobil: 3, bus: -1 }, this.token);
+    const zero = await this.request('POST', '/api/updates', { ...base, mobil: 0 }, this.token);
+    const fraction = await this.request('POST', '/api/updates', { ...base, mobil: 1.5 }, this.token);
+    const unknownType = await this.request('POST', '/api/updates', { ...base, type: 'relative', mobil: 1 }, this.token);
+    
+    const track = delta.body && delta.body.id ? await this.request('GET', `/api/updates/${delta.body.id}`, undefined, this.token) : { body: {} };
+    const queued = track.body.update || {};
+    const passed = delta.status === 201 && queued.type === 'delta' && queued.mobil === 3 && queued.bus === -1 &&
+      zero.status === 400 && fraction.status === 400 && unknownType.status === 400;
+    
+    this.addResult('Delta Updates', passed,
+      passed ? 'Signed deltas queued as type delta, invalid deltas rejected' : 'Delta validation broken',
+      { delta: delta.status, zero: zero.status, fraction: fraction.status, unknown_type: unknownType.status });
+  }
+
+  async runAllTests() {
+    console.log('🌐 RUNNING API SERVER TESTS\n');
+
+    await this.setup();
+
+    try {
+      const login = await this.request('POST', '/api/auth/login', { officer_id: 'p001sen', pin: TEST_PIN });
+      this.token = login.body && login.body.token;
+      this.addResult('Officer Login', login.status === 200 && Boolean(this.token),
+        login.status === 200 ? 'Officer logged in and received a session token' : 'Officer login failed',
+        { status: login.status });
+
+      await this.testListLocations();
+      await this.testLocationByCode();
+      await this.testStatistics();
+      await this.testSubmitAndTrackUpdate();
+      await this.testIdempotentRetry();
+      await this.testDeltaUpdates();
+      await this.testErrorResponses();
+      await this.testOfficerAuthorization();
+      await this.testStaticFiles();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    } finally {
+      await this.cleanup();
+    }
+
+    this.printResults();
+    this.saveResults();
+
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 API SERVER TEST RESULTS');
+    console.log('='.repeat(70));
+
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+    });
+
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'api_server',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+
+    const reportFile = path.join(reportDir, `api-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new APIServerTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ API server test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = APIServerTest;
@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+/**
+ * Test untuk audit trail wajib (scripts/audit-logger.js + scripts/data-store.js):
+ * setiap mutasi tercatat dengan actor, alasan dan nilai sebelum/sesudah, dalam
+ * rantai hash yang bisa diverifikasi
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AuditLogger = require('../scripts/audit-logger');
+const DataStore = require('../scripts/data-store');
+const APIHandler = require('../scripts/api-handler');
+const UpdateProcessor = require('../scripts/process-updates');
+const TestSandbox = require('./helpers/sandbox');
+
+const TEST_PIN = TestSandbox.TEST_PIN;
+
+class AuditTrailTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.sandboxDir = null;
+  }
+
+  /**
+   * Setup: Salin data & config ke direktori sementara, akun petugas dengan PIN uji
+   */
+  setup() {
+    this.sandboxDir = TestSandbox.create('audit', ['data/parkir-data.json', 'config/locations-config.json']);
+    TestSandbox.seedOfficers(this.sandboxDir);
+    
+    this.logger = new AuditLogger({ rootDir: this.sandboxDir });
+  }
+
+  cleanup() {
+    if (this.sandboxDir) {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  /**
+   * Test 1: Diff per field, array lokasi dicocokkan per id, kredensial tidak dicatat
+   */
+  testFieldDiff() {
+    console.log('\n🧪 Test 1: Field Diff');
+    
+    const before = {
+      locations: [
+        { id: 1, mobil: { available: 200 } },
+        { id: 2, mobil: { available: 80 } }
+      ],
+      officers: [{ id: 'P001SEN', pin_hash: 'lama' }]
+    };
+    const after = {
+      locations: [
+        { id: 2, mobil: { available: 75 } },
+        { id: 1, mobil: { available: 200 } },
+        { id: 3, mobil: { available: 10 } }
+      ],
+      officers: [{ id: 'P001SEN', pin_hash: 'baru' }]
+    };
+    const changes = AuditLogger.diff(before, after);
+    const byPath = Object.fromEntries(changes.map(change => [change.path, change]));
+    
+    const passed = changes.length === 3 &&
+      byPath['locations[id=2].mobil.available']?.before === 80 &&
+      byPath['locations[id=2].mobil.available']?.after === 75 &&
+      byPath['locations[id=3]']?.before === undefined &&
+      byPath['locations[id=3]']?.after?.mobil?.available === 10 &&
+      byPath['officers[id=P001SEN].pin_hash']?.redacted === true &&
+      !JSON.stringify(changes).includes('baru');
+    
+    this.addResult('Field Diff', passed,
+      passed ? 'Reordered locations matched by id, added entries recorded, credentials redacted' : 'Unexpected diff',
+      { changes });
+  }
+
+  /**
+   * Test 2: Update petugas lewat API sampai diterapkan processor bisa direkonstruksi
+   */
+  async testOfficerUpdateTrail() {
+    console.log('\n🧪 Test 2: Officer Update Trail');
+    
+    const handler = new APIHandler({ rootDir: this.sandboxDir });
+    const login = await handler.handleRequest({
+      method: 'POST',
+      url: '/api/auth/login',
+      body: { officer_id: 'P001SEN', pin: TEST_PIN }
+    });
+    const submit = await handler.handleRequest({
+      method: 'POST',
+      url: '/api/updates',
+      ip: '10.0.0.7',
+      headers: { authorization: `Bearer ${login.body.token}`, 'user-agent': 'audit-test' },
+      body: { location: 'SENOPATI', timestamp: new Date().toISOString(), mobil: 150, notes: 'Arus masuk padat' }
+    });
+    await new UpdateProcessor({ rootDir: this.sandboxDir }).processUpdates();
+    
+    const { logs } = this.logger.queryLogs({ location: '1' });
+    const history = this.logger.changeHistory(logs);
+    const queued = this.logger.queryLogs({ action: 'queue_update' }).logs[0];
+    const officerChange = history.find(entry => entry.actor.type === 'officer' && entry.action === 'update');
+    const applied = history.find(entry => entry.action === 'apply-updates');
+    const mobil = (officerChange?.changes || []).find(change => change.path === 'locations[id=1].mobil.available');
+    const appliedMobil = (applied?.changes || []).find(change => change.path === 'locations[id=1].mobil.available');
+    
+    const passed = submit.status === 201 &&
+      queued?.actor?.id === 'P001SEN' && queued.details.ip_address === '10.0.0.7' &&
+      queued.target === 'data/pending-updates.json' && queued.reason === 'Arus masuk padat' &&
+      officerChange?.actor?.name === 'Petugas SENOPATI' && officerChange.reason === 'Arus masuk padat' &&
+      mobil?.before === 200 && mobil.after === 150 &&
+      applied?.actor?.type === 'system' && appliedMobil?.after === 150 &&
+      applied.revision.after === applied.revision.before + 1 &&
+      history.indexOf(officerChange) < history.indexOf(applied);
+    
+    this.addResult('Officer Update Trail', passed,
+      passed ? 'Queue, officer change (200 → 150) and applying write recorded with actor and reason' : 'Audit trail incomplete',
+      { submit_status: submit.status, history });
+  }
+
+  /**
+   * Test 3: Penulisan dibatalkan jika audit log tidak bisa ditulis
+   */
+  testMandatoryAudit() {
+    console.log('\n🧪 Test 3: Mandatory Audit');
+    
+    // Direktori audit digantikan file biasa sehingga append gagal
+    const auditDir = path.join(this.sandboxDir, 'data/logs/audit');
+    const movedDir = `${auditDir}.moved`;
+    fs.renameSync(auditDir, movedDir);
+    fs.writeFileSync(auditDir, '');
+    
+    const store = new DataStore({ rootDir: this.sandboxDir });
+    const before = fs.readFileSync(store.resolvePath('data'), 'utf8');
+    let error = null;
+    try {
+      store.update('data', data => {
+        data.locations[0].mobil.available = 1;
+      }, { reason: 'should not be written' });
+    } catch (e) {
+      error = e;
+    }
+    const unchanged = fs.readFileSync(store.resolvePath('data'), 'utf8') === before;
+    const leftovers = fs.readdirSync(path.join(this.sandboxDir, 'data'))
+      .filter(f => f.endsWith('.tmp') || f.endsWith('.lock'));
+    
+    fs.rmSync(auditDir);
+    fs.renameSync(movedDir, auditDir);
+    
+    const passed = error?.code === 'E_AUDIT' && unchanged && leftovers.length === 0;
+    
+    this.addResult('Mandatory Audit', passed,
+      passed ? 'Write rejected with E_AUDIT, data file untouched and lock released' : `Unexpected: ${error?.message}`,
+      { leftovers });
+  }
+
+  /**
+   * Test 4: Laporan audit memuat riwayat perubahan berurutan
+   */
+  testReportReconstruction() {
+    console.log('\n🧪 Test 4: Report Reconstruction');
+    
+    const store = new DataStore({ rootDir: this.sandboxDir });
+    store.update('data', data => {
+      data.locations[0].bus.available = 3;
+    }, { actor: { type: 'admin', id: 'admin-1' }, action: 'manual-correction', reason: 'Hitung ulang di lapangan' });
+    
+    const today = new Date().toISOString().split('T')[0];
+    const { report, reportFile } = this.logger.generateAuditReport(today, today);
+    const history = report.change_history;
+    const last = history[history.length - 1];
+    const sorted = history.every((entry, i) => i === 0 || entry.timestamp >= history[i - 1].timestamp);
+    
+    const passed = fs.existsSync(reportFile) &&
+      reportFile.startsWith(this.sandboxDir) &&
+      sorted &&
+      last?.actor?.id === 'admin-1' && last.reason === 'Hitung ulang di lapangan' &&
+      last.changes.some(change => change.path === 'locations[id=1].bus.available' && change.after === 3) &&
+      report.summary.by_target['data/parkir-data.json'] >= 2 &&
+      report.summary.by_location['1'] >= 3;
+    
+    this.addResult('Report Reconstruction', passed,
+      passed ? 'Report lists every change chronologically with actor, reason and values' : 'Report incomplete',
+      { entries: history.length, by_target: report.summary.by_target });
+  }
+
+  /**
+   * Logger dengan jam yang bisa diatur, di direktori terpisah dari test lain
+   */
+  createChainLogger(name, signingKey = 'kunci-audit-uji') {
+    const clock = { now: new Date('2026-03-01T08:00:00Z') };
+    const logger = new AuditLogger({
+      rootDir: path.join(this.sandboxDir, name),
+      now: () => new Date(clock.now),
+      signingKey
+    });
+    const writeDay = count => {
+      for (let i = 0; i < count; i++) {
+        logger.log({ type: 'test', action: `entry-${i}` });
+      }
+      clock.now = new Date(clock.now.getTime() + 24 * 60 * 60 * 1000);
+    };
+    return { logger, clock, writeDay };
+  }
+
+  /**
+   * Test 5: Entri yang diubah, dihapus atau ditukar terdeteksi pada link pertama yang putus
+   */
+  testTamperDetection() {
+    console.log('\n🧪 Test 5: Tamper Detection');
+    
+    const { logger, writeDay } = this.createChainLogger('chain-tamper');
+    writeDay(3);
+    writeDay(3);
+    
+    const file = path.join(logger.logDir, 'audit-2026-03-02.log');
+    const original = fs.readFileSync(file, 'utf8').trim().split('\n');
+    const verifyWith = lines => {
+      fs.writeFileSync(file, lines.join('\n') + '\n');
+      return logger.verify();
+    };
+    
+    const intact = logger.verify();
+    const altered = verifyWith([original[0], original[1].replace('"entry-1"', '"entry-x"'), original[2]]);
+    const deleted = verifyWith([original[0], original[2]]);
+    const reordered = verifyWith([original[1], original[0], original[2]]);
+    const truncated = verifyWith([original[0], original[1]]);
+    verifyWith(original);
+    
+    const passed = intact.valid && intact.entries === 6 &&
+      altered.first_break?.line === 2 && altered.first_break.seq === 5 && /altered/.test(altered.first_break.reason) &&
+      deleted.first_break?.line === 2 && /expected seq 5/.test(deleted.first_break.reason) &&
+      reordered.first_break?.line === 1 && reordered.first_break.seq === 5 &&
+      !truncated.valid && /truncated/.test(truncated.first_break.reason) &&
+      logger.verify().valid;
+    
+    this.addResult('Tamper Detection', passed,
+      passed ? 'Altered, deleted, reordered and truncated entries reported at the first broken link' : 'Tampering not detected',
+      { altered: altered.first_break, deleted: deleted.first_break, reordered: reordered.first_break, truncated: truncated.first_break });
+  }
+
+  /**
+   * Test 6: Checkpoint harian bertanda tangan dan anchor retensi
+   */
+  testCheckpointsAndRetention() {
+    console.log('\n🧪 Test 6: Checkpoints And Retention');
+    
+    const { logger, writeDay } = this.createChainLogger('chain-retention');
+    writeDay(2);
+    writeDay(2);
+    writeDay(2);
+    writeDay(1);
+    const checkpoints = fs.readFileSync(path.join(logger.logDir, 'checkpoints.jsonl'), 'utf8').trim().split('\n').map(JSON.parse);
+    
+    // Seluruh rantai ditulis ulang (hash dihitung ulang) tetap ketahuan lewat checkpoint
+    const originals = Object.fromEntries(logger.listLogFiles().map(file => [file, fs.readFileSync(path.join(logger.logDir, file), 'utf8')]));
+    let previous = null;
+    Object.entries(originals).forEach(([file, content]) => {
+      const rewritten = content.trim().split('\n').map(line => {
+        const entry = JSON.parse(line);
+        if (entry.seq === 1) entry.action = 'diubah';
+        if (previous) entry.prev_hash = previous;
+        entry.hash = AuditLogger.hashEntry(entry);
+        previous = entry.hash;
+        return JSON.stringify(entry);
+      });
+      fs.writeFileSync(path.join(logger.logDir, file), rewritten.join('\n') + '\n');
+    });
+    const forged = logger.verify();
+    Object.entries(originals).forEach(([file, content]) => fs.writeFileSync(path.join(logger.logDir, file), content));
+    
+    const forgedKey = new AuditLogger({ rootDir: path.join(this.sandboxDir, 'chain-retention'), signingKey: 'kunci-lain' }).verify();
+    
+    const cleanup = logger.cleanupOldLogs(2);
+    const afterCleanup = logger.verify();
+    
+    const passed = checkpoints.length === 3 &&
+      checkpoints.every(checkpoint => /^[0-9a-f]{64}$/.test(checkpoint.signature)) &&
+      checkpoints[0].seq === 2 && checkpoints[0].date === '2026-03-01' &&
+      !forged.valid && forged.first_break.file === 'checkpoints.jsonl' && /chain rewritten/.test(forged.first_break.reason) &&
+      !forgedKey.valid && /signature/.test(forgedKey.first_break.reason) &&
+      cleanup.deleted === 3 &&
+      afterCleanup.valid && afterCleanup.anchors === 3 && afterCleanup.entries === 1;
+    
+    this.addResult('Checkpoints And Retention', passed,
+      passed ? 'Daily checkpoints signed, rewritten chain and wrong key rejected, chain verifiable after retention' : 'Checkpoint or anchor handling incorrect',
+      { checkpoints: checkpoints.length, forged: forged.first_break, forged_key: forgedKey.first_break, cleanup, after_cleanup: afterCleanup });
+  }
+
+  /**
+   * Test 7: Dua penulis dari head yang sama memutus rantai; rantai terpisah (AUDIT_CHAIN)
+   * tetap utuh dan ikut diverifikasi serta di-query dari rantai utama
+   */
+  testSeparateChains() {
+    console.log('\n🧪 Test 7: Separate Chains Per Writer');
+    
+    const { logger, writeDay } = this.createChainLogger('chain-writers');
+    const host = new AuditLogger({ rootDir: logger.rootDir, env: { AUDIT_CHAIN: 'api-host' }, now: logger.now, signingKey: 'kunci-audit-uji' });
+    writeDay(2);
+    
+    // Penulis di host API dan workflow bergantian: masing-masing di rantainya sendiri
+    host.log({ type: 'test', action: 'host-1' });
+    logger.log({ type: 'test', action: 'main-1' });
+    host.log({ type: 'test', action: 'host-2' });
+    const separate = logger.verifyAll();
+    const queried = logger.queryLogs({ type: 'test', limit: 100 }).logs.map(entry => entry.action);
+    
+    // Dua penulis pada rantai yang sama, sama-sama mulai dari chain-head yang di-commit
+    const headFile = path.join(logger.logDir, 'chain-head.json');
+    const committedHead = fs.readFileSync(headFile, 'utf8');
+    logger.log({ type: 'test', action: 'workflow-a' });
+    fs.writeFileSync(headFile, committedHead);
+    logger.log({ type: 'test', action: 'workflow-b' });
+    const forked = logger.verifyAll();
+    
+    let invalidName = null;
+    try {
+      new AuditLogger({ rootDir: logger.rootDir, chain: '../main' });
+    } catch (error) {
+      invalidName = error.message;
+    }
+    
+    const passed = host.logDir === path.join(logger.logDir, 'api-host') &&
+      separate.valid && separate.chains.map(chain => `${chain.chain}:${chain.entries}`).join(',') === 'main:3,api-host:2' &&
+      ['host-1', 'host-2', 'main-1'].every(action => queried.includes(action)) &&
+      !forked.valid && forked.chains[0].chain === 'main' && /sequence out of order/.test(forked.chains[0].first_break.reason) &&
+      forked.chains[1].valid && /Invalid AUDIT_CHAIN/.test(invalidName || '');
+    
+    this.addResult('Separate Chains Per Writer', passed,
+      passed ? 'Same-head writers fork the chain; per-writer chains stay intact and are verified and queried together' : 'Chain separation incorrect',
+      { separate: separate.chains.map(chain => [chain.chain, chain.entries, chain.valid]), queried, forked: forked.chains.map(chain => chain.first_break) });
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting Audit Trail Tests...\n');
+    
+    try {
+      this.setup();
+      this.testFieldDiff();
+      await this.testOfficerUpdateTrail();
+      this.testMandatoryAudit();
+      this.testReportReconstruction();
+      this.testTamperDetection();
+      this.testCheckpointsAndRetention();
+      this.testSeparateChains();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    } finally {
+      this.cleanup();
+    }
+    
+    this.printResults();
+    this.saveResults();
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 AUDIT TRAIL TEST RESULTS');
+    console.log('='.repeat(70));
+    
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+    });
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+    
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'audit_trail',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+    
+    const reportFile = path.join(reportDir, `audit-trail-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new AuditTrailTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ Audit trail test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = AuditTrailTest;
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+/**
+ * Test untuk loader config terpadu (scripts/config-loader.js):
+ * JSONC, override environment, validasi schema dan config publik
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('../scripts/config-loader');
+const TestSandbox = require('./helpers/sandbox');
+
+class ConfigLoaderTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.sandboxDir = null;
+  }
+
+  /**
+   * Sandbox berisi salinan config/ (tanpa operations.json = operasi bawaan di root sandbox)
+   */
+  setupSandbox() {
+    this.sandboxDir = TestSandbox.create('config', ['system-settings', 'notifications', 'locations-config', 'officers', 'vehicle-types']
+      .map(name => `config/${name}.json`));
+  }
+
+  cleanupSandbox() {
+    if (this.sandboxDir) {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  createLoader(env = {}) {
+    return new ConfigLoader({ rootDir: this.sandboxDir, env });
+  }
+
+  writeConfig(name, content) {
+    fs.writeFileSync(path.join(this.sandboxDir, 'config', `${name}.json`), content);
+  }
+
+  /**
+   * Test 1: Komentar di luar string dibuang, error JSON menyebut baris dan kolom
+   */
+  testCommentedJson() {
+    console.log('\n🧪 Test 1: Commented JSON');
+    
+    const parsed = ConfigLoader.parse([
+      '{',
+      '  // komentar baris',
+      '  "url": "https://example.com/path", /* komentar blok */',
+      '  "note": "bukan /* komentar */"',
+      '}'
+    ].join('\n'));
+    
+    let parseError = null;
+    try {
+      ConfigLoader.parse('{\n  "a": 1, // koma\n  "b": 2,\n}', 'config/broken.json');
+    } catch (error) {
+      parseError = error;
+    }
+    
+    const passed = parsed.url === 'https://example.com/path' &&
+      parsed.note === 'bukan /* komentar */' &&
+      parseError?.code === 'E_CONFIG' &&
+      /config\/broken\.json: invalid JSON \(line 4, column 1\)/.test(parseError.message);
+    
+    this.addResult('Commented JSON', passed,
+      passed ? 'Comments stripped, parse error reports file, line and column' : `Unexpected: ${parseError?.message}`,
+      { parsed, error: parseError?.message });
+  }
+
+  /**
+   * Test 2: Config repo valid terhadap schema; error menyebut file dan key yang salah
+   */
+  testSchemaValidation() {
+    console.log('\n🧪 Test 2: Schema Validation');
+    
+    const repoResults = new ConfigLoader({ rootDir: this.rootDir, env: {} }).check();
+    const repoValid = Object.values(repoResults).every(errors => errors.length === 0);
+    
+    const original = fs.readFileSync(path.join(this.sandboxDir, 'config/notifications.json'), 'utf8');
+    const notifications = ConfigLoader.parse(original);
+    notifications.alert_channels.slack.enabled = 'yes';
+    notifications.alert_channels.slack.webhok_url = 'https://hooks.slack.com/x';
+    this.writeConfig('notifications', JSON.stringify(notifications, null, 2));
+    
+    let error = null;
+    try {
+      this.createLoader().load('notifications');
+    } catch (e) {
+      error = e;
+    }
+    this.writeConfig('notifications', original);
+    const paths = (error?.errors || []).map(e => e.path);
+    
+    const passed = repoValid &&
+      error?.code === 'E_CONFIG' &&
+      paths.includes('alert_channels.slack.enabled') &&
+      paths.includes('alert_channels.slack.webhok_url') &&
+      error.message.includes('config/notifications.json: alert_channels.slack.enabled must be boolean (got string)');
+    
+    this.addResult('Schema Validation', passed,
+      passed ? 'Repo config valid; wrong type and unknown key reported by path' : `Unexpected: ${error?.message || JSON.stringify(repoResults)}`,
+      { repoResults, errors: error?.errors });
+  }
+
+  /**
+   * Test 3: Override PARKIR_<FILE>__<KEY> dari environment, termasuk asal error
+   */
+  testEnvOverrides() {
+    console.log('\n🧪 Test 3: Environment Overrides');
+    
+    const settings = this.createLoader({
+      PARKIR_SYSTEM_SETTINGS__SYSTEM__MAINTENANCE_MODE: 'true',
+      PARKIR_SYSTEM_SETTINGS__UI_SETTINGS__CLOSING_SOON_MINUTES: '45',
+      PARKIR_SYSTEM_SETTINGS__SYSTEM__VERSION: '2.1'
+    }).load('system-settings');
+    
+    const errorFor = env => {
+      try {
+        this.createLoader(env).load('notifications');
+        return null;
+      } catch (error) {
+        return error;
+      }
+    };
+    const typeError = errorFor({ PARKIR_NOTIFICATIONS__THRESHOLDS__UTILIZATION__WARNING: 'tinggi' });
+    const orderError = errorFor({ PARKIR_NOTIFICATIONS__THRESHOLDS__UTILIZATION__WARNING: '99' });
+    
+    const passed = settings.system.maintenance_mode === true &&
+      settings.ui_settings.closing_soon_minutes === 45 &&
+      settings.system.version === '2.1' &&
+      typeError?.errors?.[0]?.path === 'thresholds.utilization.warning' &&
+      typeError.errors[0].source === 'PARKIR_NOTIFICATIONS__THRESHOLDS__UTILIZATION__WARNING' &&
+      typeError.message.includes('(from PARKIR_NOTIFICATIONS__THRESHOLDS__UTILIZATION__WARNING)') &&
+      /must be lower than critical/.test(orderError?.message || '');
+    
+    this.addResult('Environment Overrides', passed,
+      passed ? 'Overrides typed as JSON (strings kept), invalid values name the variable' : `Unexpected: ${typeError?.message} / ${orderError?.message}`,
+      { system: settings.system, typeError: typeError?.errors, orderError: orderError?.errors });
+  }
+
+  /**
+   * Test 4: File tidak ada memakai defaults; tanpa defaults melempar E_CONFIG
+   */
+  testMissingFiles() {
+    console.log('\n🧪 Test 4: Missing Files');
+    
+    fs.unlinkSync(path.join(this.sandboxDir, 'config/vehicle-types.json'));
+    const loader = this.createLoader({ PARKIR_VEHICLE_TYPES__VERSION: '"3"' });
+    const fallback = loader.load('vehicle-types', { defaults: { vehicle_types: [] } });
+    
+    let error = null;
+    try {
+      this.createLoader().load('vehicle-types');
+    } catch (e) {
+      error = e;
+    }
+    
+    const passed = Array.isArray(fallback.vehicle_types) &&
+      fallback.version === '3' &&
+      error?.code === 'E_CONFIG' &&
+      error.message === 'config/vehicle-types.json: file not found';
+    
+    this.addResult('Missing Files', passed,
+      passed ? 'Defaults used (with env overrides) when file missing, otherwise E_CONFIG' : `Unexpected: ${error?.message}`,
+      { fallback });
+  }
+
+  /**
+   * Test 5: Config publik untuk halaman web tidak membawa kredensial
+   */
+  testPublicConfig() {
+    console.log('\n🧪 Test 5: Public Config');
+    
+    const publicConfig = new ConfigLoader({ rootDir: this.rootDir, env: {} }).publicConfig();
+    const serialized = JSON.stringify(publicConfig);
+    
+    const passed = publicConfig.ui_settings.timezone === 'Asia/Jakarta' &&
+      publicConfig.data_management.auto_refresh_interval > 0 &&
+      publicConfig.thresholds.utilization.warning < publicConfig.thresholds.utilization.critical &&
+      !/api_key|password|webhook|bot_token|session_timeout/.test(serialized);
+    
+    this.addResult('Public Config', passed,
+      passed ? 'Timezone, refresh interval and thresholds exposed; no credentials' : 'Public config missing fields or leaking secrets',
+      { publicConfig });
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting Config Loader Tests...\n');
+    
+    try {
+      this.setupSandbox();
+      this.testCommentedJson();
+      this.testSchemaValidation();
+      this.testEnvOverrides();
+      this.testMissingFiles();
+      this.testPublicConfig();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    } finally {
+      this.cleanupSandbox();
+    }
+    
+    this.printResults();
+    this.saveResults();
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 CONFIG LOADER TEST RESULTS');
+    console.log('='.repeat(70));
+    
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+    });
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+    
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'config_loader',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+    
+    const reportFile = path.join(reportDir, `config-loader-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new ConfigLoaderTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ Config loader test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = ConfigLoaderTest;
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+/**
+ * Test untuk penyimpanan bersama (scripts/data-store.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const DataStore = require('../scripts/data-store');
+const FileLock = require('../scripts/file-lock');
+const TestSandbox = require('./helpers/sandbox');
+
+const WRITERS = 3;
+const WRITES_PER_WRITER = 15;
+
+class DataStoreTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.sandboxDir = null;
+    this.store = null;
+  }
+
+  /**
+   * Setup: Salin parkir-data.json ke direktori sementara
+   */
+  setup() {
+    this.sandboxDir = TestSandbox.create('store', ['data/parkir-data.json']);
+    this.store = new DataStore({ rootDir: this.sandboxDir });
+  }
+
+  cleanup() {
+    if (this.sandboxDir) {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  /**
+   * Test 1: Penulisan atomik menaikkan metadata.revision tanpa mengubah metadata.version
+   */
+  testRevisionOnWrite() {
+    console.log('\n🧪 Test 1: Revision On Write');
+
+    const before = this.store.read('data');
+    const version = before.metadata.version;
+    const initial = DataStore.revisionOf(before);
+    const first = this.store.write('data', before);
+    const second = this.store.update('data', data => {
+      data.metadata.updated_by = 'test-data-store';
+    });
+
+    const leftovers = fs.readdirSync(path.join(this.sandboxDir, 'data'))
+      .filter(f => f.endsWith('.tmp') || f.endsWith('.lock'));
+    const passed = first === initial + 1 &&
+      second.metadata.revision === first + 1 &&
+      this.store.read('data').metadata.version === version &&
+      leftovers.length === 0;
+
+    this.addResult('Revision On Write', passed,
+      passed ? 'Each write bumps metadata.revision and leaves no temp/lock files' : 'Revision or cleanup incorrect',
+      { first, second: second.metadata.revision, version, leftovers });
+  }
+
+  /**
+   * Test 2: Penulisan dengan revisi usang ditolak
+   */
+  testOptimisticConflict() {
+    console.log('\n🧪 Test 2: Optimistic Conflict');
+
+    const stale = this.store.read('data');
+    const staleRevision = DataStore.revisionOf(stale);
+
+    // Proses lain menulis lebih dulu
+    this.store.update('data', data => {
+      data.metadata.updated_by = 'other-process';
+    });
+
+    let error = null;
+    try {
+      stale.metadata.updated_by = 'stale-writer';
+      this.store.write('data', stale, { expectedRevision: staleRevision });
+    } catch (e) {
+      error = e;
+    }
+
+    const passed = error !== null && error.code === 'E_CONFLICT' &&
+      this.store.read('data').metadata.updated_by === 'other-process';
+
+    this.addResult('Optimistic Conflict', passed,
+      passed ? 'Stale write rejected with E_CONFLICT, newer data kept' : 'Stale write was not rejected',
+      { code: error && error.code });
+  }
+
+  /**
+   * Test 3: Beberapa proses menambah antrian bersamaan tanpa kehilangan entry
+   */
+  async testConcurrentWriters() {
+    console.log('\n🧪 Test 3: Concurrent Writers');
+
+    const script = `
+      const DataStore = require(${JSON.stringify(path.join(this.rootDir, 'scripts/data-store.js'))});
+      const store = new DataStore({ rootDir: process.argv[1] });
+      (async () => {
+        for (let i = 0; i < ${WRITES_PER_WRITER}; i++) {
+          await store.updateAsync('pending', pending => {
+            pending.push({ id: process.pid + '-' + i, status: 'pending' });
+          });
+        }
+      })().catch(error => { console.error(error.message); process.exit(1); });
+    `;
+
+    const codes = await Promise.all(Array.from({ length: WRITERS }, () => new Promise(resolve => {
+      const child = spawn(process.execPath, ['-e', script, this.sandboxDir], { stdio: 'inherit' });
+      child.on('exit', resolve);
+    })));
+
+    const pending = this.store.read('pending');
+    const unique = new Set(pending.map(u => u.id));
+    const expected = WRITERS * WRITES_PER_WRITER;
+    const passed = codes.every(code => code === 0) && pending.length === expected && unique.size === expected;
+
+    this.addResult('Concurrent Writers', passed,
+      passed ? `${expected} appends from ${WRITERS} processes all preserved` : 'Appends were lost or duplicated',
+      { expected, stored: pending.length, unique: unique.size, exit_codes: codes });
+  }
+
+  /**
+   * Test 4: Lock yang dipegang proses hidup membuat penulis lain timeout
+   */
+  testLockTimeout() {
+    console.log('\n🧪 Test 4: Lock Timeout');
+
+    const holder = new DataStore({ rootDir: this.sandboxDir });
+    const waiter = new DataStore({ rootDir: this.sandboxDir, lockTimeout: 200 });
+    const release = holder.lock(['pending']);
+
+    let error = null;
+    try {
+      waiter.update('pending', pending => pending);
+    } catch (e) {
+      error = e;
+    } finally {
+      release();
+    }
+
+    const passed = error !== null && error.code === 'E_LOCK_TIMEOUT' &&
+      !fs.existsSync(this.store.lockPath('pending'));
+
+    this.addResult('Lock Timeout', passed,
+      passed ? 'Writer gave up with E_LOCK_TIMEOUT while lock was held' : 'Lock was not respected',
+      { code: error && error.code });
+  }
+
+  /**
+   * Test 5: Lock yang ditinggal proses mati diambil alih
+   */
+  testStaleLock() {
+    console.log('\n🧪 Test 5: Stale Lock');
+
+    const lockFile = this.store.lockPath('data');
+    fs.writeFileSync(lockFile, JSON.stringify({
+      pid: 2147483646,
+      host: os.hostname(),
+      token: 'dead-process',
+      acquired_at: new Date().toISOString()
+    }));
+
+    let error = null;
+    try {
+      this.store.update('data', data => {
+        data.metadata.updated_by = 'after-stale-lock';
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    const passed = error === null &&
+      this.store.read('data').metadata.updated_by === 'after-stale-lock' &&
+      !fs.existsSync(lockFile);
+
+    this.addResult('Stale Lock', passed,
+      passed ? 'Lock from a dead process was taken over' : 'Stale lock blocked the write',
+      { error: error && error.message });
+  }
+
+  /**
+   * Test 6: Lock proses hidup di host ini tidak pernah diambil alih; lock tua dari host lain
+   * diambil alih, dan pemegang lamanya tidak menghapus lock pemegang baru
+   */
+  testLockOwnership() {
+    console.log('\n🧪 Test 6: Lock Ownership');
+
+    const lockFile = path.join(this.sandboxDir, 'data/shared.lock');
+    const lock = new FileLock(lockFile, { staleAge: 1000, timeout: 200 });
+    const past = new Date(Date.now() - 5000).toISOString();
+
+    // Proses induk masih hidup: lock-nya tetap berlaku walau lebih tua dari staleAge
+    fs.writeFileSync(lockFile, JSON.stringify({ pid: process.ppid, host: os.hostname(), token: 'live-writer', acquired_at: past }));
+    let liveKept = false;
+    try {
+      lock.acquire();
+    } catch (error) {
+      liveKept = error.code === 'E_LOCK_TIMEOUT';
+    }
+    fs.rmSync(lockFile, { force: true });
+
+    // Lock tua dari host lain dianggap ditinggal, proses ini mengambil alih
+    const releaseOld = lock.acquire();
+    const owner = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+    fs.writeFileSync(lockFile, JSON.stringify({ ...owner, host: 'host-lain', acquired_at: past }));
+    const releaseNew = lock.acquire();
+    const takenOver = JSON.parse(fs.readFileSync(lockFile, 'utf8')).token !== owner.token;
+
+    releaseOld();
+    const kept = fs.existsSync(lockFile);
+    releaseNew();
+
+    const passed = liveKept && takenOver && kept && !fs.existsSync(lockFile);
+
+    this.addResult('Lock Ownership', passed,
+      passed ? 'Live holder kept its lock; releasing a taken-over lock left the new owner\'s lock in place' : 'Lock ownership rules broken',
+      { liveKept, takenOver, kept });
+  }
+
+  async runAllTests() {
+    console.log('🗄️ RUNNING DATA STORE TESTS\n');
+
+    this.setup();
+
+    try {
+      this.testRevisionOnWrite();
+      this.testOptimisticConflict();
+      await this.testConcurrentWriters();
+      this.testLockTimeout();
+      this.testStaleLock();
+      this.testLockOwnership();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    } finally {
+      this.cleanup();
+    }
+
+    this.printResults();
+    this.saveResults();
+
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 DATA STORE TEST RESULTS');
+    console.log('='.repeat(70));
+
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+    });
+
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'data_store',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+
+    const reportFile = path.join(reportDir, `data-store-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new DataStoreTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ Data store test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = DataStoreTest;
@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+/**
+ * Test untuk eskalasi alert (scripts/escalation.js): kebijakan per jenis alert
+ * (kapasitas vs system_error dari health-check.js), langkah petugas lokasi ->
+ * Koordinator Parkir -> teknisi, berhenti saat di-ack, jadwal jaga per hari operasi
+ * dan laporan siapa diberi tahu kapan. Gateway WhatsApp diganti server HTTP lokal.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const ConfigLoader = require('../scripts/config-loader');
+const AlertState = require('../scripts/alert-state');
+const Escalation = require('../scripts/escalation');
+const NotificationChannels = require('../scripts/notification-channels');
+const SystemHealthChecker = require('../scripts/health-check');
+const TestSandbox = require('./helpers/sandbox');
+
+const MINUTE = 60 * 1000;
+const OFFICER_PHONE = '+6281100000001';
+
+class EscalationTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.sandboxDir = null;
+    this.server = null;
+    this.sent = [];
+    this.clock = Date.parse('2026-04-21T03:00:00Z'); // 10:00 WIB, hari kedua operasi
+  }
+
+  /**
+   * Setup: sandbox dengan operasi aktif, petugas SENOPATI punya nomor WhatsApp
+   */
+  async setup() {
+    this.sandboxDir = TestSandbox.create('escalation', ['data/parkir-data.json', 'config/locations-config.json', 'config/system-settings.json', 'config/vehicle-types.json', 'config/operations.json']);
+    
+    const registry = JSON.parse(fs.readFileSync(path.join(this.rootDir, 'config/officers.json'), 'utf8'));
+    registry.officers.find(officer => officer.id === 'P001SEN').phone = OFFICER_PHONE;
+    fs.writeFileSync(path.join(this.sandboxDir, 'config/officers.json'), JSON.stringify(registry, null, 2));
+    
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        this.sent.push(JSON.parse(body));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"status":"sent"}');
+      });
+    });
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    
+    // Kebijakan dan kontak dari config/notifications.json yang dikirim
+    const shipped = new ConfigLoader({ rootDir: this.rootDir }).load('notifications');
+    this.config = {
+      ...shipped,
+      alert_channels: {
+        whatsapp: { enabled: false, api_url: `http://127.0.0.1:${this.server.address().port}/whatsapp`, api_key: 'test-key' }
+      },
+      escalation: { ...shipped.escalation, enabled: true, channels: ['whatsapp'] }
+    };
+  }
+
+  async cleanup() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+    }
+    if (this.sandboxDir) {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  create(file, source = 'utilization', overrides = {}) {
+    const config = { ...this.config, ...overrides };
+    const alertState = new AlertState({
+      rootDir: this.sandboxDir,
+      file: path.join(this.sandboxDir, 'data', file),
+      source,
+      config,
+      now: () => this.clock
+    });
+    const escalation = new Escalation({
+      rootDir: this.sandboxDir,
+      config,
+      alertState,
+      channels: new NotificationChannels({ config, sleep: () => Promise.resolve() }),
+      now: () => this.clock
+    });
+    return { alertState, escalation };
+  }
+
+  critical(overrides = {}) {
+    return {
+      type: 'critical_utilization',
+      location_id: 1,
+      location: 'SENOPATI',
+      vehicle: 'mobil',
+      utilization: '97.0',
+      available: 6,
+      total: 200,
+      severity: 'critical',
+      ...overrides
+    };
+  }
+
+  /**
+   * Jalankan eskalasi pada menit-menit tertentu sejak alert dibuka; kembalikan penerima per run
+   */
+  async timeline(escalation, minutes) {
+    const start = this.clock;
+    const runs = [];
+    for (const minute of minutes) {
+      this.clock = start + minute * MINUTE;
+      const before = this.sent.length;
+      const result = await escalation.run();
+      runs.push({ minute, levels: result.entries.map(entry => `${entry.level}:${entry.contact}`), to: this.sent.slice(before).map(message => message.to) });
+    }
+    return runs;
+  }
+
+  /**
+   * Test 1: Alert kapasitas critical: petugas lokasi, 15 menit -> koordinator, 30 menit -> teknisi
+   */
+  async testCapacityPolicy() {
+    console.log('\n🧪 Test 1: Capacity Escalation Steps');
+    
+    const { alertState, escalation } = this.create('capacity.json');
+    const contacts = this.config.emergency_contacts;
+    const primary = contacts.find(contact => contact.role === 'primary');
+    const technical = contacts.find(contact => contact.role === 'technical');
+    
+    const start = this.clock;
+    await alertState.evaluate([this.critical()]);
+    const runs = await this.timeline(escalation, [0, 5, 15, 20, 30, 45]);
+    const record = alertState.list()[0];
+    this.clock = start + 60 * MINUTE;
+    
+    const steps = runs.map(run => run.levels.join(',') || '-');
+    const passed = steps.join(' | ') ===
+      `1:Petugas SENOPATI | - | 2:${primary.name} | - | 3:${technical.name} | -` &&
+      runs[0].to[0] === OFFICER_PHONE && runs[2].to[0] === primary.phone && runs[4].to[0] === technical.phone &&
+      /SENOPATI/.test(this.sent[this.sent.length - 1].message) && this.sent[this.sent.length - 1].message.includes(`POST /api/alerts/${record.id}/ack`) &&
+      record.escalation.policy === 'capacity' && record.escalation.level === 2 && record.escalation.notified.length === 3;
+    
+    this.addResult('Capacity Escalation Steps', passed,
+      passed ? 'Location officer first, Koordinator Parkir after 15 min, technical contact after 30 min, each once' : 'Capacity escalation steps incorrect',
+      { steps, escalation: record?.escalation });
+  }
+
+  /**
+   * Test 2: Check health-check.js yang gagal -> system_error, langsung ke teknisi
+   */
+  async testSystemPolicy() {
+    console.log('\n🧪 Test 2: System Error Routing');
+    
+    const { alertState, escalation } = this.create('system.json', 'health');
+    const checker = new SystemHealthChecker({ rootDir: this.sandboxDir, alertState, escalation });
+    const results = {
+      details: [
+        { name: 'data_files', critical: true, passed: false, details: { issues: ['parkir-data.json unreadable'] } },
+        { name: 'backup_health', critical: false, passed: false, details: {} },
+        { name: 'config_files', critical: true, passed: true }
+      ]
+    };
+    
+    const before = this.sent.length;
+    const raised = await checker.raiseAlerts(results);
+    const first = this.sent.slice(before);
+    const records = alertState.list();
+    const technical = this.config.emergency_contacts.find(contact => contact.role === 'technical');
+    
+    const passed = raised.notices === 2 && raised.escalated === 1 &&
+      records.length === 2 && records.find(r => r.severity === 'critical').escalation.policy === 'system' &&
+      first.length === 1 && first[0].to === technical.phone && /data_files/.test(first[0].message) &&
+      !records.find(r => r.severity === 'warning').escalation;
+    
+    this.addResult('System Error Routing', passed,
+      passed ? 'Failed critical check escalates to the technical contact first; warnings do not escalate' : 'System alerts routed incorrectly',
+      { raised, sent: first.map(message => message.to), records: records.map(r => [r.key, r.severity, r.escalation?.policy]) });
+  }
+
+  /**
+   * Test 3: Ack menghentikan eskalasi; naik lagi melanjutkan dari level terakhir
+   */
+  async testAcknowledgeStops() {
+    console.log('\n🧪 Test 3: Acknowledge Stops Escalation');
+    
+    const { alertState, escalation } = this.create('ack.json');
+    const start = this.clock;
+    const opened = await alertState.evaluate([this.critical()]);
+    const id = opened.notices[0].alert_id;
+    
+    this.clock = start;
+    await escalation.run();
+    await alertState.acknowledge(id, 'P001SEN');
+    this.clock = start + 40 * MINUTE;
+    const afterAck = await escalation.run();
+    
+    await alertState.evaluate([this.critical({ severity: 'warning', type: 'warning_utilization' })]);
+    await alertState.evaluate([this.critical()]);
+    const resumed = await escalation.run();
+    this.clock = start + 90 * MINUTE;
+    const later = await escalation.run();
+    
+    const passed = afterAck.escalated === 0 &&
+      alertState.find(id).state === 'escalated' &&
+      resumed.escalated === 0 && later.entries.map(entry => entry.level).join(',') === '2,3';
+    
+    this.addResult('Acknowledge Stops Escalation', passed,
+      passed ? 'Acknowledged alert is not escalated; a new critical period continues from the reached level' : 'Acknowledgement did not stop escalation',
+      { afterAck: afterAck.escalated, resumed: resumed.escalated, later: later.entries.map(entry => entry.level) });
+    this.clock = start;
+  }
+
+  /**
+   * Test 4: Jadwal jaga: shift per tanggal operasi, jam lewat tengah malam, fallback emergency_contacts
+   */
+  async testOnCallSchedule() {
+    console.log('\n🧪 Test 4: On-Call Schedule');
+    
+    const { escalation } = this.create('on-call.json', 'utilization', {
+      escalation: {
+        ...this.config.escalation,
+        on_call: [
+          { role: 'primary', contact: 'Koordinator Parkir', hours: '06:00-22:00' },
+          { role: 'primary', name: 'Wakil Koordinator', phone: '+6281100000009', dates: ['2026-04-21'], hours: '22:00-06:00' }
+        ]
+      }
+    });
+    const who = at => escalation.contactsFor('primary', new Date(at)).map(contact => `${contact.name}${contact.on_call ? '' : '*'}`).join(',');
+    
+    const day = who('2026-04-21T03:00:00Z');            // 10:00 WIB
+    const night = who('2026-04-21T16:00:00Z');          // 23:00 WIB tanggal 21
+    const afterMidnight = who('2026-04-21T20:00:00Z');  // 03:00 WIB tanggal 22, shift tanggal 21
+    const nextNight = who('2026-04-22T16:00:00Z');      // 23:00 WIB tanggal 22, tidak ada shift
+    const afterOperation = who('2026-05-01T03:00:00Z');
+    const technical = escalation.contactsFor('technical', new Date('2026-04-21T03:00:00Z'))[0];
+    
+    const passed = day === 'Koordinator Parkir' && night === 'Wakil Koordinator' &&
+      afterMidnight === 'Wakil Koordinator' && nextNight === 'Koordinator Parkir*' &&
+      afterOperation === 'Koordinator Parkir*' && technical.phone === '+628198765432';
+    
+    this.addResult('On-Call Schedule', passed,
+      passed ? 'Shifts follow operation days and overnight hours; outside them emergency_contacts are used' : 'On-call resolution incorrect',
+      { day, night, afterMidnight, nextNight, afterOperation });
+  }
+
+  /**
+   * Test 5: Laporan escalations.log: siapa diberi tahu, kapan, lewat apa
+   */
+  async testReport() {
+    console.log('\n🧪 Test 5: Notification Report');
+    
+    const { escalation } = this.create('capacity.json');
+    const entries = escalation.report();
+    const day = escalation.report({ date: '2026-04-21' });
+    const none = escalation.report({ date: '2026-04-19' });
+    
+    const passed = entries.length >= 6 &&
+      entries.every(entry => entry.timestamp && entry.alert_id && entry.target && entry.level) &&
+      entries.some(entry => entry.target === 'location_officer' && entry.contact === 'Petugas SENOPATI' && entry.channel === 'whatsapp' && entry.success) &&
+      entries.some(entry => entry.target === 'technical' && entry.policy === 'system') &&
+      day.length === entries.length && none.length === 0;
+    
+    this.addResult('Notification Report', passed,
+      passed ? 'Every escalation notice is logged with alert, level, contact, channel and time' : 'Escalation report incomplete',
+      { entries: entries.length, day: day.length });
+  }
+
+  async runAllTests() {
+    console.log('📟 RUNNING ESCALATION TESTS\n');
+    
+    try {
+      await this.setup();
+      await this.testCapacityPolicy();
+      await this.testSystemPolicy();
+      await this.testAcknowledgeStops();
+      await this.testOnCallSchedule();
+      await this.testReport();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    } finally {
+      await this.cleanup();
+    }
+    
+    this.printResults();
+    this.saveResults();
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 ESCALATION TEST RESULTS');
+    console.log('='.repeat(70));
+    
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+      if (!result.passed && Object.keys(result.details).length > 0) {
+        console.log(`   Details: ${JSON.stringify(result.details)}`);
+      }
+    });
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+    
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'escalation',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+    
+    const reportFile = path.join(reportDir, `escalation-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new EscalationTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ Escalation test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = EscalationTest;
@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+/**
+ * Test untuk data langsung (scripts/live-updates.js, live-client.js): stream SSE
+ * /api/stream mengirim hanya lokasi yang berubah, polling bersyarat /api/snapshot,
+ * Last-Event-ID, batas koneksi, dan LiveClient yang pindah ke polling saat stream putus.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const APIServer = require('../scripts/api-server');
+const APIHandler = require('../scripts/api-handler');
+const LiveUpdates = require('../scripts/live-updates');
+const LiveClient = require('../scripts/live-client');
+const TestSandbox = require('./helpers/sandbox');
+
+class LiveUpdatesTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.sandboxDir = null;
+    this.server = null;
+    this.streams = [];
+  }
+
+  /**
+   * Setup: Salin data & config ke direktori sementara lalu jalankan server
+   * dengan pemantauan file yang cepat
+   */
+  async setup() {
+    this.sandboxDir = TestSandbox.create('live', ['data/parkir-data.json', 'config/locations-config.json', 'config/officers.json']);
+    
+    const handler = new APIHandler({ rootDir: this.sandboxDir });
+    this.live = new LiveUpdates({ rootDir: this.sandboxDir, operation: handler.operation, store: handler.store, watchInterval: 50, maxClients: 2 });
+    this.server = new APIServer({ rootDir: this.sandboxDir, port: 0, host: '127.0.0.1', handler, live: this.live, alerts: null });
+    await this.server.start();
+    this.store = handler.store;
+    this.baseUrl = `http://127.0.0.1:${this.server.port}`;
+  }
+
+  async cleanup() {
+    this.streams.forEach(stream => stream.close());
+    if (this.server) {
+      await this.server.stop();
+    }
+    if (this.sandboxDir) {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  /**
+   * Buka /api/stream dan kumpulkan event SSE yang diterima
+   */
+  openStream(headers = {}) {
+    return new Promise((resolve, reject) => {
+      const stream = { status: null, events: [], raw: '', close: () => req.destroy() };
+      const req = http.get(`${this.baseUrl}/api/stream`, { headers }, res => {
+        stream.status = res.statusCode;
+        stream.headers = res.headers;
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          stream.raw += chunk;
+          const blocks = stream.raw.split('\n\n');
+          stream.raw = blocks.pop();
+          blocks.forEach(block => {
+            const fields = {};
+            block.split('\n').forEach(line => {
+              const match = /^(\w+): ?(.*)$/.exec(line);
+              if (match) fields[match[1]] = match[2];
+            });
+            if (fields.event) {
+              stream.events.push({ event: fields.event, id: fields.id, data: JSON.parse(fields.data) });
+            }
+          });
+        });
+        this.streams.push(stream);
+        resolve(stream);
+      });
+      req.on('error', error => (stream.status ? null : reject(error)));
+    });
+  }
+
+  async waitFor(condition, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    while (!condition() && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    return condition();
+  }
+
+  async setAvailable(nama, mobil) {
+    return this.store.updateAsync('data', data => {
+      data.locations.find(location => location.nama === nama).mobil.available = mobil;
+    }, { actor: 'test', action: 'live-test' });
+  }
+
+  /**
+   * Test 1: /api/snapshot memberi ETag; If-None-Match yang sama dijawab 304 tanpa isi
+   */
+  async testConditionalSnapshot() {
+    console.log('\n🧪 Test 1: Conditional Snapshot');
+    
+    const before = this.store.read('data').metadata.revision;
+    const first = await fetch(`${this.baseUrl}/api/snapshot`, { headers: { Origin: 'http://example.test' } });
+    const body = await first.json();
+    const etag = first.headers.get('etag');
+    const again = await fetch(`${this.baseUrl}/api/snapshot`, { headers: { 'If-None-Match': etag } });
+    const againBody = await again.text();
+    
+    await this.setAvailable('SENOPATI', 150);
+    const changed = await fetch(`${this.baseUrl}/api/snapshot`, { headers: { 'If-None-Match': etag } });
+    const changedBody = await changed.json();
+    
+    const passed = first.status === 200 && Boolean(etag) &&
+      body.revision === before && Array.isArray(body.locations) && Boolean(body.operation) &&
+      /ETag/.test(first.headers.get('access-control-expose-headers') || '') &&
+      again.status === 304 && againBody === '' &&
+      changed.status === 200 && changedBody.revision === body.revision + 1 &&
+      changed.headers.get('etag') !== etag;
+    
+    this.addResult('Conditional Snapshot', passed,
+      passed ? 'Unchanged data answers 304 with an empty body; a new revision answers 200 with a new ETag' : `Unexpected: ${JSON.stringify({ first: first.status, etag, again: again.status, changed: changed.status, revision: body.revision })}`);
+  }
+
+  /**
+   * Test 2: Stream mengirim snapshot saat terhubung lalu hanya lokasi yang berubah
+   */
+  async testStreamChanges() {
+    console.log('\n🧪 Test 2: Stream Sends Changed Locations');
+    
+    // Tunggu pemantau menyiarkan tulisan test sebelumnya agar tidak tercampur
+    await this.waitFor(() => this.live.last.revision === this.store.read('data').metadata.revision);
+    const stream = await this.openStream();
+    await this.waitFor(() => stream.events.length >= 1);
+    const snapshot = stream.events[0];
+    
+    const written = await this.setAvailable('NGABEAN', 12);
+    const received = await this.waitFor(() => stream.events.length >= 2);
+    const update = stream.events[1] || {};
+    stream.close();
+    
+    const passed = stream.status === 200 && /text\/event-stream/.test(stream.headers['content-type']) &&
+      snapshot.event === 'snapshot' && snapshot.data.locations.length > 1 &&
+      received && update.event === 'locations' &&
+      update.id === String(written.metadata.revision) &&
+      update.data.locations.length === 1 && update.data.locations[0].nama === 'NGABEAN' &&
+      update.data.locations[0].mobil.available === 12 &&
+      update.data.statistics !== undefined;
+    
+    this.addResult('Stream Sends Changed Locations', passed,
+      passed ? 'Snapshot on connect; a processor-style write is pushed as one changed location with the new revision as event id' : `Unexpected: ${JSON.stringify({ status: stream.status, events: stream.events.map(e => [e.event, e.id, e.data.locations.length]) })}`);
+  }
+
+  /**
+   * Test 3: Reconnect dengan Last-Event-ID terbaru tidak menerima snapshot ulang;
+   * koneksi melebihi batas ditolak 503 dan stop() menutup stream
+   */
+  async testReconnectAndLimit() {
+    console.log('\n🧪 Test 3: Reconnect And Connection Limit');
+    
+    const revision = this.store.read('data').metadata.revision;
+    const resumed = await this.openStream({ 'Last-Event-ID': String(revision) });
+    const stale = await this.openStream({ 'Last-Event-ID': String(revision - 1) });
+    await this.waitFor(() => stale.events.length >= 1);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    
+    const rejected = await fetch(`${this.baseUrl}/api/stream`);
+    const rejectedBody = await rejected.json();
+    
+    await this.setAvailable('SENOPATI', 140);
+    await this.waitFor(() => resumed.events.length >= 1 && stale.events.length >= 2);
+    
+    const passed = resumed.events.length === 1 && resumed.events[0].event === 'locations' &&
+      stale.events[0].event === 'snapshot' && stale.events[1]?.event === 'locations' &&
+      rejected.status === 503 && rejected.headers.get('retry-after') === '30' && /snapshot/.test(rejectedBody.error) &&
+      this.live.clients.size === 2;
+    
+    resumed.close();
+    stale.close();
+    const closed = await this.waitFor(() => this.live.clients.size === 0);
+    
+    this.addResult('Reconnect And Connection Limit', passed && closed,
+      passed && closed ? 'Up-to-date Last-Event-ID skips the snapshot; extra connections get 503 with Retry-After; closed streams are dropped' : `Unexpected: ${JSON.stringify({ resumed: resumed.events.map(e => e.event), stale: stale.events.map(e => e.event), rejected: rejected.status, clients: this.live.clients.size })}`);
+  }
+
+  /**
+   * Test 4: LiveClient tanpa stream memakai polling bersyarat; operasi lain → offline
+   */
+  async testClientFallback() {
+    console.log('\n🧪 Test 4: Client Falls Back To Polling');
+    
+    // EventSource yang langsung gagal permanen (mis. proxy tanpa dukungan SSE)
+    class BrokenEventSource {
+      constructor() {
+        this.readyState = 0;
+        this.listeners = {};
+        setTimeout(() => {
+          this.readyState = 2;
+          (this.listeners.error || []).forEach(listener => listener({}));
+        }, 10);
+      }
+      
+      addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+      }
+      
+      close() {}
+    }
+    
+    const snapshots = [];
+    const states = [];
+    const requests = [];
+    const client = new LiveClient({
+      apiBaseUrl: this.baseUrl,
+      pollInterval: 50,
+      EventSource: BrokenEventSource,
+      fetch: (url, options) => {
+        requests.push(options.headers['If-None-Match'] || null);
+        return fetch(url, options);
+      },
+      onSnapshot: data => snapshots.push(data.revision),
+      onState: state => states.push(state)
+    });
+    client.start();
+    await this.waitFor(() => requests.length >= 3);
+    
+    const written = await this.setAvailable('NGABEAN', 30);
+    await this.waitFor(() => snapshots.includes(written.metadata.revision));
+    client.stop();
+    
+    const otherStates = [];
+    const other = new LiveClient({ apiBaseUrl: this.baseUrl, operation: 'operasi-lain', EventSource: null, pollInterval: 50, onState: state => otherStates.push(state) });
+    other.start();
+    await this.waitFor(() => otherStates.includes('offline'));
+    
+    const passed = states[0] === 'polling' &&
+      snapshots.length === 2 && snapshots[1] === written.metadata.revision &&
+      requests[0] === null && requests.slice(1).every(Boolean) &&
+      other.stopped && otherStates.includes('offline');
+    
+    this.addResult('Client Falls Back To Polling', passed,
+      passed ? 'Broken stream: client polls with If-None-Match, renders only new revisions; another operation turns it offline' : `Unexpected: ${JSON.stringify({ states, snapshots, requests: requests.length, otherStates })}`);
+  }
+
+  /**
+   * Test 5: File data dibangun ulang (revisi kembali ke 1): stream mengirim snapshot
+   * dan LiveClient menerapkannya, lalu menerima perubahan berikutnya
+   */
+  async testRevisionReset() {
+    console.log('\n🧪 Test 5: Revision Reset After Recovery');
+    
+    await this.waitFor(() => this.live.last.revision === this.store.read('data').metadata.revision);
+    const stream = await this.openStream();
+    await this.waitFor(() => stream.events.length >= 1);
+    
+    const client = new LiveClient({ revision: stream.events[0].data.revision, EventSource: null });
+    const applied = [];
+    client.onSnapshot = data => applied.push(['snapshot', data.revision]);
+    client.onLocations = data => applied.push(['locations', data.revision]);
+    
+    // Seperti emergency-recovery: file rusak diganti, DataStore memulai revisi dari 1
+    const dataPath = this.store.resolvePath('data');
+    const rebuilt = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+    rebuilt.metadata.revision = 1;
+    fs.writeFileSync(`${dataPath}.tmp`, JSON.stringify(rebuilt, null, 2));
+    fs.renameSync(`${dataPath}.tmp`, dataPath);
+    await this.waitFor(() => stream.events.length >= 2);
+    const reset = stream.events[1] || {};
+    
+    const written = await this.setAvailable('NGABEAN', 7);
+    await this.waitFor(() => stream.events.length >= 3);
+    const next = stream.events[2] || {};
+    stream.close();
+    
+    [reset, next, next].forEach(event => event.data && client.accept(event.event, event.data));
+    
+    const passed = reset.event === 'snapshot' && reset.id === '1' &&
+      next.event === 'locations' && next.id === String(written.metadata.revision) &&
+      JSON.stringify(applied) === JSON.stringify([['snapshot', 1], ['locations', written.metadata.revision]]);
+    
+    this.addResult('Revision Reset After Recovery', passed,
+      passed ? 'A rebuilt data file (revision 1) is streamed as a snapshot; the client applies it and later changes' : `Unexpected: ${JSON.stringify({ events: stream.events.map(e => [e.event, e.id]), applied })}`);
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting Live Updates Tests...\n');
+    
+    try {
+      await this.setup();
+      await this.testConditionalSnapshot();
+      await this.testStreamChanges();
+      await this.testReconnectAndLimit();
+      await this.testClientFallback();
+      await this.testRevisionReset();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    } finally {
+      await this.cleanup();
+    }
+    
+    this.printResults();
+    this.saveResults();
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 LIVE UPDATES TEST RESULTS');
+    console.log('='.repeat(70));
+    
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+    });
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+    
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'live-updates',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+    
+    const reportFile = path.join(reportDir, `live-updates-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new LiveUpdatesTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ Live updates test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = LiveUpdatesTest;
@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+/**
+ * Test untuk mode pemeliharaan (scripts/maintenance-mode.js): API read-only,
+ * antrian ditahan processor, restore menyalakan dan mematikan mode otomatis,
+ * state per operasi
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MaintenanceMode = require('../scripts/maintenance-mode');
+const APIHandler = require('../scripts/api-handler');
+const UpdateProcessor = require('../scripts/process-updates');
+const BackupManager = require('../scripts/backup-manager');
+const AuditLogger = require('../scripts/audit-logger');
+const DataStore = require('../scripts/data-store');
+const OperationRegistry = require('../scripts/operation-registry');
+const TestSandbox = require('./helpers/sandbox');
+
+const TEST_PIN = TestSandbox.TEST_PIN;
+
+class MaintenanceModeTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.sandboxDir = null;
+  }
+
+  /**
+   * Setup: Salin data & config ke direktori sementara, akun petugas dengan PIN uji
+   */
+  setup() {
+    this.sandboxDir = TestSandbox.create('maintenance', ['data/parkir-data.json', 'config/locations-config.json', 'config/system-settings.json']);
+    TestSandbox.seedOfficers(this.sandboxDir);
+    
+    this.dataFile = path.join(this.sandboxDir, 'data/parkir-data.json');
+    this.pendingFile = path.join(this.sandboxDir, 'data/pending-updates.json');
+    this.settingsFile = path.join(this.sandboxDir, 'config/system-settings.json');
+    this.maintenance = new MaintenanceMode({ rootDir: this.sandboxDir });
+  }
+
+  cleanup() {
+    if (this.sandboxDir) {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  async submit(handler, mobil) {
+    const login = await handler.handleRequest({
+      method: 'POST',
+      url: '/api/auth/login',
+      body: { officer_id: 'P001SEN', pin: TEST_PIN }
+    });
+    return handler.handleRequest({
+      method: 'POST',
+      url: '/api/updates',
+      headers: { authorization: `Bearer ${login.body.token}` },
+      body: { location: 'SENOPATI', timestamp: new Date().toISOString(), mobil }
+    });
+  }
+
+  /**
+   * Test 1: API menolak update dengan 503 + Retry-After selama pemeliharaan
+   */
+  async testApiReadOnly() {
+    console.log('\n🧪 Test 1: API Read Only');
+    
+    const handler = new APIHandler({ rootDir: this.sandboxDir });
+    this.maintenance.enable('Restore backup', { retryAfter: 300 });
+    const refused = await this.submit(handler, 150);
+    const config = await handler.handleRequest({ method: 'GET', url: '/api/config' });
+    const queuedDuring = fs.existsSync(this.pendingFile);
+    
+    this.maintenance.disable();
+    const accepted = await this.submit(handler, 150);
+    
+    const passed = refused.status === 503 &&
+      refused.headers?.['Retry-After'] === '300' &&
+      refused.body.code === 'E_MAINTENANCE' && refused.body.reason === 'Restore backup' &&
+      !queuedDuring &&
+      config.body.system.maintenance_mode === true && config.body.maintenance.active === true &&
+      accepted.status === 201;
+    
+    this.addResult('API Read Only', passed,
+      passed ? 'POST /api/updates answered 503 (Retry-After: 300) during maintenance and 201 afterwards' : `Unexpected: ${JSON.stringify({ refused, accepted: accepted.status })}`,
+      { refused: refused.status, accepted: accepted.status });
+  }
+
+  /**
+   * Test 2: system.maintenance_mode di system-settings.json juga membuat sistem read-only
+   */
+  async testSettingsFlag() {
+    console.log('\n🧪 Test 2: Settings Flag');
+    
+    // system-settings.json berformat JSONC (boleh berkomentar): ubah sebagai teks
+    const original = fs.readFileSync(this.settingsFile, 'utf8');
+    fs.writeFileSync(this.settingsFile, original.replace(/"maintenance_mode":\s*false/, '"maintenance_mode": true'));
+    
+    const status = this.maintenance.status();
+    const refused = await this.submit(new APIHandler({ rootDir: this.sandboxDir }), 140);
+    const switchedOff = this.maintenance.disable();
+    fs.writeFileSync(this.settingsFile, original);
+    
+    const passed = status.active && status.source === 'settings' &&
+      refused.status === 503 && refused.headers?.['Retry-After'] === String(MaintenanceMode.DEFAULT_RETRY_AFTER) &&
+      switchedOff === false &&
+      !this.maintenance.isActive();
+    
+    this.addResult('Settings Flag', passed,
+      passed ? 'system.maintenance_mode refuses updates; --off leaves the manual flag alone' : `Unexpected: ${JSON.stringify({ status, refused: refused.status })}`,
+      { status });
+  }
+
+  /**
+   * Test 3: Processor menahan antrian sampai pemeliharaan selesai
+   */
+  async testQueueHeld() {
+    console.log('\n🧪 Test 3: Queue Held');
+    
+    const processor = () => new UpdateProcessor({
+      rootDir: this.sandboxDir,
+      auth: { verifyUpdate: () => ({ valid: true }) }
+    });
+    // Antrian berisi satu update yang diterima di Test 1
+    const pendingBefore = fs.readFileSync(this.pendingFile, 'utf8');
+    const dataBefore = fs.readFileSync(this.dataFile, 'utf8');
+    
+    this.maintenance.enable('Restore backup');
+    const held = await processor().processUpdates();
+    const untouched = fs.readFileSync(this.pendingFile, 'utf8') === pendingBefore &&
+      fs.readFileSync(this.dataFile, 'utf8') === dataBefore;
+    
+    this.maintenance.disable();
+    const released = await processor().processUpdates();
+    
+    const passed = held.held === 1 && held.processed === 0 && !held.hasChanges && untouched &&
+      released.processed === 1 && released.hasChanges;
+    
+    this.addResult('Queue Held', passed,
+      passed ? '1 pending update held during maintenance and applied once it ended' : `Unexpected: ${JSON.stringify({ held, released, untouched })}`,
+      { held: held.held, processed: released.processed });
+  }
+
+  /**
+   * Test 4: Restore menyalakan mode selama berjalan; mode yang sudah aktif tidak dimatikan
+   */
+  async testRestoreToggles() {
+    console.log('\n🧪 Test 4: Restore Toggles Maintenance');
+    
+    const manager = new BackupManager({ rootDir: this.sandboxDir });
+    const backupFile = path.join(this.sandboxDir, 'manual-backup.json');
+    fs.writeFileSync(backupFile, fs.readFileSync(this.dataFile, 'utf8'));
+    
+    const applyBackup = manager.applyBackup.bind(manager);
+    const activeDuring = [];
+    manager.applyBackup = file => {
+      activeDuring.push(this.maintenance.isActive());
+      return applyBackup(file);
+    };
+    
+    const restored = await manager.restoreBackup(backupFile);
+    const offAfterRestore = !this.maintenance.isActive();
+    
+    // Restore di dalam pemeliharaan manual: state pemanggil dipertahankan
+    this.maintenance.enable('Manual maintenance');
+    const nested = await manager.restoreBackup(backupFile);
+    const stillOn = this.maintenance.status().reason === 'Manual maintenance';
+    this.maintenance.disable();
+    
+    const audit = new AuditLogger({ rootDir: this.sandboxDir });
+    const toggles = ['maintenance-on', 'maintenance-off']
+      .map(action => audit.queryLogs({ action }).logs.length);
+    
+    const passed = restored.success && nested.success &&
+      activeDuring.length === 2 && activeDuring.every(Boolean) &&
+      offAfterRestore && stillOn &&
+      toggles.every(count => count >= 2);
+    
+    this.addResult('Restore Toggles Maintenance', passed,
+      passed ? 'Restore runs in maintenance mode, switches it off afterwards and leaves an outer maintenance on; toggles are audited' : `Unexpected: ${JSON.stringify({ activeDuring, offAfterRestore, stillOn, toggles })}`,
+      { activeDuring, toggles });
+  }
+
+  /**
+   * Test 5: Processor memeriksa mode sesudah mendapat lock; restore yang mulai saat
+   * processor menunggu lock tetap menahan antrian
+   */
+  async testCheckedUnderLock() {
+    console.log('\n🧪 Test 5: Checked Under Lock');
+    
+    const handler = new APIHandler({ rootDir: this.sandboxDir });
+    const accepted = await this.submit(handler, 130);
+    const dataBefore = fs.readFileSync(this.dataFile, 'utf8');
+    
+    // Pegang lock data seperti restore, lalu nyalakan mode selagi processor menunggu
+    const release = await new DataStore({ rootDir: this.sandboxDir }).lockAsync(['data', 'pending']);
+    const processing = new UpdateProcessor({
+      rootDir: this.sandboxDir,
+      auth: { verifyUpdate: () => ({ valid: true }) }
+    }).processUpdates();
+    await new Promise(resolve => setTimeout(resolve, 150));
+    this.maintenance.enable('Restore backup');
+    release();
+    
+    const held = await processing;
+    const untouched = fs.readFileSync(this.dataFile, 'utf8') === dataBefore;
+    this.maintenance.disable();
+    
+    const passed = accepted.status === 201 && held.held === 1 && held.processed === 0 && untouched;
+    
+    this.addResult('Checked Under Lock', passed,
+      passed ? 'Maintenance switched on while the processor waited for the lock still held the queue' : `Unexpected: ${JSON.stringify({ accepted: accepted.status, held, untouched })}`,
+      { held: held.held });
+  }
+
+  /**
+   * Test 6: File state per operasi; pemeliharaan satu operasi tidak menahan operasi lain
+   */
+  async testPerOperation() {
+    console.log('\n🧪 Test 6: Per Operation');
+    
+    ['operations.json', 'vehicle-types.json'].forEach(file => {
+      fs.copyFileSync(path.join(this.rootDir, 'config', file), path.join(this.sandboxDir, 'config', file));
+    });
+    const registry = new OperationRegistry({ rootDir: this.sandboxDir });
+    registry.create('ops-uji-pemeliharaan', { name: 'Operasi Uji' });
+    const other = registry.resolve('ops-uji-pemeliharaan');
+    const active = registry.resolve();
+    
+    const otherMaintenance = new MaintenanceMode({ rootDir: this.sandboxDir, operation: other });
+    otherMaintenance.enable('Restore backup');
+    
+    const activeMode = new MaintenanceMode({ rootDir: this.sandboxDir, operation: active });
+    const stateFile = path.relative(this.sandboxDir, otherMaintenance.statePath).replace(/\\/g, '/');
+    const otherRefused = await this.submit(new APIHandler({ rootDir: this.sandboxDir, operation: other }), 120);
+    const activeAccepted = await this.submit(new APIHandler({ rootDir: this.sandboxDir, operation: active }), 120);
+    otherMaintenance.disable();
+    
+    const passed = stateFile === 'operations/ops-uji-pemeliharaan/data/maintenance.json' &&
+      otherMaintenance.isActive() === false && !activeMode.isActive() &&
+      otherRefused.status === 503 && activeAccepted.status === 201;
+    
+    this.addResult('Per Operation', passed,
+      passed ? `State in ${stateFile}; the other operation keeps accepting updates` : `Unexpected: ${JSON.stringify({ stateFile, otherRefused: otherRefused.status, activeAccepted: activeAccepted.status })}`,
+      { stateFile });
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting Maintenance Mode Tests...\n');
+    
+    try {
+      this.setup();
+      await this.testApiReadOnly();
+      await this.testSettingsFlag();
+      await this.testQueueHeld();
+      await this.testRestoreToggles();
+      await this.testCheckedUnderLock();
+      await this.testPerOperation();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    } finally {
+      this.cleanup();
+    }
+    
+    this.printResults();
+    this.saveResults();
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 MAINTENANCE MODE TEST RESULTS');
+    console.log('='.repeat(70));
+    
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+    });
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+    
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'maintenance-mode',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+    
+    const reportFile = path.join(reportDir, `maintenance-mode-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new MaintenanceModeTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ Maintenance mode test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = MaintenanceModeTest;
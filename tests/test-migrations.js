@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+/**
+ * Test untuk versi format, JSON Schema dan migrasi file data & config (scripts/migrations.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Migrations = require('../scripts/migrations');
+const DataStore = require('../scripts/data-store');
+const ConfigLoader = require('../scripts/config-loader');
+const BackupManager = require('../scripts/backup-manager');
+const TestSandbox = require('./helpers/sandbox');
+
+class MigrationsTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.sandboxDir = null;
+  }
+
+  /**
+   * Setup: Salin data & config ke direktori sementara
+   */
+  setup() {
+    this.sandboxDir = TestSandbox.create('migrations', ['data/parkir-data.json', 'config/locations-config.json', 'config/vehicle-types.json', 'config/system-settings.json']);
+    
+    this.dataFile = path.join(this.sandboxDir, 'data/parkir-data.json');
+    this.current = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+  }
+
+  cleanup() {
+    if (this.sandboxDir) {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  /**
+   * Data format 1.0.0: id string, metadata tanpa info operasi, hanya bus/mobil/motor
+   */
+  legacyData() {
+    return {
+      metadata: { version: '1.0.0', last_updated: '2025-12-24T08:00:00Z' },
+      statistics: {},
+      locations: this.current.locations.slice(0, 3).map(location => ({
+        id: String(location.id),
+        nama: location.nama,
+        bus: { total: location.bus.total, available: location.bus.total },
+        mobil: { total: location.mobil.total, available: 5 },
+        motor: { total: location.motor.total, available: location.motor.total }
+      }))
+    };
+  }
+
+  /**
+   * Test 1: 1.0.0 dinaikkan langkah demi langkah ke format sekarang dan lolos schema
+   */
+  testStepByStepUpgrade() {
+    console.log('\n🧪 Test 1: Step By Step Upgrade');
+    
+    const migrations = new Migrations({ rootDir: this.sandboxDir });
+    const result = migrations.upgrade('data', this.legacyData());
+    const data = result.value;
+    const errors = migrations.validate('data', data);
+    
+    const passed = result.from === '1.0.0' &&
+      result.to === Migrations.DATA_VERSION &&
+      result.applied.length === 2 &&
+      data.metadata.version === Migrations.DATA_VERSION &&
+      data.metadata.total_locations === 3 &&
+      typeof data.metadata.operation_name === 'string' &&
+      data.locations.every(location => typeof location.id === 'number') &&
+      data.metadata.vehicle_types.every(type => data.locations[0][type]) &&
+      data.locations[0].mobil.available === 5 &&
+      errors.length === 0;
+    
+    this.addResult('Step By Step Upgrade', passed,
+      passed ? `1.0.0 → ${result.to} in ${result.applied.length} steps, valid against schemas/parkir-data.schema.json` : `Unexpected: ${JSON.stringify({ applied: result.applied, errors })}`,
+      { applied: result.applied, errors });
+  }
+
+  /**
+   * Test 2: Versi tidak dikenal ditolak saat membaca dan menulis data maupun config
+   */
+  testUnknownVersionRefused() {
+    console.log('\n🧪 Test 2: Unknown Version Refused');
+    
+    const store = new DataStore({ rootDir: this.sandboxDir });
+    const future = JSON.parse(JSON.stringify(this.current));
+    future.metadata.version = '9.0.0';
+    
+    const codeOf = work => {
+      try {
+        work();
+        return null;
+      } catch (error) {
+        return error.code;
+      }
+    };
+    
+    const before = fs.readFileSync(this.dataFile, 'utf8');
+    const writeCode = codeOf(() => store.write('data', future));
+    const unchanged = fs.readFileSync(this.dataFile, 'utf8') === before;
+    
+    fs.writeFileSync(this.dataFile, JSON.stringify(future, null, 2));
+    const readCode = codeOf(() => store.read('data'));
+    fs.writeFileSync(this.dataFile, before);
+    
+    const settingsFile = path.join(this.sandboxDir, 'config/system-settings.json');
+    const settings = fs.readFileSync(settingsFile, 'utf8');
+    fs.writeFileSync(settingsFile, settings.replace('"version": "1.0.0"', '"version": "7.0.0"'));
+    let configError = null;
+    try {
+      new ConfigLoader({ rootDir: this.sandboxDir, envFile: false }).load('system-settings');
+    } catch (error) {
+      configError = error;
+    }
+    fs.writeFileSync(settingsFile, settings);
+    
+    const passed = writeCode === 'E_VERSION' && unchanged &&
+      readCode === 'E_VERSION' &&
+      configError?.code === 'E_CONFIG' &&
+      configError.errors.some(error => error.path === 'version');
+    
+    this.addResult('Unknown Version Refused', passed,
+      passed ? 'Data 9.0.0 is neither read nor written; config version 7.0.0 fails with E_CONFIG' : `Unexpected: write ${writeCode}, read ${readCode}, config ${configError?.message}`,
+      { writeCode, readCode, configError: configError?.message });
+  }
+
+  /**
+   * Test 3: Restore backup lama dinaikkan ke format sekarang; backup versi asing ditolak
+   */
+  async testBackupRestore() {
+    console.log('\n🧪 Test 3: Backup Restore');
+    
+    const manager = new BackupManager({ rootDir: this.sandboxDir });
+    const oldBackup = path.join(this.sandboxDir, 'old-backup.json');
+    const futureBackup = path.join(this.sandboxDir, 'future-backup.json');
+    const future = JSON.parse(JSON.stringify(this.current));
+    future.metadata.version = '3.0.0';
+    fs.writeFileSync(oldBackup, JSON.stringify({ metadata: { backup_type: 'manual' }, data: this.legacyData() }));
+    fs.writeFileSync(futureBackup, JSON.stringify({ metadata: { backup_type: 'manual' }, data: future }));
+    
+    const restored = await manager.restoreBackup(oldBackup);
+    const afterOld = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+    const refused = await manager.restoreBackup(futureBackup);
+    const afterFuture = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+    
+    const passed = restored.success &&
+      afterOld.metadata.version === Migrations.DATA_VERSION &&
+      afterOld.locations.length === 3 &&
+      !refused.success && /unknown format version "3\.0\.0"/.test(refused.error) &&
+      afterFuture.metadata.revision === afterOld.metadata.revision;
+    
+    this.addResult('Backup Restore', passed,
+      passed ? `1.0.0 backup restored as ${afterOld.metadata.version}; 3.0.0 backup refused without touching the data` : `Unexpected: ${JSON.stringify({ restored, refused })}`,
+      { restored, refused: refused.error });
+  }
+
+  /**
+   * Test 4: Schema menyebut path yang salah di data dan antrean update
+   */
+  testSchemaErrors() {
+    console.log('\n🧪 Test 4: Schema Errors');
+    
+    const migrations = new Migrations({ rootDir: this.sandboxDir });
+    const data = JSON.parse(JSON.stringify(this.current));
+    data.locations[1].mobil.available = 'banyak';
+    delete data.locations[2].nama;
+    const dataErrors = migrations.validate('data', data).map(error => error.path);
+    
+    const pendingErrors = migrations.validate('pending', [
+      { id: 'a1', petugas_name: 'Budi', location_id: 1, timestamp: new Date().toISOString(), status: 'pending', mobil: 3 },
+      { id: 'a2', location_id: 2, status: 'menunggu' }
+    ]).map(error => error.path);
+    
+    const passed = dataErrors.includes('locations[1].mobil.available') &&
+      dataErrors.includes('locations[2].nama') &&
+      dataErrors.length === 2 &&
+      pendingErrors.includes('[1].petugas_name') &&
+      pendingErrors.includes('[1].status') &&
+      pendingErrors.length === 2;
+    
+    this.addResult('Schema Errors', passed,
+      passed ? 'Schema errors point at locations[1].mobil.available, locations[2].nama and [1].status' : `Unexpected: ${JSON.stringify({ dataErrors, pendingErrors })}`,
+      { dataErrors, pendingErrors });
+  }
+
+  /**
+   * Test 5: migrateFile menulis format baru ke disk (lewat DataStore), run kedua tidak mengubah apa pun
+   */
+  testMigrateCommand() {
+    console.log('\n🧪 Test 5: Migrate Command');
+    
+    const legacy = this.legacyData();
+    legacy.metadata.version = '2.0.0';
+    legacy.locations.forEach(location => {
+      location.id = Number(location.id);
+    });
+    fs.writeFileSync(this.dataFile, JSON.stringify(legacy, null, 2));
+    
+    const migrations = new Migrations({ rootDir: this.sandboxDir });
+    const first = migrations.migrateFile('data');
+    const onDisk = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+    const second = migrations.migrateFile('data');
+    const report = migrations.inspect('data');
+    
+    const passed = first.from === '2.0.0' && first.to === Migrations.DATA_VERSION &&
+      first.applied.length === 1 &&
+      onDisk.metadata.version === Migrations.DATA_VERSION &&
+      onDisk.metadata.vehicle_types.length > 3 &&
+      second.applied.length === 0 &&
+      report.steps.length === 0 && report.errors.length === 0;
+    
+    this.addResult('Migrate Command', passed,
+      passed ? `data/parkir-data.json rewritten as ${onDisk.metadata.version}; second run is a no-op` : `Unexpected: ${JSON.stringify({ first, second, report })}`,
+      { first, second, report });
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting Migrations Tests...\n');
+    
+    try {
+      this.setup();
+      this.testStepByStepUpgrade();
+      this.testUnknownVersionRefused();
+      await this.testBackupRestore();
+      this.testSchemaErrors();
+      this.testMigrateCommand();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    } finally {
+      this.cleanup();
+    }
+    
+    this.printResults();
+    this.saveResults();
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 MIGRATIONS TEST RESULTS');
+    console.log('='.repeat(70));
+    
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+    });
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+    
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'migrations',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+    
+    const reportFile = path.join(reportDir, `migrations-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new MigrationsTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ Migrations test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = MigrationsTest;
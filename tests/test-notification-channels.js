@@ -0,0 +1,411 @@
+#!/usr/bin/env node
+/**
+ * Test untuk channel notifikasi (scripts/notification-channels.js) terhadap
+ * server HTTP dan SMTP lokal pengganti Slack, Telegram, WhatsApp dan email
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const http = require('http');
+const NotificationChannels = require('../scripts/notification-channels');
+const UtilizationNotifier = require('../scripts/notify-utilization');
+const TestSandbox = require('./helpers/sandbox');
+
+const BOT_TOKEN = '123456:TEST';
+const WHATSAPP_KEY = 'wa-test-key';
+
+class NotificationChannelsTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.sandboxDir = null;
+    this.httpServer = null;
+    this.smtpServer = null;
+    this.requests = [];
+    this.emails = [];
+    this.failures = {};
+  }
+
+  /**
+   * Server HTTP pengganti: /slack*, /bot<token>/sendMessage dan /whatsapp
+   */
+  startHttpServer() {
+    this.httpServer = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const payload = body ? JSON.parse(body) : null;
+        this.requests.push({ url: req.url, headers: req.headers, body: payload });
+        
+        // Gagal sementara sebanyak failures[key] kali
+        const key = `${req.url}:${payload?.to || ''}`;
+        if (this.failures[key] > 0) {
+          this.failures[key]--;
+          res.writeHead(503);
+          res.end('unavailable');
+          return;
+        }
+        
+        if (req.url === '/slack-invalid') {
+          res.writeHead(400);
+          res.end('invalid_payload');
+        } else if (req.url.startsWith('/slack')) {
+          res.writeHead(200);
+          res.end('ok');
+        } else if (req.url === `/bot${BOT_TOKEN}/sendMessage`) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: true, result: { message_id: 42 } }));
+        } else if (req.url === '/whatsapp' && req.headers.authorization === `Bearer ${WHATSAPP_KEY}`) {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ status: 'queued' }));
+        } else {
+          res.writeHead(401, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: false, description: 'Unauthorized' }));
+        }
+      });
+    });
+    
+    return new Promise(resolve => this.httpServer.listen(0, '127.0.0.1', resolve));
+  }
+
+  /**
+   * Server SMTP pengganti: EHLO, AUTH PLAIN, MAIL/RCPT/DATA, QUIT
+   */
+  startSmtpServer() {
+    this.smtpServer = net.createServer(socket => {
+      const email = { auth: null, from: null, to: [], data: '' };
+      let inData = false;
+      let buffer = '';
+      
+      socket.setEncoding('utf8');
+      socket.write('220 stand-in ESMTP\r\n');
+      socket.on('data', chunk => {
+        buffer += chunk;
+        
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          email.data = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          this.emails.push(email);
+          socket.write('250 2.0.0 queued\r\n');
+        }
+        
+        let index;
+        while (!inData && (index = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          
+          if (line.startsWith('EHLO')) {
+            socket.write('250-stand-in\r\n250-AUTH PLAIN LOGIN\r\n250 SIZE 1048576\r\n');
+          } else if (line.startsWith('AUTH PLAIN ')) {
+            email.auth = Buffer.from(line.slice(11), 'base64').toString('utf8').split('\0');
+            socket.write('235 2.7.0 accepted\r\n');
+          } else if (line.startsWith('MAIL FROM:')) {
+            email.from = line.slice(10);
+            socket.write('250 2.1.0 ok\r\n');
+          } else if (line.startsWith('RCPT TO:')) {
+            email.to.push(line.slice(8));
+            socket.write('250 2.1.5 ok\r\n');
+          } else if (line === 'DATA') {
+            inData = true;
+            socket.write('354 go ahead\r\n');
+          } else if (line === 'QUIT') {
+            socket.end('221 bye\r\n');
+          } else {
+            socket.write('502 unsupported\r\n');
+          }
+        }
+      });
+      socket.on('error', () => {});
+    });
+    
+    return new Promise(resolve => this.smtpServer.listen(0, '127.0.0.1', resolve));
+  }
+
+  async setup() {
+    this.sandboxDir = TestSandbox.create('notify', ['data/parkir-data.json']);
+    
+    await this.startHttpServer();
+    await this.startSmtpServer();
+    this.baseUrl = `http://127.0.0.1:${this.httpServer.address().port}`;
+  }
+
+  async cleanup() {
+    await Promise.all([this.httpServer, this.smtpServer]
+      .filter(Boolean)
+      .map(server => new Promise(resolve => server.close(resolve))));
+    if (this.sandboxDir) {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  /**
+   * Channel dengan semua endpoint mengarah ke server lokal; tanpa jeda retry
+   */
+  createChannels(overrides = {}) {
+    const config = {
+      notification_settings: { enabled: true, method: 'console', retry: { attempts: 3, backoff_ms: 1 } },
+      alert_channels: {
+        email: {
+          enabled: true,
+          recipients: ['admin@satlantas.jogja.id', 'supervisor@satlantas.jogja.id'],
+          from: 'Sistem Parkir <parkir@satlantas.jogja.id>',
+          smtp_server: '127.0.0.1',
+          port: this.smtpServer.address().port
+        },
+        slack: { enabled: true, webhook_url: `${this.baseUrl}/slack`, channel: '#parkir-alerts' },
+        telegram: { enabled: true, api_url: this.baseUrl, bot_token: BOT_TOKEN, chat_id: '-100200' },
+        whatsapp: { enabled: true, api_url: `${this.baseUrl}/whatsapp`, api_key: WHATSAPP_KEY, phone_number: '+6281234567890' }
+      }
+    };
+    
+    Object.entries(overrides).forEach(([name, value]) => {
+      config.alert_channels[name] = { ...config.alert_channels[name], ...value };
+    });
+    
+    return new NotificationChannels({
+      config,
+      env: { SMTP_USERNAME: 'parkir@satlantas.jogja.id', SMTP_PASSWORD: 'smtp-secret' },
+      sleep: () => Promise.resolve()
+    });
+  }
+
+  /**
+   * Test 1: Email terkirim lewat SMTP dengan AUTH dan subjek UTF-8
+   */
+  async testEmail() {
+    console.log('\n🧪 Test 1: Email via SMTP');
+    
+    const result = await this.createChannels().deliver('email', {
+      title: '🚨 PARKIR HAMPIR PENUH',
+      text: 'SENOPATI 96.5%\n.baris diawali titik'
+    });
+    const email = this.emails[0] || {};
+    const body = (email.data || '').split('\r\n\r\n')[1] || '';
+    
+    const passed = result.success && result.recipients === 2 &&
+      email.auth?.[1] === 'parkir@satlantas.jogja.id' && email.auth?.[2] === 'smtp-secret' &&
+      email.from === '<parkir@satlantas.jogja.id>' && email.to.length === 2 &&
+      /Subject: =\?UTF-8\?B\?/.test(email.data) &&
+      Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8').includes('.baris diawali titik');
+    
+    this.addResult('Email via SMTP', passed,
+      passed ? 'Authenticated, both recipients accepted, UTF-8 subject encoded' : 'SMTP delivery incorrect',
+      { result, to: email.to });
+  }
+
+  /**
+   * Test 2: Slack webhook dan Telegram Bot API
+   */
+  async testSlackAndTelegram() {
+    console.log('\n🧪 Test 2: Slack & Telegram');
+    
+    const channels = this.createChannels();
+    const message = { title: '🚨 PARKIR HAMPIR PENUH', text: 'ABU BAKAR ALI 97%' };
+    const [slack, telegram] = await channels.send(message, ['slack', 'telegram']);
+    
+    const slackRequest = this.requests.find(r => r.url === '/slack');
+    const telegramRequest = this.requests.find(r => r.url.endsWith('/sendMessage'));
+    
+    const passed = slack.success && telegram.success && telegram.message_id === 42 &&
+      slackRequest.body.channel === '#parkir-alerts' &&
+      slackRequest.body.text.startsWith('*🚨 PARKIR HAMPIR PENUH*') &&
+      telegramRequest.body.chat_id === '-100200' &&
+      telegramRequest.body.text.includes('ABU BAKAR ALI 97%');
+    
+    this.addResult('Slack & Telegram', passed,
+      passed ? 'Webhook payload and sendMessage call match the APIs' : 'Slack/Telegram payload incorrect',
+      { slack, telegram });
+  }
+
+  /**
+   * Test 3: WhatsApp ke beberapa nomor; retry tidak mengirim ulang nomor yang sudah terkirim
+   */
+  async testWhatsAppRetry() {
+    console.log('\n🧪 Test 3: WhatsApp Retry');
+    
+    this.requests = [];
+    this.failures['/whatsapp:+6282222222222'] = 1;
+    
+    const channels = this.createChannels({
+      whatsapp: { phone_number: undefined, recipients: ['+6281111111111', '+6282222222222'] }
+    });
+    const result = await channels.deliver('whatsapp', { title: 'ALERT', text: 'KOTABARU 90%' });
+    const sentTo = this.requests.map(r => r.body.to);
+    
+    const passed = result.success && result.attempts === 2 && result.recipients === 2 &&
+      sentTo.join(',') === '+6281111111111,+6282222222222,+6282222222222';
+    
+    this.addResult('WhatsApp Retry', passed,
+      passed ? 'Transient 503 retried for the failed number only' : 'WhatsApp retry incorrect',
+      { result, sentTo });
+  }
+
+  /**
+   * Test 4: Retry dengan backoff, error permanen tidak diulang, config kurang ditolak
+   */
+  async testRetryAndFailures() {
+    console.log('\n🧪 Test 4: Retry & Failures');
+    
+    this.failures['/slack-flaky:'] = 2;
+    const delays = [];
+    const flakyChannels = this.createChannels({ slack: { webhook_url: `${this.baseUrl}/slack-flaky` } });
+    flakyChannels.retry.backoff_ms = 100;
+    flakyChannels.sleep = ms => {
+      delays.push(ms);
+      return Promise.resolve();
+    };
+    const flaky = await flakyChannels.deliver('slack', { title: 'A', text: 'B' });
+    
+    const invalid = await this.createChannels({ slack: { webhook_url: `${this.baseUrl}/slack-invalid` } })
+      .deliver('slack', { title: 'A', text: 'B' });
+    const wrongToken = await this.createChannels({ telegram: { bot_token: 'salah' } })
+      .deliver('telegram', { title: 'A', text: 'B' });
+    const missingKey = await this.createChannels({ whatsapp: { api_key: '' } })
+      .deliver('whatsapp', { title: 'A', text: 'B' });
+    
+    // Port yang tidak menerima koneksi: semua percobaan habis
+    const closed = net.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const closedPort = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+    const unreachable = await this.createChannels({ email: { port: closedPort } })
+      .deliver('email', { title: 'A', text: 'B' });
+    
+    const passed = flaky.success && flaky.attempts === 3 && delays.join(',') === '100,200' &&
+      !invalid.success && invalid.attempts === 1 && invalid.status === 400 &&
+      !wrongToken.success && wrongToken.attempts === 1 && wrongToken.error.includes('Unauthorized') &&
+      !wrongToken.error.includes('salah') &&
+      !missingKey.success && missingKey.attempts === 1 && missingKey.error.includes('api_key') &&
+      !unreachable.success && unreachable.attempts === 3;
+    
+    this.addResult('Retry & Failures', passed,
+      passed ? 'Transient errors retried with backoff, 4xx and missing config fail fast' : 'Retry policy incorrect',
+      { flaky, delays, invalid, wrongToken, missingKey, unreachable });
+  }
+
+  /**
+   * Test 5: UtilizationNotifier mengirim ke semua channel aktif sekaligus
+   */
+  async testNotifierChannels() {
+    console.log('\n🧪 Test 5: Notifier Multi-Channel');
+    
+    const channels = this.createChannels({
+      email: { enabled: false },
+      whatsapp: { api_key: '' }
+    });
+    const notifier = new UtilizationNotifier({
+      rootDir: this.sandboxDir,
+      config: channels.config,
+      channels
+    });
+    
+    const alerts = [{
+      type: 'critical_utilization',
+      location: 'SENOPATI',
+      vehicle: 'mobil',
+      utilization: '96.5',
+      available: 7,
+      total: 200,
+      severity: 'critical'
+    }];
+    const result = await notifier.sendNotifications(alerts);
+    const logFile = path.join(this.sandboxDir, 'data/logs/notification-deliveries.log');
+    const logged = fs.existsSync(logFile) ? fs.readFileSync(logFile, 'utf8').trim().split('\n') : [];
+    const byChannel = Object.fromEntries(result.deliveries.map(d => [d.channel, d]));
+    
+    const passed = result.channels.join(',') === 'slack,telegram,whatsapp' &&
+      byChannel.slack.success && byChannel.telegram.success && !byChannel.whatsapp.success &&
+      result.sent === 1 && result.failed === 1 &&
+      result.method === 'console,slack,telegram,whatsapp' &&
+      logged.length === 3;
+    
+    this.addResult('Notifier Multi-Channel', passed,
+      passed ? 'Enabled channels delivered in parallel, results logged per channel' : 'Multi-channel delivery incorrect',
+      { channels: result.channels, failed: result.failed, logged: logged.length });
+  }
+
+  async runAllTests() {
+    console.log('📨 RUNNING NOTIFICATION CHANNEL TESTS\n');
+    
+    try {
+      await this.setup();
+      await this.testEmail();
+      await this.testSlackAndTelegram();
+      await this.testWhatsAppRetry();
+      await this.testRetryAndFailures();
+      await this.testNotifierChannels();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    } finally {
+      await this.cleanup();
+    }
+    
+    this.printResults();
+    this.saveResults();
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 NOTIFICATION CHANNEL TEST RESULTS');
+    console.log('='.repeat(70));
+    
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+    });
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+    
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'notification_channels',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+    
+    const reportFile = path.join(reportDir, `notification-channels-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new NotificationChannelsTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ Notification channel test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = NotificationChannelsTest;
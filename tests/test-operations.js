@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/**
+ * Test untuk registry operasi (scripts/operation-registry.js): direktori per
+ * operasi, pemilihan --operation= dan operasi arsip yang hanya bisa dibaca
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OperationRegistry = require('../scripts/operation-registry');
+const DataStore = require('../scripts/data-store');
+const UpdateProcessor = require('../scripts/process-updates');
+const APIHandler = require('../scripts/api-handler');
+const TestSandbox = require('./helpers/sandbox');
+
+const ACTIVE_ID = 'ketupat-progo-2026';
+const NEW_ID = 'lilin-progo-2026';
+
+class OperationsTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.sandboxDir = null;
+  }
+
+  /**
+   * Setup: Salin config & data ke direktori sementara
+   */
+  setup() {
+    this.sandboxDir = TestSandbox.create('operations', ['config', 'data/parkir-data.json']);
+    
+    this.registry = new OperationRegistry({ rootDir: this.sandboxDir });
+  }
+
+  cleanup() {
+    if (this.sandboxDir) {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Test 1: Pemilihan operasi dan pemetaan path
+   */
+  testSelectionAndPaths() {
+    console.log('\n🧪 Test 1: Selection & Paths');
+    
+    const active = this.registry.resolve();
+    const requested = [
+      OperationRegistry.requested(['node', 'x.js', `--operation=${NEW_ID}`], { PARKIR_OPERATION: 'other' }),
+      OperationRegistry.requested(['node', 'x.js'], { PARKIR_OPERATION: 'other' }),
+      OperationRegistry.requested(['node', 'x.js'], {})
+    ];
+    
+    // Tanpa registry (sandbox lama) tetap memakai config/ dan data/ di root
+    const legacyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parkir-operations-legacy-'));
+    const legacy = OperationRegistry.current({ rootDir: legacyDir });
+    fs.rmSync(legacyDir, { recursive: true, force: true });
+    
+    let unknown = null;
+    try {
+      this.registry.resolve('tidak-ada');
+    } catch (error) {
+      unknown = error.code;
+    }
+    
+    const passed = active.id === ACTIVE_ID && active.active &&
+      active.path('data/parkir-data.json') === path.join(this.sandboxDir, 'data/parkir-data.json') &&
+      active.path('config/system-settings.json') === path.join(this.sandboxDir, 'config/system-settings.json') &&
+      requested.join(',') === `${NEW_ID},other,` &&
+      legacy.path('data/events') === path.join(legacyDir, 'data/events') &&
+      unknown === 'E_UNKNOWN_OPERATION';
+    
+    this.addResult('Selection & Paths', passed,
+      passed ? 'Active operation, --operation/env precedence and legacy layout resolved' : 'Operation selection incorrect',
+      { active: active.id, requested, unknown });
+  }
+
+  /**
+   * Test 2: Operasi baru mendapat config dan data sendiri
+   */
+  testCreateOperation() {
+    console.log('\n🧪 Test 2: Create Operation');
+    
+    const operation = this.registry.create(NEW_ID, {
+      name: 'Operasi Lilin Progo 2026',
+      short_name: 'Ops Lilin Progo 2026',
+      period: '23 Desember 2026 - 2 Januari 2027',
+      start_date: '2026-12-23',
+      end_date: '2027-01-02'
+    });
+    
+    const config = this.readJson(operation.path('config/locations-config.json'));
+    const data = this.readJson(operation.path('data/parkir-data.json'));
+    const events = fs.readdirSync(operation.path('data/events'));
+    const kridosono = config.locations.find(l => l.code === 'KRIDOSONO');
+    
+    const passed = operation.path('data/parkir-data.json') === path.join(this.sandboxDir, `operations/${NEW_ID}/data/parkir-data.json`) &&
+      fs.existsSync(operation.path('config/officers.json')) &&
+      config.operation.name === 'Operasi Lilin Progo 2026' &&
+      !kridosono.capacity_schedule &&
+      data.metadata.operation_id === NEW_ID && data.metadata.operation_name === 'Ops Lilin Progo 2026' &&
+      data.locations.every(l => ['bus', 'mobil', 'motor'].every(type => !l[type] || l[type].available === l[type].total)) &&
+      events.length === 1 &&
+      this.registry.resolve().id === ACTIVE_ID;
+    
+    this.addResult('Create Operation', passed,
+      passed ? 'New operation has its own config, empty data and baseline event' : 'Operation not created correctly',
+      { data_dir: operation.data_dir, events });
+  }
+
+  /**
+   * Test 3: Processor bekerja pada operasi terpilih saja
+   */
+  async testProcessorPerOperation() {
+    console.log('\n🧪 Test 3: Processor Per Operation');
+    
+    const operation = this.registry.resolve(NEW_ID);
+    fs.writeFileSync(operation.path('data/pending-updates.json'), JSON.stringify([{
+      id: 'upd-lilin-1',
+      location_id: 1,
+      petugas_id: 'P001SEN',
+      petugas_name: 'Petugas SENOPATI',
+      timestamp: new Date().toISOString(),
+      status: 'pending',
+      mobil: 120
+    }], null, 2));
+    
+    const before = this.readJson(path.join(this.sandboxDir, 'data/parkir-data.json'));
+    const processor = new UpdateProcessor({
+      rootDir: this.sandboxDir,
+      operation,
+      auth: { verifyUpdate: () => ({ valid: true }) }
+    });
+    const result = await processor.processUpdates();
+    
+    const after = this.readJson(path.join(this.sandboxDir, 'data/parkir-data.json'));
+    const updated = this.readJson(operation.path('data/parkir-data.json'));
+    
+    const passed = result.processed === 1 &&
+      updated.locations[0].mobil.available === 120 &&
+      JSON.stringify(after) === JSON.stringify(before);
+    
+    this.addResult('Processor Per Operation', passed,
+      passed ? 'Update applied to the selected operation only' : 'Update leaked into another operation',
+      { processed: result.processed, mobil: updated.locations[0].mobil.available });
+  }
+
+  /**
+   * Test 4: Operasi arsip hanya bisa dibaca
+   */
+  async testArchivedReadOnly() {
+    console.log('\n🧪 Test 4: Archived Read-Only');
+    
+    const errors = {};
+    const capture = (name, fn) => {
+      try {
+        fn();
+      } catch (error) {
+        errors[name] = error.code;
+      }
+    };
+    
+    capture('archive_active', () => this.registry.archive(ACTIVE_ID));
+    this.registry.activate(NEW_ID);
+    this.registry.archive(ACTIVE_ID);
+    capture('activate_archived', () => this.registry.activate(ACTIVE_ID));
+    
+    const archived = this.registry.resolve(ACTIVE_ID);
+    const store = new DataStore({ rootDir: this.sandboxDir, operation: archived });
+    capture('write', () => store.write('data', store.read('data')));
+    
+    const processor = new UpdateProcessor({
+      rootDir: this.sandboxDir,
+      operation: archived,
+      auth: { verifyUpdate: () => ({ valid: true }) }
+    });
+    const processed = await processor.processUpdates();
+    
+    const handler = new APIHandler({ rootDir: this.sandboxDir, operation: archived, auth: {} });
+    const response = await handler.handleUpdateSubmission({ body: { location_id: 1, mobil: 10 }, headers: {} });
+    const operations = handler.getOperations();
+    
+    const passed = errors.archive_active === 'E_ACTIVE' &&
+      errors.activate_archived === 'E_READ_ONLY' &&
+      errors.write === 'E_READ_ONLY' &&
+      processed.processed === 0 &&
+      response.status === 403 && response.body.code === 'E_READ_ONLY' &&
+      operations.find(op => op.id === ACTIVE_ID).archived === true &&
+      operations.find(op => op.id === NEW_ID).active === true &&
+      operations.find(op => op.id === NEW_ID).files.data === `operations/${NEW_ID}/data/parkir-data.json`;
+    
+    this.addResult('Archived Read-Only', passed,
+      passed ? 'Archived operation rejects writes, stays listed for the public page' : 'Archived operation still writable',
+      { errors, api_status: response.status });
+  }
+
+  async runAllTests() {
+    console.log('🗂️ RUNNING OPERATION REGISTRY TESTS\n');
+    
+    this.setup();
+    
+    try {
+      this.testSelectionAndPaths();
+      this.testCreateOperation();
+      await this.testProcessorPerOperation();
+      await this.testArchivedReadOnly();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    } finally {
+      this.cleanup();
+    }
+    
+    this.printResults();
+    this.saveResults();
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 OPERATION REGISTRY TEST RESULTS');
+    console.log('='.repeat(70));
+    
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+    });
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+    
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'operations',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+    
+    const reportFile = path.join(reportDir, `operations-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new OperationsTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ Operations test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = OperationsTest;
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+/**
+ * Test untuk status kendaraan dari status_definitions (scripts/status-engine.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StatusEngine = require('../scripts/status-engine');
+const DataStore = require('../scripts/data-store');
+const APIHandler = require('../scripts/api-handler');
+const UpdateProcessor = require('../scripts/process-updates');
+const TestSandbox = require('./helpers/sandbox');
+
+const TEST_PIN = TestSandbox.TEST_PIN;
+
+class StatusEngineTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.sandboxDir = null;
+  }
+
+  /**
+   * Setup: Salin data & config ke direktori sementara, akun petugas dengan PIN uji
+   */
+  setup() {
+    this.sandboxDir = TestSandbox.create('status', ['data/parkir-data.json', 'config/locations-config.json', 'config/vehicle-types.json']);
+    TestSandbox.seedOfficers(this.sandboxDir);
+  }
+
+  cleanup() {
+    if (this.sandboxDir) {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  /**
+   * Test 1: Threshold dari config/vehicle-types.json menentukan status; total 0 = not_available
+   */
+  testThresholds() {
+    console.log('\n🧪 Test 1: Thresholds From Config');
+    
+    const engine = StatusEngine.load({ rootDir: this.sandboxDir });
+    const statuses = [100, 80, 70, 50, 10, 0].map(available => engine.status(available, 100));
+    const unavailable = engine.status(0, 0, 'empty');
+    
+    // Threshold diubah di config langsung dipakai
+    const file = path.join(this.sandboxDir, 'config/vehicle-types.json');
+    const original = fs.readFileSync(file, 'utf8');
+    const config = JSON.parse(original);
+    config.status_definitions.available.threshold = 10;
+    fs.writeFileSync(file, JSON.stringify(config, null, 2));
+    const custom = StatusEngine.load({ rootDir: this.sandboxDir }).status(15, 100);
+    fs.writeFileSync(file, original);
+    
+    const passed = statuses.join(',') === 'empty,available,available,limited,limited,full' &&
+      unavailable === 'not_available' &&
+      custom === 'available' &&
+      engine.describe('limited').color === '#F59E0B';
+    
+    this.addResult('Thresholds From Config', passed,
+      passed ? 'Status follows status_definitions thresholds, including edited ones' : `Unexpected: ${statuses.join(',')} / ${unavailable} / ${custom}`,
+      { statuses, unavailable, custom });
+  }
+
+  /**
+   * Test 2: Hysteresis - status hanya pindah setelah batas dilewati sejauh margin
+   */
+  testHysteresis() {
+    console.log('\n🧪 Test 2: Hysteresis');
+    
+    const engine = new StatusEngine({ hysteresis: 5 });
+    let status = 'limited';
+    const sequence = [69, 72, 74, 76, 66, 65, 64, 10, 1, 0, 1, 29].map(available => {
+      status = engine.status(available, 100, status);
+      return status;
+    });
+    const expected = ['limited', 'limited', 'limited', 'available', 'available', 'available', 'limited', 'limited', 'limited', 'full', 'limited', 'limited'];
+    
+    // Tanpa status sebelumnya dipakai threshold apa adanya; hasilnya stabil jika dihitung ulang
+    const raw = engine.status(69, 100);
+    const stable = [0, 1, 12, 28, 33, 69, 100].every(available => {
+      const first = engine.status(available, 100);
+      return engine.status(available, 100, first) === first;
+    });
+    
+    const passed = sequence.join(',') === expected.join(',') && raw === 'limited' && stable;
+    
+    this.addResult('Hysteresis', passed,
+      passed ? 'Available/limited boundary needs ±5% before flipping, full only at 0 free; recomputation is stable' : `Unexpected: ${sequence.join(',')}`,
+      { sequence, expected, raw });
+  }
+
+  /**
+   * Test 3: Update petugas yang diterapkan processor ikut menghitung ulang status
+   */
+  async testWritersRecompute() {
+    console.log('\n🧪 Test 3: Writers Recompute Status');
+    
+    const handler = new APIHandler({ rootDir: this.sandboxDir });
+    const store = new DataStore({ rootDir: this.sandboxDir });
+    const login = await handler.handleRequest({
+      method: 'POST',
+      url: '/api/auth/login',
+      body: { officer_id: 'P001SEN', pin: TEST_PIN }
+    });
+    
+    const statuses = [];
+    for (const mobil of [0, 50, 150]) {
+      await handler.handleRequest({
+        method: 'POST',
+        url: '/api/updates',
+        headers: { authorization: `Bearer ${login.body.token}` },
+        body: { location: 'SENOPATI', timestamp: new Date().toISOString(), mobil }
+      });
+      await new UpdateProcessor({ rootDir: this.sandboxDir }).processUpdates();
+      const location = store.read('data').locations.find(l => l.id === 1);
+      statuses.push(`${location.mobil.available}:${location.mobil.status}`);
+    }
+    
+    // Penulisan langsung lewat DataStore juga memperbaiki status yang tertinggal
+    const data = store.read('data');
+    data.locations[0].bus.available = 0;
+    data.locations[0].bus.status = 'empty';
+    store.write('data', data);
+    const bus = store.read('data').locations[0].bus;
+    const unavailable = store.read('data').locations
+      .flatMap(location => ['bus', 'mobil', 'motor'].map(type => location[type]))
+      .filter(vehicle => vehicle.total === 0)
+      .every(vehicle => vehicle.status === 'not_available');
+    
+    // mobil SENOPATI 200: 0 tempat penuh, 25% terbatas, 75% tersedia
+    const passed = statuses.join(',') === '0:full,50:limited,150:available' &&
+      bus.status === (bus.total > 0 ? 'full' : 'not_available') &&
+      unavailable;
+    
+    this.addResult('Writers Recompute Status', passed,
+      passed ? 'Processed updates and direct writes store the derived status' : `Unexpected: ${statuses.join(',')} / bus ${bus.status}`,
+      { statuses, bus });
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting Status Engine Tests...\n');
+    
+    try {
+      this.setup();
+      this.testThresholds();
+      this.testHysteresis();
+      await this.testWritersRecompute();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    } finally {
+      this.cleanup();
+    }
+    
+    this.printResults();
+    this.saveResults();
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 STATUS ENGINE TEST RESULTS');
+    console.log('='.repeat(70));
+    
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+    });
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+    
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'status_engine',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+    
+    const reportFile = path.join(reportDir, `status-engine-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new StatusEngineTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ Status engine test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = StatusEngineTest;
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Test untuk jam operasional (scripts/time-window.js) dan penahanan alert saat lokasi tutup
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TimeWindow = require('../scripts/time-window');
+const CapacitySchedule = require('../scripts/capacity-schedule');
+const StatisticsMonitor = require('../scripts/monitor-statistics');
+
+class TimeWindowTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.window = new TimeWindow({ timezone: 'Asia/Jakarta', closingSoonMinutes: 30 });
+    this.config = JSON.parse(fs.readFileSync(path.join(this.rootDir, 'config/locations-config.json'), 'utf8'));
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  /**
+   * Test 1: Buka, segera tutup dan tutup untuk jam 06:00-22:00 (WIB)
+   */
+  testStates() {
+    console.log('\n🧪 Test 1: Open / Closing Soon / Closed');
+    
+    const states = ['2026-04-21T00:00:00Z', '2026-04-21T14:45:00Z', '2026-04-21T15:30:00Z']
+      .map(at => this.window.status('06:00-22:00', at));
+    const closed = states[2];
+    
+    const passed = states.map(s => s.state).join(',') === 'open,closing_soon,closed' &&
+      closed.opens_at === '06:00' &&
+      closed.next_change_at === '2026-04-21T23:00:00.000Z';
+    
+    this.addResult('Open / Closing Soon / Closed', passed,
+      passed ? '07:00 open, 21:45 closing soon, 22:30 closed until 06:00' : 'Wrong operational state',
+      { states: states.map(s => s.state), next_change_at: closed.next_change_at });
+  }
+
+  /**
+   * Test 2: Jam yang melewati tengah malam dan zona waktu dari pengaturan
+   */
+  testMidnightAndTimezone() {
+    console.log('\n🧪 Test 2: Midnight Crossing & Timezone');
+    
+    // 22:00-02:00 WIB: 23:00 dan 01:45 buka (01:45 segera tutup), 03:00 tutup
+    const overnight = ['2026-04-21T16:00:00Z', '2026-04-21T18:45:00Z', '2026-04-21T20:00:00Z']
+      .map(at => this.window.status('22:00-02:00', at).state);
+    const allDay = this.window.status('00:00-24:00', '2026-04-21T16:59:00Z').state;
+    
+    // Waktu yang sama dibaca di zona lain menghasilkan tanggal lokal berbeda
+    const makassar = new TimeWindow({ timezone: 'Asia/Makassar' }).localTime('2026-04-22T16:30:00Z');
+    const fromSettings = TimeWindow.fromSettings(this.rootDir);
+    
+    const passed = overnight.join(',') === 'open,closing_soon,closed' &&
+      allDay === 'open' &&
+      makassar.date === '2026-04-23' &&
+      fromSettings.timezone === 'Asia/Jakarta' && fromSettings.closingSoonMinutes === 30;
+    
+    this.addResult('Midnight Crossing & Timezone', passed,
+      passed ? 'Overnight windows and configured timezone handled' : 'Window or timezone handling broken',
+      { overnight, allDay, makassar, timezone: fromSettings.timezone });
+  }
+
+  /**
+   * Test 3: Status ditandai di data; lokasi berjadwal tutup di luar periode
+   */
+  testAnnotateData() {
+    console.log('\n🧪 Test 3: Annotate Data');
+    
+    const data = JSON.parse(fs.readFileSync(path.join(this.rootDir, 'data/parkir-data.json'), 'utf8'));
+    const at = '2026-05-01T12:00:00Z'; // 19:00 WIB, di luar periode Kridosono
+    const changes = CapacitySchedule.annotate(data, this.config, at);
+    const again = CapacitySchedule.annotate(data, this.config, at);
+    
+    const senopati = data.locations.find(l => l.id === 1);
+    const kridosono = data.locations.find(l => l.id === 15);
+    const passed = senopati.operational_status === 'open' &&
+      kridosono.operational_status === 'closed' &&
+      changes.length === data.locations.length && again.length === 0;
+    
+    this.addResult('Annotate Data', passed,
+      passed ? 'Locations marked, unchanged states not rewritten' : 'Annotation incorrect',
+      { senopati: senopati.operational_status, kridosono: kridosono.operational_status, changes: changes.length });
+  }
+
+  /**
+   * Test 4: Alert stale & utilisasi ditahan untuk lokasi yang tutup
+   */
+  testAlertSuppression() {
+    console.log('\n🧪 Test 4: Alert Suppression');
+    
+    // Jendela yang pasti tutup sekarang: dimulai satu jam lagi
+    const { minutes } = CapacitySchedule.localTime(new Date());
+    const start = (minutes + 60) % 1440;
+    const closedHours = `${TimeWindow.formatMinutes(start)}-${TimeWindow.formatMinutes((start + 60) % 1440)}`;
+    
+    const monitor = new StatisticsMonitor();
+    monitor.notificationSettings = { thresholds: { utilization: { warning: 80, critical: 95 }, time_based: { no_update_alert_hours: 2 } } };
+    monitor.config = { locations: [
+      { id: 1, operational_hours: '00:00-24:00' },
+      { id: 2, operational_hours: closedHours }
+    ] };
+    
+    const staleTime = new Date(Date.now() - 5 * 3600000).toISOString();
+    const locations = [1, 2].map(id => ({
+      id,
+      nama: `LOKASI ${id}`,
+      mobil: { total: 100, available: 1, last_update: staleTime }
+    }));
+    
+    const stale = monitor.checkStaleUpdates(locations).map(a => a.location);
+    const utilization = monitor.checkHighUtilization(locations).map(a => a.location);
+    const passed = stale.join(',') === 'LOKASI 1' && utilization.join(',') === 'LOKASI 1';
+    
+    this.addResult('Alert Suppression', passed,
+      passed ? 'Closed location raises no stale or utilization alerts' : 'Alerts raised for closed location',
+      { closed_hours: closedHours, stale, utilization });
+  }
+
+  async runAllTests() {
+    console.log('🕒 RUNNING TIME WINDOW TESTS\n');
+    
+    try {
+      this.testStates();
+      this.testMidnightAndTimezone();
+      this.testAnnotateData();
+      this.testAlertSuppression();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    }
+    
+    this.printResults();
+    this.saveResults();
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 TIME WINDOW TEST RESULTS');
+    console.log('='.repeat(70));
+    
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+    });
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+    
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'time_window',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+    
+    const reportFile = path.join(reportDir, `time-window-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new TimeWindowTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ Time window test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = TimeWindowTest;
@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+/**
+ * Test untuk outbox update petugas (scripts/update-outbox.js): urutan kirim,
+ * backoff eksponensial, Retry-After, status per entry dan replay ke APIHandler
+ */
+
+const fs = require('fs');
+const path = require('path');
+const UpdateOutbox = require('../scripts/update-outbox');
+const APIHandler = require('../scripts/api-handler');
+const MaintenanceMode = require('../scripts/maintenance-mode');
+const TestSandbox = require('./helpers/sandbox');
+
+const TEST_PIN = TestSandbox.TEST_PIN;
+const STATES = UpdateOutbox.STATES;
+
+class UpdateOutboxTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.sandboxDir = null;
+    this.clock = Date.parse('2026-04-01T08:00:00Z');
+  }
+
+  /**
+   * Setup: Salin data & config ke direktori sementara, akun petugas dengan PIN uji
+   */
+  setup() {
+    this.sandboxDir = TestSandbox.create('outbox', ['data/parkir-data.json', 'config/locations-config.json', 'config/system-settings.json']);
+    TestSandbox.seedOfficers(this.sandboxDir);
+  }
+
+  cleanup() {
+    if (this.sandboxDir) {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  /**
+   * Response seperti fetch(); respond(body, request) mengembalikan { status, body, headers }
+   */
+  fakeFetch(respond) {
+    const calls = [];
+    const fetch = async (url, init) => {
+      const body = JSON.parse(init.body);
+      calls.push(body.idempotency_key);
+      const reply = await respond(body, { url, ...init });
+      if (reply instanceof Error) throw reply;
+      
+      const headers = reply.headers || {};
+      return {
+        ok: reply.status >= 200 && reply.status < 300,
+        status: reply.status,
+        headers: { get: name => headers[name] || null },
+        json: async () => reply.body || {}
+      };
+    };
+    return { fetch, calls };
+  }
+
+  outbox(fetch) {
+    return new UpdateOutbox({
+      store: new UpdateOutbox.MemoryStore(),
+      fetch,
+      now: () => this.clock,
+      random: () => 0.5 // tanpa jitter
+    });
+  }
+
+  update(key, values = { mobil: 1 }) {
+    return {
+      type: 'delta',
+      location_id: 1,
+      location_code: 'SENOPATI',
+      timestamp: new Date(this.clock).toISOString(),
+      idempotency_key: key,
+      ...values
+    };
+  }
+
+  async session(outbox, officerId = 'P001SEN') {
+    await outbox.setSession({ token: 'token', officer_id: officerId, expires_at: new Date(this.clock + 3600000).toISOString() });
+  }
+
+  /**
+   * Test 1: Entry dikirim berurutan; entry gagal menahan entry sesudahnya
+   */
+  async testOrderedReplay() {
+    console.log('\n🧪 Test 1: Ordered Replay');
+    
+    let online = false;
+    const { fetch, calls } = this.fakeFetch(() => online ? { status: 201, body: { success: true } } : new Error('Failed to fetch'));
+    const outbox = this.outbox(fetch);
+    await this.session(outbox);
+    for (const key of ['batch-0001', 'batch-0002', 'batch-0003']) {
+      await outbox.enqueue(this.update(key), 'P001SEN');
+    }
+    
+    const offline = await outbox.replay();
+    const sentOffline = [...calls];
+    online = true;
+    this.clock += 60 * 1000;
+    const back = await outbox.replay();
+    const states = (await outbox.list()).map(entry => entry.state);
+    
+    const passed = sentOffline.join() === 'batch-0001' &&
+      offline.pending === 3 && offline.network_error &&
+      calls.slice(1).join() === 'batch-0001,batch-0002,batch-0003' &&
+      back.delivered.length === 3 && states.every(state => state === STATES.DELIVERED);
+    
+    this.addResult('Ordered Replay', passed,
+      passed ? 'Offline: only the head was tried; online: 3 entries delivered in queue order' : `Unexpected: ${JSON.stringify({ calls, states })}`,
+      { calls, states });
+  }
+
+  /**
+   * Test 2: Backoff eksponensial, tidak dibuang setelah 3 percobaan
+   */
+  async testExponentialBackoff() {
+    console.log('\n🧪 Test 2: Exponential Backoff');
+    
+    const { fetch, calls } = this.fakeFetch(() => new Error('Failed to fetch'));
+    const outbox = this.outbox(fetch);
+    await this.session(outbox);
+    await outbox.enqueue(this.update('batch-0101'), 'P001SEN');
+    
+    const delays = [];
+    for (let attempt = 1; attempt <= 6; attempt++) {
+      await outbox.replay();
+      const entry = await outbox.get('batch-0101');
+      const delay = Date.parse(entry.next_attempt_at) - this.clock;
+      delays.push(delay);
+      
+      // Belum waktunya: tidak dikirim
+      this.clock += delay - 1000;
+      await outbox.replay();
+      this.clock += 1000;
+    }
+    const entry = await outbox.get('batch-0101');
+    
+    const passed = delays.join() === '5000,10000,20000,40000,80000,160000' &&
+      calls.length === 6 &&
+      entry.state === STATES.RETRYING && entry.attempts === 6 &&
+      UpdateOutbox.retryDelay(20, UpdateOutbox.DEFAULT_BACKOFF, () => 1) === UpdateOutbox.DEFAULT_BACKOFF.max;
+    
+    this.addResult('Exponential Backoff', passed,
+      passed ? `Delays ${delays.map(d => d / 1000 + 's').join(', ')}; still queued after 6 attempts, capped at 15 minutes` : `Unexpected: ${JSON.stringify({ delays, calls: calls.length, entry })}`,
+      { delays, attempts: entry.attempts });
+  }
+
+  /**
+   * Test 3: Ditolak server (final) tidak menahan antrian; 401 menunggu login, petugas lain tidak ikut terkirim
+   */
+  async testRejectedAndLogin() {
+    console.log('\n🧪 Test 3: Rejected And Login');
+    
+    let authorized = true;
+    const { fetch, calls } = this.fakeFetch(body => {
+      if (!authorized) return { status: 401, body: { error: 'Session expired or invalid' } };
+      if (body.mobil < 0) {
+        return { status: 400, body: { error: 'Validation failed', details: [{ code: 'E_NEGATIVE', field: 'mobil', message: 'mobil cannot be negative' }] } };
+      }
+      return { status: 201, body: { success: true, id: body.idempotency_key } };
+    });
+    const outbox = this.outbox(fetch);
+    await this.session(outbox);
+    await outbox.enqueue(this.update('batch-0201', { mobil: -500 }), 'P001SEN');
+    await outbox.enqueue(this.update('batch-0202'), 'P001SEN');
+    await outbox.enqueue(this.update('batch-0203'), 'P002NGA');
+    const duplicate = await outbox.enqueue(this.update('batch-0202', { mobil: 9 }), 'P001SEN');
+    
+    const first = await outbox.replay();
+    const rejected = await outbox.get('batch-0201');
+    
+    authorized = false;
+    await outbox.enqueue(this.update('batch-0204'), 'P001SEN');
+    const expired = await outbox.replay();
+    const waiting = await outbox.get('batch-0204');
+    
+    await outbox.setSession(null);
+    const callsBefore = calls.length;
+    const loggedOut = await outbox.replay();
+    
+    const passed = rejected.state === STATES.REJECTED && rejected.details[0].code === 'E_NEGATIVE' &&
+      first.delivered.map(entry => entry.key).join() === 'batch-0202' &&
+      duplicate.update.mobil === 1 &&
+      !calls.includes('batch-0203') &&
+      waiting.state === STATES.WAITING_LOGIN && expired.login_required &&
+      loggedOut.login_required && calls.length === callsBefore && loggedOut.pending === 2;
+    
+    this.addResult('Rejected And Login', passed,
+      passed ? 'Rejected entry kept with its issues, next entry still sent; 401 waits for login; other officer\'s entry untouched' : `Unexpected: ${JSON.stringify({ calls, rejected, waiting, loggedOut })}`,
+      { calls });
+  }
+
+  /**
+   * Test 4: Mode pemeliharaan (503 + Retry-After) menunda kirim sesuai server
+   */
+  async testRetryAfter() {
+    console.log('\n🧪 Test 4: Retry After');
+    
+    const { fetch } = this.fakeFetch(() => ({
+      status: 503,
+      headers: { 'Retry-After': '300' },
+      body: { error: 'System is in maintenance mode (read-only), retry later', code: 'E_MAINTENANCE', reason: 'Restore backup', retry_after: 300 }
+    }));
+    const outbox = this.outbox(fetch);
+    await this.session(outbox);
+    await outbox.enqueue(this.update('batch-0301'), 'P001SEN');
+    
+    const summary = await outbox.replay();
+    const entry = await outbox.get('batch-0301');
+    
+    const passed = entry.state === STATES.RETRYING &&
+      Date.parse(entry.next_attempt_at) - this.clock === 300 * 1000 &&
+      summary.maintenance?.reason === 'Restore backup' &&
+      summary.next_attempt_at === entry.next_attempt_at && !summary.network_error;
+    
+    this.addResult('Retry After', passed,
+      passed ? 'Maintenance 503 reschedules after Retry-After (300s) instead of the 5s backoff' : `Unexpected: ${JSON.stringify({ summary, entry })}`,
+      { next_attempt_at: entry.next_attempt_at });
+  }
+
+  /**
+   * Test 5: Replay ke APIHandler sungguhan: ditahan selama pemeliharaan, lalu masuk antrian sekali
+   */
+  async testReplayAgainstApi() {
+    console.log('\n🧪 Test 5: Replay Against API');
+    
+    const handler = new APIHandler({ rootDir: this.sandboxDir });
+    const maintenance = new MaintenanceMode({ rootDir: this.sandboxDir });
+    const login = await handler.handleRequest({
+      method: 'POST',
+      url: '/api/auth/login',
+      body: { officer_id: 'P001SEN', pin: TEST_PIN }
+    });
+    const { fetch } = this.fakeFetch((body, request) => handler.handleRequest({
+      method: request.method,
+      url: request.url,
+      headers: Object.fromEntries(Object.entries(request.headers).map(([name, value]) => [name.toLowerCase(), value])),
+      body
+    }));
+    const outbox = this.outbox(fetch);
+    await outbox.setSession({ token: login.body.token, officer_id: 'P001SEN', expires_at: login.body.expires_at });
+    await outbox.enqueue({ ...this.update('batch-0401', { mobil: 3 }), timestamp: new Date().toISOString() }, 'P001SEN');
+    
+    maintenance.enable('Restore backup', { retryAfter: 60 });
+    const held = await outbox.replay();
+    maintenance.disable();
+    this.clock += 61 * 1000;
+    const delivered = await outbox.replay();
+    const again = await outbox.replay();
+    
+    const pending = JSON.parse(fs.readFileSync(path.join(this.sandboxDir, 'data/pending-updates.json'), 'utf8'));
+    const queued = pending.filter(update => update.id === 'batch-0401');
+    
+    const passed = held.maintenance?.code === 'E_MAINTENANCE' && held.pending === 1 &&
+      delivered.delivered.length === 1 && delivered.delivered[0].result.id === 'batch-0401' &&
+      again.delivered.length === 0 &&
+      queued.length === 1 && queued[0].type === 'delta' && queued[0].mobil === 3;
+    
+    this.addResult('Replay Against API', passed,
+      passed ? 'Held with 503 during maintenance, delivered once afterwards under its idempotency key' : `Unexpected: ${JSON.stringify({ held, delivered, queued })}`,
+      { queued: queued.length });
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting Update Outbox Tests...\n');
+    
+    try {
+      this.setup();
+      await this.testOrderedReplay();
+      await this.testExponentialBackoff();
+      await this.testRejectedAndLogin();
+      await this.testRetryAfter();
+      await this.testReplayAgainstApi();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    } finally {
+      this.cleanup();
+    }
+    
+    this.printResults();
+    this.saveResults();
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 UPDATE OUTBOX TEST RESULTS');
+    console.log('='.repeat(70));
+    
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+    });
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+    
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'update-outbox',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+    
+    const reportFile = path.join(reportDir, `update-outbox-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new UpdateOutboxTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ Update outbox test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = UpdateOutboxTest;
@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+/**
+ * Test untuk aturan validasi bersama (scripts/validation-rules.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const ValidationRules = require('../scripts/validation-rules');
+const DataStore = require('../scripts/data-store');
+const APIHandler = require('../scripts/api-handler');
+const UpdateProcessor = require('../scripts/process-updates');
+const TestSandbox = require('./helpers/sandbox');
+
+const TEST_PIN = TestSandbox.TEST_PIN;
+
+class ValidationRulesTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.sandboxDir = null;
+  }
+
+  /**
+   * Setup: Salin data & config ke direktori sementara, akun petugas dengan PIN uji
+   */
+  setup() {
+    this.sandboxDir = TestSandbox.create('validation', ['data/parkir-data.json', 'config/locations-config.json', 'config/vehicle-types.json', 'config/system-settings.json']);
+    TestSandbox.seedOfficers(this.sandboxDir);
+  }
+
+  cleanup() {
+    if (this.sandboxDir) {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  codes(result) {
+    return [...result.errors, ...result.warnings].map(issue => issue.code).sort().join(',');
+  }
+
+  baseUpdate(values = {}) {
+    return { location_id: 1, petugas_name: 'Petugas SENOPATI', timestamp: new Date().toISOString(), ...values };
+  }
+
+  /**
+   * Test 1: Issue berkode untuk setiap aturan; location_id string dinormalisasi
+   */
+  testCodedIssues() {
+    console.log('\n🧪 Test 1: Coded Issues');
+    
+    const rules = ValidationRules.load({ rootDir: this.sandboxDir });
+    const capacity = { bus: 0, mobil: 200, motor: 300 };
+    const cases = {
+      numericString: rules.validateUpdate(this.baseUpdate({ location_id: '1', mobil: '25' }), { capacity }),
+      fraction: rules.validateUpdate(this.baseUpdate({ mobil: '12.5' }), { capacity }),
+      negative: rules.validateUpdate(this.baseUpdate({ mobil: -3 }), { capacity }),
+      empty: rules.validateUpdate(this.baseUpdate({ mobil: '' }), { capacity }),
+      capped: rules.validateUpdate(this.baseUpdate({ mobil: 250, bus: 2 }), { capacity }),
+      strict: rules.validateUpdate(this.baseUpdate({ mobil: 250 }), { capacity, strict: true }),
+      typeMaximum: rules.validateUpdate(this.baseUpdate({ bus: 1500 })),
+      emptyDelta: rules.validateUpdate(this.baseUpdate({ type: 'delta', mobil: 0 }), { capacity }),
+      missing: rules.validateUpdate({ mobil: 5 })
+    };
+    
+    const passed = cases.numericString.valid && cases.numericString.value.location_id === 1 && cases.numericString.value.mobil === 25 &&
+      this.codes(cases.fraction) === 'E_NOT_INTEGER' &&
+      this.codes(cases.negative) === 'E_NEGATIVE' &&
+      this.codes(cases.empty) === 'E_EMPTY_VALUE' &&
+      cases.capped.valid && this.codes(cases.capped) === 'W_CAPPED_TO_CAPACITY,W_TYPE_NOT_AVAILABLE' &&
+      cases.capped.value.mobil === 200 && cases.capped.value.bus === undefined &&
+      !cases.strict.valid && this.codes(cases.strict) === 'E_EXCEEDS_CAPACITY' &&
+      cases.typeMaximum.valid && this.codes(cases.typeMaximum) === 'W_ABOVE_TYPE_MAXIMUM' &&
+      this.codes(cases.emptyDelta) === 'E_EMPTY_DELTA' &&
+      this.codes(cases.missing) === 'E_LOCATION_REQUIRED,E_PETUGAS_REQUIRED,E_TIMESTAMP_REQUIRED';
+    
+    this.addResult('Coded Issues', passed,
+      passed ? 'Each rule reports its own code; numeric string location_id becomes a number' : 'Unexpected issue codes',
+      Object.fromEntries(Object.entries(cases).map(([name, result]) => [name, this.codes(result)])));
+  }
+
+  /**
+   * Test 2: validation_rules dan limits.max_notes_length dibaca dari config
+   */
+  testRulesFromConfig() {
+    console.log('\n🧪 Test 2: Rules From Config');
+    
+    const typesFile = path.join(this.sandboxDir, 'config/vehicle-types.json');
+    const settingsFile = path.join(this.sandboxDir, 'config/system-settings.json');
+    const originalTypes = fs.readFileSync(typesFile, 'utf8');
+    const originalSettings = fs.readFileSync(settingsFile, 'utf8');
+    
+    const types = JSON.parse(originalTypes);
+    types.validation_rules.allow_zero = false;
+    types.validation_rules.must_be_integer = false;
+    fs.writeFileSync(typesFile, JSON.stringify(types, null, 2));
+    fs.writeFileSync(settingsFile, originalSettings.replace(/"max_notes_length":\s*\d+/, '"max_notes_length": 20'));
+    
+    const rules = ValidationRules.load({ rootDir: this.sandboxDir });
+    const zero = rules.validateUpdate(this.baseUpdate({ mobil: 0 }));
+    const fraction = rules.validateUpdate(this.baseUpdate({ mobil: '12.5' }));
+    const notes = rules.validateUpdate(this.baseUpdate({ mobil: 5, notes: 'Antrian panjang di pintu masuk utara' }));
+    
+    fs.writeFileSync(typesFile, originalTypes);
+    fs.writeFileSync(settingsFile, originalSettings);
+    
+    const passed = this.codes(zero) === 'E_ZERO_NOT_ALLOWED' &&
+      fraction.valid && fraction.value.mobil === 12.5 &&
+      rules.maxNotesLength === 20 &&
+      notes.valid && this.codes(notes) === 'W_NOTES_TRUNCATED' && notes.value.notes.length === 20;
+    
+    this.addResult('Rules From Config', passed,
+      passed ? 'Edited validation_rules and limits.max_notes_length take effect' : 'Config rules were not applied',
+      { zero: this.codes(zero), fraction: fraction.value.mobil, max_notes_length: rules.maxNotesLength });
+  }
+
+  /**
+   * Test 3: API dan processor memakai aturan yang sama (kode sama, nilai dipotong sama)
+   */
+  async testSameVerdictAcrossPipeline() {
+    console.log('\n🧪 Test 3: Same Verdict Across Pipeline');
+    
+    const handler = new APIHandler({ rootDir: this.sandboxDir });
+    const store = new DataStore({ rootDir: this.sandboxDir });
+    const login = await handler.handleRequest({
+      method: 'POST',
+      url: '/api/auth/login',
+      body: { officer_id: 'P001SEN', pin: TEST_PIN }
+    });
+    const submit = body => handler.handleRequest({
+      method: 'POST',
+      url: '/api/updates',
+      headers: { authorization: `Bearer ${login.body.token}` },
+      body: { location: 'SENOPATI', timestamp: new Date().toISOString(), ...body }
+    });
+    
+    const rejected = await submit({ mobil: -3 });
+    const capped = await submit({ mobil: 999 });
+    const queued = store.read('pending').find(update => update.id === capped.body.id);
+    
+    // Entry yang tidak lewat API (ditulis langsung ke antrian) ditolak processor dengan pesan yang sama
+    store.update('pending', pending => {
+      pending.push({ ...queued, id: 'direct-negative', idempotency_key: 'direct-negative', mobil: -3 });
+    });
+    const processor = new UpdateProcessor({
+      rootDir: this.sandboxDir,
+      auth: { verifyUpdate: () => ({ valid: true }) }
+    });
+    await processor.processUpdates();
+    
+    const data = store.read('data');
+    const failed = store.read('pending').find(update => update.id === 'direct-negative');
+    const mobil = data.locations.find(location => location.id === 1).mobil;
+    const apiMessage = rejected.body.details?.[0]?.message;
+    
+    const passed = rejected.status === 400 &&
+      rejected.body.details?.[0]?.code === 'E_NEGATIVE' &&
+      capped.status === 201 &&
+      queued.mobil === mobil.total && queued.warnings?.[0]?.code === 'W_CAPPED_TO_CAPACITY' &&
+      mobil.available === mobil.total &&
+      failed?.status === 'failed' && Boolean(apiMessage) && (failed.error || '').includes(apiMessage);
+    
+    this.addResult('Same Verdict Across Pipeline', passed,
+      passed ? 'API rejects E_NEGATIVE and caps above capacity; processor applies the same rules' : `Unexpected: ${rejected.status} / ${capped.status} / ${failed?.status} ${failed?.error}`,
+      { rejected: rejected.body, queued, failed });
+  }
+
+  /**
+   * Test 4: Script yang sama di browser (window.ValidationRules) memberi hasil identik
+   */
+  testBrowserBuild() {
+    console.log('\n🧪 Test 4: Browser Build');
+    
+    const context = { console };
+    context.self = context;
+    vm.createContext(context);
+    ['scripts/vehicle-types.js', 'scripts/validation-rules.js'].forEach(file => {
+      vm.runInContext(fs.readFileSync(path.join(this.rootDir, file), 'utf8'), context, { filename: file });
+    });
+    
+    const config = JSON.parse(fs.readFileSync(path.join(this.sandboxDir, 'config/vehicle-types.json'), 'utf8'));
+    const settings = { limits: { max_notes_length: 500 } };
+    const browser = context.ValidationRules.fromConfig(config, settings);
+    const node = ValidationRules.fromConfig(config, settings);
+    
+    const now = '2026-03-30T08:00:00.000Z';
+    const inputs = [
+      this.baseUpdate({ timestamp: now, location_id: '2', mobil: '40', motor: 900 }),
+      this.baseUpdate({ timestamp: now, type: 'delta', mobil: 3, motor: -250 }),
+      this.baseUpdate({ timestamp: 'kemarin', bus: 'abc' })
+    ];
+    const options = { capacity: { bus: 10, mobil: 150, motor: 200 }, now };
+    const same = inputs.every(input => JSON.stringify(browser.validateUpdate(input, options)) ===
+      JSON.stringify(node.validateUpdate(input, options)));
+    
+    const passed = typeof context.ValidationRules === 'function' && same;
+    
+    this.addResult('Browser Build', passed,
+      passed ? 'window.ValidationRules returns the same issues and values as Node' : 'Browser and Node results differ',
+      { same });
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting Validation Rules Tests...\n');
+    
+    try {
+      this.setup();
+      this.testCodedIssues();
+      this.testRulesFromConfig();
+      await this.testSameVerdictAcrossPipeline();
+      this.testBrowserBuild();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    } finally {
+      this.cleanup();
+    }
+    
+    this.printResults();
+    this.saveResults();
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 VALIDATION RULES TEST RESULTS');
+    console.log('='.repeat(70));
+    
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+    });
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+    
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'validation_rules',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+    
+    const reportFile = path.join(reportDir, `validation-rules-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new ValidationRulesTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ Validation rules test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = ValidationRulesTest;
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+/**
+ * Test untuk jenis kendaraan dari config/vehicle-types.json (scripts/vehicle-types.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const VehicleTypes = require('../scripts/vehicle-types');
+const ConfigLoader = require('../scripts/config-loader');
+const CapacitySchedule = require('../scripts/capacity-schedule');
+const DataStore = require('../scripts/data-store');
+const APIHandler = require('../scripts/api-handler');
+const UpdateProcessor = require('../scripts/process-updates');
+const TestSandbox = require('./helpers/sandbox');
+
+const TEST_PIN = TestSandbox.TEST_PIN;
+
+class VehicleTypesTest {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..');
+    this.testResults = [];
+    this.sandboxDir = null;
+  }
+
+  /**
+   * Setup: Salin data & config ke direktori sementara, akun petugas dengan PIN uji
+   */
+  setup() {
+    this.sandboxDir = TestSandbox.create('vehicle-types', ['data/parkir-data.json', 'config/locations-config.json', 'config/vehicle-types.json']);
+    TestSandbox.seedOfficers(this.sandboxDir);
+  }
+
+  cleanup() {
+    if (this.sandboxDir) {
+      fs.rmSync(this.sandboxDir, { recursive: true, force: true });
+    }
+  }
+
+  addResult(test, passed, message, details = {}) {
+    this.testResults.push({ test, passed, message, details });
+  }
+
+  /**
+   * Data lama: hanya bus/mobil/motor di lokasi dan statistics
+   */
+  legacyData(vehicleTypes) {
+    const data = JSON.parse(fs.readFileSync(path.join(this.sandboxDir, 'data/parkir-data.json'), 'utf8'));
+    const legacy = ['bus', 'mobil', 'motor'];
+    
+    data.locations.forEach(location => {
+      vehicleTypes.ids.filter(id => !legacy.includes(id)).forEach(id => delete location[id]);
+    });
+    Object.keys(data.statistics).forEach(key => {
+      const id = key.replace(/^total_available_/, '').replace(/^total_(\w+)_capacity$/, '$1');
+      if (id !== key && !legacy.includes(id)) delete data.statistics[key];
+    });
+    delete data.metadata.vehicle_types;
+    return data;
+  }
+
+  /**
+   * Test 1: Migrasi menambah semua jenis dari config ke data lama, sekali saja
+   */
+  testMigration() {
+    console.log('\n🧪 Test 1: Data File Migration');
+    
+    const vehicleTypes = VehicleTypes.load({ rootDir: this.sandboxDir });
+    const data = this.legacyData(vehicleTypes);
+    const before = vehicleTypes.isMigrated(data);
+    
+    const added = vehicleTypes.migrate(data, (location, id) => (location.id === 1 && id === 'difabel' ? 4 : 0));
+    const again = vehicleTypes.migrate(data);
+    const senopati = data.locations.find(location => location.id === 1);
+    const keys = Object.keys(data.statistics);
+    
+    const passed = !before &&
+      vehicleTypes.ids.length > 3 &&
+      added.length === data.locations.length * (vehicleTypes.ids.length - 3) &&
+      again.length === 0 &&
+      vehicleTypes.isMigrated(data) &&
+      senopati.difabel.total === 4 && senopati.difabel.available === 4 &&
+      senopati.difabel.last_update === senopati.mobil.last_update && senopati.difabel.updated_by === senopati.mobil.updated_by &&
+      data.statistics.total_difabel_capacity === 4 &&
+      keys.indexOf('total_difabel_capacity') < keys.indexOf('total_available_bus') &&
+      data.metadata.vehicle_types.join(',') === vehicleTypes.ids.join(',');
+    
+    this.addResult('Data File Migration', passed,
+      passed ? `Added ${added.length} entries for ${vehicleTypes.ids.slice(3).join(', ')}; second run is a no-op` : `Unexpected: added ${added.length}, again ${again.length}`,
+      { added: added.length, types: vehicleTypes.ids });
+  }
+
+  /**
+   * Test 2: Jenis baru ikut divalidasi, diproses dan dihitung di statistics
+   */
+  async testNewTypeEndToEnd() {
+    console.log('\n🧪 Test 2: New Type End To End');
+    
+    // Lokasi SENOPATI mendapat 4 tempat difabel di config, lalu data dimigrasi
+    const configFile = path.join(this.sandboxDir, 'config/locations-config.json');
+    const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    const senopatiConfig = config.locations.find(location => location.id === 1);
+    senopatiConfig.capacity.difabel = { total: 4, unit: 'unit' };
+    senopatiConfig.vehicle_types.push('difabel');
+    fs.writeFileSync(configFile, JSON.stringify(config, null, 2));
+    
+    const store = new DataStore({ rootDir: this.sandboxDir });
+    const vehicleTypes = VehicleTypes.load({ rootDir: this.sandboxDir });
+    store.update('data', data => {
+      data.locations.forEach(location => {
+        delete location.difabel;
+      });
+      vehicleTypes.migrate(data, (location, id) => {
+        const configLoc = config.locations.find(loc => loc.id === location.id);
+        return configLoc ? CapacitySchedule.capacityOf(configLoc, id) : 0;
+      });
+    });
+    
+    const handler = new APIHandler({ rootDir: this.sandboxDir });
+    const login = await handler.handleRequest({
+      method: 'POST',
+      url: '/api/auth/login',
+      body: { officer_id: 'P001SEN', pin: TEST_PIN }
+    });
+    const submitted = await handler.handleRequest({
+      method: 'POST',
+      url: '/api/updates',
+      headers: { authorization: `Bearer ${login.body.token}` },
+      body: { location: 'SENOPATI', timestamp: new Date().toISOString(), difabel: 1 }
+    });
+    await new UpdateProcessor({ rootDir: this.sandboxDir }).processUpdates();
+    
+    const data = store.read('data');
+    const difabel = data.locations.find(location => location.id === 1).difabel;
+    const detail = await handler.handleRequest({ method: 'GET', url: '/api/locations/1' });
+    
+    const passed = submitted.status < 300 &&
+      difabel.available === 1 && difabel.total === 4 &&
+      difabel.status === 'limited' &&
+      data.statistics.total_difabel_capacity === 4 &&
+      data.statistics.total_available_difabel === 1 &&
+      detail.body?.vehicles?.difabel?.available === 1;
+    
+    this.addResult('New Type End To End', passed,
+      passed ? 'Difabel update accepted by the API, applied by the processor and counted in statistics' : `Unexpected: ${submitted.status} / ${JSON.stringify(difabel)}`,
+      { submitted: submitted.status, difabel, statistics: data.statistics });
+  }
+
+  /**
+   * Test 3: Jenis yang tidak ada di vehicle-types.json ditolak di locations-config
+   */
+  testUnknownTypeRejected() {
+    console.log('\n🧪 Test 3: Unknown Type Rejected');
+    
+    const loader = new ConfigLoader({ rootDir: this.sandboxDir });
+    const config = JSON.parse(fs.readFileSync(path.join(this.sandboxDir, 'config/locations-config.json'), 'utf8'));
+    const valid = loader.validate('locations-config', config);
+    
+    config.locations[0].capacity.truk = { total: 5, unit: 'unit' };
+    config.total_capacity.truk = 5;
+    const errors = loader.validate('locations-config', config);
+    
+    const passed = valid.length === 0 &&
+      errors.some(error => error.path === 'locations[0].capacity.truk') &&
+      errors.some(error => error.path === 'total_capacity.truk');
+    
+    this.addResult('Unknown Type Rejected', passed,
+      passed ? 'locations-config may only use vehicle types defined in config/vehicle-types.json' : `Unexpected errors: ${JSON.stringify(errors)}`,
+      { valid, errors });
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting Vehicle Types Tests...\n');
+    
+    try {
+      this.setup();
+      this.testMigration();
+      await this.testNewTypeEndToEnd();
+      this.testUnknownTypeRejected();
+    } catch (error) {
+      this.addResult('Unexpected Error', false, error.message);
+    } finally {
+      this.cleanup();
+    }
+    
+    this.printResults();
+    this.saveResults();
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    return passed === this.testResults.length ? 0 : 1;
+  }
+
+  printResults() {
+    console.log('\n' + '='.repeat(70));
+    console.log('📊 VEHICLE TYPES TEST RESULTS');
+    console.log('='.repeat(70));
+    
+    this.testResults.forEach((result, index) => {
+      const icon = result.passed ? '✅' : '❌';
+      console.log(`\n${index + 1}. ${icon} ${result.test} [${result.passed ? 'PASS' : 'FAIL'}]`);
+      console.log(`   ${result.message}`);
+    });
+    
+    const passed = this.testResults.filter(t => t.passed).length;
+    console.log('\n' + '='.repeat(70));
+    console.log(`🎯 ${passed}/${this.testResults.length} tests passed`);
+    console.log('='.repeat(70));
+  }
+
+  saveResults() {
+    const reportDir = path.join(this.rootDir, 'data/reports/tests');
+    
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+    
+    const report = {
+      timestamp: new Date().toISOString(),
+      test_type: 'vehicle_types',
+      summary: {
+        total: this.testResults.length,
+        passed: this.testResults.filter(t => t.passed).length
+      },
+      results: this.testResults
+    };
+    
+    const reportFile = path.join(reportDir, `vehicle-types-test-${Date.now()}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    console.log(`\n📄 Test report saved: ${reportFile}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const tester = new VehicleTypesTest();
+  tester.runAllTests().then(exitCode => {
+    process.exit(exitCode);
+  }).catch(error => {
+    console.error('❌ Vehicle types test failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = VehicleTypesTest;
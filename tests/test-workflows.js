@@ -320,9 +320,9 @@ class WorkflowTester {
     
     const scriptsToTest = [
       'validate-parking.js --dry-run',
-      'monitor-statistics.js',
+      'monitor-statistics.js --check-only',
       'verify-consistency.js --quick',
-      'health-check.js'
+      'health-check.js --check-only'
     ];
     
     scriptsToTest.forEach(scriptCmd => {
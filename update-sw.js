@@ -1,12 +1,23 @@
 // sw.js - Updated Version
-const CACHE_NAME = 'parkir-cache-v3';
+// Outbox update petugas (IndexedDB) yang sama dengan admin-petugas.html
+importScripts('/scripts/update-outbox.js');
+
+const CACHE_NAME = 'parkir-cache-v6';
 const API_CACHE_NAME = 'parkir-api-cache-v1';
 const urlsToCache = [
   '/',
   '/index.html',
   '/admin-petugas.html',
   '/manifest.json',
-  '/scripts/api-handler.js'
+  '/scripts/api-handler.js',
+  '/scripts/time-window.js',
+  '/scripts/vehicle-types.js',
+  '/scripts/validation-rules.js',
+  '/scripts/capacity-schedule.js',
+  '/scripts/status-engine.js',
+  '/scripts/update-outbox.js',
+  '/scripts/push-client.js',
+  '/scripts/live-client.js'
 ];
 
 // Install event
@@ -40,6 +51,11 @@ self.addEventListener('activate', event => {
 // Fetch event with stale-while-revalidate strategy
 self.addEventListener('fetch', event => {
   const url = new URL(event.request.url);
+
+  // POST dan API server (/api/...) selalu langsung ke jaringan, tidak di-cache
+  if (event.request.method !== 'GET' || url.pathname.startsWith('/api/')) {
+    return;
+  }
   
   // API requests - network first, then cache
   if (url.pathname.includes('/data/')) {
@@ -105,84 +121,80 @@ self.addEventListener('fetch', event => {
 
 // Background sync for offline updates
 self.addEventListener('sync', event => {
-  if (event.tag === 'sync-parking-updates') {
-    event.waitUntil(syncParkingUpdates());
+  if (event.tag === UpdateOutbox.SYNC_TAG) {
+    event.waitUntil(syncParkingUpdates(event));
   }
 });
 
-async function syncParkingUpdates() {
-  try {
-    const queueKey = 'parking_update_queue';
-    const queue = JSON.parse(localStorage.getItem(queueKey) || '[]');
-    
-    if (queue.length === 0) return;
-    
-    for (const update of queue) {
-      try {
-        // Try to send update
-        const response = await fetch('/api/update', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(update)
-        });
-        
-        if (response.ok) {
-          // Remove from queue
-          const newQueue = queue.filter(item => item.id !== update.id);
-          localStorage.setItem(queueKey, JSON.stringify(newQueue));
-        }
-      } catch (error) {
-        console.error('Sync failed for update:', update.id);
-        update.attempts = (update.attempts || 0) + 1;
-        
-        // Remove if too many attempts
-        if (update.attempts >= 3) {
-          const newQueue = queue.filter(item => item.id !== update.id);
-          localStorage.setItem(queueKey, JSON.stringify(newQueue));
-        }
-      }
+// Kirim outbox berurutan; entry yang gagal dicoba lagi dengan backoff, tidak dibuang
+async function syncParkingUpdates(event = {}) {
+  const summary = await new UpdateOutbox().replay();
+
+  // Panel yang terbuka memperbarui status per entry di riwayat
+  const clientList = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+  clientList.forEach(client => client.postMessage({ type: 'outbox-changed', summary }));
+
+  // Masih ada entry (jaringan putus, backoff, 5xx, pemeliharaan): tolak agar browser
+  // menjadwalkan sync berikutnya; pada percobaan terakhir daftarkan sync baru
+  if (summary.pending > 0) {
+    if (event.lastChance && self.registration.sync) {
+      await self.registration.sync.register(UpdateOutbox.SYNC_TAG).catch(() => {});
     }
-  } catch (error) {
-    console.error('Background sync failed:', error);
+    throw new Error(`${summary.pending} updates still queued${summary.network_error ? ', network unavailable' : ''}`);
   }
 }
 
-// Push notifications
+// Push notifications: payload JSON { title, body, tag, url } dari scripts/push-notifier.js
 self.addEventListener('push', event => {
+  let message = {};
+  try {
+    message = event.data ? event.data.json() : {};
+  } catch (error) {
+    message = { body: event.data.text() };
+  }
+  
   const options = {
-    body: event.data ? event.data.text() : 'Parking data updated',
+    body: message.body || 'Parking data updated',
     icon: '/icon-192.png',
     badge: '/badge-72.png',
     vibrate: [100, 50, 100],
+    // Pesan dengan tag sama (mis. lokasi yang sama) menggantikan notifikasi sebelumnya
+    tag: message.tag,
+    renotify: Boolean(message.tag),
     data: {
       dateOfArrival: Date.now(),
-      primaryKey: 1
+      url: message.url || '/'
     },
     actions: [
       {
         action: 'view',
-        title: 'View updates'
+        title: 'Lihat'
       },
       {
         action: 'close',
-        title: 'Close'
+        title: 'Tutup'
       }
     ]
   };
   
   event.waitUntil(
-    self.registration.showNotification('Parking Update', options)
+    self.registration.showNotification(message.title || 'Parking Update', options)
   );
 });
 
 self.addEventListener('notificationclick', event => {
   event.notification.close();
   
-  if (event.action === 'view') {
-    event.waitUntil(
-      clients.openWindow('/')
-    );
+  if (event.action === 'close') {
+    return;
   }
+  
+  // Pakai tab yang sudah membuka halaman tujuan, atau buka tab baru
+  const url = new URL((event.notification.data && event.notification.data.url) || '/', self.location.origin).href;
+  event.waitUntil(
+    clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clientList => {
+      const existing = clientList.find(client => client.url.split('?')[0] === url.split('?')[0]);
+      return existing ? existing.focus() : clients.openWindow(url);
+    })
+  );
 });